@@ -1,3 +1,3 @@
-require('./lib/helpers')
-
 module.exports = require('./lib/reactive-database')
+module.exports.errors = require('./lib/errors')
+module.exports.ObjectId = require('./lib/object-id')
@@ -0,0 +1,163 @@
+const fs = require('fs')
+const path = require('path')
+const { stringify, parse } = require('../extended-json')
+
+const SNAPSHOT_FILE = 'snapshot.json'
+const LOG_FILE = 'changes.log'
+
+/**
+ * FileAdapter persists a `ReactiveDatabase` content inside a directory (Node.js only).
+ * Each change is appended to a change log (`changes.log`, one JSON change per line).
+ * When the database compacts its content, a snapshot (`snapshot.json`) replaces the change log.
+ *
+ * **NOTE:** Documents are serialized to JSON. Other values than `Date` and `ObjectId` that can't be represented in JSON won't be restored as is.
+ * Dates are written as `{ "$date": isoString }` and ObjectIds as `{ "$oid": hex }` (like MongoDB Extended JSON).
+ *
+ * @class FileAdapter
+ * @example
+ * const ReactiveDatabase = require('reactive-db-js')
+ * const FileAdapter = require('reactive-db-js/lib/adapters/file-adapter')
+ *
+ * const db = new ReactiveDatabase({
+ *   adapter: new FileAdapter({ directory: './data' }),
+ *   durability: 'sync'
+ * })
+ *
+ * db.connect()
+ *   .then(() => db.getCollection('superheroes').find())
+ */
+class FileAdapter {
+  /**
+   * Creates an instance of FileAdapter.
+   *
+   * @param {Object} options
+   * @param {String} options.directory Directory where files are stored. Created if needed.
+   * @param {Boolean} [options.fsync=true] Flush each change to the disk before resolving.
+   * @memberof FileAdapter
+   */
+  constructor (options = {}) {
+    if (typeof options.directory !== 'string') {
+      throw new Error('"directory" must be a string')
+    }
+
+    this._directory = options.directory
+    this._fsync = options.fsync !== false
+    this._logPath = path.join(this._directory, LOG_FILE)
+    this._snapshotPath = path.join(this._directory, SNAPSHOT_FILE)
+    this._logHandle = null
+  }
+
+  /**
+   * Read the snapshot and the change log.
+   *
+   * @returns Promise<Object> `{ snapshot, changes }`
+   * @memberof FileAdapter
+   */
+  load () {
+    return fs.promises.mkdir(this._directory, { recursive: true })
+      .then(() => Promise.all([
+        this._readFile(this._snapshotPath),
+        this._readFile(this._logPath)
+      ]))
+      .then(([snapshot, log]) => ({
+        snapshot: snapshot ? parse(snapshot) : null,
+        changes: this._parseLog(log || '')
+      }))
+  }
+
+  /**
+   * Append a change to the change log.
+   *
+   * @param {Object} change
+   * @returns Promise
+   * @memberof FileAdapter
+   */
+  append (change) {
+    return this._openLog()
+      .then(handle => handle.appendFile(`${stringify(change)}\n`)
+        .then(() => this._fsync ? handle.sync() : undefined))
+  }
+
+  /**
+   * Write `snapshot` then empty the change log.
+   * The snapshot is first written in a temporary file,
+   * so a crash can't leave a partially written snapshot.
+   *
+   * @param {Object} snapshot
+   * @returns Promise
+   * @memberof FileAdapter
+   */
+  compact (snapshot) {
+    const temporaryPath = `${this._snapshotPath}.tmp`
+
+    return fs.promises.mkdir(this._directory, { recursive: true })
+      .then(() => fs.promises.open(temporaryPath, 'w'))
+      .then(handle => handle.writeFile(stringify(snapshot))
+        .then(() => this._fsync ? handle.sync() : undefined)
+        .finally(() => handle.close()))
+      .then(() => fs.promises.rename(temporaryPath, this._snapshotPath))
+      .then(() => this.close())
+      .then(() => fs.promises.writeFile(this._logPath, ''))
+  }
+
+  /**
+   * Close the change log file.
+   *
+   * @returns Promise
+   * @memberof FileAdapter
+   */
+  close () {
+    if (!this._logHandle) {
+      return Promise.resolve()
+    }
+
+    const handle = this._logHandle
+    this._logHandle = null
+
+    return handle.then(fileHandle => fileHandle.close())
+  }
+
+  _openLog () {
+    if (!this._logHandle) {
+      this._logHandle = fs.promises.mkdir(this._directory, { recursive: true })
+        .then(() => fs.promises.open(this._logPath, 'a'))
+      this._logHandle.catch(() => {
+        this._logHandle = null
+      })
+    }
+
+    return this._logHandle
+  }
+
+  _readFile (filePath) {
+    return fs.promises.readFile(filePath, 'utf8')
+      .catch(error => {
+        if (error.code === 'ENOENT') {
+          return null
+        }
+        throw error
+      })
+  }
+
+  _parseLog (log) {
+    const lines = log.split('\n')
+
+    return lines.reduce((final, line, idx) => {
+      if (line.trim() === '') {
+        return final
+      }
+
+      try {
+        final.push(parse(line))
+      } catch (error) {
+        // The last line may have been partially written if the process has been stopped while writing it
+        if (lines.slice(idx + 1).some(el => el.trim() !== '')) {
+          throw new Error(`The change log "${this._logPath}" is corrupted at line ${idx + 1}`)
+        }
+      }
+      return final
+    }, [])
+  }
+}
+
+module.exports = FileAdapter
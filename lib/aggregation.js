@@ -0,0 +1,383 @@
+const { compareValues } = require('./collection-index')
+const { matches } = require('./query-matcher')
+const { deepClone, deepEqual, getPath, setPath, isPlainObject, includePath, deletePath } = require('./helpers')
+
+/**
+ * Value of an aggregation expression for a document.
+ * Expressions can be field paths (`'$address.city'`), `'$$ROOT'`, literals,
+ * arrays, objects, or operators (`{ $add: ['$price', '$tax'] }`).
+ *
+ * @param {Any} expression
+ * @param {Object} doc
+ * @returns Any
+ */
+function evaluate (expression, doc) {
+  if (typeof expression === 'string' && expression[0] === '$') {
+    if (expression === '$$ROOT') {
+      return doc
+    }
+    return getPath(doc, expression.substr(1))
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map(el => evaluate(el, doc))
+  }
+
+  if (isPlainObject(expression)) {
+    const keys = Object.keys(expression)
+
+    if (keys.length === 1 && keys[0][0] === '$') {
+      return evaluateOperator(keys[0], expression[keys[0]], doc)
+    }
+
+    return keys.reduce((final, key) => {
+      final[key] = evaluate(expression[key], doc)
+      return final
+    }, {})
+  }
+
+  return expression
+}
+
+function evaluateOperator (operator, args, doc) {
+  if (operator === '$literal') {
+    return args
+  }
+
+  const values = Array.isArray(args) ? args.map(el => evaluate(el, doc)) : [evaluate(args, doc)]
+  const isNullish = value => value === null || value === undefined
+
+  switch (operator) {
+    case '$add':
+      return values.some(isNullish) ? null : values.reduce((final, value) => final + value, 0)
+    case '$subtract':
+      return values.some(isNullish) ? null : values[0] - values[1]
+    case '$multiply':
+      return values.some(isNullish) ? null : values.reduce((final, value) => final * value, 1)
+    case '$divide':
+      return values.some(isNullish) ? null : values[0] / values[1]
+    case '$mod':
+      return values.some(isNullish) ? null : values[0] % values[1]
+    case '$concat':
+      return values.some(isNullish) ? null : values.join('')
+    case '$toUpper':
+      return isNullish(values[0]) ? '' : String(values[0]).toUpperCase()
+    case '$toLower':
+      return isNullish(values[0]) ? '' : String(values[0]).toLowerCase()
+    case '$size':
+      if (!Array.isArray(values[0])) {
+        throw new Error('The argument to $size must be an array')
+      }
+      return values[0].length
+    case '$ifNull':
+      return isNullish(values[0]) ? values[1] : values[0]
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(args)
+        ? values
+        : [evaluate(args.if, doc), evaluate(args.then, doc), evaluate(args.else, doc)]
+      return condition ? then : otherwise
+    }
+    case '$eq':
+      return compareValues(values[0], values[1]) === 0
+    case '$ne':
+      return compareValues(values[0], values[1]) !== 0
+    case '$gt':
+      return compareValues(values[0], values[1]) > 0
+    case '$gte':
+      return compareValues(values[0], values[1]) >= 0
+    case '$lt':
+      return compareValues(values[0], values[1]) < 0
+    case '$lte':
+      return compareValues(values[0], values[1]) <= 0
+    case '$and':
+      return values.every(Boolean)
+    case '$or':
+      return values.some(Boolean)
+    case '$not':
+      return !values[0]
+    default:
+      throw new Error(`Unknown expression operator "${operator}"`)
+  }
+}
+
+const ACCUMULATORS = {
+  $sum: {
+    init: () => 0,
+    add: (total, value) => typeof value === 'number' ? total + value : total
+  },
+  $avg: {
+    init: () => ({ sum: 0, count: 0 }),
+    add: (state, value) => typeof value === 'number' ? { sum: state.sum + value, count: state.count + 1 } : state,
+    result: state => state.count > 0 ? state.sum / state.count : null
+  },
+  $min: {
+    init: () => undefined,
+    add: (min, value) => value !== undefined && value !== null && (min === undefined || compareValues(value, min) < 0) ? value : min,
+    result: min => min === undefined ? null : min
+  },
+  $max: {
+    init: () => undefined,
+    add: (max, value) => value !== undefined && value !== null && (max === undefined || compareValues(value, max) > 0) ? value : max,
+    result: max => max === undefined ? null : max
+  },
+  $push: {
+    init: () => [],
+    add: (values, value) => [...values, value]
+  },
+  $addToSet: {
+    init: () => [],
+    add: (values, value) => values.some(el => deepEqual(el, value)) ? values : [...values, value]
+  },
+  $first: {
+    init: () => ({ isSet: false }),
+    add: (state, value) => state.isSet ? state : { isSet: true, value },
+    result: state => state.value
+  },
+  $last: {
+    init: () => undefined,
+    add: (last, value) => value
+  }
+}
+
+/**
+ * Run an aggregation pipeline on documents of `collection`.
+ *
+ * @param {ReactiveCollection} collection
+ * @param {Object[]} pipeline
+ * @returns Object[]
+ */
+function aggregate (collection, pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw new Error('"pipeline" must be an array')
+  }
+
+  // A first $match stage can use the collection indexes
+  if (pipeline.length > 0 && isPlainObject(pipeline[0]) && Object.keys(pipeline[0])[0] === '$match') {
+    return runPipeline(collection, collection._select(pipeline[0].$match), pipeline.slice(1))
+  }
+
+  return runPipeline(collection, collection._content, pipeline)
+}
+
+/**
+ * Run the stages of `pipeline` on `documents`.
+ *
+ * @param {ReactiveCollection} [collection] Collection used by `$sort`, `$facet` and `$lookup` stages.
+ * @param {Object[]} documents
+ * @param {Object[]} pipeline
+ * @returns Object[]
+ */
+function runPipeline (collection, documents, pipeline) {
+  return pipeline.reduce((final, stage) => {
+    const keys = isPlainObject(stage) ? Object.keys(stage) : []
+    if (keys.length !== 1) {
+      throw new Error('Each pipeline stage must be an object with exactly one field')
+    }
+
+    const name = keys[0]
+    if (!STAGES[name]) {
+      throw new Error(`Unknown pipeline stage "${name}"`)
+    }
+
+    return STAGES[name](final, stage[name], collection)
+  }, documents)
+}
+
+const STAGES = {
+  $match (documents, query) {
+    return documents.filter(doc => matches(doc, query))
+  },
+
+  $project (documents, projection) {
+    const fields = Object.keys(projection)
+    const isInclusion = fields.some(field => field !== '_id' && !(projection[field] === 0 || projection[field] === false))
+
+    return documents.map(doc => {
+      if (!isInclusion) {
+        const result = deepClone(doc)
+        fields.forEach(field => deletePath(result, field))
+        return result
+      }
+
+      const result = {}
+      if (projection._id === undefined || projection._id === 1 || projection._id === true) {
+        result._id = doc._id
+      }
+
+      fields.forEach(field => {
+        const value = projection[field]
+        if (value === 0 || value === false) {
+          return
+        }
+
+        if (value === 1 || value === true) {
+          includePath(result, doc, field)
+        } else {
+          setPath(result, field, deepClone(evaluate(value, doc)))
+        }
+      })
+
+      return result
+    })
+  },
+
+  $addFields (documents, fields) {
+    return documents.map(doc => {
+      const result = deepClone(doc)
+      Object.keys(fields).forEach(field => {
+        setPath(result, field, deepClone(evaluate(fields[field], doc)))
+      })
+      return result
+    })
+  },
+
+  $group (documents, group) {
+    if (!Object.prototype.hasOwnProperty.call(group, '_id')) {
+      throw new Error('A $group stage must specify an _id')
+    }
+
+    const fields = Object.keys(group).filter(field => field !== '_id')
+    fields.forEach(field => {
+      const accumulator = isPlainObject(group[field]) ? Object.keys(group[field]) : []
+      if (accumulator.length !== 1 || !ACCUMULATORS[accumulator[0]]) {
+        throw new Error(`Unknown accumulator for field "${field}"`)
+      }
+    })
+
+    const groups = new Map()
+    documents.forEach(doc => {
+      const id = evaluate(group._id, doc)
+      const key = JSON.stringify(id === undefined ? null : id)
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          _id: id === undefined ? null : id,
+          states: fields.map(field => ACCUMULATORS[Object.keys(group[field])[0]].init())
+        })
+      }
+
+      const current = groups.get(key)
+      fields.forEach((field, idx) => {
+        const operator = Object.keys(group[field])[0]
+        current.states[idx] = ACCUMULATORS[operator].add(current.states[idx], evaluate(group[field][operator], doc))
+      })
+    })
+
+    return [...groups.values()].map(({ _id, states }) => {
+      return fields.reduce((final, field, idx) => {
+        const accumulator = ACCUMULATORS[Object.keys(group[field])[0]]
+        final[field] = accumulator.result ? accumulator.result(states[idx]) : states[idx]
+        return final
+      }, { _id })
+    })
+  },
+
+  $sort (documents, sort, collection) {
+    const keys = Object.keys(sort)
+    return [...documents].sort((a, b) => collection._orderByManyProperties(a, b, sort, keys, 0))
+  },
+
+  $skip (documents, skip) {
+    return documents.slice(skip)
+  },
+
+  $limit (documents, limit) {
+    return documents.slice(0, limit)
+  },
+
+  $unwind (documents, options) {
+    if (typeof options === 'string') {
+      options = { path: options }
+    }
+
+    if (typeof options.path !== 'string' || options.path[0] !== '$') {
+      throw new Error('$unwind path must be prefixed by "$"')
+    }
+
+    const path = options.path.substr(1)
+
+    return documents.reduce((final, doc) => {
+      const values = getPath(doc, path)
+
+      if (Array.isArray(values) && values.length > 0) {
+        values.forEach((value, index) => {
+          const result = deepClone(doc)
+          setPath(result, path, deepClone(value))
+          if (options.includeArrayIndex) {
+            setPath(result, options.includeArrayIndex, index)
+          }
+          final.push(result)
+        })
+      } else if (values !== undefined && values !== null && !Array.isArray(values)) {
+        const result = deepClone(doc)
+        if (options.includeArrayIndex) {
+          setPath(result, options.includeArrayIndex, null)
+        }
+        final.push(result)
+      } else if (options.preserveNullAndEmptyArrays) {
+        const result = deepClone(doc)
+        if (Array.isArray(values)) {
+          deletePath(result, path)
+        }
+        if (options.includeArrayIndex) {
+          setPath(result, options.includeArrayIndex, null)
+        }
+        final.push(result)
+      }
+
+      return final
+    }, [])
+  },
+
+  $count (documents, field) {
+    if (typeof field !== 'string' || field === '' || field[0] === '$' || field.indexOf('.') >= 0) {
+      throw new Error('$count field must be a non empty string, without "$" nor "."')
+    }
+
+    return documents.length > 0 ? [{ [field]: documents.length }] : []
+  },
+
+  $facet (documents, facets, collection) {
+    return [Object.keys(facets).reduce((final, name) => {
+      final[name] = runPipeline(collection, documents, facets[name])
+      return final
+    }, {})]
+  },
+
+  $lookup (documents, lookup, collection) {
+    const { from, localField, foreignField, as } = lookup
+    if ([from, localField, foreignField, as].some(el => typeof el !== 'string')) {
+      throw new Error('$lookup requires "from", "localField", "foreignField" and "as"')
+    }
+
+    if (!collection._database) {
+      throw new Error('$lookup can only be used on a collection of a ReactiveDatabase')
+    }
+
+    const foreignCollection = collection._database._collections[from]
+    const foreignDocuments = foreignCollection ? foreignCollection._content : []
+    const isNullish = value => value === null || value === undefined
+    const matches = (localValue, foreignValue) => {
+      const locals = Array.isArray(localValue) ? localValue : [localValue]
+      const foreigns = Array.isArray(foreignValue) ? foreignValue : [foreignValue]
+      return locals.some(local => foreigns.some(foreign => {
+        return (isNullish(local) && isNullish(foreign)) || deepEqual(local, foreign)
+      }))
+    }
+
+    return documents.map(doc => {
+      const localValue = getPath(doc, localField)
+      const result = deepClone(doc)
+      setPath(result, as, foreignDocuments
+        .filter(foreign => matches(localValue, getPath(foreign, foreignField)))
+        .map(deepClone))
+      return result
+    })
+  }
+}
+
+module.exports = {
+  aggregate,
+  runPipeline,
+  evaluate
+}
@@ -0,0 +1,321 @@
+const EventEmitter = require('events')
+const { runPipeline } = require('./aggregation')
+const { validateQuery } = require('./query-matcher')
+const { isPlainObject } = require('./helpers')
+
+// Stages that can be applied to change events, one by one
+const STAGES = ['$match', '$project', '$addFields']
+
+/**
+ * ChangeStream gives every change made in a collection (or in a database), one event per written document.
+ * It is created with `collection.watch()` (or `db.watch()`).
+ *
+ * Events can be consumed either with the `'change'` event (`stream.on('change', listener)`),
+ * or with `stream.next()` / `for await (const event of stream)`, but not both.
+ * Each event has a resume token (its `_id`). Giving the token of the last handled event
+ * to `collection.watch()` with the `resumeAfter` option starts a new stream with the following events,
+ * as long as they are still in the oplog.
+ *
+ * @example
+ * const stream = collection.watch([{ $match: { operationType: 'insert' } }])
+ *
+ * for await (const event of stream) {
+ *   console.log(event.documentKey._id, event.fullDocument)
+ *   saveToken(event._id)
+ * }
+ *
+ * @class ChangeStream
+ * @extends {EventEmitter}
+ */
+class ChangeStream extends EventEmitter {
+  /**
+   * Creates an instance of ChangeStream.
+   *
+   * @param {Oplog} oplog Oplog of the watched collection or database.
+   * @param {Object[]} [pipeline=[]] `$match`, `$project` and `$addFields` stages applied to each event.
+   * @param {Object} [options={}]
+   * @param {Object} [options.resumeAfter] Resume token. Start with the events following this one.
+   * @param {Object} [options.startAfter] Same as `resumeAfter`.
+   * @param {String} [options.fullDocumentBeforeChange='off'] `'whenAvailable'` to give the document before each update or remove.
+   * @memberof ChangeStream
+   */
+  constructor (oplog, pipeline = [], options = {}) {
+    super()
+
+    if (!Array.isArray(pipeline)) {
+      throw new Error('"pipeline" must be an array')
+    }
+
+    pipeline.forEach(stage => {
+      const name = isPlainObject(stage) && Object.keys(stage).length === 1 ? Object.keys(stage)[0] : undefined
+      if (STAGES.indexOf(name) < 0) {
+        throw new Error(`Change streams only support ${STAGES.join(', ')} stages`)
+      }
+      if (name === '$match') {
+        validateQuery(stage.$match)
+      }
+    })
+
+    if (options.fullDocumentBeforeChange !== undefined && ['off', 'whenAvailable'].indexOf(options.fullDocumentBeforeChange) < 0) {
+      throw new Error('"fullDocumentBeforeChange" must be "off" or "whenAvailable"')
+    }
+
+    this._oplog = oplog
+    this._withDocumentBeforeChange = options.fullDocumentBeforeChange === 'whenAvailable'
+    this._pipeline = pipeline
+    this._pendingEvents = []
+    this._queue = []
+    this._waiting = []
+    this._mode = null
+    this._closed = false
+    this._error = null
+    this._isScheduled = false
+    this._invalidated = false
+    this._resumeToken = options.resumeAfter || options.startAfter || null
+
+    this.on('newListener', event => {
+      if (event !== 'change') {
+        return
+      }
+      if (this._mode === 'iterator') {
+        throw new Error('ChangeStream is already used as an iterator')
+      }
+      this._mode = 'emitter'
+      this._schedule()
+    })
+
+    oplog.streams.add(this)
+
+    try {
+      this._push(oplog.eventsAfter(this._resumeToken))
+    } catch (error) {
+      this._error = error
+      this._schedule()
+    }
+  }
+
+  /**
+   * Resume token of the last event handled by the stream (even if filtered out by the pipeline).
+   *
+   * @readonly
+   * @memberof ChangeStream
+   */
+  get resumeToken () {
+    return this._resumeToken
+  }
+
+  /**
+   * `true` once the stream has been closed.
+   *
+   * @readonly
+   * @memberof ChangeStream
+   */
+  get closed () {
+    return this._closed
+  }
+
+  /**
+   * Wait for the next event.
+   * The promise is rejected if the stream is closed (or fails).
+   *
+   * @returns Promise<Object>
+   * @memberof ChangeStream
+   */
+  next () {
+    return this._take().then(event => {
+      if (event === null) {
+        throw this._error || new Error('ChangeStream is closed')
+      }
+      return event
+    })
+  }
+
+  /**
+   * Get the next event if one is available, `null` otherwise.
+   *
+   * @returns Promise<Object|null>
+   * @memberof ChangeStream
+   */
+  tryNext () {
+    if (this._error) {
+      return Promise.reject(this._error)
+    }
+
+    return this._useAsIterator()
+      .then(() => {
+        this._deliver()
+        return this._queue.length > 0 ? this._queue.shift() : null
+      })
+  }
+
+  /**
+   * Stop following the collection changes.
+   * Pending `next()` calls are rejected and `for await` loops end.
+   *
+   * @returns Promise
+   * @memberof ChangeStream
+   */
+  close () {
+    if (!this._closed) {
+      this._closed = true
+      this._oplog.streams.delete(this)
+      this._waiting.forEach(resolve => resolve(null))
+      this._waiting = []
+      this.emit('close')
+    }
+
+    return Promise.resolve()
+  }
+
+  [Symbol.asyncIterator] () {
+    return {
+      next: () => this._take().then(event => {
+        if (event === null && this._error) {
+          throw this._error
+        }
+        return event === null ? { value: undefined, done: true } : { value: event, done: false }
+      }),
+      return: () => this.close().then(() => ({ value: undefined, done: true }))
+    }
+  }
+
+  /**
+   * Called by the oplog with new events.
+   *
+   * @param {Object[]} events
+   * @memberof ChangeStream
+   */
+  _push (events) {
+    if (this._closed || events.length === 0) {
+      return
+    }
+
+    this._pendingEvents = [...this._pendingEvents, ...events]
+    this._schedule()
+  }
+
+  /**
+   * Called by the oplog once the watched collection has been dropped.
+   * The stream is closed once pending events are delivered.
+   *
+   * @memberof ChangeStream
+   */
+  _invalidate () {
+    this._invalidated = true
+    this._schedule()
+  }
+
+  _schedule () {
+    if (this._isScheduled) {
+      return
+    }
+
+    this._isScheduled = true
+    Promise.resolve().then(() => {
+      this._isScheduled = false
+      this._deliver()
+    })
+  }
+
+  /**
+   * Apply the pipeline to pending events, then give them to listeners or waiting `next()` calls.
+   */
+  _deliver () {
+    if (this._error) {
+      return this._fail()
+    }
+
+    const events = this._pendingEvents
+    this._pendingEvents = []
+
+    events.forEach(({ fullDocumentBeforeChange, ...event }) => {
+      if (this._withDocumentBeforeChange && fullDocumentBeforeChange !== undefined) {
+        event.fullDocumentBeforeChange = fullDocumentBeforeChange
+      }
+
+      this._resumeToken = event._id
+      try {
+        runPipeline(null, [event], this._pipeline).forEach(el => this._queue.push(el))
+      } catch (error) {
+        this._error = error
+      }
+    })
+
+    if (this._mode === 'emitter') {
+      const queue = this._queue
+      this._queue = []
+      queue.forEach(event => this._emitChange(event))
+    } else {
+      while (this._waiting.length > 0 && this._queue.length > 0) {
+        this._waiting.shift()(this._queue.shift())
+      }
+    }
+
+    if (this._error) {
+      this._fail()
+    } else if (this._invalidated) {
+      this.close()
+    }
+  }
+
+  _fail () {
+    this.close()
+    this._emitError(this._error)
+  }
+
+  /**
+   * Give `event` to each `'change'` listener. A listener throwing an error doesn't stop the others:
+   * its error is emitted as `'error'`.
+   *
+   * @param {Object} event
+   */
+  _emitChange (event) {
+    this.rawListeners('change').forEach(listener => {
+      try {
+        listener.call(this, event)
+      } catch (error) {
+        this._emitError(error)
+      }
+    })
+  }
+
+  _emitError (error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error)
+    } else if (this._mode === 'emitter') {
+      // Like an 'error' event without listener, but out of the delivery (iterators get errors from `next()`)
+      setTimeout(() => {
+        throw error
+      })
+    }
+  }
+
+  _useAsIterator () {
+    if (this._mode === 'emitter') {
+      return Promise.reject(new Error('ChangeStream is already used as an event emitter'))
+    }
+
+    this._mode = 'iterator'
+    return Promise.resolve()
+  }
+
+  _take () {
+    return this._useAsIterator()
+      .then(() => {
+        if (this._queue.length > 0) {
+          return this._queue.shift()
+        }
+
+        if (this._closed) {
+          return null
+        }
+
+        return new Promise(resolve => {
+          this._waiting.push(resolve)
+          this._schedule()
+        })
+      })
+  }
+}
+
+module.exports = ChangeStream
@@ -0,0 +1,687 @@
+const ObjectId = require('./object-id')
+const { getPath, resolvePath } = require('./helpers')
+
+const TYPE_RANKS = {
+  undefined: 0,
+  null: 1,
+  number: 2,
+  string: 3,
+  object: 4,
+  array: 5,
+  objectId: 6,
+  boolean: 7,
+  date: 8,
+  other: 9
+}
+
+// Values of these types are ordered the same way by the `<` and `>` operators and by `compareValues()`
+const ORDERED_TYPES = ['number', 'string', 'objectId', 'date', 'boolean']
+
+/**
+ * Type of a value, as used to order values inside an index.
+ *
+ * @param {Any} value
+ * @returns String
+ */
+function typeOf (value) {
+  if (value === undefined || value === null) {
+    return String(value)
+  } else if (Array.isArray(value)) {
+    return 'array'
+  } else if (value instanceof Date) {
+    return 'date'
+  } else if (value instanceof ObjectId) {
+    return 'objectId'
+  } else if (['number', 'string', 'boolean', 'object'].indexOf(typeof value) >= 0) {
+    return typeof value
+  }
+
+  return 'other'
+}
+
+/**
+ * Total order between any values. Values are first ordered by type
+ * (`undefined` < `null` < numbers < strings < objects < arrays < ObjectIds < booleans < dates < others),
+ * then by value.
+ *
+ * @param {Any} a
+ * @param {Any} b
+ * @returns Number -1, 0 or 1
+ */
+function compareValues (a, b) {
+  const typeA = typeOf(a)
+  const typeB = typeOf(b)
+
+  if (typeA !== typeB) {
+    return TYPE_RANKS[typeA] < TYPE_RANKS[typeB] ? -1 : 1
+  }
+
+  switch (typeA) {
+    case 'undefined':
+    case 'null':
+      return 0
+    case 'number':
+      if (Number.isNaN(a) || Number.isNaN(b)) {
+        if (Number.isNaN(a) && Number.isNaN(b)) {
+          return 0
+        }
+        return Number.isNaN(a) ? -1 : 1
+      }
+      break
+    case 'date':
+      a = a.getTime()
+      b = b.getTime()
+      if (Number.isNaN(a) || Number.isNaN(b)) {
+        return compareValues(a, b)
+      }
+      break
+    case 'objectId':
+      a = a.toHexString()
+      b = b.toHexString()
+      break
+    case 'object':
+    case 'array':
+      a = JSON.stringify(a)
+      b = JSON.stringify(b)
+      break
+    case 'other':
+      a = String(a)
+      b = String(b)
+      break
+  }
+
+  if (a < b) {
+    return -1
+  } else if (a > b) {
+    return 1
+  }
+  return 0
+}
+
+/**
+ * Type of a document value, used to know which queries and sorts an index can serve.
+ *
+ * @param {Object} doc
+ * @param {String} field
+ * @returns String
+ */
+function valueClass (doc, field) {
+  const { values, throughArray } = resolvePath(doc, field)
+
+  if (throughArray) {
+    // Values found inside an array aren't indexed
+    return 'array'
+  } else if (values.length === 0) {
+    return 'missing'
+  }
+
+  const value = values[0]
+  const type = typeOf(value)
+
+  if ((type === 'number' && Number.isNaN(value)) || (type === 'date' && Number.isNaN(value.getTime()))) {
+    return `invalid-${type}`
+  }
+
+  return type
+}
+
+// ObjectIds are immutable, and compared as primitive values
+function isPrimitive (value) {
+  return value === null || value instanceof ObjectId || ['undefined', 'number', 'string', 'boolean'].indexOf(typeof value) >= 0
+}
+
+/**
+ * CollectionIndex keeps the documents of a collection sorted by one or many fields.
+ * It is used by `ReactiveCollection` to find documents without scanning the whole collection
+ * and to sort them.
+ * Entries with the same key are kept in the collection order.
+ *
+ * @class CollectionIndex
+ */
+class CollectionIndex {
+  /**
+   * Creates an instance of CollectionIndex.
+   *
+   * @param {Object} key Fields of the index, with their direction (`1` or `-1`). Eg. `{ lastname: 1, age: -1 }`
+   * @param {Object} [options={}]
+   * @param {String} [options.name] Name of the index. Default is built from `key`. Eg. `lastname_1_age_-1`
+   * @param {Boolean} [options.unique=false] Two documents can't have the same key.
+   * @param {Boolean} [options.sparse=false] Only index documents having at least one of the fields.
+   * @param {Object} [options.partialFilterExpression] Only index documents matching this query.
+   * @param {Number} [options.expireAfterSeconds] Makes a TTL index (single field only): documents expire
+   * this number of seconds after the date of their field (see `expiredIds()`).
+   * @param {Function} [matches] `(doc, query) => Boolean`, used with `partialFilterExpression`.
+   * @memberof CollectionIndex
+   */
+  constructor (key, options = {}, matches = undefined) {
+    if (!key || typeof key !== 'object' || Array.isArray(key) || Object.keys(key).length === 0) {
+      throw new Error('"keys" must be a non empty object')
+    }
+
+    Object.keys(key).forEach(field => {
+      if (key[field] !== 1 && key[field] !== -1) {
+        throw new Error(`Direction of "${field}" must be 1 or -1`)
+      }
+    })
+
+    this.key = { ...key }
+    this.fields = Object.keys(key)
+    this.directions = this.fields.map(field => key[field])
+    this.name = options.name || this.fields.map(field => `${field}_${key[field]}`).join('_')
+    this.options = { ...options, name: this.name }
+
+    if (options.partialFilterExpression !== undefined) {
+      if (!options.partialFilterExpression || typeof options.partialFilterExpression !== 'object' || typeof matches !== 'function') {
+        throw new Error('"partialFilterExpression" must be an object')
+      }
+    }
+
+    if (options.expireAfterSeconds !== undefined) {
+      if (typeof options.expireAfterSeconds !== 'number' || !(options.expireAfterSeconds >= 0)) {
+        throw new Error('"expireAfterSeconds" must be a non negative number')
+      }
+      if (this.fields.length > 1) {
+        throw new Error('"expireAfterSeconds" can only be used on a single field index')
+      }
+    }
+
+    this._matches = matches
+
+    this._entries = []
+    this._entriesById = new Map()
+    this._classCounts = this.fields.map(() => new Map())
+  }
+
+  /**
+   * Description of the index, as returned by `collection.listIndexes()`.
+   *
+   * @returns Object
+   * @memberof CollectionIndex
+   */
+  describe () {
+    return { ...this.options, key: { ...this.key } }
+  }
+
+  /**
+   * `true` for a TTL index (created with the `expireAfterSeconds` option).
+   *
+   * @readonly
+   * @memberof CollectionIndex
+   */
+  get isTTL () {
+    return this.options.expireAfterSeconds !== undefined
+  }
+
+  /**
+   * `_id` of the indexed documents expired at `now`, for a TTL index.
+   * A document expires `expireAfterSeconds` after the date of its field
+   * (the earliest date if the field is an array). Documents without a date never expire.
+   *
+   * @param {Number} now Time in milliseconds.
+   * @returns Any[]
+   * @memberof CollectionIndex
+   */
+  expiredIds (now) {
+    const limit = now - this.options.expireAfterSeconds * 1000
+
+    return this._entries
+      .filter(entry => {
+        const times = resolvePath(entry.doc, this.fields[0]).values
+          .reduce((final, value) => final.concat(value), [])
+          .filter(value => value instanceof Date)
+          .map(date => date.getTime())
+          .filter(time => !Number.isNaN(time))
+
+        return times.length > 0 && Math.min(...times) <= limit
+      })
+      .map(entry => entry.doc._id)
+  }
+
+  /**
+   * Number of indexed documents.
+   *
+   * @readonly
+   * @memberof CollectionIndex
+   */
+  get size () {
+    return this._entries.length
+  }
+
+  /**
+   * Add a document to the index. `seq` is the position of the document in the collection
+   * (documents inserted later must have a greater `seq`).
+   *
+   * @param {Object} doc
+   * @param {Number} seq
+   * @memberof CollectionIndex
+   */
+  insert (doc, seq) {
+    if (!this.covers(doc)) {
+      return
+    }
+
+    const entry = { values: this._valuesOf(doc), classes: this._classesOf(doc), seq, doc }
+    const index = this._lowerBound(el => this._compareEntries(el, entry) < 0)
+
+    this._entries.splice(index, 0, entry)
+    this._entriesById.set(doc._id, entry)
+    this._countClasses(entry.classes, 1)
+  }
+
+  /**
+   * Replace the index content with `documents`.
+   * If the index is unique, returns a document having the same key as another one (`null` if there's none).
+   *
+   * @param {Array[]} documents `[doc, seq]` pairs
+   * @returns Object|null
+   * @memberof CollectionIndex
+   */
+  build (documents) {
+    this._entries = documents
+      .filter(([doc]) => this.covers(doc))
+      .map(([doc, seq]) => ({ values: this._valuesOf(doc), classes: this._classesOf(doc), seq, doc }))
+      .sort((a, b) => this._compareEntries(a, b))
+    this._entriesById = new Map(this._entries.map(entry => [entry.doc._id, entry]))
+    this._classCounts = this.fields.map(() => new Map())
+    this._entries.forEach(entry => this._countClasses(entry.classes, 1))
+
+    if (this.options.unique) {
+      const duplicate = this._entries.find((entry, index) => {
+        return index > 0 && this._compareValues(this._entries[index - 1].values, entry.values) === 0
+      })
+      if (duplicate) {
+        return duplicate.doc
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Remove the document with `_id` from the index.
+   *
+   * @param {Any} id
+   * @memberof CollectionIndex
+   */
+  remove (id) {
+    const entry = this._entriesById.get(id)
+    if (!entry) {
+      return
+    }
+
+    const index = this._lowerBound(el => this._compareEntries(el, entry) < 0)
+    this._entries.splice(index, 1)
+    this._entriesById.delete(id)
+    this._countClasses(entry.classes, -1)
+  }
+
+  /**
+   * Update the index after `doc` content has changed.
+   * The document keeps its position (`seq`) in the collection.
+   *
+   * @param {Object} doc
+   * @param {Number} seq
+   * @memberof CollectionIndex
+   */
+  update (doc, seq) {
+    this.remove(doc._id)
+    this.insert(doc, seq)
+  }
+
+  /**
+   * Returns `true` if `doc` belongs to the index
+   * (always, unless the index is sparse or partial).
+   *
+   * @param {Object} doc
+   * @returns Boolean
+   * @memberof CollectionIndex
+   */
+  covers (doc) {
+    if (this.options.sparse && this.fields.every(field => valueClass(doc, field) === 'missing')) {
+      return false
+    }
+
+    if (this.options.partialFilterExpression && !this._matches(doc, this.options.partialFilterExpression)) {
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * An indexed document having the same key as `doc`,
+   * ignoring documents whose `_id` is in `ignoredIds`.
+   * Returns `null` if there's none.
+   *
+   * @param {Object} doc
+   * @param {Set} [ignoredIds=new Set()]
+   * @returns Object|null
+   * @memberof CollectionIndex
+   */
+  findDuplicate (doc, ignoredIds = new Set()) {
+    const values = this._valuesOf(doc)
+    const start = this._lowerBound(el => this._compareValues(el.values, values) < 0)
+
+    for (let index = start; index < this._entries.length && this._compareValues(this._entries[index].values, values) === 0; index++) {
+      if (!ignoredIds.has(this._entries[index].doc._id)) {
+        return this._entries[index].doc
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Key of `doc` as an object. Eg. `{ lastname: 'PARKER', age: 25 }`
+   *
+   * @param {Object} doc
+   * @returns Object
+   * @memberof CollectionIndex
+   */
+  keyValue (doc) {
+    return this.fields.reduce((final, field) => {
+      final[field] = getPath(doc, field)
+      return final
+    }, {})
+  }
+
+  /**
+   * Key of `doc` as a string. Documents with the same key have the same string.
+   *
+   * @param {Object} doc
+   * @returns String
+   * @memberof CollectionIndex
+   */
+  keyString (doc) {
+    return JSON.stringify(this._valuesOf(doc).map(value => {
+      const type = typeOf(value)
+      switch (type) {
+        case 'undefined':
+        case 'null':
+          return type
+        case 'date':
+          return [type, String(value.getTime())]
+        case 'number':
+        case 'other':
+          return [type, String(value)]
+        default:
+          return [type, value]
+      }
+    }))
+  }
+
+  /**
+   * Documents that may match `query`, in collection order.
+   * Returns `null` if the index can't be used for this query.
+   * Returned documents must still be checked against the query.
+   *
+   * @param {Object} query
+   * @returns Object[]|null
+   * @memberof CollectionIndex
+   */
+  find (query) {
+    if (this.options.partialFilterExpression) {
+      return null
+    }
+
+    const constraints = []
+
+    for (let idx = 0; idx < this.fields.length; idx++) {
+      const constraint = this._constraintFor(idx, query[this.fields[idx]], Object.prototype.hasOwnProperty.call(query, this.fields[idx]))
+      if (constraint === null) {
+        break
+      }
+
+      constraints.push(constraint)
+      if (constraint.intervals.some(interval => !interval.isPoint)) {
+        break
+      }
+    }
+
+    if (constraints.length === 0) {
+      return null
+    }
+
+    const entries = []
+    this._scans(constraints).forEach(scan => {
+      const start = this._lowerBound(el => this._position(el, scan) < 0)
+      for (let index = start; index < this._entries.length && this._position(this._entries[index], scan) === 0; index++) {
+        entries.push(this._entries[index])
+      }
+    })
+
+    return entries
+      .sort((a, b) => a.seq - b.seq)
+      .filter((entry, index, all) => index === 0 || all[index - 1] !== entry)
+      .map(entry => entry.doc)
+  }
+
+  /**
+   * Returns `true` if the index can return documents in the order defined by `sort`,
+   * the same way `Array.prototype.sort()` would do with `ReactiveCollection._orderByManyProperties()`.
+   *
+   * @param {Object} sort
+   * @returns Boolean
+   * @memberof CollectionIndex
+   */
+  canSort (sort) {
+    const keys = Object.keys(sort)
+
+    if (this.options.sparse || this.options.partialFilterExpression) {
+      return false
+    }
+
+    if (keys.length !== this.fields.length ||
+      keys.some((key, idx) => key !== this.fields[idx] || typeof sort[key] !== 'number' || sort[key] === 0)) {
+      return false
+    }
+
+    const sameDirections = keys.every((key, idx) => (sort[key] > 0 ? 1 : -1) === this.directions[idx])
+    const reversedDirections = keys.every((key, idx) => (sort[key] > 0 ? 1 : -1) === -this.directions[idx])
+
+    return (sameDirections || reversedDirections) && this._classCounts.every(counts => {
+      const classes = [...counts.keys()].filter(el => counts.get(el) > 0)
+      return classes.length <= 1 && classes.every(el => ORDERED_TYPES.indexOf(el) >= 0)
+    })
+  }
+
+  /**
+   * Every documents sorted according to `sort`. Documents with the same key are kept in collection order.
+   * `index.canSort(sort)` must be `true`.
+   *
+   * @param {Object} sort
+   * @returns Object[]
+   * @memberof CollectionIndex
+   */
+  sorted (sort) {
+    const reversed = (sort[this.fields[0]] > 0 ? 1 : -1) !== this.directions[0]
+
+    if (!reversed) {
+      return this._entries.map(entry => entry.doc)
+    }
+
+    const results = []
+    let group = []
+    for (let index = this._entries.length - 1; index >= 0; index--) {
+      const entry = this._entries[index]
+      if (group.length > 0 && this._compareValues(group[0].values, entry.values) !== 0) {
+        results.push(...group.reverse())
+        group = []
+      }
+      group.push(entry)
+    }
+    results.push(...group.reverse())
+
+    return results.map(entry => entry.doc)
+  }
+
+  _valuesOf (doc) {
+    return this.fields.map(field => getPath(doc, field))
+  }
+
+  _classesOf (doc) {
+    return this.fields.map(field => valueClass(doc, field))
+  }
+
+  _countClasses (classes, increment) {
+    classes.forEach((valueClass, idx) => {
+      const counts = this._classCounts[idx]
+      const count = (counts.get(valueClass) || 0) + increment
+      if (count > 0) {
+        counts.set(valueClass, count)
+      } else {
+        counts.delete(valueClass)
+      }
+    })
+  }
+
+  _compareValues (valuesA, valuesB) {
+    for (let idx = 0; idx < this.fields.length; idx++) {
+      const result = compareValues(valuesA[idx], valuesB[idx]) * this.directions[idx]
+      if (result !== 0) {
+        return result
+      }
+    }
+    return 0
+  }
+
+  _compareEntries (a, b) {
+    return this._compareValues(a.values, b.values) || a.seq - b.seq
+  }
+
+  /**
+   * First position in the index for which `isBefore(entry)` is `false`.
+   */
+  _lowerBound (isBefore) {
+    let low = 0
+    let high = this._entries.length
+
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (isBefore(this._entries[middle])) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+
+    return low
+  }
+
+  /**
+   * Values of the field at `fieldIndex` a document must have to match `subQuery`,
+   * as a list of intervals. Returns `null` if the query doesn't restrict the field
+   * (or in a way the index can't use).
+   */
+  _constraintFor (fieldIndex, subQuery, isQueried) {
+    if (!isQueried || this._classCounts[fieldIndex].has('array')) {
+      // A query value can match any element of an array, which isn't indexed
+      return null
+    }
+
+    if (isPrimitive(subQuery)) {
+      return this._points([subQuery])
+    }
+
+    if (typeof subQuery !== 'object' || Array.isArray(subQuery) || subQuery instanceof Date) {
+      return null
+    }
+
+    const operators = Object.keys(subQuery)
+    if (operators.length === 0 || operators.some(operator => operator[0] !== '$')) {
+      return null
+    }
+
+    if (Object.prototype.hasOwnProperty.call(subQuery, '$eq') && isPrimitive(subQuery.$eq)) {
+      return this._points([subQuery.$eq])
+    }
+
+    if (Array.isArray(subQuery.$in) && subQuery.$in.every(isPrimitive)) {
+      return this._points(subQuery.$in)
+    }
+
+    const interval = {}
+    const counts = this._classCounts[fieldIndex]
+    const bounds = [['$gt', 'low', false], ['$gte', 'low', true], ['$lt', 'high', false], ['$lte', 'high', true]]
+
+    bounds.forEach(([operator, side, inclusive]) => {
+      if (!Object.prototype.hasOwnProperty.call(subQuery, operator)) {
+        return
+      }
+
+      const bound = subQuery[operator]
+      const boundClass = valueClass({ bound }, 'bound')
+      const isUsable = ORDERED_TYPES.indexOf(boundClass) >= 0 &&
+        [...counts.keys()].every(el => el === boundClass || el === 'missing')
+
+      if (isUsable && (interval.type === undefined || interval.type === boundClass)) {
+        interval.type = boundClass
+        interval[side] = bound
+        interval[`${side}Inclusive`] = inclusive
+      }
+    })
+
+    if (interval.type === undefined) {
+      return null
+    }
+
+    return { intervals: [interval] }
+  }
+
+  _points (values) {
+    const intervals = values.map(value => this._point(value))
+    return intervals.indexOf(null) < 0 ? { intervals } : null
+  }
+
+  _point (value) {
+    if (value === undefined && this.options.sparse) {
+      // Documents without the field are not in a sparse index
+      return null
+    }
+
+    return { isPoint: true, type: typeOf(value), low: value, high: value, lowInclusive: true, highInclusive: true }
+  }
+
+  /**
+   * Each combination of the constraints intervals.
+   */
+  _scans (constraints) {
+    return constraints.reduce((scans, constraint) => {
+      return scans.reduce((final, scan) => {
+        constraint.intervals.forEach(interval => final.push([...scan, interval]))
+        return final
+      }, [])
+    }, [[]])
+  }
+
+  /**
+   * -1 if `entry` is before the values described by `scan`, 1 if it is after, 0 if it is inside.
+   */
+  _position (entry, scan) {
+    for (let idx = 0; idx < scan.length; idx++) {
+      const interval = scan[idx]
+      const value = entry.values[idx]
+      let position = 0
+
+      if (TYPE_RANKS[typeOf(value)] !== TYPE_RANKS[interval.type]) {
+        position = TYPE_RANKS[typeOf(value)] < TYPE_RANKS[interval.type] ? -1 : 1
+      } else if (Object.prototype.hasOwnProperty.call(interval, 'low') &&
+        (compareValues(value, interval.low) < 0 || (!interval.lowInclusive && compareValues(value, interval.low) === 0))) {
+        position = -1
+      } else if (Object.prototype.hasOwnProperty.call(interval, 'high') &&
+        (compareValues(value, interval.high) > 0 || (!interval.highInclusive && compareValues(value, interval.high) === 0))) {
+        position = 1
+      }
+
+      if (position !== 0) {
+        return position * this.directions[idx]
+      }
+    }
+
+    return 0
+  }
+}
+
+CollectionIndex.compareValues = compareValues
+
+module.exports = CollectionIndex
@@ -0,0 +1,222 @@
+const { deepClone } = require('./helpers')
+
+/**
+ * Cursor gives the results of `collection.find()` (or `collection.aggregate()`).
+ * Nothing is read from the collection until results are asked, so that `sort`, `skip`, `limit`,
+ * `project` and `map` can be chained first.
+ *
+ * A cursor is thenable: `await collection.find(query)` gives every result, like `cursor.toArray()`.
+ *
+ * @example
+ * const cursor = collection.find({ hasSuperPower: true })
+ *   .sort({ lastname: 1 })
+ *   .skip(10)
+ *   .limit(10)
+ *   .project({ _id: 0, lastname: 1 })
+ *   .map(doc => doc.lastname)
+ *
+ * for await (const lastname of cursor) {
+ *   console.log(lastname)
+ * }
+ *
+ * @class Cursor
+ */
+class Cursor {
+  /**
+   * Creates an instance of Cursor.
+   *
+   * @param {ReactiveCollection} collection
+   * @param {Function} select Called with `{ sort, skip, limit }`, returns the documents.
+   * @param {Object} [options={}]
+   * @param {Object} [options.projection]
+   * @param {Object} [options.sort]
+   * @param {Number} [options.skip]
+   * @param {Number} [options.limit]
+   * @param {Boolean} [options.clone=true] Give copies of the documents (without projection).
+   * @memberof Cursor
+   */
+  constructor (collection, select, options = {}) {
+    this._collection = collection
+    this._select = select
+    this._projection = options.projection
+    this._clone = options.clone !== false
+    this._options = { sort: options.sort, skip: options.skip, limit: options.limit }
+    this._transforms = []
+    this._results = null
+    this._position = 0
+  }
+
+  /**
+   * Sort the results (same syntax as the `sort` option of `collection.find()`).
+   *
+   * @param {Object} sort
+   * @returns Cursor
+   * @memberof Cursor
+   */
+  sort (sort) {
+    this._beforeChange()
+    this._options.sort = sort
+    return this
+  }
+
+  /**
+   * Skip the first `count` results.
+   *
+   * @param {Number} count
+   * @returns Cursor
+   * @memberof Cursor
+   */
+  skip (count) {
+    this._beforeChange()
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error('"skip" must be a non negative integer')
+    }
+
+    this._options.skip = count
+    return this
+  }
+
+  /**
+   * Give at most `count` results (`0` means no limit).
+   *
+   * @param {Number} count
+   * @returns Cursor
+   * @memberof Cursor
+   */
+  limit (count) {
+    this._beforeChange()
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error('"limit" must be a non negative integer')
+    }
+
+    this._options.limit = count
+    return this
+  }
+
+  /**
+   * Apply a projection to the results (same syntax as the `projection` of `collection.find()`).
+   *
+   * @param {Object} projection
+   * @returns Cursor
+   * @memberof Cursor
+   */
+  project (projection) {
+    this._beforeChange()
+    this._projection = projection
+    return this
+  }
+
+  /**
+   * Give `fn(doc)` instead of each result. Many `map()` are applied in order.
+   *
+   * @param {Function} fn
+   * @returns Cursor
+   * @memberof Cursor
+   */
+  map (fn) {
+    this._beforeChange()
+    if (typeof fn !== 'function') {
+      throw new Error('"fn" must be a function')
+    }
+
+    this._transforms = [...this._transforms, fn]
+    return this
+  }
+
+  /**
+   * Number of documents matching the query. Like MongoDB, skip and limit are ignored unless `applySkipLimit` is `true`.
+   *
+   * @param {Boolean} [applySkipLimit=false]
+   * @returns Promise<Number>
+   * @memberof Cursor
+   */
+  count (applySkipLimit = false) {
+    const { skip, limit } = this._options
+
+    return new Promise(resolve => resolve(this._select(applySkipLimit ? { skip, limit } : {}).length))
+  }
+
+  /**
+   * `true` if `cursor.next()` has a result to give.
+   *
+   * @returns Promise<Boolean>
+   * @memberof Cursor
+   */
+  hasNext () {
+    return this._fetch().then(results => this._position < results.length)
+  }
+
+  /**
+   * The next result, or `null` once every result has been given.
+   *
+   * @returns Promise<Object|null>
+   * @memberof Cursor
+   */
+  next () {
+    return this._fetch().then(results => this._position < results.length ? results[this._position++] : null)
+  }
+
+  /**
+   * Every result not given by `cursor.next()` yet.
+   *
+   * @returns Promise<Object[]>
+   * @memberof Cursor
+   */
+  toArray () {
+    return this._fetch().then(results => results.slice(this._position))
+  }
+
+  then (onFulfilled, onRejected) {
+    return this.toArray().then(onFulfilled, onRejected)
+  }
+
+  catch (onRejected) {
+    return this.toArray().catch(onRejected)
+  }
+
+  finally (onFinally) {
+    return this.toArray().finally(onFinally)
+  }
+
+  [Symbol.asyncIterator] () {
+    return {
+      // The end is given by the position: results mapped to `null` are given too
+      next: () => this._fetch().then(results => this._position < results.length
+        ? { value: results[this._position++], done: false }
+        : { value: undefined, done: true })
+    }
+  }
+
+  /**
+   * Read the results from the collection, the first time they are asked.
+   *
+   * @returns Promise<Object[]>
+   * @memberof Cursor
+   */
+  _fetch () {
+    if (this._results === null) {
+      this._results = new Promise(resolve => {
+        const projection = this._projection
+        // A projection gives new documents already
+        const documents = this._select(this._options).map(doc => {
+          if (projection) {
+            return this._collection._project(doc, projection)
+          }
+          return this._clone ? deepClone(doc) : doc
+        })
+
+        resolve(this._transforms.reduce((final, fn) => final.map(doc => fn(doc)), documents))
+      })
+    }
+
+    return this._results
+  }
+
+  _beforeChange () {
+    if (this._results !== null) {
+      throw new Error('Cursor can\'t be changed once results have been read')
+    }
+  }
+}
+
+module.exports = Cursor
@@ -0,0 +1,57 @@
+/**
+ * Error returned when a write would break a unique index.
+ * Nothing has been written when this error is returned.
+ *
+ * @class DuplicateKeyError
+ * @extends {Error}
+ */
+class DuplicateKeyError extends Error {
+  /**
+   * Creates an instance of DuplicateKeyError.
+   *
+   * @param {String} collection Name of the collection.
+   * @param {String} index Name of the unique index.
+   * @param {Object} keyValue Conflicting value of each field of the index.
+   * @memberof DuplicateKeyError
+   */
+  constructor (collection, index, keyValue) {
+    super(`Duplicate key error in collection "${collection}" for index "${index}": ${JSON.stringify(keyValue)}`)
+    this.name = 'DuplicateKeyError'
+    this.code = 11000
+    this.collection = collection
+    this.index = index
+    this.keyValue = keyValue
+  }
+}
+
+/**
+ * Error returned when a written document does not match the validator of the collection.
+ * Nothing has been written when this error is returned.
+ *
+ * @class ValidationError
+ * @extends {Error}
+ */
+class ValidationError extends Error {
+  /**
+   * Creates an instance of ValidationError.
+   *
+   * @param {String} collection Name of the collection.
+   * @param {Object} document The invalid document.
+   * @param {Object[]} errors `{ path, keyword, message }` for each failing path of the document.
+   * @memberof ValidationError
+   */
+  constructor (collection, document, errors) {
+    const details = errors.map(el => el.path === '' ? el.message : `${el.path} ${el.message}`).join(', ')
+    super(`Document failed validation in collection "${collection}": ${details}`)
+    this.name = 'ValidationError'
+    this.code = 121
+    this.collection = collection
+    this.document = document
+    this.errors = errors
+  }
+}
+
+module.exports = {
+  DuplicateKeyError,
+  ValidationError
+}
@@ -0,0 +1,54 @@
+const ObjectId = require('./object-id')
+
+/**
+ * JSON serialization keeping `Date` and `ObjectId` values, written as `{ "$date": isoString }`
+ * and `{ "$oid": hex }` (like MongoDB Extended JSON). Invalid dates are written as `{ "$date": null }`.
+ * Used to persist documents (see `FileAdapter`) and to send them to other databases (see `Replication`).
+ */
+
+/**
+ * JSON string of `value`.
+ *
+ * @param {Any} value
+ * @returns String
+ */
+function stringify (value) {
+  return JSON.stringify(value, replaceTypes)
+}
+
+/**
+ * Value of the JSON string `text`, with its dates and ObjectIds.
+ *
+ * @param {String} text
+ * @returns Any
+ */
+function parse (text) {
+  return JSON.parse(text, reviveTypes)
+}
+
+// `JSON.stringify()` replacer: `value` is already given by `toJSON()`, the original value is `this[key]`
+function replaceTypes (key, value) {
+  if (this[key] instanceof ObjectId) {
+    return { $oid: value }
+  } else if (this[key] instanceof Date) {
+    return { $date: value }
+  }
+  return value
+}
+
+function reviveTypes (key, value) {
+  if (value === null || typeof value !== 'object' || Object.keys(value).length !== 1) {
+    return value
+  } else if (ObjectId.isValid(value.$oid)) {
+    return new ObjectId(value.$oid)
+  } else if (typeof value.$date === 'string' || value.$date === null) {
+    // Invalid dates are written as `null`
+    return new Date(value.$date === null ? NaN : value.$date)
+  }
+  return value
+}
+
+module.exports = {
+  stringify,
+  parse
+}
@@ -1,4 +1,292 @@
-// eslint-disable-next-line
-Promise.prototype.toArray = function () {
-  return this
+
+/**
+ * Returns `true` if `value` is a plain object (created with `{}`, `new Object()`
+ * or `Object.create(null)`).
+ *
+ * @param {Any} value
+ * @returns Boolean
+ */
+function isPlainObject (value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Deep copy arrays, plain objects and dates. Any other value is returned as is.
+ *
+ * @param {Any} value
+ * @returns Any
+ */
+function deepClone (value) {
+  if (Array.isArray(value)) {
+    return value.map(deepClone)
+  } else if (value instanceof Date) {
+    return new Date(value.getTime())
+  } else if (isPlainObject(value)) {
+    return Object.keys(value).reduce((final, key) => {
+      final[key] = deepClone(value[key])
+      return final
+    }, {})
+  }
+
+  return value
+}
+
+/**
+ * Deep freeze arrays and plain objects, so that they can be shared without being modified.
+ *
+ * @param {Any} value
+ * @returns Any `value`
+ */
+function deepFreeze (value) {
+  if ((Array.isArray(value) || isPlainObject(value)) && !Object.isFrozen(value)) {
+    Object.keys(value).forEach(key => deepFreeze(value[key]))
+    Object.freeze(value)
+  }
+
+  return value
+}
+
+/**
+ * Deep comparison of arrays, plain objects and dates.
+ * Any other value is compared with `===`.
+ *
+ * @param {Any} a
+ * @param {Any} b
+ * @returns Boolean
+ */
+function deepEqual (a, b) {
+  if (a === b) {
+    return true
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((el, idx) => deepEqual(el, b[idx]))
+  }
+
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a)
+    const keysB = Object.keys(b)
+
+    return keysA.length === keysB.length &&
+      keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]))
+  }
+
+  return false
+}
+
+/**
+ * Get the value at `path` (dot notation, eg. `address.city` or `items.0.sku`) inside `obj`.
+ * Returns `undefined` if the path doesn't exist.
+ *
+ * @param {Object} obj
+ * @param {String} path
+ * @returns Any
+ */
+function getPath (obj, path) {
+  return path.split('.').reduce((final, key) => {
+    return final !== null && final !== undefined ? final[key] : undefined
+  }, obj)
+}
+
+/**
+ * Set the value at `path` (dot notation) inside `obj`.
+ * Missing intermediate objects are created.
+ *
+ * @param {Object} obj
+ * @param {String} path
+ * @param {Any} value
+ */
+function setPath (obj, path, value) {
+  const keys = path.split('.')
+  const last = keys.pop()
+  const parent = keys.reduce((final, key) => {
+    if (final[key] === null || typeof final[key] !== 'object') {
+      final[key] = {}
+    }
+    return final[key]
+  }, obj)
+
+  parent[last] = value
+}
+
+/**
+ * Values found at `path` (dot notation) inside `obj`, as MongoDB does :
+ * when a segment isn't an array index and the current value is an array,
+ * the rest of the path is followed inside each of its elements.
+ * `throughArray` is `true` if that happened.
+ *
+ * @param {Object} obj
+ * @param {String} path
+ * @returns {{ values: Any[], throughArray: Boolean }}
+ */
+function resolvePath (obj, path) {
+  if (path.indexOf('.') < 0 && !Array.isArray(obj)) {
+    const isPresent = obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, path)
+    return { values: isPresent ? [obj[path]] : [], throughArray: false }
+  }
+
+  let throughArray = false
+  const walk = (value, keys) => {
+    if (keys.length === 0) {
+      return [value]
+    }
+
+    const [key, ...rest] = keys
+
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      throughArray = true
+      return value
+        .filter(el => !Array.isArray(el))
+        .reduce((final, el) => final.concat(walk(el, keys)), [])
+    }
+
+    if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)) {
+      return walk(value[key], rest)
+    }
+
+    return []
+  }
+
+  const values = walk(obj, path.split('.'))
+  return { values, throughArray }
+}
+
+/**
+ * Copy (deeply) the value at `path` (dot notation) from `source` to `target`.
+ * When an array is found along the path, the rest of the path is included from each of its documents.
+ *
+ * @param {Object} target
+ * @param {Object} source
+ * @param {String} path
+ */
+function includePath (target, source, path) {
+  const [key, ...rest] = path.split('.')
+
+  if (source === null || typeof source !== 'object' || !Object.prototype.hasOwnProperty.call(source, key)) {
+    return
+  }
+
+  const value = source[key]
+
+  if (rest.length === 0) {
+    target[key] = deepClone(value)
+  } else if (Array.isArray(value)) {
+    const elements = value.filter(isPlainObject)
+    target[key] = Array.isArray(target[key]) ? target[key] : elements.map(() => ({}))
+    elements.forEach((el, idx) => includePath(target[key][idx], el, rest.join('.')))
+  } else if (isPlainObject(value)) {
+    target[key] = isPlainObject(target[key]) ? target[key] : {}
+    includePath(target[key], value, rest.join('.'))
+  }
+}
+
+/**
+ * Delete the value at `path` (dot notation) inside `obj`, if any.
+ *
+ * @param {Object} obj
+ * @param {String} path
+ */
+function deletePath (obj, path) {
+  const keys = path.split('.')
+  const last = keys.pop()
+  const parent = keys.length > 0 ? getPath(obj, keys.join('.')) : obj
+
+  if (parent !== null && typeof parent === 'object') {
+    delete parent[last]
+  }
+}
+
+/**
+ * Describe how `before` became `after`, like the `updateDescription` of MongoDB change events :
+ * `updatedFields` has the new value of each changed or added path (dot notation),
+ * `removedFields` the removed paths and `truncatedArrays` the arrays made shorter (`{ field, newSize }`).
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {{ updatedFields: Object, removedFields: String[], truncatedArrays: Object[] }}
+ */
+function describeUpdate (before, after) {
+  const description = { updatedFields: {}, removedFields: [], truncatedArrays: [] }
+
+  const compareObjects = (previous, current, prefix) => {
+    Object.keys(current).forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(previous, key)) {
+        compareValues(previous[key], current[key], `${prefix}${key}`)
+      } else {
+        description.updatedFields[`${prefix}${key}`] = current[key]
+      }
+    })
+    Object.keys(previous)
+      .filter(key => !Object.prototype.hasOwnProperty.call(current, key))
+      .forEach(key => description.removedFields.push(`${prefix}${key}`))
+  }
+
+  const compareValues = (previous, current, path) => {
+    if (deepEqual(previous, current)) {
+      return
+    }
+
+    if (isPlainObject(previous) && isPlainObject(current)) {
+      compareObjects(previous, current, `${path}.`)
+    } else if (Array.isArray(previous) && Array.isArray(current)) {
+      if (current.length < previous.length) {
+        description.truncatedArrays.push({ field: path, newSize: current.length })
+      }
+      current.forEach((el, idx) => {
+        if (idx < previous.length) {
+          compareValues(previous[idx], el, `${path}.${idx}`)
+        } else {
+          description.updatedFields[`${path}.${idx}`] = el
+        }
+      })
+    } else {
+      description.updatedFields[path] = current
+    }
+  }
+
+  compareObjects(before, after, '')
+  return description
+}
+
+/**
+ * `count` cryptographically strong random bytes, from the Web Crypto API (browsers and Node.js 19+),
+ * or from the `crypto` module of older Node.js versions.
+ *
+ * @param {Number} count
+ * @returns Number[]
+ */
+function randomBytes (count) {
+  const bytes = new Uint8Array(count)
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes)
+  } else {
+    require('crypto').randomFillSync(bytes)
+  }
+
+  return [...bytes]
+}
+
+module.exports = {
+  isPlainObject,
+  deepClone,
+  deepFreeze,
+  deepEqual,
+  getPath,
+  setPath,
+  resolvePath,
+  includePath,
+  deletePath,
+  describeUpdate,
+  randomBytes
 }
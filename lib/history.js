@@ -0,0 +1,303 @@
+const DOCUMENT_OPERATION_TYPES = ['insert', 'update', 'remove']
+
+/**
+ * History records the writes made on the collections of a `ReactiveDatabase`, to undo and redo them.
+ * It is created with `db.enableHistory()`.
+ *
+ * Writes are grouped into steps, undone and redone together. Each write (or transaction) is a step,
+ * unless a checkpoint is open: `history.checkpoint(name)` groups the following writes into a step named `name`,
+ * until the next checkpoint, `undo()` or `redo()`.
+ *
+ * A step keeps each written document as it was before the step and as it is after it.
+ * Undoing a step gives back to the documents their previous content, redoing it gives back their new content,
+ * whatever has been written since. Undo and redo are applied as a transaction: watchers are notified
+ * of the changes like for any other write, and nothing is written if one of the documents can't be.
+ *
+ * @example
+ * const history = db.enableHistory({ limit: 50 })
+ *
+ * history.checkpoint('Rename hero')
+ * await heroes.updateOne({ _id: id }, { $set: { name: 'Iron Man' } })
+ * await heroes.updateOne({ _id: id }, { $set: { alias: 'Tony' } })
+ *
+ * if (history.canUndo) {
+ *   await history.undo() // Both updates are undone
+ * }
+ *
+ * @class History
+ */
+class History {
+  /**
+   * Creates an instance of History.
+   *
+   * @param {ReactiveDatabase} database
+   * @param {Object} [options={}]
+   * @param {Number} [options.limit=100] Number of steps which can be undone.
+   * @memberof History
+   */
+  constructor (database, options = {}) {
+    this._database = database
+    this._undoStack = []
+    this._redoStack = []
+    this._checkpoint = undefined
+    this._checkpointStep = null
+    this._batchStep = null
+    this._isBatching = false
+    this._isApplying = false
+    this.setLimit(options.limit)
+  }
+
+  /**
+   * `true` if a step can be undone.
+   *
+   * @readonly
+   * @memberof History
+   */
+  get canUndo () {
+    return this._undoStack.length > 0
+  }
+
+  /**
+   * `true` if an undone step can be redone. Steps undone can't be redone anymore once new writes are made.
+   *
+   * @readonly
+   * @memberof History
+   */
+  get canRedo () {
+    return this._redoStack.length > 0
+  }
+
+  /**
+   * Name of the step `history.undo()` would undo (`null` for a step without checkpoint or if there is nothing to undo).
+   *
+   * @readonly
+   * @memberof History
+   */
+  get undoName () {
+    return this.canUndo ? this._undoStack[this._undoStack.length - 1].name : null
+  }
+
+  /**
+   * Name of the step `history.redo()` would redo (`null` for a step without checkpoint or if there is nothing to redo).
+   *
+   * @readonly
+   * @memberof History
+   */
+  get redoName () {
+    return this.canRedo ? this._redoStack[this._redoStack.length - 1].name : null
+  }
+
+  /**
+   * Change the number of steps which can be undone. The oldest steps are forgotten if needed.
+   *
+   * @param {Number} [limit=100]
+   * @memberof History
+   */
+  setLimit (limit = 100) {
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error('"limit" must be a positive integer')
+    }
+
+    this._limit = limit
+    this._undoStack = this._undoStack.slice(-limit)
+  }
+
+  /**
+   * Open a checkpoint: the following writes are grouped into one step named `name`,
+   * until the next checkpoint, `undo()` or `redo()`. A checkpoint without writes is not a step.
+   *
+   * @param {String} [name]
+   * @memberof History
+   * @example
+   * history.checkpoint('Move card')
+   * await cards.updateOne({ _id: cardId }, { $set: { column: 'done' } })
+   * await columns.updateMany({}, { $inc: { version: 1 } })
+   */
+  checkpoint (name = null) {
+    this._checkpoint = name
+    this._checkpointStep = null
+  }
+
+  /**
+   * Undo the last step. The promise resolves to `false` if there is nothing to undo.
+   * It is rejected (and nothing is written) if one of the documents can't be written,
+   * eg. because of a unique index or a validator.
+   *
+   * @returns Promise<Boolean>
+   * @memberof History
+   */
+  undo () {
+    return this._move('_undoStack', '_redoStack', 'before')
+  }
+
+  /**
+   * Redo the last undone step. The promise resolves to `false` if there is nothing to redo.
+   *
+   * @returns Promise<Boolean>
+   * @memberof History
+   */
+  redo () {
+    return this._move('_redoStack', '_undoStack', 'after')
+  }
+
+  /**
+   * Forget every step.
+   *
+   * @memberof History
+   */
+  clear () {
+    this._undoStack = []
+    this._redoStack = []
+    this._closeCheckpoint()
+  }
+
+  /**
+   * Close the open checkpoint: each following write is a step again.
+   *
+   * @memberof History
+   */
+  _closeCheckpoint () {
+    this._checkpoint = undefined
+    this._checkpointStep = null
+  }
+
+  /**
+   * Record document changes, as given to the watchers of the database.
+   * Changes made by `undo()` and `redo()`, and changes of internal collections, are not recorded.
+   *
+   * @param {Object[]} changes
+   * @memberof History
+   */
+  _record (changes) {
+    const documentChanges = changes.filter(change => {
+      return DOCUMENT_OPERATION_TYPES.indexOf(change.operationType) >= 0 && !this._database._collections[change.collection]._isInternal
+    })
+    if (this._isApplying || documentChanges.length === 0) {
+      return
+    }
+
+    const step = this._currentStep()
+    this._redoStack = []
+
+    documentChanges.forEach(change => {
+      const collection = this._database._collections[change.collection]
+      const documents = step.documents.get(collection) || new Map()
+      const entry = documents.get(change._id)
+
+      if (entry) {
+        entry.after = change.fullDocument
+      } else {
+        documents.set(change._id, { collection, _id: change._id, before: change.fullDocumentBeforeChange, after: change.fullDocument })
+        step.documents.set(collection, documents)
+        step.entries = [...step.entries, documents.get(change._id)]
+      }
+    })
+  }
+
+  /**
+   * Call `fn`, recording the changes it notifies as one step (unless a checkpoint is open).
+   * Used to group the changes of a transaction.
+   *
+   * @param {Function} fn
+   * @memberof History
+   */
+  _batch (fn) {
+    this._isBatching = true
+    try {
+      fn()
+    } finally {
+      this._isBatching = false
+      this._batchStep = null
+    }
+  }
+
+  /**
+   * The step recording the next changes, created if needed.
+   *
+   * @returns Object
+   * @memberof History
+   */
+  _currentStep () {
+    const current = this._checkpoint !== undefined ? this._checkpointStep : this._batchStep
+    if (current) {
+      return current
+    }
+
+    const step = { name: this._checkpoint === undefined ? null : this._checkpoint, documents: new Map(), entries: [] }
+    this._undoStack = [...this._undoStack, step].slice(-this._limit)
+
+    if (this._checkpoint !== undefined) {
+      this._checkpointStep = step
+    } else if (this._isBatching) {
+      this._batchStep = step
+    }
+    return step
+  }
+
+  /**
+   * Pop the last step of `from`, give its documents their `side` content (`'before'` or `'after'`)
+   * and push it to `to`. Queued with the transactions of the database.
+   *
+   * @param {String} from
+   * @param {String} to
+   * @param {String} side
+   * @returns Promise<Boolean>
+   * @memberof History
+   */
+  _move (from, to, side) {
+    return this._database._queueTransaction(() => {
+      if (this[from].length === 0) {
+        return false
+      }
+
+      const step = this[from][this[from].length - 1]
+      this._closeCheckpoint()
+
+      const persisted = this._apply(step, side)
+      this[from] = this[from].filter(el => el !== step)
+      this[to] = [...this[to], step].slice(-this._limit)
+
+      return persisted.then(() => true)
+    })
+  }
+
+  /**
+   * Give the documents of `step` their `side` content, in a transaction.
+   * Documents are written in the reverse order to undo a step, in the same order to redo it.
+   * Throws an error (and writes nothing) if a document can't be written.
+   *
+   * @param {Object} step
+   * @param {String} side
+   * @returns Promise Resolved once the transaction is persisted.
+   * @memberof History
+   */
+  _apply (step, side) {
+    const database = this._database
+    const entries = side === 'before' ? [...step.entries].reverse() : step.entries
+
+    database._startTransaction()
+    try {
+      entries
+        .filter(entry => !entry.collection._dropped)
+        .forEach(entry => {
+          const change = entry.collection._setDocument(entry._id, entry[side])
+          if (change !== null) {
+            entry.collection._persist(change)
+          }
+        })
+    } catch (error) {
+      database._abortTransaction()
+      throw error
+    }
+
+    // Watchers are notified synchronously on commit
+    this._isApplying = true
+    try {
+      return database._commitTransaction()
+    } finally {
+      this._isApplying = false
+    }
+  }
+}
+
+module.exports = History
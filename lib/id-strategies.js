@@ -0,0 +1,100 @@
+const ObjectId = require('./object-id')
+const { randomBytes } = require('./helpers')
+
+// Time and sequence of the last UUID v7, so that the next one is greater
+let lastTime = 0
+let lastSequence = 0
+
+/**
+ * Generators of `_id` by strategy name. The `'counter'` strategy is handled by each collection,
+ * as the counter is persisted with its documents.
+ */
+const GENERATORS = {
+  objectId: () => new ObjectId(),
+  uuidv4,
+  uuidv7
+}
+
+const STRATEGIES = ['counter', ...Object.keys(GENERATORS)]
+
+/**
+ * Throws an error if `strategy` is not the name of a strategy or a function.
+ *
+ * @param {String|Function} strategy
+ */
+function checkIdStrategy (strategy) {
+  if (typeof strategy !== 'function' && STRATEGIES.indexOf(strategy) < 0) {
+    throw new Error(`"idStrategy" must be ${STRATEGIES.map(el => `"${el}"`).join(', ')} or a function`)
+  }
+}
+
+/**
+ * A new `_id` for `doc`, given by `strategy` (any strategy but `'counter'`).
+ *
+ * @param {String|Function} strategy
+ * @param {Object} doc Document to insert.
+ * @returns Any
+ */
+function generateId (strategy, doc) {
+  const id = typeof strategy === 'function' ? strategy(doc) : GENERATORS[strategy]()
+
+  if (id === undefined) {
+    throw new Error('"idStrategy" function must return an _id')
+  }
+  return id
+}
+
+/**
+ * Random UUID (version 4), eg. `'0b6a3cf2-7f4e-4b5e-9d3c-2a1f0e8b7c6d'`.
+ *
+ * @returns String
+ */
+function uuidv4 () {
+  const bytes = randomBytes(16)
+
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  return formatUuid(bytes)
+}
+
+/**
+ * Time ordered UUID (version 7): 48 bits of milliseconds, a 12 bits sequence and random bits.
+ * UUIDs generated later are greater, even in the same millisecond.
+ *
+ * @returns String
+ */
+function uuidv7 () {
+  let time = Date.now()
+  let sequence = randomBytes(2).reduce((final, byte) => final * 256 + byte, 0) & 0x7ff
+
+  if (time <= lastTime) {
+    time = lastTime
+    sequence = lastSequence + 1
+    if (sequence > 0xfff) {
+      time++
+      sequence = 0
+    }
+  }
+  lastTime = time
+  lastSequence = sequence
+
+  const bytes = randomBytes(16)
+  for (let idx = 0; idx < 6; idx++) {
+    bytes[idx] = Math.floor(time / Math.pow(2, 8 * (5 - idx))) % 256
+  }
+  bytes[6] = 0x70 | (sequence >> 8)
+  bytes[7] = sequence & 0xff
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  return formatUuid(bytes)
+}
+
+function formatUuid (bytes) {
+  const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('')
+
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-')
+}
+
+module.exports = {
+  checkIdStrategy,
+  generateId
+}
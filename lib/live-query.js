@@ -0,0 +1,267 @@
+const { deepClone, deepEqual } = require('./helpers')
+
+/**
+ * LiveQuery keeps the results of a query made on a `ReactiveCollection` up to date.
+ * Each time a change made in the collection affects the results,
+ * its watchers are notified with the differences between the old and the new results.
+ * A `LiveQuery` is created with `collection.liveQuery()`.
+ *
+ * @class LiveQuery
+ */
+class LiveQuery {
+  constructor (collection, query, projection, options) {
+    this._collection = collection
+    this._query = query
+    this._projection = projection
+    this._options = options || {}
+    this._watchers = new Map()
+    this._stopped = false
+
+    this._ids = []
+    this._matchingIds = new Set()
+    this._results = []
+    this._snapshots = new Map()
+    this._refresh()
+
+    collection.subscribe(this, this._onChanges, { scheduling: this._options.scheduling })
+  }
+
+  /**
+   * Current results of the query.
+   *
+   * @readonly
+   * @memberof LiveQuery
+   */
+  get results () {
+    return [...this._results]
+  }
+
+  /**
+   * `true` once `liveQuery.stop()` has been called.
+   *
+   * @readonly
+   * @memberof LiveQuery
+   */
+  get stopped () {
+    return this._stopped
+  }
+
+  /**
+   * When the results of the query change, `callback` will be called with `watcher` as its `this`
+   * and an array of differences. Applying the differences in the given order to the previous results
+   * gives the new results.
+   * **NOTE:** A watcher can subscribe only once to a live query (only the latest subscription will be retain).
+   *
+   * @param {Object} watcher
+   * @param {Function} callback
+   * @memberof LiveQuery
+   *
+   * @example
+   * liveQuery.subscribe(this, diffs => {
+   *   diffs.forEach(diff => {
+   *     switch (diff.type) {
+   *       case 'added': // diff.document has been inserted at diff.index
+   *       case 'changed': // diff.document, at diff.index, has a new content
+   *       case 'removed': // the document at diff.index has been removed
+   *       case 'moved': // the document at diff.fromIndex has been moved to diff.toIndex
+   *     }
+   *   })
+   * })
+   */
+  subscribe (watcher, callback) {
+    if (watcher && callback) {
+      this._watchers.set(watcher, callback)
+    } else {
+      throw new Error('No watcher or callback has been specified')
+    }
+  }
+
+  /**
+   * Remove `watcher` from the live query watchers.
+   *
+   * @param {Any} watcher
+   * @memberof LiveQuery
+   */
+  unsubscribe (watcher) {
+    if (this._watchers.has(watcher)) {
+      this._watchers.delete(watcher)
+    } else {
+      throw new Error('No watcher has been specified')
+    }
+  }
+
+  /**
+   * Stop following the collection changes. Watchers won't be notified anymore.
+   *
+   * @memberof LiveQuery
+   */
+  stop () {
+    if (this._stopped) {
+      return
+    }
+
+    this._stopped = true
+    this._watchers.clear()
+    this._collection.unsubscribe(this)
+  }
+
+  /**
+   * Called by the collection with its changes.
+   * Results are computed again only if one of the changed documents
+   * is (or was) matching the query.
+   *
+   * @param {Object[]} changes
+   * @memberof LiveQuery
+   */
+  _onChanges (changes) {
+    if (this._stopped) {
+      return
+    }
+
+    const isAffected = changes.some(change => {
+      return change.operationType === 'drop' ||
+        this._matchingIds.has(change._id) ||
+        (change.fullDocument !== undefined && this._collection._elementIsValidForQuery(change.fullDocument, this._query))
+    })
+
+    if (!isAffected) {
+      return
+    }
+
+    const diffs = this._refresh()
+
+    if (diffs.length > 0) {
+      this._watchers.forEach((callback, watcher) => {
+        callback.call(watcher, diffs)
+      })
+    }
+  }
+
+  /**
+   * Run the query again and returns the differences with the previous results.
+   *
+   * @returns Object[]
+   * @memberof LiveQuery
+   */
+  _refresh () {
+    const collection = this._collection
+    const documents = collection._select(this._query, this._options)
+    const results = this._projection
+      ? documents.map(el => collection._project(el, this._projection))
+      : documents
+    const ids = documents.map(el => el._id)
+    const snapshots = new Map(ids.map((id, idx) => [id, deepClone(results[idx])]))
+
+    const diffs = this._diff(ids, results, snapshots)
+
+    this._matchingIds = this._options.skip > 0 || this._options.limit > 0
+      ? new Set(collection._select(this._query).map(el => el._id))
+      : new Set(ids)
+    this._ids = ids
+    this._results = results
+    this._snapshots = snapshots
+
+    return diffs
+  }
+
+  /**
+   * Differences between the current results and the new ones.
+   * Removals come first (from the last index to the first one),
+   * then additions and moves (in the order of the new results),
+   * then content changes.
+   * Documents keeping their relative order are not moved.
+   *
+   * @param {Any[]} ids
+   * @param {Object[]} results
+   * @param {Map} snapshots
+   * @returns Object[]
+   * @memberof LiveQuery
+   */
+  _diff (ids, results, snapshots) {
+    const diffs = []
+    const previousIndexes = new Map(this._ids.map((id, index) => [id, index]))
+    const nextIds = new Set(ids)
+    const working = [...this._ids]
+
+    for (let index = working.length - 1; index >= 0; index--) {
+      if (!nextIds.has(working[index])) {
+        diffs.push({ type: 'removed', _id: working[index], index })
+        working.splice(index, 1)
+      }
+    }
+
+    const keptIds = ids.filter(id => previousIndexes.has(id))
+    const stableIds = this._longestIncreasingSubsequence(keptIds, id => previousIndexes.get(id))
+
+    ids.forEach((id, index) => {
+      if (stableIds.has(id)) {
+        return
+      }
+
+      let fromIndex = -1
+      if (previousIndexes.has(id)) {
+        fromIndex = working.indexOf(id)
+        working.splice(fromIndex, 1)
+      }
+
+      const toIndex = index === 0 ? 0 : working.indexOf(ids[index - 1]) + 1
+      working.splice(toIndex, 0, id)
+
+      if (fromIndex < 0) {
+        diffs.push({ type: 'added', _id: id, index: toIndex, document: results[index] })
+      } else if (fromIndex !== toIndex) {
+        diffs.push({ type: 'moved', _id: id, fromIndex, toIndex })
+      }
+    })
+
+    ids.forEach((id, index) => {
+      if (previousIndexes.has(id) && !deepEqual(this._snapshots.get(id), snapshots.get(id))) {
+        diffs.push({ type: 'changed', _id: id, index, document: results[index] })
+      }
+    })
+
+    return diffs
+  }
+
+  /**
+   * Returns the biggest set of `items` already sorted by `getRank`.
+   *
+   * @param {Any[]} items
+   * @param {Function} getRank
+   * @returns Set
+   * @memberof LiveQuery
+   */
+  _longestIncreasingSubsequence (items, getRank) {
+    const tails = [] // index (in items) of the last item of each subsequence length
+    const previous = []
+
+    items.forEach((item, index) => {
+      const rank = getRank(item)
+      let low = 0
+      let high = tails.length
+
+      while (low < high) {
+        const middle = (low + high) >> 1
+        if (getRank(items[tails[middle]]) < rank) {
+          low = middle + 1
+        } else {
+          high = middle
+        }
+      }
+
+      previous[index] = low > 0 ? tails[low - 1] : -1
+      tails[low] = index
+    })
+
+    const subsequence = new Set()
+    let index = tails.length > 0 ? tails[tails.length - 1] : -1
+    while (index >= 0) {
+      subsequence.add(items[index])
+      index = previous[index]
+    }
+
+    return subsequence
+  }
+}
+
+module.exports = LiveQuery
@@ -0,0 +1,137 @@
+const DEFAULT_SCHEDULING = { debounce: 200 }
+
+/**
+ * Check a `scheduling` option and returns it as an object.
+ *
+ * @param {String|Object|Function} scheduling
+ * @returns Object
+ */
+function normalizeScheduling (scheduling) {
+  if (scheduling === 'sync' || scheduling === 'microtask') {
+    return { mode: scheduling }
+  } else if (typeof scheduling === 'function') {
+    return { mode: 'custom', scheduler: scheduling }
+  } else if (scheduling && typeof scheduling === 'object') {
+    if (typeof scheduling.scheduler === 'function') {
+      return { mode: 'custom', scheduler: scheduling.scheduler }
+    } else if (isDelay(scheduling.debounce) && (scheduling.maxWait === undefined || isDelay(scheduling.maxWait))) {
+      return { mode: 'debounce', wait: scheduling.debounce, maxWait: scheduling.maxWait }
+    } else if (isDelay(scheduling.throttle)) {
+      return { mode: 'throttle', wait: scheduling.throttle }
+    }
+  }
+
+  throw new Error('"scheduling" must be "sync", "microtask", { debounce, [maxWait] }, { throttle } or a scheduler function')
+}
+
+function isDelay (value) {
+  return typeof value === 'number' && value >= 0
+}
+
+/**
+ * NotificationScheduler decides when pending notifications are delivered :
+ *
+ * - `'sync'`: as soon as they are scheduled.
+ * - `'microtask'`: once the current task is done.
+ * - `{ debounce: ms, maxWait: ms }`: once no notification has been scheduled for `debounce` ms,
+ *   or `maxWait` ms after the first pending one.
+ * - `{ throttle: ms }`: at most once every `throttle` ms.
+ * - `scheduler` function (or `{ scheduler }`): when the function calls its callback (eg. `requestAnimationFrame`).
+ *
+ * @class NotificationScheduler
+ */
+class NotificationScheduler {
+  /**
+   * Creates an instance of NotificationScheduler.
+   *
+   * @param {String|Object|Function} [scheduling={ debounce: 200 }]
+   * @param {Function} deliver Called to deliver pending notifications.
+   * @memberof NotificationScheduler
+   */
+  constructor (scheduling = DEFAULT_SCHEDULING, deliver) {
+    this._scheduling = normalizeScheduling(scheduling)
+    this._deliver = deliver
+    this._isPending = false
+    this._timeout = null
+    this._maxTimeout = null
+    this._lastDelivery = -Infinity
+  }
+
+  /**
+   * `true` if notifications are waiting to be delivered.
+   *
+   * @readonly
+   * @memberof NotificationScheduler
+   */
+  get isPending () {
+    return this._isPending
+  }
+
+  /**
+   * Ask for pending notifications to be delivered.
+   *
+   * @memberof NotificationScheduler
+   */
+  schedule () {
+    const { mode, wait, maxWait, scheduler } = this._scheduling
+    const isFirst = !this._isPending
+    this._isPending = true
+
+    switch (mode) {
+      case 'sync':
+        return this.flush()
+      case 'microtask':
+        if (isFirst) {
+          Promise.resolve().then(() => this._isPending && this.flush())
+        }
+        return
+      case 'debounce':
+        clearTimeout(this._timeout)
+        this._timeout = setTimeout(() => this.flush(), wait)
+        if (isFirst && maxWait !== undefined) {
+          this._maxTimeout = setTimeout(() => this.flush(), maxWait)
+        }
+        return
+      case 'throttle':
+        if (isFirst) {
+          this._timeout = setTimeout(() => this.flush(), Math.max(0, this._lastDelivery + wait - Date.now()))
+        }
+        return
+      case 'custom':
+        if (isFirst) {
+          scheduler(() => this._isPending && this.flush())
+        }
+    }
+  }
+
+  /**
+   * Deliver pending notifications now.
+   *
+   * @memberof NotificationScheduler
+   */
+  flush () {
+    if (!this._isPending) {
+      return
+    }
+
+    this.cancel()
+    this._lastDelivery = Date.now()
+    this._deliver()
+  }
+
+  /**
+   * Forget pending notifications.
+   *
+   * @memberof NotificationScheduler
+   */
+  cancel () {
+    this._isPending = false
+    clearTimeout(this._timeout)
+    clearTimeout(this._maxTimeout)
+    this._timeout = null
+    this._maxTimeout = null
+  }
+}
+
+module.exports = NotificationScheduler
+module.exports.normalizeScheduling = normalizeScheduling
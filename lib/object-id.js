@@ -0,0 +1,161 @@
+const { randomBytes } = require('./helpers')
+
+const HEX_ID = /^[0-9a-f]{24}$/i
+
+// ObjectIds in use, by hex string (see `ObjectId` constructor).
+// Without weak references, every ObjectId created is kept.
+const instances = new Map()
+const registry = typeof WeakRef === 'function' && typeof FinalizationRegistry === 'function'
+  ? new FinalizationRegistry(forget)
+  : null
+
+// Same value for the whole process (bytes 4 to 8 of generated ids)
+const processUnique = randomBytes(5)
+let counter = randomBytes(3).reduce((final, byte) => final * 256 + byte, 0)
+
+/**
+ * ObjectId is a 12 bytes identifier, like the MongoDB one :
+ * a 4 bytes timestamp (in seconds), 5 random bytes (the same for the whole process) and a 3 bytes counter.
+ * Ids generated later are greater (as long as they are generated by the same process in the same second, or in different seconds).
+ *
+ * ObjectIds are immutable, and only one instance is created for each value while it is used:
+ * `new ObjectId(hex) === new ObjectId(hex)`, so they can be used in queries and as `Map` keys.
+ * They are serialized to JSON as their hex string.
+ *
+ * @example
+ * const id = new ObjectId()
+ * const sameId = new ObjectId(id.toHexString())
+ *
+ * id === sameId // true
+ * id.getTimestamp() // Date of the creation of the id
+ * await collection.findOne({ _id: sameId })
+ *
+ * @class ObjectId
+ */
+class ObjectId {
+  /**
+   * Creates an instance of ObjectId.
+   *
+   * @param {String|ObjectId} [id] A 24 characters hex string. A new id is generated without it.
+   * @memberof ObjectId
+   */
+  constructor (id) {
+    if (id !== undefined && !ObjectId.isValid(id)) {
+      throw new Error('"id" must be an ObjectId or a 24 characters hex string')
+    }
+
+    const hex = id === undefined ? generate() : String(id).toLowerCase()
+    const ref = instances.get(hex)
+    const existing = registry && ref ? ref.deref() : ref
+    if (existing) {
+      return existing
+    }
+
+    this._hex = hex
+    Object.freeze(this)
+
+    if (registry) {
+      instances.set(hex, new WeakRef(this))
+      registry.register(this, hex)
+    } else {
+      instances.set(hex, this)
+    }
+  }
+
+  /**
+   * `true` if `value` is an ObjectId or a 24 characters hex string.
+   *
+   * @static
+   * @param {Any} value
+   * @returns Boolean
+   * @memberof ObjectId
+   */
+  static isValid (value) {
+    return value instanceof ObjectId || (typeof value === 'string' && HEX_ID.test(value))
+  }
+
+  /**
+   * ObjectId of `seconds` (since the epoch) with every other byte set to 0,
+   * to query ids generated before or after a date.
+   *
+   * @static
+   * @param {Number} seconds
+   * @returns ObjectId
+   * @memberof ObjectId
+   * @example
+   * const since = ObjectId.createFromTime(Date.parse('2024-01-01') / 1000)
+   * await collection.find({ _id: { $gte: since } })
+   */
+  static createFromTime (seconds) {
+    return new ObjectId(`${toHex(seconds, 8)}0000000000000000`)
+  }
+
+  /**
+   * Date at which the id has been generated (to the second).
+   *
+   * @returns Date
+   * @memberof ObjectId
+   */
+  getTimestamp () {
+    return new Date(parseInt(this._hex.slice(0, 8), 16) * 1000)
+  }
+
+  /**
+   * `true` if `other` is the same id (as an ObjectId or as a hex string).
+   *
+   * @param {ObjectId|String} other
+   * @returns Boolean
+   * @memberof ObjectId
+   */
+  equals (other) {
+    return ObjectId.isValid(other) && String(other).toLowerCase() === this._hex
+  }
+
+  /**
+   * The 24 characters hex string of the id.
+   *
+   * @returns String
+   * @memberof ObjectId
+   */
+  toHexString () {
+    return this._hex
+  }
+
+  toString () {
+    return this._hex
+  }
+
+  toJSON () {
+    return this._hex
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')] () {
+    return `ObjectId("${this._hex}")`
+  }
+}
+
+// Called once the ObjectId `hex` has been garbage collected
+function forget (hex) {
+  const ref = instances.get(hex)
+  if (ref && ref.deref() === undefined) {
+    instances.delete(hex)
+  }
+}
+
+function generate () {
+  const seconds = Math.floor(Date.now() / 1000)
+  counter = (counter + 1) % 0x1000000
+
+  return [
+    toHex(seconds, 8),
+    processUnique.map(byte => toHex(byte, 2)).join(''),
+    toHex(counter, 6)
+  ].join('')
+}
+
+// The last `length` hex digits of the integer `value`
+function toHex (value, length) {
+  return Math.floor(value).toString(16).padStart(length, '0').slice(-length)
+}
+
+module.exports = ObjectId
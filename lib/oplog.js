@@ -0,0 +1,95 @@
+/**
+ * Oplog keeps the last change events of a collection (or of a database), so that change streams can resume.
+ * Each event has a resume token (`{ _data: sequenceNumber }`) as its `_id`.
+ *
+ * @class Oplog
+ */
+class Oplog {
+  /**
+   * Creates an instance of Oplog.
+   *
+   * @param {Number} [size=1000] Number of events kept.
+   * @memberof Oplog
+   */
+  constructor (size = 1000) {
+    this._size = size
+    this._events = []
+    this._sequence = 0
+    this.streams = new Set()
+  }
+
+  /**
+   * Turn `changes` (as given to watchers) into events, keep them and give them to the change streams.
+   * Changes with a `seq` keep it as sequence number.
+   *
+   * @param {Object[]} changes
+   * @returns Object[] The events.
+   * @memberof Oplog
+   */
+  record (changes) {
+    const events = changes.map(change => {
+      this._sequence = change.seq === undefined ? this._sequence + 1 : change.seq
+      return toEvent(change, this._sequence)
+    })
+
+    events.forEach(event => this._events.push(event))
+    if (this._events.length > this._size) {
+      this._events.splice(0, this._events.length - this._size)
+    }
+    this.streams.forEach(stream => stream._push(events))
+
+    return events
+  }
+
+  /**
+   * Events following the one with `resumeToken`.
+   * Throws an error if some of the following events are not kept anymore.
+   *
+   * @param {Object} [resumeToken]
+   * @returns Object[]
+   * @memberof Oplog
+   */
+  eventsAfter (resumeToken) {
+    if (!resumeToken) {
+      return []
+    }
+
+    const seq = resumeToken._data
+    if (!Number.isInteger(seq) || seq < 0 || seq > this._sequence) {
+      throw new Error('Invalid resume token')
+    }
+
+    const oldest = this._events.length > 0 ? this._events[0]._id._data : this._sequence + 1
+    if (seq < oldest - 1) {
+      throw new Error('Resume token is too old: following changes are not in the oplog anymore')
+    }
+
+    return this._events.filter(event => event._id._data > seq)
+  }
+}
+
+function toEvent ({ collection, _id, operationType, fullDocument, fullDocumentBeforeChange, updateDescription, to }, seq) {
+  const event = {
+    _id: { _data: seq },
+    operationType,
+    ns: { coll: collection }
+  }
+  if (_id !== undefined) {
+    event.documentKey = { _id }
+  }
+  if (fullDocument !== undefined) {
+    event.fullDocument = fullDocument
+  }
+  if (fullDocumentBeforeChange !== undefined) {
+    event.fullDocumentBeforeChange = fullDocumentBeforeChange
+  }
+  if (updateDescription !== undefined) {
+    event.updateDescription = updateDescription
+  }
+  if (to !== undefined) {
+    event.to = { coll: to }
+  }
+  return event
+}
+
+module.exports = Oplog
@@ -0,0 +1,371 @@
+const ObjectId = require('./object-id')
+const { isPlainObject, deepEqual, resolvePath, setPath } = require('./helpers')
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor']
+const FIELD_OPERATORS = [
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$not',
+  '$elemMatch', '$all', '$size', '$regex', '$options', '$type', '$mod'
+]
+
+// Aliases and numbers accepted by `$type`, as in MongoDB
+const TYPES = {
+  double: 1,
+  string: 2,
+  object: 3,
+  array: 4,
+  undefined: 6,
+  objectId: 7,
+  bool: 8,
+  date: 9,
+  null: 10,
+  regex: 11,
+  int: 16,
+  long: 18,
+  number: 'number'
+}
+
+/**
+ * Check that every operator used in `query` is known and well formed.
+ * Throws an error otherwise.
+ *
+ * @param {Object} query
+ */
+function validateQuery (query) {
+  if (!isPlainObject(query)) {
+    throw new Error('"query" must be an object')
+  }
+
+  Object.keys(query).forEach(key => {
+    if (LOGICAL_OPERATORS.indexOf(key) >= 0) {
+      if (!Array.isArray(query[key]) || query[key].length === 0) {
+        throw new Error(`${key} must be a non empty array of queries`)
+      }
+      query[key].forEach(validateQuery)
+    } else if (key[0] === '$') {
+      throw new Error(`Unknown query operator "${key}"`)
+    } else {
+      validateFieldQuery(key, query[key])
+    }
+  })
+}
+
+function validateFieldQuery (field, subQuery) {
+  if (!isPlainObject(subQuery)) {
+    return
+  }
+
+  Object.keys(subQuery).forEach(key => {
+    const operand = subQuery[key]
+
+    if (key[0] !== '$') {
+      // Sub document query
+      validateFieldQuery(key, operand)
+    } else if (FIELD_OPERATORS.indexOf(key) < 0) {
+      throw new Error(`Unknown query operator "${key}" used on field "${field}"`)
+    } else if ((key === '$in' || key === '$nin') && !Array.isArray(operand)) {
+      throw new Error(`${key} needs an array (field "${field}")`)
+    } else if (key === '$not') {
+      if (operand instanceof RegExp) {
+        return
+      }
+      if (!isOperatorObject(operand)) {
+        throw new Error(`$not needs a regular expression or a document of operators (field "${field}")`)
+      }
+      validateFieldQuery(field, operand)
+    } else if (key === '$elemMatch') {
+      if (!isPlainObject(operand)) {
+        throw new Error(`$elemMatch needs an object (field "${field}")`)
+      }
+      if (isOperatorObject(operand)) {
+        validateFieldQuery(field, operand)
+      } else {
+        validateQuery(operand)
+      }
+    } else if (key === '$all' && !Array.isArray(operand)) {
+      throw new Error(`$all needs an array (field "${field}")`)
+    } else if (key === '$size' && !Number.isInteger(operand)) {
+      throw new Error(`$size needs an integer (field "${field}")`)
+    } else if (key === '$regex' && typeof operand !== 'string' && !(operand instanceof RegExp)) {
+      throw new Error(`$regex needs a string or a regular expression (field "${field}")`)
+    } else if (key === '$options' && (typeof operand !== 'string' || !Object.prototype.hasOwnProperty.call(subQuery, '$regex'))) {
+      throw new Error(`$options needs a string and a $regex (field "${field}")`)
+    } else if (key === '$type' && [].concat(operand).some(type => Object.keys(TYPES).every(alias => alias !== type && TYPES[alias] !== type))) {
+      throw new Error(`Unknown type ${JSON.stringify(operand)} used by $type (field "${field}")`)
+    } else if (key === '$mod' && (!Array.isArray(operand) || operand.length !== 2 || !operand.every(Number.isFinite) || operand[0] === 0)) {
+      throw new Error(`$mod needs an array of a non zero divisor and a remainder (field "${field}")`)
+    }
+  })
+
+  if (Object.prototype.hasOwnProperty.call(subQuery, '$regex')) {
+    // Fail now on invalid patterns
+    regExpOf(subQuery)
+  }
+}
+
+function isOperatorObject (value) {
+  return isPlainObject(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key[0] === '$')
+}
+
+/**
+ * Returns `true` if `doc` matches `query`.
+ *
+ * @param {Object} doc
+ * @param {Object} query
+ * @returns Boolean
+ */
+function matches (doc, query) {
+  return Object.keys(query).every(key => {
+    const subQuery = query[key]
+
+    switch (key) {
+      case '$and':
+        return subQuery.every(el => matches(doc, el))
+      case '$or':
+        return subQuery.some(el => matches(doc, el))
+      case '$nor':
+        return !subQuery.some(el => matches(doc, el))
+    }
+
+    if (key[0] === '$') {
+      throw new Error(`Unknown query operator "${key}"`)
+    }
+
+    return matchesField(doc, key, subQuery)
+  })
+}
+
+function matchesField (doc, field, subQuery) {
+  const { isPresent, value } = resolveField(doc, field)
+
+  if (!isPlainObject(subQuery)) {
+    // Do not match if the document hasn't the searched property
+    if (!isPresent && subQuery !== undefined) {
+      return false
+    }
+    return equalsOrContains(value, subQuery)
+  }
+
+  const keys = Object.keys(subQuery)
+  const subDocumentKeys = keys.filter(key => key[0] !== '$')
+
+  if (!isPresent && (keys.length === 0 || subDocumentKeys.length > 0)) {
+    return false
+  }
+
+  if (subDocumentKeys.length > 0) {
+    const subDocumentQuery = subDocumentKeys.reduce((final, key) => {
+      final[key] = subQuery[key]
+      return final
+    }, {})
+    const isMatching = el => el !== null && typeof el === 'object' && !Array.isArray(el) && matches(el, subDocumentQuery)
+
+    if (!isMatching(value) && !(Array.isArray(value) && value.some(isMatching))) {
+      return false
+    }
+  }
+
+  return matchesOperators(value, isPresent, subQuery, field)
+}
+
+function matchesOperators (value, isPresent, operators, field) {
+  return Object.keys(operators).every(operator => {
+    const operand = operators[operator]
+
+    switch (operator) {
+      case '$lte':
+        return isPresent && someValue(value, el => !(el > operand))
+      case '$lt':
+        return isPresent && someValue(value, el => !(el >= operand))
+      case '$gte':
+        return isPresent && someValue(value, el => !(el < operand))
+      case '$gt':
+        return isPresent && someValue(value, el => !(el <= operand))
+      case '$eq':
+        return isPresent && equalsOrContains(value, operand)
+      case '$ne':
+        return !equalsOrContains(value, operand)
+      case '$in':
+        return isPresent && operand.some(el => equalsOrContains(value, el))
+      case '$nin':
+        return !operand.some(el => equalsOrContains(value, el))
+      case '$exists':
+        return operand ? isPresent && value !== undefined : !isPresent || value === undefined
+      case '$not':
+        return operand instanceof RegExp
+          ? !(isPresent && someValue(value, el => testRegExp(operand, el)))
+          : !matchesOperators(value, isPresent, operand, field)
+      case '$elemMatch':
+        return Array.isArray(value) && value.some(el => {
+          return isOperatorObject(operand)
+            ? matchesOperators(el, true, operand, field)
+            : el !== null && typeof el === 'object' && !Array.isArray(el) && matches(el, operand)
+        })
+      case '$all':
+        return isPresent && operand.length > 0 && operand.every(el => {
+          return isPlainObject(el) && Object.prototype.hasOwnProperty.call(el, '$elemMatch')
+            ? matchesOperators(value, isPresent, el, field)
+            : equalsOrContains(value, el)
+        })
+      case '$size':
+        return Array.isArray(value) && value.length === operand
+      case '$regex': {
+        const regExp = regExpOf(operators)
+        return isPresent && someValue(value, el => testRegExp(regExp, el))
+      }
+      case '$options':
+        return true // Used with $regex
+      case '$type':
+        return isPresent && [].concat(operand).some(type => {
+          return isOfType(value, type) || (Array.isArray(value) && value.some(el => isOfType(el, type)))
+        })
+      case '$mod':
+        return isPresent && someValue(value, el => typeof el === 'number' && Math.trunc(el) % operand[0] === operand[1])
+      default:
+        if (operator[0] === '$') {
+          throw new Error(`Unknown query operator "${operator}" used on field "${field}"`)
+        }
+        return true // Sub document field, already checked
+    }
+  })
+}
+
+/**
+ * Value of `field` (dot notation) inside `doc`.
+ * When the path goes through arrays, the value is an array of every value found
+ * (and of the elements of those that are arrays), so that any of them can match.
+ */
+function resolveField (doc, field) {
+  const { values, throughArray } = resolvePath(doc, field)
+
+  if (!throughArray) {
+    return { isPresent: values.length > 0, value: values[0] }
+  }
+
+  return {
+    isPresent: values.length > 0,
+    value: values.reduce((final, el) => final.concat(Array.isArray(el) ? [el, ...el] : [el]), [])
+  }
+}
+
+/**
+ * `true` if `value` is `expected`, or is an array containing `expected`.
+ * `expected` can be a regular expression.
+ */
+function equalsOrContains (value, expected) {
+  const isEqual = el => expected instanceof RegExp
+    ? testRegExp(expected, el) || (el instanceof RegExp && String(el) === String(expected))
+    : deepEqual(el, expected)
+
+  return isEqual(value) || (Array.isArray(value) && value.some(isEqual))
+}
+
+/**
+ * `true` if `predicate` is `true` for `value`, or for one of its elements if it is an array.
+ */
+function someValue (value, predicate) {
+  return Array.isArray(value) ? value.some(predicate) : predicate(value)
+}
+
+// Regular expressions of the `$regex` operators, compiled once per query
+const regExps = new WeakMap()
+
+/**
+ * The regular expression of the `$regex` (and `$options`) operators of `operators`,
+ * compiled again only if they have been changed since the last call.
+ */
+function regExpOf (operators) {
+  const { $regex: pattern, $options: options } = operators
+  const compiled = regExps.get(operators)
+  if (compiled !== undefined && compiled.pattern === pattern && compiled.options === options) {
+    return compiled.regExp
+  }
+
+  const regExp = toRegExp(pattern, options)
+  regExps.set(operators, { pattern, options, regExp })
+  return regExp
+}
+
+function toRegExp (pattern, options) {
+  if (pattern instanceof RegExp) {
+    return options === undefined ? pattern : new RegExp(pattern.source, options)
+  }
+  return new RegExp(pattern, options)
+}
+
+function testRegExp (regExp, value) {
+  if (typeof value !== 'string') {
+    return false
+  }
+  regExp.lastIndex = 0 // Global and sticky expressions are stateful
+  return regExp.test(value)
+}
+
+function isOfType (value, type) {
+  const code = typeof type === 'string' ? TYPES[type] : type
+
+  switch (code) {
+    case 'number':
+      return typeof value === 'number'
+    case TYPES.double:
+      return typeof value === 'number'
+    case TYPES.int:
+    case TYPES.long:
+      return Number.isInteger(value)
+    case TYPES.string:
+      return typeof value === 'string'
+    case TYPES.object:
+      return isPlainObject(value)
+    case TYPES.array:
+      return Array.isArray(value)
+    case TYPES.undefined:
+      return value === undefined
+    case TYPES.objectId:
+      return value instanceof ObjectId
+    case TYPES.bool:
+      return typeof value === 'boolean'
+    case TYPES.date:
+      return value instanceof Date
+    case TYPES.null:
+      return value === null
+    case TYPES.regex:
+      return value instanceof RegExp
+  }
+
+  return false
+}
+
+/**
+ * Build the document inserted by an upsert from the equality conditions of `query`
+ * (`{ field: value }`, `{ field: { $eq: value } }` and the ones combined with `$and`).
+ * Other conditions are ignored.
+ *
+ * @param {Object} query
+ * @returns Object
+ */
+function equalityFields (query) {
+  return Object.keys(query).reduce((final, key) => {
+    const subQuery = query[key]
+
+    if (key === '$and') {
+      subQuery.forEach(el => Object.assign(final, equalityFields(el)))
+    } else if (key[0] === '$') {
+      // Ignore other logical operators
+    } else if (!isPlainObject(subQuery) && !(subQuery instanceof RegExp)) {
+      setPath(final, key, subQuery)
+    } else if (isPlainObject(subQuery) && Object.keys(subQuery).every(el => el[0] !== '$')) {
+      setPath(final, key, subQuery)
+    } else if (isPlainObject(subQuery) && Object.prototype.hasOwnProperty.call(subQuery, '$eq')) {
+      setPath(final, key, subQuery.$eq)
+    }
+
+    return final
+  }, {})
+}
+
+module.exports = {
+  matches,
+  validateQuery,
+  equalityFields
+}
@@ -1,26 +1,140 @@
+const EventEmitter = require('events')
 const modify = require('modifyjs')
+const LiveQuery = require('./live-query')
+const ChangeStream = require('./change-stream')
+const Cursor = require('./cursor')
+const SyncEngine = require('./sync-engine')
+const CollectionIndex = require('./collection-index')
+const Oplog = require('./oplog')
+const Subscription = require('./subscription')
+const NotificationScheduler = require('./notification-scheduler')
+const ObjectId = require('./object-id')
+const { aggregate } = require('./aggregation')
+const { matches, validateQuery, equalityFields } = require('./query-matcher')
+const { compileSchema, validate } = require('./schema-validator')
+const { checkIdStrategy, generateId } = require('./id-strategies')
+const { deepClone, deepFreeze, deepEqual, getPath, includePath, deletePath, isPlainObject, describeUpdate } = require('./helpers')
+const { DuplicateKeyError, ValidationError } = require('./errors')
+
+const VALIDATION_LEVELS = ['off', 'strict', 'moderate']
+const VALIDATION_ACTIONS = ['error', 'warn']
+
+// How each operation of `collection.bulkWrite()` is applied, and the fields of its model which must be objects
+const BULK_OPERATIONS = {
+  insertOne: (collection, { document }) => collection._applyInsert([document]),
+  updateOne: (collection, { filter, update, upsert }) => collection._applyUpdate(filter, update, { upsert, limit: 1 }),
+  updateMany: (collection, { filter, update, upsert }) => collection._applyUpdate(filter, update, { upsert }),
+  replaceOne: (collection, { filter, replacement, upsert }) => collection._applyUpdate(filter, replacement, { upsert, limit: 1 }),
+  deleteOne: (collection, { filter }) => collection._applyRemove(filter, true),
+  deleteMany: (collection, { filter }) => collection._applyRemove(filter, false)
+}
+const BULK_MODEL_FIELDS = {
+  insertOne: ['document'],
+  updateOne: ['filter', 'update'],
+  updateMany: ['filter', 'update'],
+  replaceOne: ['filter', 'replacement'],
+  deleteOne: ['filter'],
+  deleteMany: ['filter']
+}
 /**
  * ReactiveCollection is a reactive collection. Each updates
  * made on its content triggers a notification.
  * Notifications are sent through a subscription mecanism.
+ * Written documents can be validated with a JSON Schema (see `collection.setValidator()`).
  *
  * @class ReactiveCollection
+ * @extends {EventEmitter}
  */
-class ReactiveCollection {
-  constructor (name) {
+class ReactiveCollection extends EventEmitter {
+  /**
+   * Creates an instance of ReactiveCollection.
+   *
+   * @param {String} name
+   * @param {Object} [options={}]
+   * @param {ReactiveDatabase} [options.database] Database of the collection.
+   * @param {Number} [options.oplogSize=1000] Number of change events kept for change streams to resume.
+   * @param {String|Object|Function} [options.scheduling={ debounce: 200 }] When watchers are notified.
+   * @param {Object} [options.validator] JSON Schema of the documents (see `collection.setValidator()`).
+   * @param {String} [options.validationLevel='strict']
+   * @param {String} [options.validationAction='error']
+   * @param {String|Function} [options.idStrategy='counter'] How `_id` of inserted documents are generated:
+   * `'counter'` (`'0'`, `'1'`, ...), `'objectId'`, `'uuidv4'`, `'uuidv7'` or a function called with the document.
+   * @param {Boolean} [options.capped=false] Remove the oldest documents when the collection is full (see `options.size` and `options.max`).
+   * @param {Number} [options.size] Maximum size of a capped collection (sum of the JSON length of its documents). Required with `capped`.
+   * @param {Number} [options.max] Maximum number of documents of a capped collection.
+   * @param {Number} [options.ttlMonitorInterval=60000] Milliseconds between two removals of the documents expired
+   * according to TTL indexes (see `collection.createIndex()`).
+   * @memberof ReactiveCollection
+   */
+  constructor (name, options = {}) {
+    super()
     this._name = name
+    this._database = options.database || null
+    this._isInternal = false // Internal collections (eg. sync metadata) are not recorded by the history
     this._content = []
+    this._documentsById = new Map()
+    this._sequences = new Map()
+    this._nextSequence = 0
+    this._indexes = new Map()
     this._watchers = new Map()
     this._lastId = 0
-    this._changesToNotify = []
+    this._idStrategy = options.idStrategy === undefined ? 'counter' : options.idStrategy
+    checkIdStrategy(this._idStrategy)
+    this._scheduling = options.scheduling
+    if (this._scheduling !== undefined) {
+      NotificationScheduler.normalizeScheduling(this._scheduling) // Throws if invalid
+    }
+    this._oplog = new Oplog(options.oplogSize)
+    this._dropped = false
+    this._pendingNotifications = null
+    this._validator = null
+    this._schema = null
+    this._validationLevel = 'strict'
+    this._validationAction = 'error'
+    this._setValidation(options.validator || null, options)
+    this._capped = null
+    if (options.capped) {
+      if (typeof options.size !== 'number' || !(options.size > 0)) {
+        throw new Error('"size" must be a positive number for a capped collection')
+      }
+      if (options.max !== undefined && (!Number.isInteger(options.max) || options.max <= 0)) {
+        throw new Error('"max" must be a positive integer')
+      }
+      this._capped = { size: options.size, max: options.max }
+    }
+    this._ttlMonitorInterval = options.ttlMonitorInterval === undefined ? 60000 : options.ttlMonitorInterval
+    if (typeof this._ttlMonitorInterval !== 'number' || !(this._ttlMonitorInterval > 0)) {
+      throw new Error('"ttlMonitorInterval" must be a positive number')
+    }
+    this._ttlMonitor = null
   }
 
   /**
    * When one or many documents of the collection is created, updated or removed `callback` will be called with `watcher` as its `this`.
    * **NOTE:** A collection can have many watchers. A watcher can subscribe to many collection. A watcher can subscribe only once to a collection (only the latest subscription will be retain).
    *
+   * Changes made until `callback` is called are given together. The changes of each document are merged into one:
+   * an insert followed by updates is an insert, an insert followed by a remove is not given,
+   * many updates are one update (use `coalesce: false` to get every change).
+   * Updates describe the changed fields (`updateDescription`: `{ updatedFields, removedFields, truncatedArrays }`).
+   * By default, `callback` is called once no change has been made for 200 ms. The `scheduling` option changes it
+   * (see `NotificationScheduler`): `'sync'`, `'microtask'`, `{ debounce: ms, maxWait: ms }`, `{ throttle: ms }`
+   * or a scheduler function like `requestAnimationFrame`.
+   *
+   * The other options restrict the changes given to `callback`. With a `filter`, a change is given if the document
+   * matches the filter before or after the change, and the change has the document before the change (`fullDocumentBeforeChange`),
+   * so that documents leaving the filter can be told from documents entering it.
+   * Without a filter, use `fullDocumentBeforeChange: 'whenAvailable'` to get it.
+   *
    * @param {Object} watcher
    * @param {Function} callback
+   * @param {Object} [options={}]
+   * @param {String|Object|Function} [options.scheduling] Default is the scheduling of the collection.
+   * @param {Object} [options.filter] Query the changed documents must match (before or after the change).
+   * @param {String[]} [options.operationTypes] Only give changes of these types (`'insert'`, `'update'` or `'remove'`).
+   * @param {String[]} [options.fields] Only give updates changing one of these fields (dot notation can be used).
+   * @param {String} [options.fullDocumentBeforeChange='off'] `'whenAvailable'` to give the document before each update or remove.
+   * @param {Boolean} [options.coalesce=true] Merge the changes of each document made until `callback` is called.
    * @memberof ReactiveCollection
    *
    * @example
@@ -35,10 +149,24 @@ class ReactiveCollection {
    *     }
    *   })
    * })
+   *
+   * collection.subscribe(this, changes => {
+   *   changes.forEach(({ fullDocument, fullDocumentBeforeChange }) => {
+   *     const isIn = fullDocument !== undefined && fullDocument.projectId === 42
+   *     const wasIn = fullDocumentBeforeChange !== undefined && fullDocumentBeforeChange.projectId === 42
+   *     // ...
+   *   })
+   * }, { filter: { projectId: 42 }, operationTypes: ['update', 'remove'], fields: ['title'] })
    */
-  subscribe (watcher, callback) {
+  subscribe (watcher, callback, options = {}) {
+    this._assertNotDropped()
     if (watcher && callback) {
-      this._watchers.set(watcher, callback)
+      const subscription = new Subscription(watcher, callback, options, this._scheduling)
+
+      if (this._watchers.has(watcher)) {
+        this._watchers.get(watcher).cancel()
+      }
+      this._watchers.set(watcher, subscription)
     } else {
       throw new Error('No watcher or callback has been specified')
     }
@@ -46,18 +174,39 @@ class ReactiveCollection {
 
   /**
    * Remove `watcher` fore the collections watchers.
+   * Does nothing once the collection is dropped: its watchers are already removed.
    *
    * @param {Any} watcher
    * @memberof ReactiveCollection
    */
   unsubscribe (watcher) {
+    if (this._dropped) {
+      return
+    }
+
     if (this._watchers.has(watcher)) {
+      this._watchers.get(watcher).cancel()
       this._watchers.delete(watcher)
     } else {
       throw new Error('No watcher has been specified')
     }
   }
 
+  /**
+   * Deliver pending notifications to every watcher now, whatever their scheduling.
+   * The returned promise resolves once every watcher with pending notifications has been called.
+   *
+   * @returns Promise
+   * @memberof ReactiveCollection
+   * @example
+   * await collection.insertOne({ firstname: 'Tony' })
+   * await collection.flush() // watchers have been notified of the insert
+   */
+  flush () {
+    this._watchers.forEach(subscription => subscription.flush())
+    return Promise.resolve()
+  }
+
   /**
    * Returns a promise that resolves to the number of documents inside the collection.
    *
@@ -65,77 +214,187 @@ class ReactiveCollection {
    * @memberof ReactiveCollection
    */
   count () {
-    return Promise.resolve(this._content.length)
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      resolve(this._content.length)
+    })
   }
 
   /**
-   * Insert one or many documents in the collection.
-   * Use the same syntax as `collection.insertOne()` or `collection.insertMany()`.
-   * Once done, the promise is resolve.
+   * Returns a promise that resolves to statistics of the collection :
+   * `{ ns, count, size, avgObjSize, nindexes, indexes, capped }`.
+   * `size` is the approximate size of the documents (in bytes of their JSON form),
+   * `indexes` the description of each index with its number of `entries`.
+   * Capped collections also have their `maxSize` and `max` (if set).
    *
-   * @param {(Object|Object[])} data
-   * @returns Promise
+   * @returns Promise<Object>
    * @memberof ReactiveCollection
+   * @example
+   * const { count, size, nindexes } = await collection.stats()
    */
-  insert (data) {
-    return new Promise((resolve, reject) => {
-      if (typeof data !== 'object') { // array is typeof 'object' !
-        return reject(new Error('"data" is not of type object or array'))
+  stats () {
+    return new Promise(resolve => {
+      this._assertNotDropped()
+
+      const count = this._content.length
+      const size = this._content.reduce((total, doc) => total + documentSize(doc), 0)
+      const indexes = [
+        { ...this._idIndexDescription(), entries: count },
+        ...[...this._indexes.values()].map(index => ({ ...index.describe(), entries: index.size }))
+      ]
+
+      const stats = {
+        ns: this._name,
+        count,
+        size,
+        avgObjSize: count > 0 ? Math.round(size / count) : 0,
+        nindexes: indexes.length,
+        indexes,
+        capped: this._capped !== null
       }
-      if (!Array.isArray(data)) {
-        data = [data]
+      if (this._capped) {
+        stats.maxSize = this._capped.size
+        if (this._capped.max !== undefined) {
+          stats.max = this._capped.max
+        }
       }
 
-      let badId = null
+      resolve(stats)
+    })
+  }
 
-      data.forEach(obj => {
-        if (obj._id === undefined) {
-          obj._id = this._objectId()
-        } else if (this._content.findIndex(el => obj._id === el._id) >= 0) {
-          badId = obj._id
-        }
+  /**
+   * Returns a promise that resolves to `true` if the collection is capped.
+   *
+   * @returns Promise<Boolean>
+   * @memberof ReactiveCollection
+   */
+  isCapped () {
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      resolve(this._capped !== null)
+    })
+  }
+
+  /**
+   * Drop the collection: its documents, indexes and validator are removed.
+   * Watchers are notified with a `{ collection, operationType: 'drop' }` change, then unsubscribed.
+   * Change streams get a `drop` event and an `invalidate` event, then are closed.
+   * The collection can't be used anymore (`db.getCollection()` creates a new one).
+   *
+   * @returns Promise<Boolean> `true`
+   * @memberof ReactiveCollection
+   */
+  drop () {
+    if (this._database) {
+      return new Promise(resolve => {
+        this._assertNotDropped()
+        resolve(this._database.dropCollection(this._name))
       })
+    }
+
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      this._drop()
+      resolve(true)
+    })
+  }
+
+  /**
+   * Rename the collection. Watchers are notified with a `{ collection, operationType: 'rename', to }` change.
+   * The promise is rejected if a collection named `newName` exists, unless `dropTarget` is `true`
+   * (it is dropped first).
+   *
+   * @param {String} newName
+   * @param {Object} [options={}]
+   * @param {Boolean} [options.dropTarget=false] Drop the collection named `newName` if it exists.
+   * @returns Promise<ReactiveCollection> The collection.
+   * @memberof ReactiveCollection
+   * @example
+   * await db.getCollection('users_import').rename('users', { dropTarget: true })
+   */
+  rename (newName, options = {}) {
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      if (typeof newName !== 'string' || newName === '') {
+        throw new Error('"newName" must be a non empty string')
+      }
+      if (newName === this._name) {
+        throw new Error('A collection can\'t be renamed to its own name')
+      }
 
-      if (badId !== null) {
-        return reject(new Error(`An object with _id ${badId} already exist in this collection`))
+      if (this._database) {
+        return resolve(this._database._renameCollection(this, newName, options))
       }
 
-      this._content = [...this._content, ...data]
-      this._notifyChangesForIds(data.map(el => el._id), 'insert')
+      this._rename(newName)
+      resolve()
+    }).then(() => this)
+  }
 
-      return resolve()
-    })
+  /**
+   * Insert one or many documents in the collection.
+   * Use the same syntax as `collection.insertOne()` or `collection.insertMany()`.
+   * Once done, the promise resolves to the result of `collection.insertOne()` or `collection.insertMany()`.
+   *
+   * The collection stores copies of the documents. With `clone: false`, it stores the documents themselves
+   * (their `_id` is set if missing) and freezes them: they must not be used by the caller anymore.
+   *
+   * @param {(Object|Object[])} data
+   * @param {Object} [options={}]
+   * @param {Boolean} [options.clone=true] Store copies of the documents.
+   * @param {Session} [options.session] Session of the transaction the write is part of (see `Session`).
+   * @returns Promise<Object>
+   * @memberof ReactiveCollection
+   */
+  insert (data, options = {}) {
+    return this._whenWritable(() => new Promise((resolve, reject) => {
+      this._assertNotDropped()
+      if (typeof data !== 'object') { // array is typeof 'object' !
+        return reject(new Error('"data" is not of type object or array'))
+      }
+
+      const { insertedIds, change } = this._applyInsert(Array.isArray(data) ? data : [data], options.clone !== false)
+      const result = Array.isArray(data)
+        ? { acknowledged: true, insertedCount: insertedIds.length, insertedIds: Object.assign({}, insertedIds) }
+        : { acknowledged: true, insertedId: insertedIds[0] }
+
+      resolve(this._persist(change).then(() => result))
+    }), options.session)
   }
 
   /**
-   * Insert one document in the collection. Once done, the promise is resolve.
+   * Insert one document in the collection. Once done, the promise resolves to `{ acknowledged, insertedId }`.
    *
    * @param {Object} data
-   * @returns Promise
+   * @param {Object} [options={}] `clone` (see `collection.insert()`).
+   * @returns Promise<Object>
    * @memberof ReactiveCollection
    * @example
-   * collection.insertOne({
+   * const { insertedId } = await collection.insertOne({
    *   firstname: 'Peter',
    *   lastname: 'PARKER',
    *   age: 25,
    *   hasSuperPower: true
    * })
    */
-  insertOne (data) {
+  insertOne (data, options = {}) {
     if (typeof data !== 'object') { // array is typeof 'object' !
       return Promise.reject(new Error('"data" is not of type object'))
     } else if (Array.isArray(data)) {
       return Promise.reject(new Error('"data" can\'t be an array'))
     }
 
-    return this.insert(data)
+    return this.insert(data, options)
   }
 
   /**
-   * Insert many documents in the collection. Once done, the promise is resolve.
+   * Insert many documents in the collection. Once done, the promise resolves to
+   * `{ acknowledged, insertedCount, insertedIds }` (`insertedIds` gives the `_id` of each document by index).
    *
    * @param {Object[]} data
-   * @returns Promise
+   * @param {Object} [options={}] `clone` (see `collection.insert()`).
+   * @returns Promise<Object>
    * @memberof ReactiveCollection
    * @example
    * collection.insertMany([
@@ -151,86 +410,320 @@ class ReactiveCollection {
    *     }
    *   ])
    */
-  insertMany (data) {
+  insertMany (data, options = {}) {
     return new Promise((resolve, reject) => {
       if (!Array.isArray(data)) {
         return reject(new Error('"data" must be an array'))
       }
 
-      this.insert(data).then(resolve).catch(reject)
+      this.insert(data, options).then(resolve).catch(reject)
     })
   }
 
   /**
    * Find all documents matching a query.
    * Query can use some of MongoDB query operations :
-   * `$lte`, `$lt`, `$gte`, `$gt`, `$ne` and `$exists`.
+   * `$lte`, `$lt`, `$gte`, `$gt`, `$eq`, `$ne`, `$in`, `$nin`, `$exists`, `$not`, `$regex`, `$type` and `$mod` on fields,
+   * `$elemMatch`, `$all` and `$size` on arrays, `$and`, `$or` and `$nor` to combine queries.
+   * A value matches an array field if one of its elements matches.
+   *
+   * Returns a `Cursor`: documents are read once results are asked (`await`, `toArray()`, `next()`...),
+   * after the `sort()`, `skip()`, `limit()`, `project()` and `map()` calls.
+   * Results are rejected if the query uses an unknown operator.
+   *
+   * Results are copies of the documents, which can be modified freely. With `clone: false`,
+   * the documents of the collection are given: they are frozen, and faster to get.
    *
    * @param {Object} [query={}]
    * @param {Object} [projection=undefined]
-   * @param {Object} [options=undefined]
-   * @returns Promise<Object[]>
+   * @param {Object} [options=undefined] `sort`, `skip`, `limit` and `clone` (default is `true`).
+   * @returns Cursor
    * @memberof ReactiveCollection
    * @example
    * // find all documents
-   * collection.find()
+   * await collection.find()
    *
    * // find all documents for Tony STARK
-   * collection.find({ firstname: 'Tony', lastname: 'STARK' })
+   * await collection.find({ firstname: 'Tony', lastname: 'STARK' })
    *
    * // find all firstnames, in descending order. Results limited to 2nd - 11th
-   * collection.find({}, { _id: 0, firstname}, { sort: { firstname: -1 }, limit: 10, skip: 1 })
+   * await collection.find({}, { _id: 0, firstname: 1 }, { sort: { firstname: -1 }, limit: 10, skip: 1 })
+   * await collection.find().project({ _id: 0, firstname: 1 }).sort({ firstname: -1 }).skip(1).limit(10).toArray()
    */
   find (query = {}, projection = undefined, options = undefined) {
+    const select = selectOptions => {
+      this._assertNotDropped()
+      if (typeof query !== 'object' && !Array.isArray(query)) {
+        throw new Error('"query" must be an object')
+      }
+      return this._select(query, selectOptions)
+    }
+
+    return new Cursor(this, select, { ...options, projection })
+  }
+
+  /**
+   * Keep the results of a `query` up to date.
+   * The returned `LiveQuery` holds the documents matching `query` (with `projection`, `sort`, `skip` and `limit` applied)
+   * and notifies its own watchers with the differences each time a change made in the collection affects them.
+   *
+   * @param {Object} [query={}]
+   * @param {Object} [projection=undefined]
+   * @param {Object} [options=undefined]
+   * @returns LiveQuery
+   * @memberof ReactiveCollection
+   * @example
+   * const liveQuery = collection.liveQuery({ hasSuperPower: true }, undefined, { sort: { lastname: 1 } })
+   *
+   * console.log(liveQuery.results)
+   *
+   * liveQuery.subscribe(this, diffs => {
+   *   diffs.forEach(diff => {
+   *     console.log(`Document "${diff._id}" has been ${diff.type}.`) // Document "1" has been added.
+   *   })
+   * })
+   *
+   * // Later...
+   * liveQuery.stop()
+   */
+  liveQuery (query = {}, projection = undefined, options = undefined) {
+    this._assertNotDropped()
     if (typeof query !== 'object' && !Array.isArray(query)) {
-      return Promise.reject(new Error('"query" must be an object'))
+      throw new Error('"query" must be an object')
     }
 
-    options = options || {}
+    return new LiveQuery(this, query, projection, options)
+  }
 
-    return Promise.resolve(this._content.filter(el => {
-      return this._elementIsValidForQuery(el, query)
-    }))
-      .then(results => {
-        const keys = Object.keys(options.sort || {})
-        if (keys.length === 0) {
-          return results
-        }
-        results = results.sort((a, b) => {
-          return this._orderByManyProperties(a, b, options.sort, keys, 0)
-        })
+  /**
+   * Open a change stream giving every change made in the collection, one event per written document :
+   * `{ _id: resumeToken, operationType, ns: { coll }, documentKey: { _id }, fullDocument, updateDescription }`
+   * (`fullDocument` only for `insert` and `update` events, `updateDescription` only for `update` events).
+   * With the `resumeAfter` (or `startAfter`) option, the stream starts with the events following the given resume token.
+   * The last `oplogSize` events of the collection are kept to be able to resume.
+   *
+   * @param {Object[]} [pipeline=[]] `$match`, `$project` and `$addFields` stages applied to each event.
+   * @param {Object} [options={}]
+   * @param {Object} [options.resumeAfter] Resume token of the last handled event.
+   * @param {Object} [options.startAfter] Same as `resumeAfter`.
+   * @param {String} [options.fullDocumentBeforeChange='off'] `'whenAvailable'` to give the document before each update or remove.
+   * @returns ChangeStream
+   * @memberof ReactiveCollection
+   * @example
+   * const stream = collection.watch([{ $match: { operationType: { $in: ['insert', 'update'] } } }])
+   * stream.on('change', event => {
+   *   console.log(event.operationType, event.fullDocument)
+   *   lastToken = event._id
+   * })
+   *
+   * // Later, get the events missed since the last handled one
+   * collection.watch([], { resumeAfter: lastToken })
+   */
+  watch (pipeline = [], options = {}) {
+    this._assertNotDropped()
+    return new ChangeStream(this._oplog, pipeline, options)
+  }
 
-        return results
-      })
-      .then(results => options.skip > 0 ? results.splice(options.skip) : results)
-      .then(results => options.limit > 0 ? results.splice(0, options.limit) : results)
-      .then(results => {
-        if (projection) {
-          const projectionKeys = Object.keys(projection)
-
-          return results.map(el => {
-            const retVal = {
-              _id: el._id,
-              ...projectionKeys.reduce((final, current) => {
-                if (projection[current]) {
-                  final[current] = el[current]
-                }
-                return final
-              }, {})
-            }
+  /**
+   * Sync the collection with a remote endpoint (see `SyncEngine`). Writes made from now on (and documents never synced)
+   * are kept in an outbox until they are pushed by `engine.sync()`, so that the app can keep working offline.
+   * The collection must belong to a database: the outbox is kept in its metadata collection.
+   * It must not give counter ids (see `db.createCollection()`): they are only unique in a database.
+   *
+   * @param {Object} transport Endpoint, with `push(collection, changes)` and `pull(collection, checkpoint, limit)` methods
+   * (see `HttpTransport` and `SyncServer`).
+   * @param {Object} [options={}]
+   * @param {String|Function} [options.conflictHandler='lastWriteWins'] Resolves a document changed both locally and remotely:
+   * `'lastWriteWins'` (the document written last), `'merge'` (the remote document with the fields changed locally)
+   * or a function called with `{ _id, local, remote, base, localUpdatedAt, remoteUpdatedAt }` which returns the document (`null` to remove it).
+   * @param {Number} [options.batchSize=100] Maximum number of documents of a push or pull request.
+   * @param {Number} [options.interval] Milliseconds between two automatic syncs. Without it, syncs are started with `engine.sync()`.
+   * @param {String} [options.metadataCollection='_sync'] Name of the collection keeping the outbox, the revisions and the checkpoint.
+   * @returns SyncEngine
+   * @memberof ReactiveCollection
+   * @example
+   * const HttpTransport = require('reactive-db-js/lib/transports/http-transport')
+   *
+   * const engine = todos.sync(new HttpTransport({ url: 'https://example.com/sync' }), {
+   *   conflictHandler: ({ local, remote }) => local && remote ? { ...remote, tags: [...new Set([...remote.tags, ...local.tags])] } : remote
+   * })
+   * await todos.insertOne({ title: 'Buy milk', tags: ['home'] }) // Kept in the outbox while offline
+   * await engine.sync()
+   */
+  sync (transport, options = {}) {
+    this._assertNotDropped()
+    return new SyncEngine(this, transport, options)
+  }
 
-            if (Object.prototype.hasOwnProperty.call(projection, '_id')) {
-              if (!projection._id) {
-                delete retVal._id
-              }
-            }
+  /**
+   * Validate the documents written in the collection with a JSON Schema (draft-07 subset, see README),
+   * given as is or as `{ $jsonSchema: schema }`. Documents already in the collection are not checked.
+   * Inserted documents, updated documents (once modified) and upserted documents must match the schema :
+   *
+   * - With the `'error'` validation action, the write is rejected with a `ValidationError` listing each failing path.
+   * - With the `'warn'` validation action, the document is written and the collection emits a `'validationWarning'` event with the `ValidationError`.
+   *
+   * The validation level tells which writes are validated: `'strict'` (every write), `'moderate'`
+   * (inserts, and updates of documents which were valid) or `'off'`.
+   *
+   * @param {Object|null} validator `null` to remove the validator.
+   * @param {Object} [options={}] Current values are kept if not given.
+   * @param {String} [options.validationLevel] `'strict'`, `'moderate'` or `'off'`.
+   * @param {String} [options.validationAction] `'error'` or `'warn'`.
+   * @returns Promise
+   * @memberof ReactiveCollection
+   * @example
+   * await collection.setValidator({
+   *   type: 'object',
+   *   required: ['name'],
+   *   properties: {
+   *     name: { type: 'string', minLength: 1 },
+   *     age: { type: 'integer', minimum: 0 }
+   *   }
+   * })
+   *
+   * collection.insertOne({ name: '', age: -1 })
+   *   .catch(error => console.log(error.errors)) // [{ path: 'name', keyword: 'minLength', ... }, { path: 'age', keyword: 'minimum', ... }]
+   */
+  setValidator (validator, options = {}) {
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      this._setValidation(validator, options)
+      resolve(this._persist({
+        operationType: 'setValidator',
+        validator: this._validator,
+        validationLevel: this._validationLevel,
+        validationAction: this._validationAction
+      }, false))
+    })
+  }
 
-            return retVal
-          })
-        } else {
-          return results
-        }
+  /**
+   * Process the documents of the collection through a pipeline of stages, like MongoDB `aggregate()`.
+   * Supported stages are `$match`, `$project`, `$addFields`, `$group`, `$sort`, `$skip`, `$limit`,
+   * `$unwind`, `$count`, `$facet` and `$lookup` (with another collection of the same database).
+   * `$group` accumulators are `$sum`, `$avg`, `$min`, `$max`, `$push`, `$addToSet`, `$first` and `$last`.
+   *
+   * Returns a `Cursor`: `sort()`, `skip()` and `limit()` add `$sort`, `$skip` and `$limit` stages at the end of the pipeline.
+   * Like `find()`, results are copies unless the `clone` option is `false`.
+   *
+   * @param {Object[]} [pipeline=[]]
+   * @param {Object} [options={}]
+   * @param {Boolean} [options.clone=true] Give copies of the results.
+   * @returns Cursor
+   * @memberof ReactiveCollection
+   * @example
+   * // Average age of superheroes, by team
+   * collection.aggregate([
+   *   { $match: { hasSuperPower: true } },
+   *   { $group: { _id: '$team', averageAge: { $avg: '$age' }, members: { $push: '$lastname' } } },
+   *   { $sort: { averageAge: -1 } }
+   * ])
+   */
+  aggregate (pipeline = [], options = {}) {
+    return new Cursor(this, ({ sort, skip, limit }) => {
+      this._assertNotDropped()
+      return aggregate(this, [
+        ...pipeline,
+        ...(sort ? [{ $sort: sort }] : []),
+        ...(skip > 0 ? [{ $skip: skip }] : []),
+        ...(limit > 0 ? [{ $limit: limit }] : [])
+      ])
+    }, { clone: options.clone })
+  }
+
+  /**
+   * Create an index on one or many fields. Indexes are used by `find()`
+   * (and so by `update()` and `remove()`) to search documents with
+   * equality, `$eq`, `$in`, `$lt`, `$lte`, `$gt` and `$gte` operators, and to sort them.
+   * Results are the same with or without index.
+   * If the same index already exists, nothing is done.
+   *
+   * With the `unique` option, inserts, updates and upserts giving two documents the same key
+   * are rejected with a `DuplicateKeyError` (and nothing is written).
+   *
+   * @param {Object} keys Fields to index with their direction (`1` for ascending, `-1` for descending).
+   * @param {Object} [options={}] Optional.
+   * @param {String} [options.name] Name of the index. Default is built from `keys`, eg. `lastname_1_age_-1`.
+   * @param {Boolean} [options.unique=false] Two documents can't have the same key.
+   * Documents without the fields have an `undefined` key.
+   * @param {Boolean} [options.sparse=false] Only index documents having at least one of the fields.
+   * @param {Object} [options.partialFilterExpression] Only index documents matching this query.
+   * Partial indexes are not used to find documents.
+   * @param {Number} [options.expireAfterSeconds] Makes a TTL index (single field only): documents are removed
+   * this number of seconds after the date of their field (the earliest date of an array).
+   * Documents without a date in the field never expire. Expired documents are removed in background,
+   * every `ttlMonitorInterval` milliseconds (see `db.createCollection()`), and watchers are notified of the removal.
+   * @returns Promise<String> name of the index
+   * @memberof ReactiveCollection
+   * @example
+   * collection.createIndex({ lastname: 1, firstname: 1 })
+   *
+   * // Uses the index
+   * collection.find({ lastname: 'PARKER' }, undefined, { sort: { lastname: 1, firstname: 1 } })
+   *
+   * // Only one document per email, documents without email are allowed
+   * collection.createIndex({ email: 1 }, { unique: true, sparse: true })
+   *
+   * // Sessions are removed one hour after their creation
+   * sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 })
+   *
+   * // Each toast is removed at its own `expireAt` date
+   * toasts.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 })
+   */
+  createIndex (keys, options = {}) {
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      const index = this._newIndex(keys, options)
+      if (!this._addIndex(index)) {
+        return resolve(index.name)
+      }
+
+      resolve(this._persist({ operationType: 'createIndex', key: index.key, options: index.options }, false).then(() => index.name))
+    })
+  }
+
+  /**
+   * Drop an index. The `_id_` index can't be dropped.
+   *
+   * @param {(String|Object)} indexNameOrKeys Name of the index, or the keys used to create it.
+   * @returns Promise
+   * @memberof ReactiveCollection
+   */
+  dropIndex (indexNameOrKeys) {
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      const index = [...this._indexes.values()].find(el => {
+        return typeof indexNameOrKeys === 'string' ? el.name === indexNameOrKeys : deepEqual(el.key, indexNameOrKeys)
       })
+
+      if (!index) {
+        throw new Error(`Index ${JSON.stringify(indexNameOrKeys)} not found`)
+      }
+
+      this._dropIndex(index.name)
+      resolve(this._persist({ operationType: 'dropIndex', name: index.name }, false))
+    })
+  }
+
+  /**
+   * Returns a promise that resolves to the description of each index of the collection
+   * (including the default `_id_` index).
+   *
+   * @returns Promise<Object[]>
+   * @memberof ReactiveCollection
+   * @example
+   * collection.listIndexes()
+   *   .then(indexes => console.log(indexes)) // [{ key: { _id: 1 }, name: '_id_' }, { key: { lastname: 1 }, name: 'lastname_1' }]
+   */
+  listIndexes () {
+    return new Promise(resolve => {
+      this._assertNotDropped()
+      resolve([
+        this._idIndexDescription(),
+        ...[...this._indexes.values()].map(index => index.describe())
+      ])
+    })
   }
 
   /**
@@ -253,6 +746,8 @@ class ReactiveCollection {
 
   /**
    * Find all documents matching a query and modify their content.
+   * Once done, the promise resolves to `{ acknowledged, matchedCount, modifiedCount, upsertedCount, upsertedId }`:
+   * `modifiedCount` only counts documents really changed, `upsertedId` is the `_id` of the upserted document (or `null`).
    *
    * @param {Object} query Specifies selection filter using query operator
    * @param {Object} replace Specifies the modifications to apply.
@@ -260,7 +755,8 @@ class ReactiveCollection {
    * See [modifyjs](https://github.com/lgandecki/modifyjs) for more infos.
    * @param {Object} [options=undefined] Optional. `limit`, `sort`, `skip` will be applied to search documents.
    * If the `upsert` option is used, create the document if no match is found.
-   * @returns Promise
+   * The `session` option gives the session of the transaction the write is part of (see `Session`).
+   * @returns Promise<Object> `{ acknowledged, matchedCount, modifiedCount, upsertedCount, upsertedId }`
    * @memberof ReactiveCollection
    * @example
    * // Modify all documents containing {hasSuperPower: true}, to add a property "isLuckyGuy" set to "true"
@@ -284,46 +780,17 @@ class ReactiveCollection {
    *   })
    */
   update (query, replace, options = undefined) {
-    return new Promise((resolve, reject) => {
+    return this._whenWritable(() => new Promise((resolve, reject) => {
       if (typeof replace !== 'object' && !Array.isArray(replace)) {
         return reject(new Error('"query" must be an object'))
       }
 
-      options = options || {}
+      this._assertNotDropped()
+      const { matchedCount, modifiedCount, upsertedId, change } = this._applyUpdate(query, replace, options || {})
+      const result = { acknowledged: true, matchedCount, modifiedCount, upsertedCount: upsertedId === null ? 0 : 1, upsertedId }
 
-      this.find(query, undefined, options)
-        .then(results => {
-          if (results.length === 0) {
-            if (options.upsert) {
-              return this.insertOne(modify(query, replace))
-            }
-            return resolve()
-          } else {
-            results.forEach((result, idx) => {
-              // Get modified result
-              const modified = modify(result, replace)
-
-              // then apply modifications to reference object
-              // (delete old properties then add new ones)
-              Object.keys(result).forEach(key => {
-                if (key !== '_id') { // Keep _id
-                  delete result[key]
-                }
-              })
-
-              Object.keys(modified).forEach(key => {
-                if (key !== '_id') { // Keep _id
-                  result[key] = modified[key]
-                }
-              })
-            })
-          }
-          this._notifyChangesForIds(results.map(el => el._id), 'update')
-        })
-        .then(() => {
-          return resolve()
-        })
-    })
+      resolve(change === null ? result : this._persist(change).then(() => result))
+    }), (options || {}).session)
   }
 
   /**
@@ -335,7 +802,7 @@ class ReactiveCollection {
    * See [modifyjs](https://github.com/lgandecki/modifyjs) for more infos.
    * @param {Object} [options=undefined] Optional. `limit`, `sort`, `skip` will be applied to search documents.
    * If the `upsert` option is used, create the document if no match is found.
-   * @returns Promise
+   * @returns Promise<Object> `{ acknowledged, matchedCount, modifiedCount, upsertedCount, upsertedId }`
    * @memberof ReactiveCollection
    */
   updateOne (query, replace, options = undefined) {
@@ -351,7 +818,7 @@ class ReactiveCollection {
    * See [modifyjs](https://github.com/lgandecki/modifyjs) for more infos.
    * @param {Object} [options=undefined] Optional. `limit`, `sort`, `skip` will be applied to search documents.
    * If the `upsert` option is used, create the document if no match is found.
-   * @returns Promise
+   * @returns Promise<Object> `{ acknowledged, matchedCount, modifiedCount, upsertedCount, upsertedId }`
    * @memberof ReactiveCollection
    */
   updateMany (query, replace, options = undefined) {
@@ -363,146 +830,1053 @@ class ReactiveCollection {
    *
    * @param {Object} [query={}] Specifies selection filter using query operator.
    * @param {Object} [options={}] Optional. Use `{justOne: true}` to remove just one document.
-   * @returns Promise
+   * The `session` option gives the session of the transaction the write is part of (see `Session`).
+   * @returns Promise<Object> `{ acknowledged, deletedCount }`
    * @memberof ReactiveCollection
    */
   remove (query = {}, options = {}) {
-    return this.find(query, undefined, options.justOne ? { limit: 1 } : undefined)
-      .then(results => {
-        const ids = []
+    return this._whenWritable(() => new Promise(resolve => {
+      this._assertNotDropped()
+      const { deletedCount, change } = this._applyRemove(query, !!options.justOne)
+      const result = { acknowledged: true, deletedCount }
 
-        results.forEach(result => {
-          const index = this._content.findIndex(el => el._id === result._id)
-
-          if (index >= 0) {
-            ids.push(result._id)
-            this._content.splice(index, 1)
-          }
-        })
+      resolve(change === null ? result : this._persist(change).then(() => result))
+    }), options.session)
+  }
 
-        this._notifyChangesForIds(ids, 'remove')
-      })
+  /**
+   * Remove the first document matching `query`.
+   *
+   * @param {Object} [query={}] Specifies selection filter using query operator.
+   * @param {Object} [options={}] Optional. Same as `collection.remove()`.
+   * @returns Promise<Object> `{ acknowledged, deletedCount }`
+   * @memberof ReactiveCollection
+   */
+  deleteOne (query = {}, options = {}) {
+    return this.remove(query, { ...options, justOne: true })
   }
 
   /**
-   * This method generate a unique id (in the current collection) for the document.
+   * Remove each document matching `query`. Same as `collection.remove()`.
    *
-   * @returns String
+   * @param {Object} [query={}] Specifies selection filter using query operator.
+   * @param {Object} [options={}] Optional. Same as `collection.remove()`.
+   * @returns Promise<Object> `{ acknowledged, deletedCount }`
    * @memberof ReactiveCollection
    */
-  _objectId () {
-    return `${this._lastId++}`
+  deleteMany (query = {}, options = {}) {
+    return this.remove(query, { ...options, justOne: false })
   }
 
   /**
+   * Run many write operations at once. Each operation is an object with one of these fields :
    *
+   * - `insertOne`: `{ document }`
+   * - `updateOne` and `updateMany`: `{ filter, update, [upsert] }`
+   * - `replaceOne`: `{ filter, replacement, [upsert] }`
+   * - `deleteOne` and `deleteMany`: `{ filter }`
    *
-   * @param {String[]} ids
-   * @param {String} operationType
+   * Operations are run in order. With `ordered: true` (default), the first failing operation stops the others.
+   * With `ordered: false`, the following operations are still run.
+   * Watchers are notified once, with the changes of every operation.
+   *
+   * The promise resolves to the counts of the writes (`insertedCount`, `matchedCount`, `modifiedCount`, `deletedCount`,
+   * `upsertedCount`), the `_id` of inserted and upserted documents by operation index (`insertedIds`, `upsertedIds`),
+   * and the `writeErrors` (`{ index, code, errmsg, op }` for each failed operation).
+   * It is rejected if an operation is not well formed (then nothing is written).
+   *
+   * @param {Object[]} operations
+   * @param {Object} [options={}]
+   * @param {Boolean} [options.ordered=true] Stop at the first failing operation.
+   * @param {Session} [options.session] Session of the transaction the write is part of (see `Session`).
+   * @returns Promise<Object>
    * @memberof ReactiveCollection
+   * @example
+   * const { insertedCount, modifiedCount, writeErrors } = await collection.bulkWrite([
+   *   { insertOne: { document: { firstname: 'Natasha', lastname: 'ROMANOFF' } } },
+   *   { updateOne: { filter: { lastname: 'STARK' }, update: { $set: { age: 48 } } } },
+   *   { deleteMany: { filter: { hasSuperPower: false } } }
+   * ], { ordered: false })
    */
-  _notifyChangesForIds (ids, operationType) {
-    if (this._notifyTimeout) {
-      clearTimeout(this._notifyTimeout)
-      this._notifyTimeout = null
-    }
-
-    const data = ids.reduce((final, current) => {
-      const updated = this._content.find(el => (el || {})._id === current)
-      if (updated) {
-        final.push({
-          collection: this._name,
-          _id: current,
-          operationType,
-          fullDocument: updated
-        })
-      } else {
-        final.push({
-          collection: this._name,
-          _id: current,
-          operationType
-        })
+  bulkWrite (operations, options = {}) {
+    return this._whenWritable(() => new Promise(resolve => {
+      this._assertNotDropped()
+      if (!Array.isArray(operations)) {
+        throw new Error('"operations" must be an array')
       }
-      return final
-    }, [])
+      operations.forEach((operation, index) => checkBulkOperation(operation, index))
 
-    this._changesToNotify = [
-      ...this._changesToNotify.filter(el => ids.indexOf(el._id) < 0),
-      ...data
-    ]
+      const ordered = options.ordered !== false
+      const result = {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        insertedIds: {},
+        upsertedIds: {},
+        writeErrors: []
+      }
+      const changes = []
 
-    this._notifyTimeout = setTimeout(() => {
-      this._watchers.forEach((callback, watcher) => {
-        callback.call(watcher, this._changesToNotify)
-      })
-      this._changesToNotify = []
-    }, 200)
-  }
+      this._pendingNotifications = []
+      try {
+        operations.some((operation, index) => {
+          const type = Object.keys(operation)[0]
 
-  _elementIsValidForQuery (elementToTest, query) {
-    // Instead of verifying that every element is matching,
-    // we search if one is not matching
-    const queryDoNotMatch = Object.keys(query).some(attribute => {
-      const currentSubQuery = query[attribute]
-
-      // Do not match if currentSubQuery isn't null
-      // and current element to test hasn't the searched property
-      if (currentSubQuery && !Object.prototype.hasOwnProperty.call(elementToTest, attribute)) {
-        return true
-      }
+          try {
+            const written = BULK_OPERATIONS[type](this, operation[type])
 
-      if (currentSubQuery && typeof currentSubQuery === 'object') {
-        // Instead of verifying that every element is matching,
-        // we search if one is not matching
-        const subQueryDoNotMatch = Object.keys(currentSubQuery).some(subAttribute => {
-          switch (subAttribute) {
-            case '$lte':
-              return elementToTest[attribute] > currentSubQuery[subAttribute]
-            case '$lt':
-              return elementToTest[attribute] >= currentSubQuery[subAttribute]
-            case '$gte':
-              return elementToTest[attribute] < currentSubQuery[subAttribute]
-            case '$gt':
-              return elementToTest[attribute] <= currentSubQuery[subAttribute]
-            case '$ne':
-              return elementToTest[attribute] === currentSubQuery[subAttribute]
-            case '$eq':
-              return elementToTest[attribute] !== currentSubQuery[subAttribute]
-            case '$in':
-              return currentSubQuery[subAttribute].indexOf(elementToTest[attribute]) < 0
-            case '$nin':
-              return currentSubQuery[subAttribute].indexOf(elementToTest[attribute]) >= 0
-            case '$exists':
-              if (currentSubQuery[subAttribute]) {
-                return elementToTest[attribute] === undefined
-              } else {
-                return elementToTest[attribute] !== undefined
+            if (type === 'insertOne') {
+              result.insertedIds[index] = written.insertedIds[0]
+              result.insertedCount++
+            } else if (type === 'deleteOne' || type === 'deleteMany') {
+              result.deletedCount += written.deletedCount
+            } else {
+              result.matchedCount += written.matchedCount
+              result.modifiedCount += written.modifiedCount
+              if (written.upsertedId !== null) {
+                result.upsertedIds[index] = written.upsertedId
+                result.upsertedCount++
               }
-            default:
-              return !this._elementIsValidForQuery(elementToTest[attribute], currentSubQuery)
+            }
+            if (written.change !== null) {
+              changes.push(written.change)
+            }
+            return false
+          } catch (error) {
+            result.writeErrors.push({ index, code: error.code, errmsg: error.message, op: operation })
+            return ordered
           }
         })
-
-        return subQueryDoNotMatch
+      } finally {
+        const notifications = this._pendingNotifications
+        this._pendingNotifications = null
+        this._notifyChanges(notifications)
       }
-      return elementToTest[attribute] !== currentSubQuery
-    })
 
-    return !queryDoNotMatch
+      resolve(Promise.all(changes.map(change => this._persist(change))).then(() => result))
+    }), options.session)
   }
 
-  _orderByManyProperties (a, b, sort, keys, keyIndex) {
-    const currentKey = keys[keyIndex]
-    if (a[currentKey] > b[currentKey]) {
-      return sort[currentKey] > 0 ? 1 : -1
-    } else if (a[currentKey] < b[currentKey]) {
-      return sort[currentKey] < 0 ? 1 : -1
-    } else if (keyIndex >= keys.length) {
-      return 0
-    } else {
-      return this._orderByManyProperties(a, b, sort, keys, keyIndex + 1)
+  /**
+   * Throws an error if the collection has been dropped.
+   *
+   * @memberof ReactiveCollection
+   */
+  _assertNotDropped () {
+    if (this._dropped) {
+      throw new Error(`Collection "${this._name}" has been dropped`)
     }
   }
+
+  /**
+   * Remove the content of the collection, notify watchers and change streams, and mark it as dropped.
+   *
+   * @memberof ReactiveCollection
+   */
+  _drop () {
+    const change = { collection: this._name, operationType: 'drop' }
+
+    this._dropped = true
+    this._content = []
+    this._documentsById = new Map()
+    this._sequences = new Map()
+    this._indexes = new Map()
+    this._validator = null
+    this._schema = null
+    this._updateTTLMonitor()
+
+    // Pending notifications are still delivered, with the drop
+    this._watchers.forEach(subscription => subscription.push([change]))
+    this._watchers.clear()
+
+    this._oplog.record([change, { collection: this._name, operationType: 'invalidate' }])
+    this._oplog.streams.forEach(stream => stream._invalidate())
+  }
+
+  /**
+   * Change the name of the collection and notify watchers and change streams.
+   *
+   * @param {String} newName
+   * @memberof ReactiveCollection
+   */
+  _rename (newName) {
+    const change = { collection: this._name, operationType: 'rename', to: newName }
+
+    this._name = newName
+    this._watchers.forEach(subscription => subscription.push([change]))
+    this._oplog.record([change])
+  }
+
+  /**
+   * Options of the collection, as given by `db.listCollections()`.
+   *
+   * @returns Object
+   * @memberof ReactiveCollection
+   */
+  _options () {
+    const options = {}
+
+    if (this._capped) {
+      options.capped = true
+      options.size = this._capped.size
+      if (this._capped.max !== undefined) {
+        options.max = this._capped.max
+      }
+    }
+    if (this._validator !== null) {
+      options.validator = deepClone(this._validator)
+      options.validationLevel = this._validationLevel
+      options.validationAction = this._validationAction
+    }
+
+    return options
+  }
+
+  /**
+   * Options and indexes of the collection, as persisted in the snapshots of the database.
+   * An `idStrategy` function can't be persisted: the collection is then restored with the id strategy of the database.
+   *
+   * @returns Object `{ options, indexes }`, indexes being given as `{ key, options }`.
+   * @memberof ReactiveCollection
+   */
+  _definition () {
+    const options = this._options()
+    if (typeof this._idStrategy === 'string') {
+      options.idStrategy = this._idStrategy
+    }
+
+    return {
+      options,
+      indexes: [...this._indexes.values()].map(index => deepClone({ key: index.key, options: index.options }))
+    }
+  }
+
+  /**
+   * Give the collection persisted options (see `collection._definition()`).
+   *
+   * @param {Object} options
+   * @memberof ReactiveCollection
+   */
+  _restoreOptions (options) {
+    if (options.idStrategy !== undefined) {
+      checkIdStrategy(options.idStrategy)
+      this._idStrategy = options.idStrategy
+    }
+    this._setValidation(options.validator || null, options)
+    this._capped = options.capped ? { size: options.size, max: options.max } : null
+  }
+
+  /**
+   * Insert `documents` (or copies of them) and notify watchers. Documents without `_id` are given one.
+   * Throws an error (and writes nothing) if a document can't be inserted.
+   *
+   * @param {Object[]} documents
+   * @param {Boolean} [clone=true] Insert copies of `documents`.
+   * @returns Object `{ insertedIds, change }`, `change` being the change to persist.
+   * @memberof ReactiveCollection
+   */
+  _applyInsert (documents, clone = true) {
+    if (clone) {
+      documents = documents.map(deepClone)
+    }
+
+    let badId = null
+    const lastId = this._lastId
+    const ids = new Set()
+    const isUsed = id => this._documentsById.has(id) || ids.has(id)
+
+    documents.forEach(obj => {
+      if (obj._id === undefined) {
+        obj._id = this._objectId(obj)
+        // Documents may have been inserted with an `_id` given by the counter
+        while (this._idStrategy === 'counter' && isUsed(obj._id)) {
+          obj._id = this._objectId(obj)
+        }
+      }
+      if (isUsed(obj._id)) {
+        badId = obj._id
+      }
+      ids.add(obj._id)
+    })
+
+    // Counter ids are only taken once the documents can be inserted
+    const error = badId !== null
+      ? new Error(`An object with _id ${badId} already exist in this collection`)
+      : this._checkCapped(documents) || this._checkUniqueIndexes(documents) || this._checkValidator(documents)
+    if (error) {
+      this._lastId = lastId
+      throw error
+    }
+
+    this._addDocuments(documents)
+    this._notifyChangesForIds([...ids], 'insert')
+
+    const change = { operationType: 'insert', documents, lastId: this._lastId }
+    const evictedIds = this._evictOldest()
+    if (evictedIds.length > 0) {
+      change.evictedIds = evictedIds
+    }
+
+    return { insertedIds: [...ids], change }
+  }
+
+  /**
+   * Give the document `id` the content of `doc` (or remove it if `doc` is `undefined`) and notify watchers.
+   * Used to undo and redo writes (see `History`), and to write documents received from other databases
+   * (see `Replication` and `SyncEngine`). Nothing is written if the document already has this content.
+   * Throws an error (and writes nothing) if the document can't be written.
+   *
+   * @param {Any} id
+   * @param {Object} [doc]
+   * @returns Object|null The change to persist.
+   * @memberof ReactiveCollection
+   */
+  _setDocument (id, doc) {
+    const exists = this._documentsById.has(id)
+
+    if (doc === undefined) {
+      return exists ? this._applyRemove({ _id: id }, true).change : null
+    } else if (!exists) {
+      return this._applyInsert([doc]).change
+    }
+
+    if (deepEqual(this._documentsById.get(id), { ...doc, _id: id })) {
+      return null
+    }
+
+    const { _id, ...replacement } = doc
+    return this._applyUpdate({ _id: id }, replacement, {}).change
+  }
+
+  /**
+   * Start the periodic removal of expired documents if the collection has a TTL index, stop it otherwise.
+   *
+   * @memberof ReactiveCollection
+   */
+  _updateTTLMonitor () {
+    const hasTTLIndex = [...this._indexes.values()].some(index => index.isTTL)
+
+    if (hasTTLIndex && this._ttlMonitor === null) {
+      this._ttlMonitor = setInterval(() => {
+        // Expired documents restored after a failed write are removed again by a later sweep
+        this._removeExpired().catch(() => {})
+      }, this._ttlMonitorInterval)
+      if (typeof this._ttlMonitor.unref === 'function') {
+        this._ttlMonitor.unref() // Node.js processes don't wait for the next sweep to exit
+      }
+    } else if (!hasTTLIndex && this._ttlMonitor !== null) {
+      clearInterval(this._ttlMonitor)
+      this._ttlMonitor = null
+    }
+  }
+
+  /**
+   * Remove the documents expired at `now` according to the TTL indexes, and notify watchers.
+   *
+   * @param {Number} [now=Date.now()] Time in milliseconds.
+   * @returns Promise<Number> Number of removed documents, once the removal is persisted.
+   * @memberof ReactiveCollection
+   */
+  _removeExpired (now = Date.now()) {
+    return this._whenWritable(() => {
+      const ids = [...this._indexes.values()]
+        .filter(index => index.isTTL)
+        .reduce((final, index) => [...final, ...index.expiredIds(now).filter(id => final.indexOf(id) < 0)], [])
+
+      if (ids.length === 0) {
+        return Promise.resolve(0)
+      }
+
+      const removed = ids.map(id => this._documentsById.get(id))
+      this._removeDocuments(ids)
+      this._notifyChangesForIds(ids, 'remove', removed)
+
+      return this._persist({ operationType: 'remove', ids }).then(() => ids.length)
+    })
+  }
+
+  /**
+   * Remove the oldest documents of a capped collection (in insertion order)
+   * until it has at most `max` documents and `size` bytes, and notify watchers.
+   *
+   * @returns Any[] `_id` of the removed documents.
+   * @memberof ReactiveCollection
+   */
+  _evictOldest () {
+    if (this._capped === null) {
+      return []
+    }
+
+    const { size, max = Infinity } = this._capped
+    let count = this._content.length
+    let totalSize = this._content.reduce((total, doc) => total + documentSize(doc), 0)
+    const evicted = []
+
+    while (count > max || totalSize > size) {
+      const doc = this._content[evicted.length]
+      evicted.push(doc)
+      count--
+      totalSize -= documentSize(doc)
+    }
+
+    const ids = evicted.map(el => el._id)
+    this._removeDocuments(ids)
+    this._notifyChangesForIds(ids, 'remove', evicted)
+
+    return ids
+  }
+
+  /**
+   * Modify the documents matching `query` (or insert one with the `upsert` option) and notify watchers
+   * of the documents whose content changed. Throws an error (and writes nothing) if a modified document can't be written.
+   *
+   * @param {Object} query
+   * @param {Object} replace
+   * @param {Object} options `sort`, `skip`, `limit` and `upsert`.
+   * @returns Object `{ matchedCount, modifiedCount, upsertedId, change }`, `change` being the change to persist (or `null`).
+   * @memberof ReactiveCollection
+   */
+  _applyUpdate (query, replace, options) {
+    const results = this._select(query, options)
+
+    if (results.length === 0) {
+      if (!options.upsert) {
+        return { matchedCount: 0, modifiedCount: 0, upsertedId: null, change: null }
+      }
+
+      const { insertedIds, change } = this._applyInsert([deepClone(modify(equalityFields(query), replace))], false)
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: insertedIds[0], change }
+    }
+
+    // Modified documents can share values with `replace`
+    const updates = results
+      .map(result => {
+        const modified = { _id: result._id, ...deepClone(modify(result, replace)) }
+        modified._id = result._id // Keep _id
+        return [result, modified]
+      })
+      .filter(([result, modified]) => !deepEqual(modified, result))
+    const previousDocuments = updates.map(([result]) => result)
+    const modifiedDocuments = updates.map(([, modified]) => modified)
+
+    if (modifiedDocuments.length === 0) {
+      return { matchedCount: results.length, modifiedCount: 0, upsertedId: null, change: null }
+    }
+
+    // Modifications are applied only if every modified document is valid
+    const duplicateKeyError = this._checkUniqueIndexes(modifiedDocuments, previousDocuments.map(el => el._id))
+    if (duplicateKeyError) {
+      throw duplicateKeyError
+    }
+
+    const validationError = this._checkValidator(modifiedDocuments, previousDocuments)
+    if (validationError) {
+      throw validationError
+    }
+
+    this._replaceDocuments(modifiedDocuments)
+    this._notifyChangesForIds(modifiedDocuments.map(el => el._id), 'update', previousDocuments)
+
+    return {
+      matchedCount: results.length,
+      modifiedCount: modifiedDocuments.length,
+      upsertedId: null,
+      change: { operationType: 'update', documents: modifiedDocuments }
+    }
+  }
+
+  /**
+   * Remove the documents matching `query` and notify watchers.
+   *
+   * @param {Object} query
+   * @param {Boolean} justOne Only remove the first matching document.
+   * @returns Object `{ deletedCount, change }`, `change` being the change to persist (or `null`).
+   * @memberof ReactiveCollection
+   */
+  _applyRemove (query, justOne) {
+    const results = this._select(query, justOne ? { limit: 1 } : undefined)
+    const ids = results.map(el => el._id)
+    if (ids.length === 0) {
+      return { deletedCount: 0, change: null }
+    }
+
+    this._removeDocuments(ids)
+    this._notifyChangesForIds(ids, 'remove', results)
+
+    return { deletedCount: ids.length, change: { operationType: 'remove', ids } }
+  }
+
+  /**
+   * Synchronously get the documents matching `query`,
+   * sorted, skipped and limited according to `options`.
+   *
+   * @param {Object} query
+   * @param {Object} [options={}]
+   * @returns Object[]
+   * @memberof ReactiveCollection
+   */
+  _select (query, options) {
+    options = options || {}
+    validateQuery(query)
+
+    const keys = Object.keys(options.sort || {})
+    const candidates = this._candidates(query)
+    const sortIndex = candidates === null && keys.length > 0
+      ? [...this._indexes.values()].find(index => index.canSort(options.sort))
+      : undefined
+    const documents = sortIndex ? sortIndex.sorted(options.sort) : (candidates || this._content)
+
+    let results = documents.filter(el => {
+      return this._elementIsValidForQuery(el, query)
+    })
+
+    if (keys.length > 0 && !sortIndex) {
+      results = results.sort((a, b) => {
+        return this._orderByManyProperties(a, b, options.sort, keys, 0)
+      })
+    }
+
+    if (options.skip > 0) {
+      results = results.splice(options.skip)
+    }
+
+    if (options.limit > 0) {
+      results = results.splice(0, options.limit)
+    }
+
+    return results
+  }
+
+  /**
+   * Documents that may match `query` (in collection order), found with the indexes.
+   * Returns `null` if no index can be used.
+   *
+   * @param {Object} query
+   * @returns Object[]|null
+   * @memberof ReactiveCollection
+   */
+  _candidates (query) {
+    const id = query._id
+    if (Object.prototype.hasOwnProperty.call(query, '_id') && (id === null || typeof id !== 'object' || id instanceof ObjectId)) {
+      return this._documentsById.has(id) ? [this._documentsById.get(id)] : []
+    }
+
+    return [...this._indexes.values()].reduce((final, index) => {
+      const candidates = index.find(query)
+      return candidates !== null && (final === null || candidates.length < final.length) ? candidates : final
+    }, null)
+  }
+
+  /**
+   * Add documents at the end of the collection. They are frozen, to be shared with watchers and results.
+   *
+   * @param {Object[]} documents
+   * @memberof ReactiveCollection
+   */
+  _addDocuments (documents) {
+    this._beforeWrite()
+    documents.forEach(doc => {
+      deepFreeze(doc)
+      const seq = this._nextSequence++
+      this._documentsById.set(doc._id, doc)
+      this._sequences.set(doc._id, seq)
+      this._indexes.forEach(index => index.insert(doc, seq))
+    })
+
+    this._content = [...this._content, ...documents]
+  }
+
+  /**
+   * Remove documents from the collection.
+   *
+   * @param {Any[]} ids
+   * @memberof ReactiveCollection
+   */
+  _removeDocuments (ids) {
+    ids = ids.filter(id => this._documentsById.has(id))
+    if (ids.length === 0) {
+      return
+    }
+
+    this._beforeWrite()
+
+    ids.forEach(id => {
+      this._documentsById.delete(id)
+      this._sequences.delete(id)
+      this._indexes.forEach(index => index.remove(id))
+    })
+
+    const removedIds = new Set(ids)
+    this._content = this._content.filter(el => !removedIds.has(el._id))
+  }
+
+  /**
+   * Replace documents with new versions having the same `_id`.
+   * Documents keep their position in the collection, and are frozen.
+   *
+   * @param {Object[]} documents
+   * @memberof ReactiveCollection
+   */
+  _replaceDocuments (documents) {
+    if (documents.length === 0) {
+      return
+    }
+
+    this._beforeWrite()
+    const replacements = new Map(documents.map(doc => [doc._id, doc]))
+
+    documents.forEach(doc => {
+      deepFreeze(doc)
+      this._documentsById.set(doc._id, doc)
+      this._indexes.forEach(index => index.update(doc, this._sequences.get(doc._id)))
+    })
+
+    this._content = this._content.map(el => replacements.has(el._id) ? replacements.get(el._id) : el)
+  }
+
+  /**
+   * Call `write` once the collection can be written: writes made outside of the transaction in progress
+   * wait for its end (see `ReactiveDatabase._whenWritable()`).
+   *
+   * @param {Function} write Returns a `Promise`.
+   * @param {Session} [session=undefined] Session given to the write.
+   * @returns Promise
+   * @memberof ReactiveCollection
+   */
+  _whenWritable (write, session = undefined) {
+    return this._database ? this._database._whenWritable(write, session) : write()
+  }
+
+  /**
+   * Let the database save the state of the collection before it is modified during a transaction.
+   *
+   * @memberof ReactiveCollection
+   */
+  _beforeWrite () {
+    if (this._database) {
+      this._database._beforeWrite(this)
+    }
+  }
+
+  /**
+   * Current content of the collection, to be restored with `_restoreState()`.
+   *
+   * @returns Object
+   * @memberof ReactiveCollection
+   */
+  _saveState () {
+    return {
+      content: this._content,
+      sequences: new Map(this._sequences),
+      nextSequence: this._nextSequence,
+      lastId: this._lastId
+    }
+  }
+
+  /**
+   * Restore the content saved by `_saveState()`. Indexes are rebuilt.
+   *
+   * @param {Object} state
+   * @memberof ReactiveCollection
+   */
+  _restoreState (state) {
+    this._content = state.content
+    this._documentsById = new Map(state.content.map(doc => [doc._id, doc]))
+    this._sequences = state.sequences
+    this._nextSequence = state.nextSequence
+    this._lastId = state.lastId
+    this._indexes.forEach(index => index.build(this._content.map(doc => [doc, this._sequences.get(doc._id)])))
+  }
+
+  /**
+   * Check and set the validator, validation level and validation action.
+   *
+   * @param {Object|null} validator
+   * @param {Object} options
+   * @memberof ReactiveCollection
+   */
+  _setValidation (validator, { validationLevel = this._validationLevel, validationAction = this._validationAction }) {
+    const schema = validator === null ? null : compileSchema(schemaOf(validator))
+    if (VALIDATION_LEVELS.indexOf(validationLevel) < 0) {
+      throw new Error('"validationLevel" must be "off", "strict" or "moderate"')
+    }
+    if (VALIDATION_ACTIONS.indexOf(validationAction) < 0) {
+      throw new Error('"validationAction" must be "error" or "warn"')
+    }
+
+    this._validator = validator
+    this._schema = schema
+    this._validationLevel = validationLevel
+    this._validationAction = validationAction
+  }
+
+  /**
+   * Check that new `documents` fit in the capped collection (together, once its oldest documents are removed),
+   * so that an insert never removes the documents it inserts.
+   * Returns an `Error` if they don't, `null` otherwise.
+   *
+   * @param {Object[]} documents
+   * @returns Error|null
+   * @memberof ReactiveCollection
+   */
+  _checkCapped (documents) {
+    if (this._capped === null) {
+      return null
+    }
+
+    const { size, max = Infinity } = this._capped
+    if (documents.length > max) {
+      return new Error(`Can't insert more than ${max} documents in capped collection "${this._name}"`)
+    }
+    if (documents.reduce((total, doc) => total + documentSize(doc), 0) > size) {
+      return new Error(`Documents are larger than the size of capped collection "${this._name}"`)
+    }
+
+    return null
+  }
+
+  /**
+   * Check that `documents` (new or modified versions of existing documents) match the validator.
+   * Returns a `ValidationError` for the first invalid document, `null` otherwise.
+   * With the `'warn'` validation action, a `'validationWarning'` event is emitted for each invalid document instead.
+   *
+   * @param {Object[]} documents
+   * @param {Object[]} [previousDocuments=[]] Documents before their update, in the same order.
+   * @returns ValidationError|null
+   * @memberof ReactiveCollection
+   */
+  _checkValidator (documents, previousDocuments = []) {
+    if (this._validator === null || this._validationLevel === 'off') {
+      return null
+    }
+
+    const schema = this._schema
+    const errors = documents
+      .filter((doc, idx) => {
+        // With the "moderate" level, documents which were already invalid can be updated freely
+        const previous = previousDocuments[idx]
+        return this._validationLevel !== 'moderate' || previous === undefined || validate(previous, schema).length === 0
+      })
+      .map(doc => [doc, validate(doc, schema)])
+      .filter(([, failures]) => failures.length > 0)
+      .map(([doc, failures]) => new ValidationError(this._name, doc, failures))
+
+    if (this._validationAction === 'warn') {
+      errors.forEach(error => this.emit('validationWarning', error))
+      return null
+    }
+
+    return errors.length > 0 ? errors[0] : null
+  }
+
+  /**
+   * Check that `documents` (new or modified versions of existing documents)
+   * can be written without breaking a unique index.
+   * Returns a `DuplicateKeyError` for the first conflict, `null` otherwise.
+   *
+   * @param {Object[]} documents
+   * @param {Any[]} [replacedIds=[]] `_id` of the documents that will be replaced.
+   * @returns DuplicateKeyError|null
+   * @memberof ReactiveCollection
+   */
+  _checkUniqueIndexes (documents, replacedIds = []) {
+    const ignoredIds = new Set(replacedIds)
+    const uniqueIndexes = [...this._indexes.values()].filter(index => index.options.unique)
+
+    let error = null
+
+    uniqueIndexes.some(index => {
+      const keys = new Set()
+
+      return documents.some(doc => {
+        if (!index.covers(doc)) {
+          return false
+        }
+
+        const key = index.keyString(doc)
+        if (keys.has(key) || index.findDuplicate(doc, ignoredIds)) {
+          error = new DuplicateKeyError(this._name, index.name, index.keyValue(doc))
+          return true
+        }
+
+        keys.add(key)
+        return false
+      })
+    })
+
+    return error
+  }
+
+  _idIndexDescription () {
+    return { key: { _id: 1 }, name: '_id_' }
+  }
+
+  /**
+   * Create an index of the documents of the collection (see `collection.createIndex()`), without building it.
+   *
+   * @param {Object} keys
+   * @param {Object} options
+   * @returns CollectionIndex
+   * @memberof ReactiveCollection
+   */
+  _newIndex (keys, options) {
+    return new CollectionIndex(keys, options, (doc, query) => this._elementIsValidForQuery(doc, query))
+  }
+
+  /**
+   * Build `index` and add it to the indexes of the collection.
+   * Returns `false` if an index with the same name and keys exists.
+   * Throws an error (and adds nothing) if another index has this name, or if a unique index finds a duplicate key.
+   *
+   * @param {CollectionIndex} index
+   * @returns Boolean
+   * @memberof ReactiveCollection
+   */
+  _addIndex (index) {
+    const existing = index.name === '_id_' ? this._idIndexDescription() : this._indexes.get(index.name)
+
+    if (existing) {
+      if (!deepEqual(existing.key, index.key)) {
+        throw new Error(`An index named "${index.name}" already exists with different keys`)
+      }
+      return false
+    }
+
+    const duplicate = index.build(this._content.map(doc => [doc, this._sequences.get(doc._id)]))
+    if (duplicate) {
+      throw new DuplicateKeyError(this._name, index.name, index.keyValue(duplicate))
+    }
+
+    this._indexes.set(index.name, index)
+    this._updateTTLMonitor()
+
+    return true
+  }
+
+  /**
+   * Remove the index `name`.
+   *
+   * @param {String} name
+   * @memberof ReactiveCollection
+   */
+  _dropIndex (name) {
+    this._indexes.delete(name)
+    this._updateTTLMonitor()
+  }
+
+  /**
+   * Apply `projection` to a document.
+   *
+   * @param {Object} el
+   * @param {Object} projection
+   * @returns Object
+   * @memberof ReactiveCollection
+   */
+  _project (el, projection) {
+    const fields = Object.keys(projection).filter(field => field !== '_id')
+    const isExcluded = Object.prototype.hasOwnProperty.call(projection, '_id') && !projection._id
+
+    // Without any included field, the projection only excludes fields
+    if (fields.every(field => !projection[field])) {
+      const retVal = deepClone(el)
+      fields.forEach(field => deletePath(retVal, field))
+      if (isExcluded) {
+        delete retVal._id
+      }
+      return retVal
+    }
+
+    const retVal = isExcluded ? {} : { _id: el._id }
+    fields.forEach(field => {
+      if (projection[field]) {
+        includePath(retVal, el, field)
+      }
+    })
+
+    return retVal
+  }
+
+  /**
+   * Send a change to the database persistence adapter (if any).
+   * The returned promise resolves once the change is durable
+   * if the database uses `durability: 'sync'`.
+   *
+   * @param {Object} change
+   * @param {Boolean} [transactional=true] See `db._persist()`.
+   * @returns Promise
+   * @memberof ReactiveCollection
+   */
+  _persist (change, transactional = true) {
+    if (!this._database) {
+      return Promise.resolve()
+    }
+
+    return this._database._persist({ collection: this._name, ...change }, transactional)
+  }
+
+  /**
+   * Apply a persisted change without persisting or notifying it.
+   * Used to restore the collection content from a persistence adapter.
+   *
+   * @param {Object} change
+   * @returns Any[] ids of the documents affected by the change
+   * @memberof ReactiveCollection
+   */
+  _replay (change) {
+    switch (change.operationType) {
+      case 'insert':
+      case 'update':
+        this._replaceDocuments(change.documents.filter(doc => this._documentsById.has(doc._id)))
+        this._addDocuments(change.documents.filter(doc => !this._documentsById.has(doc._id)))
+        if (change.lastId > this._lastId) {
+          this._lastId = change.lastId
+        }
+        // Documents evicted from a capped collection by the insert
+        this._removeDocuments(change.evictedIds || [])
+        return change.documents.map(el => el._id)
+      case 'remove':
+        this._removeDocuments(change.ids)
+        return change.ids
+      case 'createCollection':
+        this._restoreOptions(change.options)
+        return []
+      case 'createIndex':
+        this._addIndex(this._newIndex(change.key, change.options))
+        return []
+      case 'dropIndex':
+        this._dropIndex(change.name)
+        return []
+      case 'setValidator':
+        this._setValidation(change.validator, change)
+        return []
+      default:
+        throw new Error(`Unknown operation type "${change.operationType}"`)
+    }
+  }
+
+  /**
+   * Generate an `_id` for `doc` with the id strategy of the collection.
+   * Counter ids are only unique in the collection.
+   *
+   * @param {Object} doc
+   * @returns Any
+   * @memberof ReactiveCollection
+   */
+  _objectId (doc) {
+    return this._idStrategy === 'counter' ? `${this._lastId++}` : generateId(this._idStrategy, doc)
+  }
+
+  /**
+   * Add the changes of documents `ids` to the pending notifications of each watcher,
+   * to be delivered according to the scheduling of its subscription.
+   * Watchers with a filter are only given changes of documents matching it before or after the change.
+   * Updates describe the changed fields (`updateDescription`).
+   *
+   * @param {String[]} ids
+   * @param {String} operationType
+   * @param {Object[]} [previousDocuments=[]] Documents before the change (for updates and removes).
+   * @memberof ReactiveCollection
+   */
+  _notifyChangesForIds (ids, operationType, previousDocuments = []) {
+    if (this._database && this._database._delayNotification(this, ids, operationType, previousDocuments)) {
+      return
+    }
+
+    const previousById = new Map(previousDocuments.map(doc => [doc._id, doc]))
+    const data = ids.map(id => {
+      const change = { collection: this._name, _id: id, operationType }
+      if (this._documentsById.has(id)) {
+        change.fullDocument = this._documentsById.get(id)
+      }
+      if (previousById.has(id)) {
+        change.fullDocumentBeforeChange = previousById.get(id)
+      }
+      if (operationType === 'update') {
+        change.updateDescription = describeUpdate(change.fullDocumentBeforeChange, change.fullDocument)
+      }
+      return change
+    })
+
+    // During a bulk write, watchers are notified once every operation is done
+    if (this._pendingNotifications !== null) {
+      this._pendingNotifications.push(...data)
+      return
+    }
+
+    this._notifyChanges(data)
+  }
+
+  /**
+   * Give `changes` to the oplog, to the watchers of the collection and to the database.
+   *
+   * @param {Object[]} changes
+   * @memberof ReactiveCollection
+   */
+  _notifyChanges (changes) {
+    if (changes.length === 0) {
+      return
+    }
+
+    this._oplog.record(changes)
+    this._watchers.forEach(subscription => subscription.push(changes))
+    if (this._database) {
+      this._database._notifyChanges(changes)
+    }
+  }
+
+  _elementIsValidForQuery (elementToTest, query) {
+    return matches(elementToTest, query)
+  }
+
+  _orderByManyProperties (a, b, sort, keys, keyIndex) {
+    if (keyIndex >= keys.length) {
+      return 0
+    }
+
+    const currentKey = keys[keyIndex]
+    const valueA = getPath(a, currentKey)
+    const valueB = getPath(b, currentKey)
+    if (valueA > valueB) {
+      return sort[currentKey] > 0 ? 1 : -1
+    } else if (valueA < valueB) {
+      return sort[currentKey] < 0 ? 1 : -1
+    } else {
+      return this._orderByManyProperties(a, b, sort, keys, keyIndex + 1)
+    }
+  }
+}
+
+// Approximate size of a document, in bytes of its JSON form
+function documentSize (doc) {
+  return JSON.stringify(doc).length
+}
+
+// A validator is a JSON Schema, or `{ $jsonSchema: schema }` like in MongoDB
+function schemaOf (validator) {
+  return validator && validator.$jsonSchema !== undefined ? validator.$jsonSchema : validator
+}
+
+// Throws an error if `operation` is not a well formed operation of `collection.bulkWrite()`
+function checkBulkOperation (operation, index) {
+  const types = Object.keys(BULK_OPERATIONS)
+  const type = isPlainObject(operation) && Object.keys(operation).length === 1 ? Object.keys(operation)[0] : undefined
+
+  if (types.indexOf(type) < 0) {
+    throw new Error(`Operation ${index} must have one field among ${types.map(el => `"${el}"`).join(', ')}`)
+  }
+
+  const model = operation[type]
+  BULK_MODEL_FIELDS[type].forEach(field => {
+    if (!isPlainObject(model) || !isPlainObject(model[field])) {
+      throw new Error(`"${field}" of ${type} operation ${index} must be an object`)
+    }
+  })
+
+  if (type === 'replaceOne' && Object.keys(model.replacement).some(key => key.startsWith('$'))) {
+    throw new Error(`"replacement" of replaceOne operation ${index} can't use update operators`)
+  }
 }
 
 module.exports = ReactiveCollection
@@ -1,14 +1,34 @@
+// Not available outside of Node.js (eg. in browsers): writes are then part of a transaction only when given its session
+let AsyncLocalStorage = null
+try {
+  AsyncLocalStorage = require('async_hooks').AsyncLocalStorage || null
+} catch (error) {
+  AsyncLocalStorage = null
+}
 const ReactiveCollection = require('./reactive-collection')
+const Session = require('./session')
+const History = require('./history')
+const Replication = require('./replication')
+const Oplog = require('./oplog')
+const Subscription = require('./subscription')
+const ChangeStream = require('./change-stream')
+const { normalizeScheduling } = require('./notification-scheduler')
+const { matches, validateQuery } = require('./query-matcher')
+const { checkIdStrategy } = require('./id-strategies')
+const { deepClone } = require('./helpers')
 
 /**
  * ReactiveDatabase is a reactive database. Each updates
  * made on one of its collections content triggers a notification.
- * The BDD content is not persisted to disk.
- * If the app is restarted, all content will be lost.
- * Data are not indexed. So you should not use it for large collection set
- * (but everything is in RAM, so it should still be quite fast).
+ * By default, the BDD content is not persisted to disk.
+ * If the app is restarted, all content will be lost, unless a persistence
+ * `adapter` is given to the constructor (see `lib/adapters/file-adapter.js`).
+ * Data are not indexed unless `collection.createIndex()` is used. So you should not use it
+ * for large collection set (but everything is in RAM, so it should still be quite fast).
  * Query system is based on MongoDB syntax.
- * Notifications are sent through a subscription mecanism.
+ * Writes on many collections can be made atomic with transactions (see `db.transaction()`).
+ * Notifications are sent through a subscription mecanism, for one collection (`collection.subscribe()`)
+ * or for every collection (`db.subscribe()`).
  *
  * @example
  * const db = new ReactiveDatabase()
@@ -82,18 +102,118 @@ const ReactiveCollection = require('./reactive-collection')
  * @class ReactiveDatabase
  */
 class ReactiveDatabase {
-  constructor () {
-    this.collections = {}
+  /**
+   * Creates an instance of ReactiveDatabase.
+   *
+   * @param {Object} [options={}]
+   * @param {Object} [options.adapter] Persistence adapter. Must implement `load()`, `append(change)` and `compact(snapshot)`.
+   * @param {String} [options.durability='async'] With `'sync'`, writes promises are resolved once the adapter has persisted the change.
+   * With `'async'`, changes are persisted in background (in the same order).
+   * @param {Number} [options.compactEvery=1000] Number of persisted changes after which the adapter is asked to compact its content.
+   * @param {Number} [options.oplogSize=1000] Number of change events kept by the database and by each collection for change streams to resume.
+   * @param {String|Object|Function} [options.scheduling={ debounce: 200 }] When watchers are notified (see `collection.subscribe()`).
+   * @param {String|Function} [options.idStrategy='counter'] How `_id` of inserted documents are generated by default:
+   * `'counter'`, `'objectId'`, `'uuidv4'`, `'uuidv7'` or a function called with the document (see `db.createCollection()`).
+   * @param {Number} [options.ttlMonitorInterval=60000] Milliseconds between two removals of expired documents
+   * in the collections having a TTL index (see `collection.createIndex()`).
+   * @memberof ReactiveDatabase
+   */
+  constructor (options = {}) {
+    if (options.durability !== undefined && ['sync', 'async'].indexOf(options.durability) < 0) {
+      throw new Error('"durability" must be "sync" or "async"')
+    }
+
+    this._collections = {}
+    this._adapter = options.adapter || null
+    this._durability = options.durability || 'async'
+    this._compactEvery = options.compactEvery || 1000
+    this._oplogSize = options.oplogSize || 1000
+    this._scheduling = options.scheduling
+    if (this._scheduling !== undefined) {
+      normalizeScheduling(this._scheduling) // Throws if invalid
+    }
+    this._idStrategy = options.idStrategy === undefined ? 'counter' : options.idStrategy
+    checkIdStrategy(this._idStrategy)
+    this._ttlMonitorInterval = options.ttlMonitorInterval
+    this._sequence = 0
+    this._changesSinceCompaction = 0
+    this._pendingWrites = Promise.resolve()
+    this._persistenceError = null
+    this._transaction = null
+    this._transactionQueue = Promise.resolve()
+    this._transactionContext = AsyncLocalStorage ? new AsyncLocalStorage() : null
+    this._watchers = new Map()
+    this._oplog = new Oplog(this._oplogSize)
+    this._changeSequence = 0
+    this._history = null
+    this._replications = []
   }
 
   /**
-   *Only for compatibility with MongoDB API. `db.connect()` just return a resolved `Promise`.
+   * Without persistence adapter, `db.connect()` just return a resolved `Promise` (for compatibility with MongoDB API).
+   * Otherwise, the content saved by the adapter is loaded in the collections.
+   * Watchers are notified of loaded documents as inserted documents.
    *
    * @returns Promise
    * @memberof ReactiveDatabase
    */
   connect () {
-    return Promise.resolve()
+    if (!this._adapter) {
+      return Promise.resolve()
+    }
+
+    return Promise.resolve(this._adapter.load())
+      .then(state => this._restore(state || {}))
+  }
+
+  /**
+   * Wait for background writes to be persisted, then close the persistence adapter.
+   * The promise is rejected if a background write has failed.
+   *
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  close () {
+    return this._pendingWrites
+      .then(() => {
+        if (this._persistenceError) {
+          const error = this._persistenceError
+          this._persistenceError = null
+          throw error
+        }
+
+        if (this._adapter && typeof this._adapter.close === 'function') {
+          return this._adapter.close()
+        }
+      })
+  }
+
+  /**
+   * Ask the persistence adapter to replace its change log with a snapshot of the current content.
+   *
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  compact () {
+    if (!this._adapter) {
+      return Promise.resolve()
+    }
+
+    const write = this._pendingWrites.then(() => this._compact())
+    this._pendingWrites = write.catch(() => {})
+
+    return write
+  }
+
+  /**
+   * Collections of the database, by name. This object is a frozen copy:
+   * use `db.createCollection()`, `db.dropCollection()` and `collection.rename()` to change collections.
+   *
+   * @readonly
+   * @memberof ReactiveDatabase
+   */
+  get collections () {
+    return Object.freeze({ ...this._collections })
   }
 
   /**
@@ -103,7 +223,7 @@ class ReactiveDatabase {
    * @memberof ReactiveDatabase
    */
   showCollections () {
-    return Object.keys(this.collections)
+    return Object.keys(this._collections)
   }
 
   /**
@@ -112,15 +232,712 @@ class ReactiveDatabase {
    * The other times, the collection will just be returned.
    *
    * @param {String} name Name of the collection to get.
+   * @param {Object} [options={}] Used when the collection is created (see `db.createCollection()`).
    * @returns
    * @memberof ReactiveDatabase
    */
-  getCollection (name) {
-    if (this.collections[name] === undefined) {
-      this.collections[name] = new ReactiveCollection(name)
+  getCollection (name, options = {}) {
+    if (this._collections[name] === undefined) {
+      this._createCollection(name, options)
+      if (Object.keys(options).length > 0) {
+        this._persistCreation(name)
+          .catch(error => {
+            this._persistenceError = this._persistenceError || error
+          })
+      }
+    }
+
+    return this._collections[name]
+  }
+
+  /**
+   * Create the collection `name`. The promise is rejected if it already exists.
+   *
+   * @param {String} name
+   * @param {Object} [options={}]
+   * @param {String|Object|Function} [options.scheduling] When watchers are notified. Default is the scheduling of the database.
+   * @param {Object} [options.validator] JSON Schema of the documents (see `collection.setValidator()`).
+   * @param {String} [options.validationLevel='strict'] `'strict'`, `'moderate'` or `'off'`.
+   * @param {String} [options.validationAction='error'] `'error'` or `'warn'`.
+   * @param {String|Function} [options.idStrategy] How `_id` of inserted documents are generated. Default is the id strategy of the database.
+   * `'counter'` gives `'0'`, `'1'`, ... (unique in the collection only), `'objectId'` gives `ObjectId` instances,
+   * `'uuidv4'` random UUIDs and `'uuidv7'` time ordered UUIDs. A function is called with the document and returns its `_id`.
+   * @param {Boolean} [options.capped=false] When the collection is full, inserts remove its oldest documents (in insertion order).
+   * Watchers are notified of these removals.
+   * @param {Number} [options.size] Maximum size of a capped collection, in bytes of the JSON form of its documents. Required with `capped`.
+   * @param {Number} [options.max] Maximum number of documents of a capped collection.
+   * @param {Number} [options.ttlMonitorInterval] Default is the one of the database.
+   * @returns Promise<ReactiveCollection>
+   * @memberof ReactiveDatabase
+   * @example
+   * const users = await db.createCollection('users', {
+   *   validator: { $jsonSchema: { required: ['email'], properties: { email: { type: 'string' } } } },
+   *   validationAction: 'warn'
+   * })
+   * const events = await db.createCollection('events', { idStrategy: 'uuidv7' })
+   * const logs = await db.createCollection('logs', { capped: true, size: 100000, max: 500 })
+   */
+  createCollection (name, options = {}) {
+    return new Promise(resolve => {
+      if (this._collections[name] !== undefined) {
+        throw new Error(`Collection "${name}" already exists`)
+      }
+
+      const collection = this._createCollection(name, options)
+      resolve(this._persistCreation(name).then(() => collection))
+    })
+  }
+
+  /**
+   * Drop the collection `name` (see `collection.drop()`). Watchers of the database are notified with a `drop` change.
+   *
+   * @param {String} name
+   * @returns Promise<Boolean> `false` if the collection doesn't exist.
+   * @memberof ReactiveDatabase
+   */
+  dropCollection (name) {
+    return this._whenWritable(() => new Promise(resolve => {
+      const collection = this._collections[name]
+      if (collection === undefined) {
+        return resolve(false)
+      }
+
+      this._assertNoTransaction()
+      this._dropCollection(name)
+      resolve(this._persist({ operationType: 'dropCollection', collection: name }).then(() => true))
+    }))
+  }
+
+  /**
+   * Drop every collection of the database.
+   *
+   * @returns Promise<Boolean> `true`
+   * @memberof ReactiveDatabase
+   */
+  dropDatabase () {
+    return Promise.all(Object.keys(this._collections).map(name => this.dropCollection(name)))
+      .then(() => true)
+  }
+
+  /**
+   * Returns a promise that resolves to the description of each collection matching `filter` :
+   * `{ name, type: 'collection', options, info: { readOnly: false } }`
+   * (`options` has the validator of the collection, if any).
+   *
+   * @param {Object} [filter={}] Query on the descriptions.
+   * @returns Promise<Object[]>
+   * @memberof ReactiveDatabase
+   * @example
+   * const validated = await db.listCollections({ 'options.validator': { $exists: true } })
+   */
+  listCollections (filter = {}) {
+    return new Promise(resolve => {
+      validateQuery(filter)
+
+      const descriptions = Object.keys(this._collections).map(name => ({
+        name,
+        type: 'collection',
+        options: this._collections[name]._options(),
+        info: { readOnly: false }
+      }))
+
+      resolve(descriptions.filter(description => matches(description, filter)))
+    })
+  }
+
+  /**
+   * Like `collection.subscribe()`, but for the changes of every collection of the database,
+   * including collections created later. Each change has the name of its `collection`, and a `seq` number
+   * ordering changes across collections.
+   * Watchers are also notified of collections lifecycle: `{ collection, operationType: 'create' | 'drop' | 'rename', to, seq }`
+   * (`to` is the new name of a renamed collection). The `filter` and `fields` options only apply to document changes.
+   *
+   * @param {Object} watcher
+   * @param {Function} callback
+   * @param {Object} [options={}] Same options as `collection.subscribe()`.
+   * @memberof ReactiveDatabase
+   * @example
+   * db.subscribe(this, changes => {
+   *   changes.forEach(({ seq, collection, operationType }) => {
+   *     console.log(`#${seq} ${operationType} in ${collection}`)
+   *   })
+   * }, { operationTypes: ['insert', 'create'] })
+   */
+  subscribe (watcher, callback, options = {}) {
+    if (!watcher || !callback) {
+      throw new Error('No watcher or callback has been specified')
+    }
+
+    const subscription = new Subscription(watcher, callback, options, this._scheduling)
+    if (this._watchers.has(watcher)) {
+      this._watchers.get(watcher).cancel()
+    }
+    this._watchers.set(watcher, subscription)
+  }
+
+  /**
+   * Remove `watcher` from the database watchers.
+   *
+   * @param {Any} watcher
+   * @memberof ReactiveDatabase
+   */
+  unsubscribe (watcher) {
+    if (!this._watchers.has(watcher)) {
+      throw new Error('No watcher has been specified')
+    }
+
+    this._watchers.get(watcher).cancel()
+    this._watchers.delete(watcher)
+  }
+
+  /**
+   * Deliver pending notifications to every watcher of the database and of its collections now.
+   *
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  flush () {
+    this._watchers.forEach(subscription => subscription.flush())
+    return Promise.all(Object.keys(this._collections).map(name => this._collections[name].flush()))
+      .then(() => {})
+  }
+
+  /**
+   * Like `collection.watch()`, but for the changes of every collection of the database, including collections
+   * created later, and collections lifecycle events: `{ _id, operationType: 'create' | 'drop' | 'rename', ns: { coll }, to: { coll } }`.
+   * Resume tokens are ordered across collections.
+   *
+   * @param {Object[]} [pipeline=[]] `$match`, `$project` and `$addFields` stages applied to each event.
+   * @param {Object} [options={}] Same options as `collection.watch()`.
+   * @returns ChangeStream
+   * @memberof ReactiveDatabase
+   * @example
+   * const stream = db.watch([{ $match: { 'ns.coll': { $in: ['orders', 'invoices'] } } }])
+   * stream.on('change', event => console.log(event.ns.coll, event.operationType))
+   */
+  watch (pipeline = [], options = {}) {
+    return new ChangeStream(this._oplog, pipeline, options)
+  }
+
+  /**
+   * Start a session, used to run transactions.
+   *
+   * @returns Session
+   * @memberof ReactiveDatabase
+   */
+  startSession () {
+    return new Session(this)
+  }
+
+  /**
+   * Run `fn` in a transaction (see `session.withTransaction()`).
+   * Writes made by `fn` on any collection of the database are committed together once `fn` is done,
+   * or rolled back if it throws. Writes made from elsewhere meanwhile wait for the end of the transaction,
+   * but reads made from elsewhere see the writes of the transaction before it is committed.
+   *
+   * @param {Function} fn Called with the session. Can return a `Promise`.
+   * @returns Promise<Any> Resolved with the result of `fn`.
+   * @memberof ReactiveDatabase
+   * @example
+   * await db.transaction(async () => {
+   *   await accounts.updateOne({ _id: from }, { $inc: { balance: -amount } })
+   *   await accounts.updateOne({ _id: to }, { $inc: { balance: amount } })
+   *   await transfers.insertOne({ from, to, amount })
+   * })
+   */
+  transaction (fn) {
+    const session = this.startSession()
+
+    return session.withTransaction(fn)
+      .then(result => {
+        session.endSession()
+        return result
+      }, error => {
+        session.endSession()
+        throw error
+      })
+  }
+
+  /**
+   * Start recording the writes made on the collections of the database, to undo and redo them (see `History`).
+   * If the history is already enabled, it is returned with the new `limit`.
+   *
+   * @param {Object} [options={}]
+   * @param {Number} [options.limit=100] Number of steps which can be undone.
+   * @returns History
+   * @memberof ReactiveDatabase
+   * @example
+   * const history = db.enableHistory({ limit: 50 })
+   *
+   * history.checkpoint('Add hero')
+   * await heroes.insertOne({ name: 'Peter' })
+   * await history.undo() // Watchers are notified of the removal of Peter
+   * await history.redo()
+   */
+  enableHistory (options = {}) {
+    if (this._history) {
+      this._history.setLimit(options.limit)
+    } else {
+      this._history = new History(this, options)
     }
 
-    return this.collections[name]
+    return this._history
+  }
+
+  /**
+   * Stop recording writes and forget the history.
+   *
+   * @memberof ReactiveDatabase
+   */
+  disableHistory () {
+    this._history = null
+  }
+
+  /**
+   * History of the database (see `db.enableHistory()`), or `null` if it is not enabled.
+   *
+   * @readonly
+   * @memberof ReactiveDatabase
+   */
+  get history () {
+    return this._history
+  }
+
+  /**
+   * Replicate collections of the database with the databases listening to `channel`,
+   * eg. in a worker or in another browser tab (see `Replication`).
+   * The promise is resolved once the content of the replicated collections has been exchanged with the other databases.
+   * It is rejected if a replicated collection gives counter ids (or the database, for collections not created yet):
+   * they are only unique in a database.
+   *
+   * @param {Object} channel `MessagePort`, `BroadcastChannel`, `Worker`... Anything with a `postMessage()` method
+   * and an `on('message')` or `addEventListener('message')` method.
+   * @param {Object} [options={}]
+   * @param {String[]} [options.collections] Names of the replicated collections. Default is every collection.
+   * @param {String} [options.policy='lastWriterWins'] `'lastWriterWins'`: the most recent write of a document wins.
+   * `'leader'`: the content of an elected database (the leader) wins.
+   * @param {Number} [options.heartbeatInterval=1000] Milliseconds between two messages telling other databases that this one is alive.
+   * A database is forgotten after 3 heartbeats without message (another leader is elected if it was the leader).
+   * @param {Number} [options.handshakeTimeout=1000] Milliseconds to wait for the content of another database when the replication starts.
+   * @returns Promise<Replication>
+   * @memberof ReactiveDatabase
+   * @example
+   * const channel = new BroadcastChannel('my-app')
+   * const replication = await db.replicate(channel, { collections: ['todos'], policy: 'leader' })
+   *
+   * replication.on('leader', id => console.log(id === replication.peerId ? 'This tab is the leader' : `Leader is ${id}`))
+   */
+  replicate (channel, options = {}) {
+    return new Promise(resolve => {
+      const replication = new Replication(this, channel, options)
+
+      this._replications = [...this._replications, replication]
+      resolve(replication._start().then(() => replication))
+    })
+  }
+
+  /**
+   * Create the collection `name` and notify the watchers of the database.
+   *
+   * @param {String} name
+   * @param {Object} options
+   * @returns ReactiveCollection
+   * @memberof ReactiveDatabase
+   */
+  _createCollection (name, options) {
+    this._collections[name] = new ReactiveCollection(name, {
+      ...options,
+      database: this,
+      oplogSize: this._oplogSize,
+      scheduling: options.scheduling === undefined ? this._scheduling : options.scheduling,
+      idStrategy: options.idStrategy === undefined ? this._idStrategy : options.idStrategy,
+      ttlMonitorInterval: options.ttlMonitorInterval === undefined ? this._ttlMonitorInterval : options.ttlMonitorInterval
+    })
+    this._notifyCollectionChange('create', name)
+
+    return this._collections[name]
+  }
+
+  /**
+   * Persist the options of the created collection `name`, to restore it with them.
+   *
+   * @param {String} name
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  _persistCreation (name) {
+    const { options } = this._collections[name]._definition()
+
+    return this._persist({ operationType: 'createCollection', collection: name, options }, false)
+  }
+
+  /**
+   * Remove the collection `name` from the database, drop it and notify the watchers of the database.
+   *
+   * @param {String} name
+   * @memberof ReactiveDatabase
+   */
+  _dropCollection (name) {
+    const collection = this._collections[name]
+
+    delete this._collections[name]
+    collection._drop()
+    this._notifyCollectionChange('drop', name)
+  }
+
+  /**
+   * Called by `collection.rename()`.
+   *
+   * @param {ReactiveCollection} collection
+   * @param {String} newName
+   * @param {Object} options
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  _renameCollection (collection, newName, { dropTarget = false }) {
+    return this._whenWritable(() => new Promise(resolve => {
+      this._assertNoTransaction()
+
+      const name = collection._name
+      this._moveCollection(collection, newName, dropTarget)
+
+      resolve(this._persist({ operationType: 'renameCollection', collection: name, to: newName, dropTarget }))
+    }))
+  }
+
+  /**
+   * Give the name `newName` to `collection` and notify the watchers of the database.
+   *
+   * @param {ReactiveCollection} collection
+   * @param {String} newName
+   * @param {Boolean} dropTarget Drop the collection named `newName` if it exists. Otherwise, throws an error.
+   * @memberof ReactiveDatabase
+   */
+  _moveCollection (collection, newName, dropTarget) {
+    const name = collection._name
+    if (this._collections[newName] !== undefined) {
+      if (!dropTarget) {
+        throw new Error(`Collection "${newName}" already exists`)
+      }
+      this._dropCollection(newName)
+    }
+
+    delete this._collections[name]
+    this._collections[newName] = collection
+    collection._rename(newName)
+    this._notifyCollectionChange('rename', name, newName)
+  }
+
+  /**
+   * Throws an error during a transaction: collections can't be dropped or renamed then.
+   *
+   * @memberof ReactiveDatabase
+   */
+  _assertNoTransaction () {
+    if (this._transaction) {
+      throw new Error('Collections can\'t be dropped or renamed during a transaction')
+    }
+  }
+
+  /**
+   * Run `start` once the transactions queued before are done
+   * (and the transaction started with `session.startTransaction()`, if any).
+   *
+   * @param {Function} start
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  _queueTransaction (start) {
+    const run = this._transactionQueue.then(() => this._whenWritable(start))
+    this._transactionQueue = run.catch(() => {})
+
+    return run
+  }
+
+  /**
+   * Start a transaction. The code following this call (and the callbacks and promises it creates)
+   * runs in the context of the transaction: only the writes made in this context, or given `session`, are part of it.
+   *
+   * @param {Session} [session=null] Session running the transaction.
+   * @memberof ReactiveDatabase
+   */
+  _startTransaction (session = null) {
+    if (this._transaction) {
+      throw new Error('A transaction is already in progress in this database')
+    }
+
+    let end = null
+    this._transaction = {
+      states: new Map(),
+      notifications: [],
+      changes: [],
+      done: new Promise(resolve => {
+        end = resolve
+      }),
+      end,
+      session
+    }
+    if (this._transactionContext) {
+      this._transactionContext.enterWith(this._transaction)
+    }
+  }
+
+  _commitTransaction () {
+    const { notifications, changes, end } = this._transaction
+    const notify = () => notifications.forEach(([collection, ids, operationType, previousDocuments]) => {
+      collection._notifyChangesForIds(ids, operationType, previousDocuments)
+    })
+    this._transaction = null
+    end()
+
+    // The writes of a transaction are undone together
+    if (this._history) {
+      this._history._batch(notify)
+    } else {
+      notify()
+    }
+
+    if (changes.length === 0) {
+      return Promise.resolve()
+    }
+
+    return this._persist({ operationType: 'transaction', changes })
+  }
+
+  _abortTransaction () {
+    const { states, end } = this._transaction
+    this._transaction = null
+
+    states.forEach((state, collection) => collection._restoreState(state))
+    end()
+  }
+
+  /**
+   * Call `write` now, unless a transaction is in progress and `write` is called from outside of it
+   * (and not given the session of the transaction): the write then waits for the end of the transaction,
+   * so that it is neither part of it nor rolled back with it.
+   *
+   * @param {Function} write Returns a `Promise`.
+   * @param {Session} [session=undefined] Session given to the write.
+   * @returns Promise Promise returned by `write`.
+   * @memberof ReactiveDatabase
+   */
+  _whenWritable (write, session = undefined) {
+    const transaction = this._transaction
+    if (
+      transaction === null ||
+      (session && session === transaction.session) ||
+      (this._transactionContext !== null && this._transactionContext.getStore() === transaction)
+    ) {
+      return write()
+    }
+
+    return transaction.done.then(() => this._whenWritable(write, session))
+  }
+
+  /**
+   * Called by collections before they modify their content.
+   * During a transaction, the state of the collection is saved (once) to be able to roll it back.
+   *
+   * @param {ReactiveCollection} collection
+   * @memberof ReactiveDatabase
+   */
+  _beforeWrite (collection) {
+    if (this._transaction && !this._transaction.states.has(collection)) {
+      this._transaction.states.set(collection, collection._saveState())
+    }
+  }
+
+  /**
+   * Called by collections to notify their watchers.
+   * Returns `true` if the notification is delayed until the end of the current transaction.
+   *
+   * @param {ReactiveCollection} collection
+   * @param {Any[]} ids
+   * @param {String} operationType
+   * @param {Object[]} [previousDocuments=[]]
+   * @returns Boolean
+   * @memberof ReactiveDatabase
+   */
+  _delayNotification (collection, ids, operationType, previousDocuments = []) {
+    if (!this._transaction) {
+      return false
+    }
+
+    this._transaction.notifications.push([collection, ids, operationType, previousDocuments])
+    return true
+  }
+
+  /**
+   * Called by collections once their watchers have been notified, to notify the watchers of the database.
+   *
+   * @param {Object[]} changes
+   * @memberof ReactiveDatabase
+   */
+  _notifyChanges (changes) {
+    if (this._history) {
+      this._history._record(changes)
+    }
+    this._replications.forEach(replication => replication._record(changes))
+
+    const sequenced = changes.map(change => ({ ...change, seq: ++this._changeSequence }))
+
+    this._oplog.record(sequenced)
+    this._watchers.forEach(subscription => subscription.push(sequenced))
+  }
+
+  /**
+   * Notify the watchers of the database that collection `name` has been created, dropped or renamed (to `to`).
+   *
+   * @param {String} operationType `'create'`, `'drop'` or `'rename'`.
+   * @param {String} name
+   * @param {String} [to]
+   * @memberof ReactiveDatabase
+   */
+  _notifyCollectionChange (operationType, name, to = undefined) {
+    const change = { collection: name, operationType }
+    if (to !== undefined) {
+      change.to = to
+    }
+
+    this._notifyChanges([change])
+  }
+
+  /**
+   * Persist a change made in one of the collections.
+   * Changes are sent to the adapter one after the other.
+   * During a transaction, changes are kept to be persisted together on commit.
+   *
+   * @param {Object} change
+   * @param {Boolean} [transactional=true] `false` for changes which are not rolled back with a transaction
+   * (collection options and indexes): they are persisted right away.
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  _persist (change, transactional = true) {
+    if (!this._adapter) {
+      return Promise.resolve()
+    }
+
+    if (this._transaction && transactional) {
+      this._transaction.changes.push(deepClone(change))
+      return Promise.resolve()
+    }
+
+    // Documents are copied now: they may be modified before the adapter writes them.
+    change = deepClone({ ...change, seq: ++this._sequence })
+
+    const write = this._pendingWrites
+      .then(() => this._adapter.append(change))
+      .then(() => {
+        this._changesSinceCompaction++
+        if (this._changesSinceCompaction >= this._compactEvery) {
+          return this._compact()
+        }
+      })
+
+    if (this._durability === 'sync') {
+      this._pendingWrites = write.catch(() => {})
+      return write
+    }
+
+    this._pendingWrites = write.catch(error => {
+      this._persistenceError = this._persistenceError || error
+    })
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Send a snapshot of every collections to the adapter.
+   *
+   * @returns Promise
+   * @memberof ReactiveDatabase
+   */
+  _compact () {
+    const snapshot = {
+      seq: this._sequence,
+      collections: Object.keys(this._collections).reduce((final, name) => {
+        const collection = this._collections[name]
+        // Changes of a transaction in progress are not persisted yet
+        const state = this._transaction && this._transaction.states.has(collection)
+          ? this._transaction.states.get(collection)
+          : collection._saveState()
+        final[name] = {
+          lastId: state.lastId,
+          documents: deepClone(state.content),
+          ...collection._definition()
+        }
+        return final
+      }, {})
+    }
+
+    return Promise.resolve(this._adapter.compact(snapshot))
+      .then(() => {
+        this._changesSinceCompaction = 0
+      })
+  }
+
+  /**
+   * Load the content of a snapshot, then replay the changes made after it.
+   *
+   * @param {Object} state
+   * @param {Object} [state.snapshot]
+   * @param {Object[]} [state.changes]
+   * @memberof ReactiveDatabase
+   */
+  _restore ({ snapshot, changes }) {
+    const restoredIds = {}
+    const restore = (name, change) => {
+      if (change.operationType === 'dropCollection') {
+        if (this._collections[name] !== undefined) {
+          this._dropCollection(name)
+        }
+        delete restoredIds[name]
+      } else if (change.operationType === 'renameCollection') {
+        this._moveCollection(this.getCollection(name), change.to, change.dropTarget)
+        restoredIds[change.to] = restoredIds[name] || []
+        delete restoredIds[name]
+      } else {
+        const ids = this.getCollection(name)._replay(change)
+        restoredIds[name] = [...(restoredIds[name] || []), ...ids]
+      }
+    }
+
+    if (snapshot) {
+      Object.keys(snapshot.collections || {}).forEach(name => {
+        const { documents, lastId, options, indexes = [] } = snapshot.collections[name]
+        if (options) {
+          restore(name, { operationType: 'createCollection', options })
+        }
+        restore(name, { operationType: 'insert', documents, lastId })
+        indexes.forEach(index => restore(name, { operationType: 'createIndex', ...index }))
+      })
+      this._sequence = snapshot.seq || 0
+    }
+
+    changes = changes || []
+    changes
+      .filter(change => change.seq > this._sequence)
+      .forEach(change => {
+        if (change.operationType === 'transaction') {
+          change.changes.forEach(el => restore(el.collection, el))
+        } else {
+          restore(change.collection, change)
+        }
+        this._sequence = change.seq
+      })
+
+    this._changesSinceCompaction = changes.length
+
+    Object.keys(restoredIds).forEach(name => {
+      const collection = this._collections[name]
+      const existingIds = new Set(collection._content.map(el => el._id))
+      const ids = [...new Set(restoredIds[name])].filter(id => existingIds.has(id))
+      if (ids.length > 0) {
+        collection._notifyChangesForIds(ids, 'insert')
+      }
+    })
   }
 }
 
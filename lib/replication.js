@@ -0,0 +1,636 @@
+const EventEmitter = require('events')
+const { stringify, parse } = require('./extended-json')
+const { generateId } = require('./id-strategies')
+
+const POLICIES = ['lastWriterWins', 'leader']
+const DOCUMENT_OPERATION_TYPES = ['insert', 'update', 'remove']
+// Messages of other protocols sent on the same channel are ignored
+const PROTOCOL = 'reactive-db-js/replication'
+
+// Replica of each database: its peer id, its clock and the version of each replicated document.
+// Shared by the replications of the database, so that changes received on a channel are relayed to the others.
+const replicas = new WeakMap()
+// Version of each change given to the replications of a database
+const stamps = new WeakMap()
+
+/**
+ * Replication keeps collections of databases running in different contexts (main thread, workers, browser tabs)
+ * in sync, by sending the changes of their documents over a message channel. It is created with `db.replicate()`.
+ *
+ * The channel can be anything with a `postMessage()` method and an `on('message')` (`MessagePort` and `Worker`
+ * of `worker_threads`) or an `addEventListener('message')` method (`BroadcastChannel`, `MessagePort`, `Worker`).
+ * A database can be replicated on many channels: changes received on one channel are sent to the others.
+ *
+ * With the `'lastWriterWins'` policy, each written document is given a version (the time of the write),
+ * and the most recent version of a document wins on every database. With the `'leader'` policy,
+ * one database (the leader) is elected, and the content of the others follows its content:
+ * writes are sent to the leader, which applies them in the order it receives them and sends them back to every database.
+ *
+ * When the replication starts, databases exchange their content (with the `'leader'` policy,
+ * the content of the leader replaces the content of the others). Received changes are written in a transaction:
+ * watchers are notified like for any other write.
+ *
+ * @example
+ * // Main thread
+ * const { Worker } = require('worker_threads')
+ * const worker = new Worker('./worker.js')
+ * await db.replicate(worker, { collections: ['todos'] })
+ *
+ * // worker.js
+ * const { parentPort } = require('worker_threads')
+ * const replication = await db.replicate(parentPort, { collections: ['todos'] })
+ * db.getCollection('todos').subscribe(this, changes => render(changes)) // Notified of writes made in the main thread
+ *
+ * @class Replication
+ * @extends {EventEmitter}
+ */
+class Replication extends EventEmitter {
+  /**
+   * Creates an instance of Replication.
+   *
+   * @param {ReactiveDatabase} database
+   * @param {Object} channel
+   * @param {Object} [options={}] See `db.replicate()`.
+   * @memberof Replication
+   */
+  constructor (database, channel, options = {}) {
+    super()
+
+    if (!channel || typeof channel.postMessage !== 'function' ||
+      (typeof channel.on !== 'function' && typeof channel.addEventListener !== 'function')) {
+      throw new Error('"channel" must have a "postMessage()" method and an "on()" or "addEventListener()" method')
+    }
+    if (options.policy !== undefined && POLICIES.indexOf(options.policy) < 0) {
+      throw new Error('"policy" must be "lastWriterWins" or "leader"')
+    }
+    if (options.collections !== undefined &&
+      (!Array.isArray(options.collections) || options.collections.some(name => typeof name !== 'string'))) {
+      throw new Error('"collections" must be an array of collection names')
+    }
+    ['heartbeatInterval', 'handshakeTimeout', 'tombstoneLifetime'].forEach(option => {
+      if (options[option] !== undefined && (typeof options[option] !== 'number' || !(options[option] > 0))) {
+        throw new Error(`"${option}" must be a positive number`)
+      }
+    })
+    checkIdStrategies(database, options.collections)
+
+    this._database = database
+    this._channel = channel
+    this._replica = replicaOf(database)
+    this._policy = options.policy || 'lastWriterWins'
+    this._collections = options.collections === undefined ? null : options.collections
+    this._heartbeatInterval = options.heartbeatInterval || 1000
+    this._handshakeTimeout = options.handshakeTimeout || 1000
+    this._tombstoneLifetime = options.tombstoneLifetime || 24 * 60 * 60 * 1000
+    // Time of the last message received from each peer
+    this._peers = new Map()
+    this._leader = null
+    this._timer = null
+    this._handshake = null
+    this._closed = false
+    this._listener = typeof channel.on === 'function'
+      ? data => this._receive(data)
+      : event => this._receive(event.data)
+  }
+
+  /**
+   * Id of the database on the channel, the same for every replication of the database.
+   *
+   * @readonly
+   * @memberof Replication
+   */
+  get peerId () {
+    return this._replica.id
+  }
+
+  /**
+   * Ids of the other databases replicated on the channel.
+   * A database is forgotten when its replication is closed, or after 3 heartbeats without message.
+   *
+   * @readonly
+   * @memberof Replication
+   */
+  get peers () {
+    return [...this._peers.keys()]
+  }
+
+  /**
+   * Id of the leader with the `'leader'` policy (`null` with the `'lastWriterWins'` policy).
+   *
+   * @readonly
+   * @memberof Replication
+   */
+  get leader () {
+    return this._leader
+  }
+
+  /**
+   * `true` if this database is the leader.
+   *
+   * @readonly
+   * @memberof Replication
+   */
+  get isLeader () {
+    return this._leader !== null && this._leader === this.peerId
+  }
+
+  /**
+   * Stop the replication. Other databases are told to forget this one (and to elect another leader if it was the leader).
+   * The channel is not closed.
+   *
+   * @returns Promise
+   * @memberof Replication
+   */
+  close () {
+    if (!this._closed) {
+      this._send({ type: 'bye' })
+      this._closed = true
+      clearInterval(this._timer)
+      if (typeof this._channel.on === 'function') {
+        this._channel.off('message', this._listener)
+      } else {
+        this._channel.removeEventListener('message', this._listener)
+      }
+      this._database._replications = this._database._replications.filter(el => el !== this)
+      if (this._handshake) {
+        this._handshake()
+      }
+    }
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Listen to the channel and exchange the content of the replicated collections with the other databases.
+   * Resolved once the content of another database has been received (of the leader with the `'leader'` policy),
+   * or after `handshakeTimeout` if no database answers (this database is then the leader).
+   *
+   * @returns Promise
+   * @memberof Replication
+   */
+  _start () {
+    if (typeof this._channel.on === 'function') {
+      this._channel.on('message', this._listener)
+    } else {
+      this._channel.addEventListener('message', this._listener)
+      if (typeof this._channel.start === 'function') {
+        this._channel.start() // Messages of a MessagePort are only delivered once it is started
+      }
+    }
+
+    this._timer = unref(setInterval(() => this._tick(), this._heartbeatInterval))
+
+    return new Promise(resolve => {
+      const timeout = unref(setTimeout(() => this._finishHandshake(), this._handshakeTimeout))
+      this._handshake = () => {
+        clearTimeout(timeout)
+        this._handshake = null
+        resolve()
+      }
+
+      // With the `'leader'` policy, the content of the other databases is replaced by the content of the leader
+      this._send(this._policy === 'leader' ? { type: 'hello' } : { type: 'hello', documents: this._snapshot() })
+    })
+  }
+
+  /**
+   * End the handshake. Without leader, this database is the leader.
+   *
+   * @memberof Replication
+   */
+  _finishHandshake () {
+    if (!this._handshake) {
+      return
+    }
+
+    if (this._policy === 'leader') {
+      if (this._leader === null) {
+        this._setLeader(this.peerId)
+      } else if (!this.isLeader) {
+        // The leader is known, but its content has not been received
+        this._send({ type: 'sync', to: this._leader })
+      }
+    }
+    this._handshake()
+  }
+
+  /**
+   * Send the changes of replicated documents to the other databases.
+   * Called by the database with the changes given to its watchers.
+   *
+   * @param {Object[]} changes
+   * @memberof Replication
+   */
+  _record (changes) {
+    const replica = this._replica
+    // Changes received from the channel are not sent back, unless the leader sends them to its followers
+    if (this._closed || (replica.applying === this && !this.isLeader)) {
+      return
+    }
+
+    const documents = changes
+      .filter(change => DOCUMENT_OPERATION_TYPES.indexOf(change.operationType) >= 0 && this._replicates(change.collection))
+      .map(change => ({
+        collection: change.collection,
+        _id: change._id,
+        document: change.fullDocument === undefined ? null : change.fullDocument,
+        version: stampOf(replica, change)
+      }))
+
+    if (documents.length > 0) {
+      this._send({ type: 'changes', documents })
+    }
+  }
+
+  /**
+   * Handle a message received from the channel.
+   *
+   * @param {Any} data
+   * @memberof Replication
+   */
+  _receive (data) {
+    const message = decode(data)
+    if (this._closed || message === null || message.from === this.peerId ||
+      (message.to !== undefined && message.to !== this.peerId)) {
+      return
+    }
+
+    this._peers.set(message.from, Date.now())
+    if (this._policy === 'leader' && message.leader === message.from) {
+      this._claim(message.from, message.type)
+    }
+
+    switch (message.type) {
+      case 'hello':
+        return this._onHello(message)
+      case 'state':
+        return this._onState(message)
+      case 'changes':
+        return this._onChanges(message)
+      case 'sync':
+        return this._sendState(message.from)
+      case 'bye':
+        this._peers.delete(message.from)
+        if (message.from === this._leader) {
+          this._elect()
+        }
+    }
+  }
+
+  _onHello (message) {
+    if (this._policy === 'leader') {
+      if (this.isLeader) {
+        this._sendState(message.from)
+      }
+      return
+    }
+
+    this._apply(message.documents, false)
+      .then(() => this._sendState(message.from))
+  }
+
+  _onState (message) {
+    if (this._policy === 'lastWriterWins') {
+      this._apply(message.documents, false)
+        .then(() => this._finishHandshake())
+    } else if (message.from === this._leader) {
+      this._apply([...message.documents, ...this._missingDocuments(message)], true)
+        .then(() => this._finishHandshake())
+    }
+  }
+
+  _onChanges (message) {
+    if (this._policy === 'lastWriterWins') {
+      this._apply(message.documents, false)
+    } else if (this.isLeader || message.from === this._leader) {
+      this._apply(message.documents, true)
+    }
+  }
+
+  /**
+   * Removals of the replicated documents which are not in the content of the leader.
+   *
+   * @param {Object} message The `state` message of the leader.
+   * @returns Object[]
+   * @memberof Replication
+   */
+  _missingDocuments (message) {
+    const received = message.documents.reduce((final, entry) => {
+      final.set(entry.collection, (final.get(entry.collection) || new Set()).add(entry._id))
+      return final
+    }, new Map())
+
+    return [...new Set([...message.collections, ...this._collectionNames()])]
+      .filter(name => this._replicates(name) && this._database._collections[name] !== undefined)
+      .reduce((final, name) => {
+        const ids = received.get(name) || new Set()
+        const missing = this._database._collections[name]._content
+          .filter(doc => !ids.has(doc._id))
+          .map(doc => ({ collection: name, _id: doc._id, document: null, version: null }))
+        return [...final, ...missing]
+      }, [])
+  }
+
+  /**
+   * Write documents received from another database, in a transaction.
+   * Without `force`, only documents with a greater version than the local one are written.
+   * Documents that can't be written (eg. because of a unique index or a validator) are skipped, with an `'error'` event.
+   *
+   * @param {Object[]} entries `{ collection, _id, document, version }` (`document` is `null` for a removed document).
+   * @param {Boolean} force
+   * @returns Promise Resolved once the transaction is persisted.
+   * @memberof Replication
+   */
+  _apply (entries, force) {
+    const database = this._database
+    const replica = this._replica
+
+    return database._queueTransaction(() => {
+      const errors = []
+
+      database._startTransaction()
+      entries
+        .filter(entry => this._replicates(entry.collection))
+        .forEach(entry => {
+          const { collection: name, _id, document, version } = entry
+          if (version) {
+            replica.clock = Math.max(replica.clock, version.time)
+          }
+          if (!force && compareVersions(version, versionOf(replica, database._collections[name], name, _id)) <= 0) {
+            return
+          }
+
+          try {
+            // Removals of documents of unknown collections are only kept as versions
+            if (document !== null || database._collections[name] !== undefined) {
+              const collection = database.getCollection(name)
+              const change = collection._setDocument(_id, document === null ? undefined : document)
+              if (change !== null) {
+                collection._persist(change)
+              }
+            }
+            setVersion(replica, name, _id, version)
+          } catch (error) {
+            errors.push(error)
+          }
+        })
+
+      // Watchers are notified synchronously on commit
+      replica.applying = this
+      try {
+        return database._commitTransaction()
+      } finally {
+        replica.applying = null
+        errors.forEach(error => this._emitError(error))
+      }
+    })
+      .catch(error => this._emitError(error))
+  }
+
+  /**
+   * Send the content of the replicated collections to `to`.
+   *
+   * @param {String} to
+   * @memberof Replication
+   */
+  _sendState (to) {
+    this._send({ type: 'state', to, collections: this._collectionNames(), documents: this._snapshot() })
+  }
+
+  /**
+   * Every replicated document with its version, and the versions of removed documents.
+   *
+   * @returns Object[]
+   * @memberof Replication
+   */
+  _snapshot () {
+    const replica = this._replica
+
+    return this._collectionNames().reduce((final, name) => {
+      const collection = this._database._collections[name]
+      const content = collection === undefined ? [] : collection._content
+      const documents = content.map(doc => ({
+        collection: name,
+        _id: doc._id,
+        document: doc,
+        version: versionOf(replica, collection, name, doc._id)
+      }))
+      const removed = [...(replica.versions.get(name) || new Map())]
+        .filter(([id]) => collection === undefined || !collection._documentsById.has(id))
+        .map(([id, version]) => ({ collection: name, _id: id, document: null, version }))
+
+      return [...final, ...documents, ...removed]
+    }, [])
+  }
+
+  /**
+   * Forget the databases without message for 3 heartbeats (and elect another leader if needed)
+   * and the old versions of removed documents, then send a heartbeat.
+   *
+   * @memberof Replication
+   */
+  _tick () {
+    const now = Date.now()
+    const expired = now - 3 * this._heartbeatInterval
+    this.peers
+      .filter(id => this._peers.get(id) < expired)
+      .forEach(id => this._peers.delete(id))
+    this._pruneTombstones(now - this._tombstoneLifetime)
+
+    if (this._leader !== null && !this.isLeader && !this._peers.has(this._leader)) {
+      this._elect()
+    }
+    this._send({ type: 'heartbeat' })
+  }
+
+  /**
+   * Forget the versions of the documents removed before `time`, so that they don't grow without bound.
+   * A database sending one of these documents afterwards (eg. after being disconnected for longer) writes it again.
+   *
+   * @param {Number} time Time in milliseconds.
+   * @memberof Replication
+   */
+  _pruneTombstones (time) {
+    const collections = this._database._collections
+
+    this._replica.versions.forEach((versions, name) => {
+      const collection = collections[name]
+      versions.forEach((version, id) => {
+        if (version.time < time && (collection === undefined || !collection._documentsById.has(id))) {
+          versions.delete(id)
+        }
+      })
+    })
+  }
+
+  /**
+   * Elect the known database with the smallest id as leader, and ask for its content.
+   *
+   * @memberof Replication
+   */
+  _elect () {
+    const leader = [this.peerId, ...this._peers.keys()].sort()[0]
+
+    this._setLeader(leader)
+    if (!this.isLeader) {
+      this._send({ type: 'sync', to: leader })
+    }
+  }
+
+  /**
+   * Handle a database claiming to be the leader. When many databases claim it, the one with the smallest id wins.
+   *
+   * @param {String} id
+   * @param {String} type Type of the message with the claim.
+   * @memberof Replication
+   */
+  _claim (id, type) {
+    if (this._leader !== null && this._leader <= id) {
+      return
+    }
+
+    this._setLeader(id)
+    // The content of the leader is given by `state` messages, and is asked at the end of the handshake
+    if (type !== 'state' && !this._handshake) {
+      this._send({ type: 'sync', to: id })
+    }
+  }
+
+  _setLeader (id) {
+    if (this._leader !== id) {
+      this._leader = id
+      this.emit('leader', id)
+    }
+  }
+
+  _replicates (name) {
+    return this._collections === null || this._collections.indexOf(name) >= 0
+  }
+
+  _collectionNames () {
+    return this._collections === null ? Object.keys(this._database._collections) : this._collections
+  }
+
+  _send (message) {
+    if (!this._closed) {
+      this._channel.postMessage(stringify({ protocol: PROTOCOL, from: this.peerId, leader: this._leader, ...message }))
+    }
+  }
+
+  _emitError (error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error)
+    } else {
+      // Like an 'error' event without listener, but out of the write of the received documents
+      setTimeout(() => {
+        throw error
+      })
+    }
+  }
+}
+
+/**
+ * Throws an error if a replicated collection gives counter ids: they are only unique in a database,
+ * so two databases would give the same `_id` to different documents.
+ * Collections created later (and every collection without `collections`) get the id strategy of the database.
+ *
+ * @param {ReactiveDatabase} database
+ * @param {String[]} [collections] Names of the replicated collections, every collection if not given.
+ */
+function checkIdStrategies (database, collections) {
+  const names = collections === undefined ? Object.keys(database._collections) : collections
+  const name = names.find(el => database._collections[el] !== undefined && database._collections[el]._idStrategy === 'counter')
+  if (name !== undefined) {
+    throw new Error(`Collection "${name}" gives counter ids and can't be replicated: use another "idStrategy"`)
+  }
+
+  const usesDefault = collections === undefined || collections.some(el => database._collections[el] === undefined)
+  if (usesDefault && database._idStrategy === 'counter') {
+    throw new Error('The database gives counter ids and can\'t be replicated: use another "idStrategy"')
+  }
+}
+
+function replicaOf (database) {
+  if (!replicas.has(database)) {
+    replicas.set(database, { id: generateId('uuidv4'), clock: 0, versions: new Map(), applying: null })
+  }
+  return replicas.get(database)
+}
+
+/**
+ * Version of the change, given once for every replication of the database.
+ * Changes written by a replication keep the version they have been received with.
+ *
+ * @param {Object} replica
+ * @param {Object} change
+ * @returns Object `{ time, peer }`
+ */
+function stampOf (replica, change) {
+  if (!stamps.has(change)) {
+    if (replica.applying) {
+      stamps.set(change, versionOf(replica, null, change.collection, change._id))
+    } else {
+      replica.clock = Math.max(replica.clock + 1, Date.now())
+      stamps.set(change, { time: replica.clock, peer: replica.id })
+      setVersion(replica, change.collection, change._id, stamps.get(change))
+    }
+  }
+  return stamps.get(change)
+}
+
+// Documents written before the replication started have the smallest version
+function versionOf (replica, collection, name, id) {
+  const versions = replica.versions.get(name)
+  if (versions && versions.has(id)) {
+    return versions.get(id)
+  }
+  return collection && collection._documentsById.has(id) ? { time: 0, peer: replica.id } : null
+}
+
+function setVersion (replica, name, id, version) {
+  const versions = replica.versions.get(name) || new Map()
+
+  if (version) {
+    versions.set(id, version)
+  } else {
+    versions.delete(id)
+  }
+  replica.versions.set(name, versions)
+}
+
+// Versions are ordered by time, then by peer id
+function compareVersions (a, b) {
+  if (b === null) {
+    return a === null ? 0 : 1
+  } else if (a === null) {
+    return -1
+  } else if (a.time !== b.time) {
+    return a.time < b.time ? -1 : 1
+  } else if (a.peer !== b.peer) {
+    return a.peer < b.peer ? -1 : 1
+  }
+  return 0
+}
+
+function decode (data) {
+  if (typeof data !== 'string') {
+    return null
+  }
+
+  try {
+    const message = parse(data)
+    return message !== null && message.protocol === PROTOCOL ? message : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Node.js processes don't wait for the next heartbeat to exit
+function unref (timer) {
+  if (typeof timer.unref === 'function') {
+    timer.unref()
+  }
+  return timer
+}
+
+module.exports = Replication
@@ -0,0 +1,252 @@
+const { isPlainObject, deepEqual } = require('./helpers')
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null']
+
+// Keywords without effect on validation
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']
+
+/**
+ * Supported keywords of JSON Schema (draft-07 subset).
+ * Each one checks `value` (only if the keyword applies to it) and calls `fail(message)` for each error.
+ * `check(value, schema, path)` validates a sub value.
+ */
+const KEYWORDS = {
+  type (value, types, fail) {
+    types = Array.isArray(types) ? types : [types]
+    if (!types.some(type => hasType(value, type))) {
+      fail(`must be of type ${types.join(' or ')}`)
+    }
+  },
+
+  enum (value, values, fail) {
+    if (!values.some(el => deepEqual(el, value))) {
+      fail(`must be one of ${JSON.stringify(values)}`)
+    }
+  },
+
+  minimum (value, limit, fail) {
+    if (typeof value === 'number' && value < limit) {
+      fail(`must be >= ${limit}`)
+    }
+  },
+
+  maximum (value, limit, fail) {
+    if (typeof value === 'number' && value > limit) {
+      fail(`must be <= ${limit}`)
+    }
+  },
+
+  exclusiveMinimum (value, limit, fail) {
+    if (typeof value === 'number' && value <= limit) {
+      fail(`must be > ${limit}`)
+    }
+  },
+
+  exclusiveMaximum (value, limit, fail) {
+    if (typeof value === 'number' && value >= limit) {
+      fail(`must be < ${limit}`)
+    }
+  },
+
+  minLength (value, limit, fail) {
+    if (typeof value === 'string' && value.length < limit) {
+      fail(`must have at least ${limit} characters`)
+    }
+  },
+
+  maxLength (value, limit, fail) {
+    if (typeof value === 'string' && value.length > limit) {
+      fail(`must have at most ${limit} characters`)
+    }
+  },
+
+  pattern (value, pattern, fail) {
+    if (typeof value === 'string' && !pattern.test(value)) {
+      fail(`must match pattern "${pattern.source}"`)
+    }
+  },
+
+  minItems (value, limit, fail) {
+    if (Array.isArray(value) && value.length < limit) {
+      fail(`must have at least ${limit} items`)
+    }
+  },
+
+  maxItems (value, limit, fail) {
+    if (Array.isArray(value) && value.length > limit) {
+      fail(`must have at most ${limit} items`)
+    }
+  },
+
+  items (value, items, fail, check, path) {
+    if (Array.isArray(value)) {
+      // A schema for every item, or one schema per position (tuple)
+      value.forEach((item, idx) => {
+        const schema = Array.isArray(items) ? items[idx] : items
+        if (schema !== undefined) {
+          check(item, schema, joinPath(path, idx))
+        }
+      })
+    }
+  },
+
+  required (value, fields, fail, check, path) {
+    if (isPlainObject(value)) {
+      fields
+        .filter(field => value[field] === undefined)
+        .forEach(field => fail('is required', joinPath(path, field)))
+    }
+  },
+
+  properties (value, properties, fail, check, path) {
+    if (isPlainObject(value)) {
+      Object.keys(properties)
+        .filter(field => value[field] !== undefined)
+        .forEach(field => check(value[field], properties[field], joinPath(path, field)))
+    }
+  },
+
+  additionalProperties (value, additional, fail, check, path, schema) {
+    if (!isPlainObject(value)) {
+      return
+    }
+
+    Object.keys(value)
+      .filter(field => !schema.properties || !Object.prototype.hasOwnProperty.call(schema.properties, field))
+      .forEach(field => {
+        if (additional === false) {
+          fail('is not allowed', joinPath(path, field))
+        } else if (isPlainObject(additional)) {
+          check(value[field], additional, joinPath(path, field))
+        }
+      })
+  }
+}
+
+// How to check the value of each keyword in a schema
+const KEYWORD_VALUES = {
+  type: value => TYPES.indexOf(value) >= 0 || (Array.isArray(value) && value.length > 0 && value.every(el => TYPES.indexOf(el) >= 0)),
+  enum: value => Array.isArray(value) && value.length > 0,
+  minimum: isNumber,
+  maximum: isNumber,
+  exclusiveMinimum: isNumber,
+  exclusiveMaximum: isNumber,
+  minLength: isCount,
+  maxLength: isCount,
+  pattern: value => typeof value === 'string',
+  minItems: isCount,
+  maxItems: isCount,
+  items: value => isPlainObject(value) || (Array.isArray(value) && value.every(isPlainObject)),
+  required: value => Array.isArray(value) && value.every(el => typeof el === 'string'),
+  properties: value => isPlainObject(value) && Object.keys(value).every(key => isPlainObject(value[key])),
+  additionalProperties: value => typeof value === 'boolean' || isPlainObject(value)
+}
+
+/**
+ * Compile `schema` for `validate()`: patterns are compiled once to regular expressions.
+ * Throws an error if `schema` is not a JSON Schema using the supported keywords :
+ * `type`, `enum`, `required`, `properties`, `additionalProperties`, `items`,
+ * `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `minLength`, `maxLength`, `pattern`, `minItems` and `maxItems`.
+ *
+ * @param {Object} schema
+ * @param {String} [path='']
+ * @returns Object The compiled schema.
+ */
+function compileSchema (schema, path = '') {
+  const where = path === '' ? '' : ` (at "${path}")`
+
+  if (!isPlainObject(schema)) {
+    throw new Error(`A JSON Schema must be an object${where}`)
+  }
+
+  return Object.keys(schema).reduce((compiled, keyword) => {
+    if (ANNOTATIONS.indexOf(keyword) >= 0) {
+      return compiled
+    }
+    if (!KEYWORDS[keyword]) {
+      throw new Error(`Unsupported JSON Schema keyword "${keyword}"${where}`)
+    }
+    if (!KEYWORD_VALUES[keyword](schema[keyword])) {
+      throw new Error(`Invalid value for JSON Schema keyword "${keyword}"${where}`)
+    }
+
+    return { ...compiled, [keyword]: compileKeyword(keyword, schema[keyword], path) }
+  }, {})
+}
+
+// Compiled value of a keyword: sub schemas are compiled, patterns become regular expressions
+function compileKeyword (keyword, value, path) {
+  switch (keyword) {
+    case 'pattern':
+      return new RegExp(value, 'u')
+    case 'properties':
+      return Object.keys(value).reduce((final, field) => ({ ...final, [field]: compileSchema(value[field], joinPath(path, field)) }), {})
+    case 'additionalProperties':
+      return isPlainObject(value) ? compileSchema(value, joinPath(path, '*')) : value
+    case 'items':
+      return Array.isArray(value)
+        ? value.map(items => compileSchema(items, joinPath(path, '[]')))
+        : compileSchema(value, joinPath(path, '[]'))
+    default:
+      return value
+  }
+}
+
+/**
+ * Errors of `value` against `schema`. Each error has the `path` of the invalid value
+ * (dot notation, `''` for `value` itself), the failing `keyword` and a `message`.
+ *
+ * @param {Any} value
+ * @param {Object} schema A schema compiled with `compileSchema()`.
+ * @returns Object[] Empty if `value` is valid.
+ */
+function validate (value, schema) {
+  const errors = []
+  const check = (current, currentSchema, path) => {
+    Object.keys(currentSchema)
+      .filter(keyword => KEYWORDS[keyword])
+      .forEach(keyword => {
+        const fail = (message, errorPath = path) => errors.push({ path: errorPath, keyword, message })
+        KEYWORDS[keyword](current, currentSchema[keyword], fail, check, path, currentSchema)
+      })
+  }
+
+  check(value, schema, '')
+  return errors
+}
+
+function hasType (value, type) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value)
+    case 'array':
+      return Array.isArray(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return isNumber(value)
+    case 'string':
+      return typeof value === 'string'
+    case 'boolean':
+      return typeof value === 'boolean'
+    default:
+      return value === null
+  }
+}
+
+function isNumber (value) {
+  return typeof value === 'number' && !Number.isNaN(value)
+}
+
+function isCount (value) {
+  return Number.isInteger(value) && value >= 0
+}
+
+function joinPath (path, key) {
+  return path === '' ? `${key}` : `${path}.${key}`
+}
+
+module.exports = {
+  compileSchema,
+  validate
+}
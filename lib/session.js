@@ -0,0 +1,138 @@
+/**
+ * Session is used to run transactions on a `ReactiveDatabase`.
+ * Sessions are created with `db.startSession()`.
+ *
+ * During a transaction, the writes made on any collection of the database are applied at once
+ * (so they are visible inside the transaction), but watchers are notified and changes are persisted only on commit.
+ * If the transaction is aborted, every collection modified by the transaction gets back its previous content.
+ *
+ * Only the writes made in the async context of the transaction (by the function given to `withTransaction()`,
+ * or after `startTransaction()`), or given the session (`{ session }` option), are part of it.
+ * Other writes wait for the end of the transaction. Where `AsyncLocalStorage` is not available (eg. in browsers),
+ * the writes of the transaction must be given the session. Reads are not isolated: reads made from outside
+ * of the transaction see its writes before it is committed.
+ *
+ * @example
+ * const session = db.startSession()
+ *
+ * await session.withTransaction(async () => {
+ *   const order = await pending.findOne({ _id: orderId })
+ *   await pending.remove({ _id: orderId }, { session })
+ *   await shipped.insertOne({ ...order, shippedAt: new Date() }, { session })
+ * })
+ *
+ * @class Session
+ */
+class Session {
+  /**
+   * Creates an instance of Session.
+   *
+   * @param {ReactiveDatabase} database
+   * @memberof Session
+   */
+  constructor (database) {
+    this._database = database
+    this._inTransaction = false
+    this._ended = false
+  }
+
+  /**
+   * Returns `true` if a transaction has been started and is not committed or aborted yet.
+   *
+   * @returns Boolean
+   * @memberof Session
+   */
+  inTransaction () {
+    return this._inTransaction
+  }
+
+  /**
+   * Start a transaction. Only one transaction can be in progress in a database.
+   * Throws an error if another transaction is in progress.
+   *
+   * @memberof Session
+   */
+  startTransaction () {
+    if (this._ended) {
+      throw new Error('Session has ended')
+    }
+
+    if (this._inTransaction) {
+      throw new Error('Transaction already in progress in this session')
+    }
+
+    this._database._startTransaction(this)
+    this._inTransaction = true
+  }
+
+  /**
+   * Commit the transaction: watchers are notified of the changes and the changes are persisted (as a single change).
+   *
+   * @returns Promise
+   * @memberof Session
+   */
+  commitTransaction () {
+    if (!this._inTransaction) {
+      return Promise.reject(new Error('No transaction started'))
+    }
+
+    this._inTransaction = false
+    return this._database._commitTransaction()
+  }
+
+  /**
+   * Abort the transaction: the collections modified by the transaction get back their previous content.
+   *
+   * @returns Promise
+   * @memberof Session
+   */
+  abortTransaction () {
+    if (!this._inTransaction) {
+      return Promise.reject(new Error('No transaction started'))
+    }
+
+    this._inTransaction = false
+    this._database._abortTransaction()
+    return Promise.resolve()
+  }
+
+  /**
+   * Run `fn` in a transaction. The transaction is committed once the promise returned by `fn` is resolved,
+   * and aborted if `fn` throws or if its promise is rejected.
+   * Transactions started with `withTransaction()` are run one after the other.
+   *
+   * @param {Function} fn Called with the session. Can return a `Promise`.
+   * @returns Promise<Any> Resolved with the result of `fn`, or rejected with its error.
+   * @memberof Session
+   */
+  withTransaction (fn) {
+    return this._database._queueTransaction(() => {
+      this.startTransaction()
+
+      return new Promise(resolve => resolve(fn(this)))
+        .then(result => {
+          return this.commitTransaction().then(() => result)
+        }, error => {
+          return this.abortTransaction().then(() => {
+            throw error
+          })
+        })
+    })
+  }
+
+  /**
+   * End the session. A transaction still in progress is aborted.
+   *
+   * @memberof Session
+   */
+  endSession () {
+    if (this._inTransaction) {
+      this._inTransaction = false
+      this._database._abortTransaction()
+    }
+
+    this._ended = true
+  }
+}
+
+module.exports = Session
@@ -0,0 +1,228 @@
+const NotificationScheduler = require('./notification-scheduler')
+const { matches, validateQuery } = require('./query-matcher')
+const { deepEqual, getPath, describeUpdate } = require('./helpers')
+
+const DOCUMENT_OPERATION_TYPES = ['insert', 'update', 'remove']
+const COLLECTION_OPERATION_TYPES = ['create', 'drop', 'rename']
+
+/**
+ * Subscription of a watcher to the changes of a collection (or of every collection of a database).
+ * Changes are kept until the scheduler delivers them. Unless `coalesce` is `false`,
+ * the changes of a document are merged into one: an insert followed by updates is an insert,
+ * an insert followed by a remove is nothing, many updates are one update.
+ * The filters of the subscription are applied to the changes when they are delivered.
+ *
+ * @class Subscription
+ */
+class Subscription {
+  /**
+   * Creates an instance of Subscription.
+   *
+   * @param {Object} watcher
+   * @param {Function} callback Called with `watcher` as its `this` and the changes.
+   * An error thrown by `callback` is thrown again asynchronously (it doesn't reject the write which is notified).
+   * @param {Object} [options={}]
+   * @param {String|Object|Function} [options.scheduling] When `callback` is called (see `NotificationScheduler`).
+   * @param {Object} [options.filter] Query the changed documents must match (before or after the change).
+   * @param {String[]} [options.operationTypes] Only keep changes of these types.
+   * @param {String[]} [options.fields] Only keep updates changing one of these fields.
+   * @param {String} [options.fullDocumentBeforeChange='off'] `'whenAvailable'` to give the document before the change
+   * (always given with a `filter`).
+   * @param {Boolean} [options.coalesce=true] Merge the changes of each document made until they are delivered.
+   * @param {String|Object|Function} [defaultScheduling] Used without `options.scheduling`.
+   * @memberof Subscription
+   */
+  constructor (watcher, callback, options = {}, defaultScheduling = undefined) {
+    const { filter, operationTypes, fields, fullDocumentBeforeChange = 'off', coalesce = true } = options
+    const types = [...DOCUMENT_OPERATION_TYPES, ...COLLECTION_OPERATION_TYPES]
+
+    if (filter !== undefined) {
+      validateQuery(filter)
+    }
+    if (operationTypes !== undefined && (!Array.isArray(operationTypes) || operationTypes.some(type => types.indexOf(type) < 0))) {
+      throw new Error(`"operationTypes" must be an array of ${types.map(type => `"${type}"`).join(', ')}`)
+    }
+    if (fields !== undefined && (!Array.isArray(fields) || fields.some(field => typeof field !== 'string'))) {
+      throw new Error('"fields" must be an array of field names')
+    }
+    if (fullDocumentBeforeChange !== 'off' && fullDocumentBeforeChange !== 'whenAvailable') {
+      throw new Error('"fullDocumentBeforeChange" must be "off" or "whenAvailable"')
+    }
+    if (typeof coalesce !== 'boolean') {
+      throw new Error('"coalesce" must be a boolean')
+    }
+
+    this._filter = filter
+    this._operationTypes = operationTypes
+    this._fields = fields
+    this._withDocumentBeforeChange = filter !== undefined || fullDocumentBeforeChange === 'whenAvailable'
+    this._coalesce = coalesce
+    this._changes = new Map() // Pending changes in order, by key (see `_keyOf()`)
+    this._keys = new Map() // Keys of the documents with a pending change, by collection and `_id`
+    this._scheduler = new NotificationScheduler(options.scheduling || defaultScheduling, () => {
+      const changes = [...this._changes.values()]
+        .filter(change => this._accepts(change))
+        .map(({ fullDocumentBeforeChange, ...change }) => {
+          return this._withDocumentBeforeChange && fullDocumentBeforeChange !== undefined
+            ? { ...change, fullDocumentBeforeChange }
+            : change
+        })
+
+      this._changes = new Map()
+      this._keys = new Map()
+      if (changes.length > 0) {
+        try {
+          callback.call(watcher, changes)
+        } catch (error) {
+          // The write is done: it must not fail, nor keep the other watchers from being notified
+          setTimeout(() => {
+            throw error
+          })
+        }
+      }
+    })
+  }
+
+  /**
+   * Add `changes` to the pending ones, and schedule their delivery.
+   *
+   * @param {Object[]} changes With `fullDocumentBeforeChange` when known.
+   * @memberof Subscription
+   */
+  push (changes) {
+    if (changes.length === 0) {
+      return
+    }
+
+    changes.forEach(change => this._add(change))
+    this._scheduler.schedule()
+  }
+
+  /**
+   * Deliver pending changes now.
+   *
+   * @memberof Subscription
+   */
+  flush () {
+    this._scheduler.flush()
+  }
+
+  /**
+   * Forget pending changes.
+   *
+   * @memberof Subscription
+   */
+  cancel () {
+    this._scheduler.cancel()
+    this._changes = new Map()
+    this._keys = new Map()
+  }
+
+  /**
+   * Add `change` to the pending changes, merged with the pending change of the same document.
+   *
+   * @param {Object} change
+   * @memberof Subscription
+   */
+  _add (change) {
+    const key = this._keyOf(change)
+    const pending = this._changes.get(key)
+    const merged = pending ? coalesce(pending, change) : change
+
+    // The merged change comes after the other pending changes
+    this._changes.delete(key)
+    if (merged !== null) {
+      this._changes.set(key, merged)
+    }
+  }
+
+  /**
+   * Key of `change` in the pending changes: the same for every change of a document
+   * (unless changes are not coalesced), a new one for other changes.
+   *
+   * @param {Object} change
+   * @returns Object
+   * @memberof Subscription
+   */
+  _keyOf (change) {
+    if (!this._coalesce || change._id === undefined) {
+      return {}
+    }
+
+    if (!this._keys.has(change.collection)) {
+      this._keys.set(change.collection, new Map())
+    }
+    const keys = this._keys.get(change.collection)
+    if (!keys.has(change._id)) {
+      keys.set(change._id, {})
+    }
+    return keys.get(change._id)
+  }
+
+  /**
+   * `true` if `change` has one of the operation types, changes one of the fields
+   * and matches the filter of the subscription.
+   *
+   * @param {Object} change
+   * @returns Boolean
+   * @memberof Subscription
+   */
+  _accepts (change) {
+    const { fullDocument, fullDocumentBeforeChange } = change
+
+    if (this._operationTypes && this._operationTypes.indexOf(change.operationType) < 0) {
+      return false
+    }
+    if (change._id === undefined) {
+      return true
+    }
+    if (this._filter && !matchesFilter(this._filter, change)) {
+      return false
+    }
+
+    return !this._fields || !fullDocument || !fullDocumentBeforeChange ||
+      this._fields.some(field => !deepEqual(getPath(fullDocument, field), getPath(fullDocumentBeforeChange, field)))
+  }
+}
+
+/**
+ * Merge `change` into the `pending` change of the same document.
+ * The merged change has the document as the watcher last knew it (`fullDocumentBeforeChange`).
+ * Returns `null` if the document is unknown to the watcher before and after the changes.
+ *
+ * @param {Object} pending
+ * @param {Object} change
+ * @returns Object|null
+ */
+function coalesce (pending, change) {
+  const before = pending.fullDocumentBeforeChange
+  const { fullDocumentBeforeChange, updateDescription, ...rest } = change
+
+  if (pending.operationType === 'insert') {
+    return change.operationType === 'remove' ? null : { ...rest, operationType: 'insert' }
+  }
+
+  if (before === undefined) {
+    return change
+  }
+
+  if (change.operationType === 'remove') {
+    return { ...rest, fullDocumentBeforeChange: before }
+  }
+
+  // A removed then inserted document is updated for the watcher
+  return {
+    ...rest,
+    operationType: 'update',
+    fullDocumentBeforeChange: before,
+    updateDescription: describeUpdate(before, change.fullDocument)
+  }
+}
+
+// `true` if the document matches `filter` before or after `change`
+function matchesFilter (filter, change) {
+  return [change.fullDocumentBeforeChange, change.fullDocument]
+    .some(doc => doc !== undefined && matches(doc, filter))
+}
+
+module.exports = Subscription
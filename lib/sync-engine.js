@@ -0,0 +1,606 @@
+const EventEmitter = require('events')
+const { deepClone, deepEqual, isPlainObject } = require('./helpers')
+const { stringify } = require('./extended-json')
+
+/**
+ * Conflict handlers by name. A conflict handler is called with
+ * `{ _id, local, remote, base, localUpdatedAt, remoteUpdatedAt }` and returns the resolved document (`null` to remove it).
+ */
+const CONFLICT_HANDLERS = {
+  lastWriteWins,
+  merge
+}
+
+/**
+ * SyncEngine keeps a collection in sync with a remote endpoint, for apps working offline.
+ * It is created with `collection.sync()`.
+ *
+ * Local writes are kept in an outbox (the documents written since the last push, with the time of their last write),
+ * and pushed to the endpoint with the revision of each document they are based on. The endpoint accepts a write
+ * if the document has not been changed since this revision, and gives the document a new revision.
+ * Then the documents changed on the endpoint since the last pull (its checkpoint) are pulled and written in the collection.
+ *
+ * A conflict happens when a document of the outbox has been changed on the endpoint (it is rejected on push, or pulled).
+ * The conflict handler gives the resolved document, which is written in the collection (watchers are notified)
+ * and pushed if it is not the remote one. Conflict handlers are `'lastWriteWins'`, `'merge'` or a function.
+ *
+ * The outbox, the revisions and the checkpoint are kept in a collection of the database (`'_sync'` by default),
+ * so that they are persisted with the database: a document for the checkpoint (its `_id` is the name of the collection),
+ * and a document for each synced document (with the `collection` name and the `documentId`), written when it changes.
+ * When the collection is dropped, the engine is stopped and its metadata is removed.
+ *
+ * The endpoint is reached through a transport: an object with `push(collection, changes)` and
+ * `pull(collection, checkpoint, limit)` methods (see `HttpTransport` and `SyncServer`).
+ *
+ * @example
+ * const HttpTransport = require('reactive-db-js/lib/transports/http-transport')
+ *
+ * const todos = db.getCollection('todos')
+ * const engine = todos.sync(new HttpTransport({ url: 'https://example.com/sync' }), { conflictHandler: 'merge' })
+ *
+ * engine.on('conflict', ({ _id, local, remote, resolved }) => console.log(`Conflict on ${_id}`))
+ * window.addEventListener('online', () => engine.sync())
+ *
+ * @class SyncEngine
+ * @extends {EventEmitter}
+ */
+class SyncEngine extends EventEmitter {
+  /**
+   * Creates an instance of SyncEngine.
+   *
+   * @param {ReactiveCollection} collection
+   * @param {Object} transport
+   * @param {Object} [options={}] See `collection.sync()`.
+   * @memberof SyncEngine
+   */
+  constructor (collection, transport, options = {}) {
+    super()
+
+    const { conflictHandler = 'lastWriteWins', batchSize = 100, interval, metadataCollection = '_sync' } = options
+    if (!collection._database) {
+      throw new Error('Only collections of a database can be synced')
+    }
+    // Counter ids are only unique in a database: documents inserted by two clients would get the same `_id`
+    if (collection._idStrategy === 'counter') {
+      throw new Error('Collections giving counter ids can\'t be synced: use another "idStrategy"')
+    }
+    if (!transport || typeof transport.push !== 'function' || typeof transport.pull !== 'function') {
+      throw new Error('"transport" must have "push()" and "pull()" methods')
+    }
+    if (typeof conflictHandler !== 'function' && !Object.prototype.hasOwnProperty.call(CONFLICT_HANDLERS, conflictHandler)) {
+      throw new Error('"conflictHandler" must be "lastWriteWins", "merge" or a function')
+    }
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+      throw new Error('"batchSize" must be a positive integer')
+    }
+    if (interval !== undefined && (typeof interval !== 'number' || !(interval > 0))) {
+      throw new Error('"interval" must be a positive number')
+    }
+
+    this._collection = collection
+    this._database = collection._database
+    this._transport = transport
+    this._name = collection._name
+    this._conflictHandler = typeof conflictHandler === 'function' ? conflictHandler : CONFLICT_HANDLERS[conflictHandler]
+    this._batchSize = batchSize
+    this._metadata = this._database.getCollection(metadataCollection)
+    this._metadata._isInternal = true // Undoing a write of the metadata would break the sync
+    this._applying = false
+    this._conflicts = []
+    this._queue = Promise.resolve()
+    this._stopped = false
+    this._load()
+
+    // Local writes are added to the outbox as soon as they are made
+    collection.subscribe(this, changes => this._record(changes), {
+      scheduling: 'sync',
+      coalesce: false,
+      fullDocumentBeforeChange: 'whenAvailable'
+    })
+
+    this._timer = null
+    if (interval !== undefined) {
+      this._timer = setInterval(() => {
+        this.sync().catch(error => this._emitError(error))
+      }, interval)
+      if (typeof this._timer.unref === 'function') {
+        this._timer.unref() // Node.js processes don't wait for the next sync to exit
+      }
+    }
+  }
+
+  /**
+   * Number of documents written locally and not pushed yet.
+   *
+   * @readonly
+   * @memberof SyncEngine
+   */
+  get pending () {
+    return [...this._documents.values()].filter(meta => meta.pending).length
+  }
+
+  /**
+   * Checkpoint of the last pull, given by the endpoint (`null` before the first pull).
+   *
+   * @readonly
+   * @memberof SyncEngine
+   */
+  get checkpoint () {
+    return this._checkpoint
+  }
+
+  /**
+   * Push the outbox, pull the remote changes, then push the documents resolved from conflicts met while pulling.
+   * The promise is rejected if the endpoint can't be reached: the outbox is kept for the next sync.
+   *
+   * @returns Promise<Object> `{ pushed, pulled, conflicts }` (numbers of documents).
+   * @memberof SyncEngine
+   * @example
+   * const { pushed, pulled, conflicts } = await engine.sync()
+   */
+  sync () {
+    return this._run(() => {
+      const total = { pushed: 0, pulled: 0, conflicts: 0 }
+      const add = result => Object.keys(result).forEach(key => {
+        total[key] += result[key]
+      })
+
+      return this._push()
+        .then(add)
+        .then(() => this._pull())
+        .then(add)
+        .then(() => this.pending > 0 ? this._push().then(add) : undefined)
+        .then(() => total)
+    })
+  }
+
+  /**
+   * Push the outbox to the endpoint.
+   *
+   * @returns Promise<Object> `{ pushed, conflicts }`
+   * @memberof SyncEngine
+   */
+  push () {
+    return this._run(() => this._push())
+  }
+
+  /**
+   * Pull the changes made on the endpoint since the last pull.
+   *
+   * @returns Promise<Object> `{ pulled, conflicts }`
+   * @memberof SyncEngine
+   */
+  pull () {
+    return this._run(() => this._pull())
+  }
+
+  /**
+   * Stop recording local writes (and syncing every `interval`). The outbox is kept in the metadata collection:
+   * a new engine created with `collection.sync()` pushes it.
+   *
+   * @returns Promise Resolved once the sync in progress is done.
+   * @memberof SyncEngine
+   */
+  stop () {
+    if (!this._stopped) {
+      this._stopped = true
+      clearInterval(this._timer)
+      this._collection.unsubscribe(this)
+    }
+
+    return this._queue
+  }
+
+  /**
+   * Run `fn` once the syncs started before are done.
+   *
+   * @param {Function} fn
+   * @returns Promise
+   * @memberof SyncEngine
+   */
+  _run (fn) {
+    const run = this._queue.then(() => {
+      if (this._stopped) {
+        throw new Error('The sync engine is stopped')
+      }
+      return fn()
+    })
+    this._queue = run.catch(() => {})
+
+    return run
+  }
+
+  /**
+   * Read the outbox, the revisions and the checkpoint from the metadata collection.
+   * Documents written before the first sync are added to the outbox.
+   *
+   * @memberof SyncEngine
+   */
+  _load () {
+    const saved = this._metadata._documentsById.get(this._name)
+    const metas = this._metadata._content
+      .filter(doc => doc.collection === this._name)
+      .map(({ documentId, rev, pending, updatedAt, base, failed }) => ({ _id: documentId, rev, pending, updatedAt, base, failed }))
+
+    this._checkpoint = saved ? saved.checkpoint : null
+    this._documents = new Map(metas.map(meta => [meta._id, meta]))
+    this._changedIds = new Set()
+
+    const now = Date.now()
+    this._collection._content
+      .filter(doc => !this._documents.has(doc._id))
+      .forEach(doc => this._setMeta({ _id: doc._id, rev: null, pending: true, updatedAt: now, base: null }))
+    this._save()
+  }
+
+  /**
+   * Set the outbox entry (and revision) of document `meta._id`, to be written by `_save()`.
+   *
+   * @param {Object} meta `{ _id, rev, pending, updatedAt, base, failed }`, `failed` being a pulled document
+   * which couldn't be written (see `_onPulled()`).
+   * @memberof SyncEngine
+   */
+  _setMeta (meta) {
+    this._documents.set(meta._id, meta)
+    this._changedIds.add(meta._id)
+  }
+
+  /**
+   * Forget document `id`, to be removed from the metadata collection by `_save()`.
+   *
+   * @param {Any} id
+   * @memberof SyncEngine
+   */
+  _deleteMeta (id) {
+    this._documents.delete(id)
+    this._changedIds.add(id)
+  }
+
+  /**
+   * Write the checkpoint and the changed outbox entries in the metadata collection.
+   *
+   * @param {Boolean} [keepCheckpoint=true] `false` to remove the checkpoint document.
+   * @memberof SyncEngine
+   */
+  _save (keepCheckpoint = true) {
+    const entries = [...this._changedIds].map(id => {
+      const _id = metadataId(this._name, id)
+      if (!this._documents.has(id)) {
+        return this._metadata._setDocument(_id, undefined)
+      }
+
+      const { rev, pending, updatedAt, base, failed } = this._documents.get(id)
+      const entry = { _id, collection: this._name, documentId: id, rev, pending, updatedAt, base }
+      return this._metadata._setDocument(_id, failed === undefined ? entry : { ...entry, failed })
+    })
+    const checkpoint = keepCheckpoint ? { _id: this._name, checkpoint: this._checkpoint } : undefined
+    const changes = [this._metadata._setDocument(this._name, checkpoint), ...entries]
+
+    this._changedIds = new Set()
+    changes
+      .filter(change => change !== null)
+      .forEach(change => this._metadata._persist(change).catch(error => this._emitError(error)))
+  }
+
+  /**
+   * Add the documents of local changes to the outbox. When the collection is dropped, the engine is stopped.
+   *
+   * @param {Object[]} changes
+   * @memberof SyncEngine
+   */
+  _record (changes) {
+    if (this._applying) {
+      return
+    }
+    if (changes.some(change => change.operationType === 'drop')) {
+      this._forget()
+      return
+    }
+
+    const now = Date.now()
+    // Changes of the collection itself (eg. a rename) have no `_id`
+    changes.filter(change => change._id !== undefined).forEach(({ _id, fullDocumentBeforeChange }) => {
+      const meta = this._documents.get(_id) || { _id, rev: null, pending: false, updatedAt: null, base: null }
+      // The document as last synced, to merge conflicting changes field by field
+      const base = meta.pending || fullDocumentBeforeChange === undefined ? meta.base : fullDocumentBeforeChange
+
+      this._setMeta({ ...meta, pending: true, updatedAt: now, base })
+    })
+    this._save()
+  }
+
+  /**
+   * Stop the engine and remove the outbox, the revisions and the checkpoint of the collection from the metadata collection.
+   *
+   * @memberof SyncEngine
+   */
+  _forget () {
+    this.stop()
+    Array.from(this._documents.keys()).forEach(id => this._deleteMeta(id))
+    this._checkpoint = null
+    this._save(false)
+  }
+
+  _push () {
+    const sent = [...this._documents.values()]
+      .filter(meta => meta.pending)
+      .map(meta => ({
+        _id: meta._id,
+        document: this._localDocument(meta._id),
+        baseRev: meta.rev,
+        updatedAt: meta.updatedAt
+      }))
+
+    // Documents inserted then removed before being pushed are just forgotten
+    const forgotten = sent.filter(change => change.document === null && change.baseRev === null)
+    if (forgotten.length > 0) {
+      forgotten.forEach(change => this._deleteMeta(change._id))
+      this._save()
+    }
+
+    const batches = sent
+      .filter(change => forgotten.indexOf(change) < 0)
+      .reduce((final, change, idx) => {
+        if (idx % this._batchSize === 0) {
+          final.push([])
+        }
+        final[final.length - 1].push(change)
+        return final
+      }, [])
+
+    return batches.reduce((previous, batch) => previous.then(total => {
+      return Promise.resolve(this._transport.push(this._name, batch))
+        .then(({ results }) => this._onPushed(batch, results))
+        .then(result => ({ pushed: total.pushed + result.pushed, conflicts: total.conflicts + result.conflicts }))
+    }), Promise.resolve({ pushed: 0, conflicts: 0 }))
+  }
+
+  /**
+   * Give accepted documents their new revision, and resolve the conflicts of rejected ones.
+   *
+   * @param {Object[]} batch Pushed changes.
+   * @param {Object[]} results `{ _id, rev }` for an accepted change, `{ _id, conflict: { document, rev, updatedAt } }` otherwise.
+   * @returns Promise<Object> `{ pushed, conflicts }`
+   * @memberof SyncEngine
+   */
+  _onPushed (batch, results) {
+    const sentById = new Map(batch.map(change => [change._id, change]))
+
+    return this._write(() => results.reduce((total, result) => {
+      const sent = sentById.get(result._id)
+      const meta = this._documents.get(result._id)
+      if (!sent || !meta) {
+        return total
+      }
+
+      if (result.conflict) {
+        this._resolveConflict(meta, { _id: result._id, ...result.conflict })
+        return { ...total, conflicts: total.conflicts + 1 }
+      }
+
+      // The document may have been written again while it was pushed
+      const pending = !deepEqual(this._localDocument(meta._id), sent.document)
+      this._setMeta({ _id: meta._id, rev: result.rev, pending, updatedAt: meta.updatedAt, base: pending ? sent.document : null })
+      return { ...total, pushed: total.pushed + 1 }
+    }, { pushed: 0, conflicts: 0 }))
+  }
+
+  _pull () {
+    // Pulled documents which couldn't be written are written again first
+    const failed = [...this._documents.values()].filter(meta => meta.failed !== undefined).map(meta => meta.failed)
+    const retry = failed.length > 0 ? this._onPulled(failed, this._checkpoint) : Promise.resolve({ pulled: 0, conflicts: 0 })
+    const pullPage = total => Promise.resolve(this._transport.pull(this._name, this._checkpoint, this._batchSize))
+      .then(({ documents, checkpoint, hasMore }) => this._onPulled(documents, checkpoint)
+        .then(result => {
+          const sum = { pulled: total.pulled + result.pulled, conflicts: total.conflicts + result.conflicts }
+          return hasMore && documents.length > 0 ? pullPage(sum) : sum
+        }))
+
+    return retry.then(pullPage)
+  }
+
+  /**
+   * Write the pulled documents in the collection, resolving the conflicts with the outbox, and keep the checkpoint.
+   * A document which can't be written (with an `'error'` event) is not counted as pulled:
+   * it is kept in its outbox entry to be written again by the next pull.
+   *
+   * @param {Object[]} documents `{ _id, document, rev, updatedAt }` (`document` is `null` for a removed document).
+   * @param {Any} checkpoint
+   * @returns Promise<Object> `{ pulled, conflicts }`
+   * @memberof SyncEngine
+   */
+  _onPulled (documents, checkpoint) {
+    return this._write(() => {
+      const total = documents.reduce((total, remote) => {
+        const meta = this._documents.get(remote._id)
+        // Already known, eg. pushed by this engine
+        if (meta && meta.rev === remote.rev) {
+          return total
+        }
+
+        if (meta && meta.pending) {
+          this._resolveConflict(meta, remote)
+          return { ...total, conflicts: total.conflicts + 1 }
+        }
+
+        if (!this._setDocument(remote._id, remote.document)) {
+          this._setMeta({ _id: remote._id, rev: null, pending: false, updatedAt: null, base: null, ...meta, failed: remote })
+          return total
+        }
+
+        this._setMeta({ _id: remote._id, rev: remote.rev, pending: false, updatedAt: remote.updatedAt, base: null })
+        return { ...total, pulled: total.pulled + 1 }
+      }, { pulled: 0, conflicts: 0 })
+
+      this._checkpoint = checkpoint
+      return total
+    })
+  }
+
+  /**
+   * Write the document resolved by the conflict handler from the local and the remote documents.
+   * It stays in the outbox (based on the remote revision) unless it is the remote document.
+   *
+   * @param {Object} meta Outbox entry of the local document.
+   * @param {Object} remote `{ _id, document, rev, updatedAt }`
+   * @memberof SyncEngine
+   */
+  _resolveConflict (meta, remote) {
+    const local = this._localDocument(meta._id)
+    const remoteDocument = remote.document === undefined ? null : remote.document
+    const resolved = this._conflictHandler({
+      _id: meta._id,
+      local: deepClone(local),
+      remote: deepClone(remoteDocument),
+      base: deepClone(meta.base),
+      localUpdatedAt: meta.updatedAt,
+      remoteUpdatedAt: remote.updatedAt
+    })
+
+    if (resolved !== null && !isPlainObject(resolved)) {
+      throw new Error('"conflictHandler" must return a document or null')
+    }
+
+    const document = resolved === null ? null : { ...resolved, _id: meta._id }
+    const pending = !deepEqual(document, remoteDocument)
+
+    if (this._setDocument(meta._id, document)) {
+      this._setMeta({
+        _id: meta._id,
+        rev: remote.rev,
+        pending,
+        updatedAt: pending ? Date.now() : remote.updatedAt,
+        base: pending ? remoteDocument : null
+      })
+      this._conflicts.push({ _id: meta._id, local, remote: remoteDocument, resolved: document })
+    }
+  }
+
+  /**
+   * Run `fn` in a transaction of the database, with the metadata written at the end.
+   * The writes of `fn` are not added to the outbox. `'conflict'` events are emitted once the transaction is committed.
+   *
+   * @param {Function} fn
+   * @returns Promise Resolved with the result of `fn` once the transaction is persisted.
+   * @memberof SyncEngine
+   */
+  _write (fn) {
+    const database = this._database
+
+    return database._queueTransaction(() => {
+      // The collection may have been dropped while a sync was in progress
+      this._collection._assertNotDropped()
+      const documents = this._documents
+      const checkpoint = this._checkpoint
+      let result
+
+      this._documents = new Map(documents)
+      this._conflicts = []
+      database._startTransaction()
+      try {
+        result = fn()
+        this._save()
+      } catch (error) {
+        database._abortTransaction()
+        this._documents = documents
+        this._checkpoint = checkpoint
+        this._changedIds = new Set()
+        throw error
+      }
+
+      // Watchers are notified synchronously on commit
+      this._applying = true
+      try {
+        const conflicts = this._conflicts
+        return database._commitTransaction().then(() => {
+          conflicts.forEach(conflict => this.emit('conflict', conflict))
+          return result
+        })
+      } finally {
+        this._applying = false
+      }
+    })
+  }
+
+  /**
+   * Give the document `id` the content of `doc` (or remove it if `doc` is `null`).
+   * Returns `false` (with an `'error'` event) if it can't be written, eg. because of a unique index or a validator.
+   *
+   * @param {Any} id
+   * @param {Object|null} doc
+   * @returns Boolean
+   * @memberof SyncEngine
+   */
+  _setDocument (id, doc) {
+    try {
+      const change = this._collection._setDocument(id, doc === null ? undefined : doc)
+      if (change !== null) {
+        this._collection._persist(change)
+      }
+      return true
+    } catch (error) {
+      this._emitError(error)
+      return false
+    }
+  }
+
+  _localDocument (id) {
+    return this._collection._documentsById.has(id) ? this._collection._documentsById.get(id) : null
+  }
+
+  _emitError (error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error)
+    } else {
+      // Like an 'error' event without listener, but out of the write or of the sync which failed
+      setTimeout(() => {
+        throw error
+      })
+    }
+  }
+}
+
+// `_id` of the metadata of document `id` of collection `name`
+function metadataId (name, id) {
+  return stringify([name, id])
+}
+
+/**
+ * The document written last wins (the remote one if both have been written at the same time).
+ *
+ * @param {Object} conflict
+ * @returns Object|null
+ */
+function lastWriteWins ({ local, remote, localUpdatedAt, remoteUpdatedAt }) {
+  return localUpdatedAt > remoteUpdatedAt ? local : remote
+}
+
+/**
+ * The fields changed locally (since the document was last synced) are written on the remote document.
+ * Fields changed on both sides take the local value. If the document has been removed on one side,
+ * the document written last wins.
+ *
+ * @param {Object} conflict
+ * @returns Object|null
+ */
+function merge (conflict) {
+  const { local, remote } = conflict
+  if (local === null || remote === null) {
+    return lastWriteWins(conflict)
+  }
+
+  const base = conflict.base || {}
+  const fields = [...new Set([...Object.keys(base), ...Object.keys(local)])]
+
+  return fields
+    .filter(field => !deepEqual(local[field], base[field]))
+    .reduce((final, field) => {
+      if (local[field] === undefined) {
+        const { [field]: removed, ...rest } = final
+        return rest
+      }
+      return { ...final, [field]: local[field] }
+    }, { ...remote })
+}
+
+module.exports = SyncEngine
@@ -0,0 +1,83 @@
+/* global fetch */
+const { stringify, parse } = require('../extended-json')
+
+/**
+ * HttpTransport sends the requests of a `SyncEngine` to an HTTP endpoint, as JSON `POST` requests
+ * to `${url}/push` and `${url}/pull` (see `SyncServer` for the protocol).
+ *
+ * @example
+ * const HttpTransport = require('reactive-db-js/lib/transports/http-transport')
+ *
+ * const transport = new HttpTransport({
+ *   url: 'https://example.com/sync',
+ *   headers: { Authorization: `Bearer ${token}` }
+ * })
+ * const engine = db.getCollection('todos').sync(transport)
+ *
+ * @class HttpTransport
+ */
+class HttpTransport {
+  /**
+   * Creates an instance of HttpTransport.
+   *
+   * @param {Object} options
+   * @param {String} options.url URL of the endpoint.
+   * @param {Object} [options.headers={}] Headers added to each request.
+   * @param {Function} [options.fetch] `fetch()` implementation. Default is the global `fetch()`.
+   * @memberof HttpTransport
+   */
+  constructor (options = {}) {
+    if (typeof options.url !== 'string') {
+      throw new Error('"url" must be a string')
+    }
+
+    this._url = options.url.replace(/\/+$/, '')
+    this._headers = options.headers || {}
+    this._fetch = options.fetch || (typeof fetch === 'function' ? fetch : null)
+    if (typeof this._fetch !== 'function') {
+      throw new Error('"fetch" must be given when there is no global fetch() function')
+    }
+  }
+
+  /**
+   * Send local changes to the endpoint.
+   *
+   * @param {String} collection
+   * @param {Object[]} changes
+   * @returns Promise<Object> `{ results }`
+   * @memberof HttpTransport
+   */
+  push (collection, changes) {
+    return this._post('push', { collection, changes })
+  }
+
+  /**
+   * Get the changes made on the endpoint after `checkpoint`.
+   *
+   * @param {String} collection
+   * @param {Any} checkpoint
+   * @param {Number} limit
+   * @returns Promise<Object> `{ documents, checkpoint, hasMore }`
+   * @memberof HttpTransport
+   */
+  pull (collection, checkpoint, limit) {
+    return this._post('pull', { collection, checkpoint, limit })
+  }
+
+  _post (endpoint, body) {
+    return Promise.resolve(this._fetch(`${this._url}/${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this._headers },
+      body: stringify(body)
+    }))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Sync request to "${endpoint}" failed with status ${response.status}`)
+        }
+        return response.text()
+      })
+      .then(parse)
+  }
+}
+
+module.exports = HttpTransport
@@ -0,0 +1,137 @@
+const { stringify, parse } = require('../extended-json')
+const { deepClone } = require('../helpers')
+
+/**
+ * SyncServer is an in memory endpoint for `SyncEngine`, implementing the sync protocol:
+ * it keeps the last revision of each document, and a sequence number of the writes of each collection used as checkpoint.
+ *
+ * It can be given directly to `collection.sync()` as transport (eg. in tests, or to sync collections of the same process),
+ * or answer the requests of `HttpTransport` with `server.handle()`.
+ *
+ * Protocol (every body is JSON, with dates and ObjectIds written as `{ "$date": isoString }` and `{ "$oid": hex }`):
+ *
+ * - `POST /push` with `{ collection, changes: [{ _id, document, baseRev, updatedAt }] }` (`document` is `null` for a removal).
+ *   A change is accepted if `baseRev` is the current revision of the document (`null` for a new document).
+ *   Answers `{ results: [{ _id, rev }] }` for accepted changes and `{ _id, conflict: { document, rev, updatedAt } }` for rejected ones.
+ * - `POST /pull` with `{ collection, checkpoint, limit }`. Answers the documents written after `checkpoint`, in write order:
+ *   `{ documents: [{ _id, document, rev, updatedAt }], checkpoint, hasMore }`.
+ *
+ * @example
+ * const http = require('http')
+ * const SyncServer = require('reactive-db-js/lib/transports/sync-server')
+ *
+ * const server = new SyncServer()
+ * http.createServer((req, res) => {
+ *   let body = ''
+ *   req.on('data', chunk => { body += chunk })
+ *   req.on('end', () => server.handle(req.url.split('/').pop(), body)
+ *     .then(json => res.writeHead(200, { 'Content-Type': 'application/json' }).end(json))
+ *     .catch(error => res.writeHead(400).end(error.message)))
+ * }).listen(8080)
+ *
+ * @class SyncServer
+ */
+class SyncServer {
+  /**
+   * Creates an instance of SyncServer.
+   *
+   * @memberof SyncServer
+   */
+  constructor () {
+    this._collections = new Map()
+  }
+
+  /**
+   * Write the changes of a client, unless the documents have been changed since the revision they are based on.
+   *
+   * @param {String} collection
+   * @param {Object[]} changes `{ _id, document, baseRev, updatedAt }`
+   * @returns Promise<Object> `{ results }`
+   * @memberof SyncServer
+   */
+  push (collection, changes) {
+    return new Promise(resolve => {
+      const store = this._store(collection)
+      const results = changes.map(({ _id, document, baseRev, updatedAt }) => {
+        const current = store.documents.get(_id)
+        const rev = current ? current.rev : null
+
+        if (rev !== baseRev) {
+          const conflict = current
+            ? { document: current.document, rev, updatedAt: current.updatedAt }
+            : { document: null, rev: null, updatedAt: null }
+          return { _id, conflict: deepClone(conflict) }
+        }
+
+        const nextRev = (rev || 0) + 1
+        store.sequence++
+        store.documents.delete(_id) // Documents are kept in write order
+        store.documents.set(_id, {
+          _id,
+          document: document === null || document === undefined ? null : deepClone(document),
+          rev: nextRev,
+          updatedAt,
+          seq: store.sequence
+        })
+        return { _id, rev: nextRev }
+      })
+
+      resolve({ results })
+    })
+  }
+
+  /**
+   * Documents written after `checkpoint`, in write order.
+   *
+   * @param {String} collection
+   * @param {Number|null} checkpoint
+   * @param {Number} [limit=100]
+   * @returns Promise<Object> `{ documents, checkpoint, hasMore }`
+   * @memberof SyncServer
+   */
+  pull (collection, checkpoint, limit = 100) {
+    return new Promise(resolve => {
+      const since = checkpoint || 0
+      const written = [...this._store(collection).documents.values()].filter(el => el.seq > since)
+      const documents = written.slice(0, limit)
+
+      resolve({
+        documents: documents.map(({ _id, document, rev, updatedAt }) => deepClone({ _id, document, rev, updatedAt })),
+        checkpoint: documents.length > 0 ? documents[documents.length - 1].seq : since,
+        hasMore: written.length > limit
+      })
+    })
+  }
+
+  /**
+   * Answer a request of `HttpTransport`.
+   *
+   * @param {String} endpoint `'push'` or `'pull'`.
+   * @param {String} body JSON body of the request.
+   * @returns Promise<String> JSON body of the response.
+   * @memberof SyncServer
+   */
+  handle (endpoint, body) {
+    return new Promise(resolve => {
+      const request = parse(body)
+
+      if (endpoint === 'push') {
+        resolve(this.push(request.collection, request.changes))
+      } else if (endpoint === 'pull') {
+        resolve(this.pull(request.collection, request.checkpoint, request.limit))
+      } else {
+        throw new Error(`Unknown sync endpoint "${endpoint}"`)
+      }
+    })
+      .then(stringify)
+  }
+
+  _store (collection) {
+    if (!this._collections.has(collection)) {
+      this._collections.set(collection, { sequence: 0, documents: new Map() })
+    }
+    return this._collections.get(collection)
+  }
+}
+
+module.exports = SyncServer
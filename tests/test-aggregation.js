@@ -0,0 +1,233 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const ReactiveDatabase = require('../lib/reactive-database')
+const ReactiveCollection = require('../lib/reactive-collection')
+const { evaluate } = require('../lib/aggregation')
+let db = null
+let collection = null
+
+describe('Tests for aggregation', () => {
+  beforeEach(() => {
+    db = new ReactiveDatabase()
+    collection = db.getCollection('superheroes')
+    return collection.insertMany([
+      { name: 'Tony', team: 'avengers', age: 48, powers: ['armor', 'money'] },
+      { name: 'Steve', team: 'avengers', age: 100, powers: ['shield'] },
+      { name: 'Peter', team: 'spiders', age: 16, powers: [] },
+      { name: 'Logan', team: 'x-men', age: 200 }
+    ])
+  })
+
+  afterEach(() => {
+    db = null
+    collection = null
+  })
+
+  describe('Expressions', () => {
+    it('should evaluate field paths, literals and operators', (done) => {
+      const doc = { a: 2, b: { c: 3 }, s: 'Foo' }
+      assert.equal(evaluate('$b.c', doc), 3)
+      assert.equal(evaluate('$$ROOT', doc), doc)
+      assert.equal(evaluate({ $add: ['$a', '$b.c', 1] }, doc), 6)
+      assert.equal(evaluate({ $multiply: ['$a', { $subtract: ['$b.c', 1] }] }, doc), 4)
+      assert.equal(evaluate({ $concat: [{ $toUpper: '$s' }, '-', { $toLower: '$s' }] }, doc), 'FOO-foo')
+      assert.equal(evaluate({ $cond: { if: { $gt: ['$a', 1] }, then: 'big', else: 'small' } }, doc), 'big')
+      assert.equal(evaluate({ $ifNull: ['$missing', 'default'] }, doc), 'default')
+      assert.deepEqual(evaluate({ $literal: '$a' }, doc), '$a')
+      assert.deepEqual(evaluate({ x: '$a', y: ['$s'] }, doc), { x: 2, y: ['Foo'] })
+      assert.throws(() => evaluate({ $unknown: 1 }, doc), Error)
+      done()
+    })
+  })
+
+  describe('Stages', () => {
+    it('should $match, $sort, $skip, $limit and $project', (done) => {
+      collection.aggregate([
+        { $match: { age: { $gte: 18 } } },
+        { $sort: { age: -1 } },
+        { $skip: 1 },
+        { $limit: 2 },
+        { $project: { _id: 0, name: 1, nextAge: { $add: ['$age', 1] } } }
+      ])
+        .toArray()
+        .then(results => {
+          assert.deepEqual(results, [{ name: 'Steve', nextAge: 101 }, { name: 'Tony', nextAge: 49 }])
+          done()
+        })
+    })
+
+    it('should $project with exclusion', (done) => {
+      collection.aggregate([{ $match: { name: 'Peter' } }, { $project: { powers: 0, team: 0 } }])
+        .then(results => {
+          assert.deepEqual(results, [{ _id: '2', name: 'Peter', age: 16 }])
+          done()
+        })
+    })
+
+    it('should $addFields without modifying documents', (done) => {
+      collection.aggregate([{ $addFields: { 'info.isOld': { $gt: ['$age', 99] } } }, { $match: { info: { isOld: true } } }])
+        .then(results => {
+          assert.deepEqual(results.map(el => el.name), ['Steve', 'Logan'])
+          return collection.findOne({ name: 'Steve' })
+        })
+        .then(result => {
+          assert.equal(result.info, undefined)
+          done()
+        })
+    })
+
+    it('should $group with accumulators', (done) => {
+      collection.aggregate([
+        { $unwind: { path: '$powers', preserveNullAndEmptyArrays: true } },
+        {
+          $group: {
+            _id: '$team',
+            count: { $sum: 1 },
+            totalAge: { $sum: '$age' },
+            averageAge: { $avg: '$age' },
+            youngest: { $min: '$age' },
+            oldest: { $max: '$age' },
+            powers: { $push: '$powers' },
+            names: { $addToSet: '$name' },
+            first: { $first: '$name' },
+            last: { $last: '$name' }
+          }
+        }
+      ])
+        .then(results => {
+          assert.deepEqual(results, [{
+            _id: 'avengers',
+            count: 3,
+            totalAge: 196,
+            averageAge: 196 / 3,
+            youngest: 48,
+            oldest: 100,
+            powers: ['armor', 'money', 'shield'],
+            names: ['Tony', 'Steve'],
+            first: 'Tony',
+            last: 'Steve'
+          }, {
+            _id: 'spiders',
+            count: 1,
+            totalAge: 16,
+            averageAge: 16,
+            youngest: 16,
+            oldest: 16,
+            powers: [undefined],
+            names: ['Peter'],
+            first: 'Peter',
+            last: 'Peter'
+          }, {
+            _id: 'x-men',
+            count: 1,
+            totalAge: 200,
+            averageAge: 200,
+            youngest: 200,
+            oldest: 200,
+            powers: [undefined],
+            names: ['Logan'],
+            first: 'Logan',
+            last: 'Logan'
+          }])
+          done()
+        })
+    })
+
+    it('should $group everything with a null _id', (done) => {
+      collection.aggregate([{ $group: { _id: null, total: { $sum: '$age' } } }])
+        .then(results => {
+          assert.deepEqual(results, [{ _id: null, total: 364 }])
+          done()
+        })
+    })
+
+    it('should $unwind arrays', (done) => {
+      collection.aggregate([{ $unwind: { path: '$powers', includeArrayIndex: 'index' } }, { $project: { _id: 0, powers: 1, index: 1 } }])
+        .then(results => {
+          assert.deepEqual(results, [
+            { powers: 'armor', index: 0 },
+            { powers: 'money', index: 1 },
+            { powers: 'shield', index: 0 }
+          ])
+          done()
+        })
+    })
+
+    it('should $count documents', (done) => {
+      collection.aggregate([{ $match: { team: 'avengers' } }, { $count: 'avengers' }])
+        .then(results => {
+          assert.deepEqual(results, [{ avengers: 2 }])
+          return collection.aggregate([{ $match: { team: 'none' } }, { $count: 'none' }])
+        })
+        .then(results => {
+          assert.deepEqual(results, [])
+          done()
+        })
+    })
+
+    it('should run many pipelines with $facet', (done) => {
+      collection.aggregate([{
+        $facet: {
+          total: [{ $count: 'count' }],
+          names: [{ $sort: { name: 1 } }, { $limit: 2 }, { $project: { _id: 0, name: 1 } }]
+        }
+      }])
+        .then(results => {
+          assert.deepEqual(results, [{
+            total: [{ count: 4 }],
+            names: [{ name: 'Logan' }, { name: 'Peter' }]
+          }])
+          done()
+        })
+    })
+
+    it('should $lookup documents from another collection', (done) => {
+      db.getCollection('teams').insertMany([
+        { _id: 'avengers', city: 'New York' },
+        { _id: 'x-men', city: 'Westchester' }
+      ])
+        .then(() => collection.aggregate([
+          { $match: { age: { $gt: 50 } } },
+          { $lookup: { from: 'teams', localField: 'team', foreignField: '_id', as: 'teams' } },
+          { $project: { _id: 0, name: 1, 'teams.city': 1 } }
+        ]))
+        .then(results => {
+          assert.deepEqual(results, [
+            { name: 'Steve', teams: [{ city: 'New York' }] },
+            { name: 'Logan', teams: [{ city: 'Westchester' }] }
+          ])
+          done()
+        })
+    })
+  })
+
+  describe('Errors', () => {
+    it('should reject bad pipelines', (done) => {
+      collection.aggregate('not a pipeline')
+        .catch(error => {
+          assert.equal(!!error, true)
+          return collection.aggregate([{ $unknown: {} }])
+        })
+        .catch(error => {
+          assert.equal(!!error, true)
+          return collection.aggregate([{ $group: { total: { $sum: 1 } } }])
+        })
+        .catch(error => {
+          assert.equal(!!error, true)
+          return collection.aggregate([{ $group: { _id: null, total: { $unknown: 1 } } }])
+        })
+        .catch(error => {
+          assert.equal(!!error, true)
+          done()
+        })
+    })
+
+    it('should reject $lookup outside of a database', (done) => {
+      new ReactiveCollection('alone').aggregate([{ $lookup: { from: 'other', localField: 'a', foreignField: 'b', as: 'c' } }])
+        .catch(error => {
+          assert.equal(!!error, true)
+          done()
+        })
+    })
+  })
+})
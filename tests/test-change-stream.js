@@ -0,0 +1,240 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const ReactiveDatabase = require('../lib/reactive-database')
+let db = null
+let collection = null
+
+const summary = event => `${event.operationType} ${event.documentKey._id}`
+
+describe('Tests for ChangeStream', () => {
+  beforeEach(() => {
+    db = new ReactiveDatabase({ oplogSize: 5 })
+    collection = db.getCollection('superheroes')
+  })
+
+  afterEach(() => {
+    db = null
+    collection = null
+  })
+
+  describe('Events', () => {
+    it('should emit an event for each written document', (done) => {
+      const stream = collection.watch()
+      const events = []
+
+      stream.on('change', event => {
+        events.push(event)
+        if (events.length < 5) {
+          return
+        }
+
+        assert.deepEqual(events.map(summary), ['insert 0', 'insert 1', 'update 0', 'update 0', 'remove 1'])
+        assert.deepEqual(events[0], {
+          _id: events[0]._id,
+          operationType: 'insert',
+          ns: { coll: 'superheroes' },
+          documentKey: { _id: '0' },
+          fullDocument: { _id: '0', name: 'Tony', age: 48 }
+        })
+        assert.deepEqual(events.slice(2, 4).map(el => el.fullDocument.age), [49, 50], 'Intermediate states should be kept')
+        assert.equal(events[4].fullDocument, undefined)
+        assert.equal(events.every((el, idx) => idx === 0 || el._id._data > events[idx - 1]._id._data), true)
+        assert.deepEqual(stream.resumeToken, events[4]._id)
+        stream.close()
+        done()
+      })
+
+      collection.insertMany([{ name: 'Tony', age: 48 }, { name: 'Peter', age: 16 }])
+        .then(() => collection.update({ name: 'Tony' }, { $inc: { age: 1 } }))
+        .then(() => collection.update({ name: 'Tony' }, { $inc: { age: 1 } }))
+        .then(() => collection.remove({ name: 'Peter' }))
+    })
+
+    it('should apply $match and $project stages', (done) => {
+      const stream = collection.watch([
+        { $match: { operationType: 'update', 'fullDocument.age': { $gte: 18 } } },
+        { $project: { operationType: 1, 'fullDocument.name': 1 } }
+      ])
+
+      stream.on('change', event => {
+        assert.deepEqual(event, { _id: event._id, operationType: 'update', fullDocument: { name: 'Tony' } })
+        stream.close()
+        done()
+      })
+
+      collection.insertMany([{ name: 'Peter', age: 16 }, { name: 'Tony', age: 48 }])
+        .then(() => collection.update({}, { $set: { isHero: true } }))
+    })
+
+    it('should describe updates and give previous documents on demand', () => {
+      const stream = collection.watch()
+      const withPrevious = collection.watch([], { fullDocumentBeforeChange: 'whenAvailable' })
+
+      return collection.insertOne({ name: 'Tony', tags: ['genius', 'billionaire'], address: { city: 'Malibu', zip: '90265' } })
+        .then(() => collection.update({}, { $set: { 'address.city': 'New York', age: 48 }, $unset: { 'address.zip': true }, $pop: { tags: 1 } }))
+        .then(() => collection.remove({}))
+        .then(() => Promise.all([stream.next(), stream.next(), stream.next(), withPrevious.next(), withPrevious.next(), withPrevious.next()]))
+        .then(([, update, remove, , updateWithPrevious, removeWithPrevious]) => {
+          assert.deepEqual(update.updateDescription, {
+            updatedFields: { 'address.city': 'New York', age: 48 },
+            removedFields: ['address.zip'],
+            truncatedArrays: [{ field: 'tags', newSize: 1 }]
+          })
+          assert.equal(update.fullDocumentBeforeChange, undefined)
+          assert.equal(remove.fullDocumentBeforeChange, undefined)
+          assert.equal(updateWithPrevious.fullDocumentBeforeChange.address.city, 'Malibu')
+          assert.equal(removeWithPrevious.fullDocumentBeforeChange.address.city, 'New York')
+          assert.throws(() => collection.watch([], { fullDocumentBeforeChange: 'required' }), /"fullDocumentBeforeChange" must be "off" or "whenAvailable"/)
+          return Promise.all([stream.close(), withPrevious.close()])
+        })
+    })
+
+    it('should emit the errors of listeners', (done) => {
+      const stream = collection.watch()
+      const events = []
+
+      stream.on('change', event => events.push(summary(event)))
+      stream.on('change', () => {
+        throw new Error('Listener failed')
+      })
+      stream.on('error', error => {
+        assert.equal(error.message, 'Listener failed')
+        if (events.length === 2) {
+          assert.deepEqual(events, ['insert 0', 'insert 1'])
+          assert.equal(stream.closed, false)
+          stream.close()
+          done()
+        }
+      })
+
+      collection.insertMany([{ name: 'Tony' }, { name: 'Peter' }])
+    })
+
+    it('should reject unsupported pipelines', (done) => {
+      assert.throws(() => collection.watch({ $match: {} }), /must be an array/)
+      assert.throws(() => collection.watch([{ $group: { _id: null } }]), /only support/)
+      assert.throws(() => collection.watch([{ $match: { $foo: 1 } }]), /Unknown query operator/)
+      done()
+    })
+
+    it('should only emit events of a transaction on commit', () => {
+      const stream = collection.watch()
+
+      return db.transaction(() => collection.insertOne({ name: 'Tony' }))
+        .then(() => db.transaction(() => {
+          return collection.insertOne({ name: 'Peter' }).then(() => {
+            throw new Error('Cancelled')
+          })
+        }))
+        .catch(() => collection.insertOne({ name: 'Steve' }))
+        .then(() => Promise.all([stream.next(), stream.next()]))
+        .then(events => {
+          assert.deepEqual(events.map(el => el.fullDocument.name), ['Tony', 'Steve'])
+          return stream.tryNext()
+        })
+        .then(event => {
+          assert.equal(event, null)
+          return stream.close()
+        })
+    })
+  })
+
+  describe('Iteration', () => {
+    it('should be an async iterator', () => {
+      const stream = collection.watch()
+      const names = []
+
+      collection.insertMany([{ name: 'Tony' }, { name: 'Peter' }, { name: 'Steve' }])
+
+      // Same calls as `for await (const event of stream)` with a `break` after 2 events
+      const iterator = stream[Symbol.asyncIterator]()
+      const iterate = () => iterator.next().then(({ value }) => {
+        names.push(value.fullDocument.name)
+        return names.length === 2 ? iterator.return() : iterate()
+      })
+
+      return iterate().then(() => {
+        assert.deepEqual(names, ['Tony', 'Peter'])
+        assert.equal(stream.closed, true, 'Leaving the loop should close the stream')
+      })
+    })
+
+    it('should end pending iterations on close', () => {
+      const stream = collection.watch()
+      const pending = stream.next()
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'ChangeStream is closed')
+        })
+
+      const iteration = stream[Symbol.asyncIterator]().next()
+        .then(result => assert.deepEqual(result, { value: undefined, done: true }))
+
+      stream.close()
+      return Promise.all([pending, iteration])
+    })
+
+    it('should not be used both as an event emitter and an iterator', () => {
+      const stream = collection.watch()
+      stream.on('change', () => {})
+
+      return stream.next()
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'ChangeStream is already used as an event emitter')
+          return stream.close()
+        })
+    })
+  })
+
+  describe('Resume', () => {
+    it('should resume after a token', () => {
+      const stream = collection.watch()
+      let token = null
+
+      return collection.insertMany([{ name: 'Tony' }, { name: 'Peter' }])
+        .then(() => stream.next())
+        .then(event => {
+          token = event._id
+          stream.close()
+          return collection.insertOne({ name: 'Steve' })
+        })
+        .then(() => {
+          const resumed = collection.watch([], { resumeAfter: token })
+          const started = collection.watch([{ $match: { 'fullDocument.name': 'Steve' } }], { startAfter: token })
+
+          return Promise.all([resumed.next(), resumed.next(), started.next()])
+            .then(events => {
+              assert.deepEqual(events.map(el => el.fullDocument.name), ['Peter', 'Steve', 'Steve'])
+              return Promise.all([resumed.close(), started.close()])
+            })
+        })
+    })
+
+    it('should fail if the following events are not in the oplog anymore', () => {
+      return collection.insertMany([{ name: 'Tony' }, { name: 'Peter' }])
+        .then(() => collection.insertMany([1, 2, 3, 4, 5].map(num => ({ num }))))
+        .then(() => {
+          const stream = collection.watch([], { resumeAfter: { _data: 1 } })
+          return stream.next()
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'Resume token is too old: following changes are not in the oplog anymore')
+        })
+    })
+
+    it('should emit an error for an invalid token', (done) => {
+      const stream = collection.watch([], { resumeAfter: { _data: 42 } })
+
+      stream.on('error', error => {
+        assert.equal(error.message, 'Invalid resume token')
+        assert.equal(stream.closed, true)
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,205 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const CollectionIndex = require('../lib/collection-index')
+const ReactiveCollection = require('../lib/reactive-collection')
+let index = null
+
+describe('Tests for CollectionIndex', () => {
+  beforeEach(() => {
+    index = new CollectionIndex({ num: 1 })
+    index.build([
+      [{ _id: 'a', num: 3 }, 0],
+      [{ _id: 'b', num: 1 }, 1],
+      [{ _id: 'c', num: 2 }, 2],
+      [{ _id: 'd', num: 1 }, 3]
+    ])
+  })
+
+  afterEach(() => {
+    index = null
+  })
+
+  describe('Creation', () => {
+    it('should build a name from keys', (done) => {
+      assert.equal(index.name, 'num_1')
+      assert.equal(new CollectionIndex({ a: 1, b: -1 }).name, 'a_1_b_-1')
+      assert.equal(new CollectionIndex({ a: 1 }, { name: 'foo' }).name, 'foo')
+      done()
+    })
+
+    it('should throw with bad keys', (done) => {
+      assert.throws(() => new CollectionIndex(), Error)
+      assert.throws(() => new CollectionIndex({}), Error)
+      assert.throws(() => new CollectionIndex({ a: 2 }), Error)
+      done()
+    })
+  })
+
+  describe('Values comparison', () => {
+    it('should order values by type then by value', (done) => {
+      const values = [new Date(0), true, [1], { a: 1 }, 'b', 'a', 2, 1, NaN, null]
+      assert.deepEqual([...values].sort(CollectionIndex.compareValues), [...values].reverse())
+      assert.equal(CollectionIndex.compareValues(undefined, null), -1)
+      assert.equal(CollectionIndex.compareValues(new Date(0), new Date(0)), 0)
+      done()
+    })
+  })
+
+  describe('Maintenance', () => {
+    it('should keep entries sorted by key, then by collection order', (done) => {
+      index.insert({ _id: 'e', num: 1 }, 4)
+      index.remove('c')
+      index.update({ _id: 'a', num: 0 })
+      assert.deepEqual(index.sorted({ num: 1 }).map(el => el._id), ['a', 'b', 'd', 'e'])
+      done()
+    })
+  })
+
+  describe('Search', () => {
+    it('should find documents by equality', (done) => {
+      assert.deepEqual(index.find({ num: 1 }).map(el => el._id), ['b', 'd'])
+      assert.deepEqual(index.find({ num: { $eq: 2 } }).map(el => el._id), ['c'])
+      assert.deepEqual(index.find({ num: 5 }), [])
+      done()
+    })
+
+    it('should find documents with $in', (done) => {
+      assert.deepEqual(index.find({ num: { $in: [3, 1, 3] } }).map(el => el._id), ['a', 'b', 'd'])
+      done()
+    })
+
+    it('should find documents in a range', (done) => {
+      assert.deepEqual(index.find({ num: { $gt: 1 } }).map(el => el._id), ['a', 'c'])
+      assert.deepEqual(index.find({ num: { $gte: 1, $lt: 3 } }).map(el => el._id), ['b', 'c', 'd'])
+      assert.deepEqual(index.find({ num: { $lte: 2 } }).map(el => el._id), ['b', 'c', 'd'])
+      done()
+    })
+
+    it('should not be used for other queries', (done) => {
+      assert.equal(index.find({ other: 1 }), null)
+      assert.equal(index.find({ num: { $exists: true } }), null)
+      assert.equal(index.find({ num: { sub: 1 } }), null)
+      index.insert({ _id: 'e', num: 'not a number' }, 4)
+      assert.equal(index.find({ num: { $gt: 1 } }), null)
+      done()
+    })
+
+    it('should use prefix of compound indexes', (done) => {
+      const compound = new CollectionIndex({ a: 1, b: -1 })
+      compound.build([
+        [{ _id: 'a', a: 1, b: 1 }, 0],
+        [{ _id: 'b', a: 1, b: 2 }, 1],
+        [{ _id: 'c', a: 2, b: 1 }, 2],
+        [{ _id: 'd', a: 1, b: 3 }, 3]
+      ])
+      assert.deepEqual(compound.find({ a: 1 }).map(el => el._id), ['a', 'b', 'd'])
+      assert.deepEqual(compound.find({ a: 1, b: { $gte: 2 } }).map(el => el._id), ['b', 'd'])
+      assert.deepEqual(compound.find({ a: { $in: [1, 2] }, b: 1 }).map(el => el._id), ['a', 'c'])
+      assert.equal(compound.find({ b: 1 }), null)
+      done()
+    })
+  })
+
+  describe('Sparse and partial indexes', () => {
+    it('should only index documents having the fields', (done) => {
+      const sparse = new CollectionIndex({ num: 1 }, { sparse: true })
+      sparse.build([[{ _id: 'a', num: 1 }, 0], [{ _id: 'b' }, 1]])
+      assert.equal(sparse.covers({ _id: 'b' }), false)
+      assert.deepEqual(sparse.find({ num: 1 }).map(el => el._id), ['a'])
+      assert.equal(sparse.find({ num: undefined }), null)
+      assert.equal(sparse.canSort({ num: 1 }), false)
+      done()
+    })
+
+    it('should only index documents matching the filter', (done) => {
+      const partial = new CollectionIndex({ num: 1 }, { partialFilterExpression: { num: 1 } }, (doc, query) => doc.num === query.num)
+      partial.build([[{ _id: 'a', num: 1 }, 0], [{ _id: 'b', num: 2 }, 1]])
+      assert.equal(partial.covers({ _id: 'b', num: 2 }), false)
+      assert.equal(partial.find({ num: 1 }), null)
+      assert.throws(() => new CollectionIndex({ num: 1 }, { partialFilterExpression: 'num' }), Error)
+      done()
+    })
+  })
+
+  describe('Unique keys', () => {
+    it('should find duplicates', (done) => {
+      assert.equal(index.findDuplicate({ _id: 'e', num: 1 })._id, 'b')
+      assert.equal(index.findDuplicate({ _id: 'e', num: 1 }, new Set(['b']))._id, 'd')
+      assert.equal(index.findDuplicate({ _id: 'e', num: 1 }, new Set(['b', 'd'])), null)
+      assert.equal(index.keyString({ num: 1 }), index.keyString({ num: 1, other: 2 }))
+      assert.notEqual(index.keyString({ num: 1 }), index.keyString({ num: '1' }))
+      assert.deepEqual(index.keyValue({ num: 1, other: 2 }), { num: 1 })
+      done()
+    })
+
+    it('should return a duplicate while building a unique index', (done) => {
+      const unique = new CollectionIndex({ num: 1 }, { unique: true })
+      assert.equal(unique.build([[{ _id: 'a', num: 1 }, 0], [{ _id: 'b', num: 1 }, 1]])._id, 'b')
+      assert.equal(unique.build([[{ _id: 'a', num: 1 }, 0]]), null)
+      done()
+    })
+  })
+
+  describe('Sort', () => {
+    it('should sort in both directions', (done) => {
+      assert.equal(index.canSort({ num: 1 }), true)
+      assert.equal(index.canSort({ num: -1 }), true)
+      assert.equal(index.canSort({ other: 1 }), false)
+      assert.deepEqual(index.sorted({ num: 1 }).map(el => el._id), ['b', 'd', 'c', 'a'])
+      assert.deepEqual(index.sorted({ num: -1 }).map(el => el._id), ['a', 'c', 'b', 'd'])
+      done()
+    })
+
+    it('should not sort values of mixed types', (done) => {
+      index.insert({ _id: 'e' }, 4)
+      assert.equal(index.canSort({ num: 1 }), false)
+      done()
+    })
+  })
+
+  describe('Same results as without index', () => {
+    const queries = [
+      [{}, undefined],
+      [{ num: 3 }, undefined],
+      [{ num: { $in: [1, 5, 7] } }, { str: -1 }],
+      [{ num: { $gte: 2, $lt: 8 }, str: 'a' }, undefined],
+      [{ num: { $gt: 4 } }, { num: -1 }],
+      [{ str: { $lte: 'b' } }, { str: 1, num: 1 }],
+      [{ str: 'b', num: { $lte: 5 } }, { num: -1 }],
+      [{}, { num: 1 }],
+      [{}, { str: -1, num: 1 }],
+      [{ _id: '3' }, undefined]
+    ]
+
+    it('should find and sort the same documents', () => {
+      const indexed = new ReactiveCollection('indexed')
+      const notIndexed = new ReactiveCollection('not-indexed')
+      const documents = []
+      for (let num = 0; num < 60; num++) {
+        documents.push({ num: (num * 7) % 10, str: ['a', 'b', 'c'][num % 3] })
+      }
+
+      return Promise.all([
+        indexed.insertMany(documents.map(el => ({ ...el }))),
+        notIndexed.insertMany(documents.map(el => ({ ...el }))),
+        indexed.createIndex({ num: 1 }),
+        indexed.createIndex({ str: -1, num: 1 })
+      ])
+        .then(() => indexed.remove({ num: 9 }))
+        .then(() => notIndexed.remove({ num: 9 }))
+        .then(() => indexed.update({ num: 2 }, { $set: { num: 20 } }))
+        .then(() => notIndexed.update({ num: 2 }, { $set: { num: 20 } }))
+        .then(() => Promise.all(queries.map(([query, sort]) => {
+          return Promise.all([
+            indexed.find(query, undefined, { sort, skip: 1, limit: 15 }),
+            notIndexed.find(query, undefined, { sort, skip: 1, limit: 15 })
+          ])
+        })))
+        .then(results => {
+          results.forEach(([withIndex, withoutIndex], idx) => {
+            assert.deepEqual(withIndex, withoutIndex, `Different results for query #${idx}`)
+          })
+        })
+    })
+  })
+})
@@ -0,0 +1,175 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const ReactiveCollection = require('../lib/reactive-collection')
+const Cursor = require('../lib/cursor')
+let collection = null
+
+describe('Tests for Cursor', () => {
+  beforeEach(() => {
+    collection = new ReactiveCollection('superheroes')
+    return collection.insertMany([
+      { name: 'Tony', age: 48 },
+      { name: 'Peter', age: 16 },
+      { name: 'Steve', age: 101 },
+      { name: 'Bruce', age: 49 }
+    ])
+  })
+
+  afterEach(() => {
+    collection = null
+  })
+
+  describe('Results', () => {
+    it('should be returned by find() and be thenable', () => {
+      const cursor = collection.find({ age: { $gt: 40 } })
+      assert.equal(cursor instanceof Cursor, true)
+
+      return cursor
+        .then(results => {
+          assert.deepEqual(results.map(el => el.name), ['Tony', 'Steve', 'Bruce'])
+          return cursor
+        })
+        .then(results => {
+          assert.equal(results.length, 3, 'Awaiting a cursor again should give the same results')
+        })
+    })
+
+    it('should reject invalid queries', () => {
+      return collection.find({ age: { $foo: 1 } })
+        .catch(error => {
+          assert.equal(error.message, 'Unknown query operator "$foo" used on field "age"')
+          return collection.find('Tony').toArray()
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, '"query" must be an object')
+        })
+    })
+
+    it('should be evaluated lazily', () => {
+      const cursor = collection.find()
+
+      return collection.insertOne({ name: 'Natasha', age: 35 })
+        .then(() => cursor.toArray())
+        .then(results => {
+          assert.equal(results.length, 5, 'Documents written before the results are asked should be found')
+          return collection.insertOne({ name: 'Clint', age: 47 })
+        })
+        .then(() => cursor.toArray())
+        .then(results => {
+          assert.equal(results.length, 5, 'Results are read only once')
+        })
+    })
+  })
+
+  describe('Chaining', () => {
+    it('should sort, skip, limit, project and map', () => {
+      return collection.find({}, { age: 1 })
+        .sort({ age: -1 })
+        .skip(1)
+        .limit(2)
+        .project({ _id: 0, name: 1 })
+        .map(doc => doc.name)
+        .map(name => name.toUpperCase())
+        .then(results => {
+          assert.deepEqual(results, ['BRUCE', 'TONY'])
+        })
+    })
+
+    it('should reject invalid arguments and changes once started', () => {
+      const cursor = collection.find()
+      assert.throws(() => cursor.skip(-1), /"skip" must be a non negative integer/)
+      assert.throws(() => cursor.limit('10'), /"limit" must be a non negative integer/)
+      assert.throws(() => cursor.map(null), /"fn" must be a function/)
+
+      return cursor.next().then(() => {
+        assert.throws(() => cursor.sort({ age: 1 }), /Cursor can't be changed once results have been read/)
+      })
+    })
+
+    it('should apply sort, skip and limit to aggregations', () => {
+      return collection.aggregate([{ $match: { age: { $lt: 100 } } }])
+        .sort({ age: 1 })
+        .skip(1)
+        .limit(1)
+        .toArray()
+        .then(results => {
+          assert.deepEqual(results.map(el => el.name), ['Tony'])
+        })
+    })
+  })
+
+  describe('Iteration', () => {
+    it('should give results one by one', () => {
+      const cursor = collection.find().sort({ name: 1 }).limit(2)
+      const names = []
+
+      return cursor.hasNext()
+        .then(hasNext => {
+          assert.equal(hasNext, true)
+          return cursor.next()
+        })
+        .then(doc => {
+          names.push(doc.name)
+          return cursor.toArray()
+        })
+        .then(rest => {
+          assert.deepEqual(rest.map(el => el.name), ['Peter'], 'toArray() should give the results not given by next()')
+          return cursor.next()
+        })
+        .then(doc => {
+          names.push(doc.name)
+          return Promise.all([cursor.hasNext(), cursor.next()])
+        })
+        .then(([hasNext, doc]) => {
+          assert.deepEqual(names, ['Bruce', 'Peter'])
+          assert.equal(hasNext, false)
+          assert.equal(doc, null)
+        })
+    })
+
+    it('should be an async iterator', () => {
+      const names = []
+      // Same calls as `for await (const name of cursor)`
+      const iterator = collection.find().map(doc => doc.name)[Symbol.asyncIterator]()
+      const iterate = () => iterator.next().then(({ value, done }) => {
+        if (!done) {
+          names.push(value)
+          return iterate()
+        }
+      })
+
+      return iterate().then(() => {
+        assert.deepEqual(names, ['Tony', 'Peter', 'Steve', 'Bruce'])
+      })
+    })
+
+    it('should iterate over results mapped to null', () => {
+      const values = []
+      const iterator = collection.find({}, undefined, { sort: { name: 1 } }).map(doc => doc.name === 'Peter' ? doc.name : null)[Symbol.asyncIterator]()
+      const iterate = () => iterator.next().then(({ value, done }) => {
+        if (!done) {
+          values.push(value)
+          return iterate()
+        }
+      })
+
+      return iterate().then(() => {
+        assert.deepEqual(values, [null, 'Peter', null, null])
+      })
+    })
+  })
+
+  describe('Count', () => {
+    it('should count matching documents', () => {
+      const cursor = collection.find({ age: { $gt: 18 } }).skip(1).limit(1)
+
+      return Promise.all([cursor.count(), cursor.count(true)])
+        .then(([count, countWithSkipLimit]) => {
+          assert.equal(count, 3, 'Skip and limit are ignored by default')
+          assert.equal(countWithSkipLimit, 1)
+        })
+    })
+  })
+})
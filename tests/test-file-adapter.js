@@ -0,0 +1,199 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const FileAdapter = require('../lib/adapters/file-adapter')
+const ReactiveDatabase = require('../lib/reactive-database')
+const ObjectId = require('../lib/object-id')
+let directory = null
+let adapter = null
+
+describe('Tests for FileAdapter', () => {
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reactive-db-js-'))
+    adapter = new FileAdapter({ directory })
+  })
+
+  afterEach(() => {
+    return adapter.close()
+      .then(() => fs.rmdirSync(directory, { recursive: true }))
+  })
+
+  describe('Creation', () => {
+    it('should throw without directory', (done) => {
+      assert.throws(() => new FileAdapter(), Error)
+      done()
+    })
+  })
+
+  describe('Change log', () => {
+    it('should load nothing from an empty directory', (done) => {
+      adapter.load()
+        .then(state => {
+          assert.deepEqual(state, { snapshot: null, changes: [] })
+          done()
+        })
+    })
+
+    it('should append changes and load them', (done) => {
+      adapter.append({ seq: 1, collection: 'col', operationType: 'remove', ids: ['0'] })
+        .then(() => adapter.append({ seq: 2, collection: 'col', operationType: 'remove', ids: ['1'] }))
+        .then(() => adapter.load())
+        .then(state => {
+          assert.deepEqual(state.changes.map(el => el.seq), [1, 2])
+          done()
+        })
+    })
+
+    it('should ignore a partially written last change', (done) => {
+      fs.writeFileSync(path.join(directory, 'changes.log'), '{"seq":1}\n{"seq":2,"coll')
+      adapter.load()
+        .then(state => {
+          assert.deepEqual(state.changes, [{ seq: 1 }])
+          done()
+        })
+    })
+
+    it('should reject with a corrupted change log', (done) => {
+      fs.writeFileSync(path.join(directory, 'changes.log'), '{"seq":1}\n{"seq":2,"coll\n{"seq":3}\n')
+      adapter.load()
+        .catch(error => {
+          assert.equal(!!error, true)
+          done()
+        })
+    })
+  })
+
+  describe('Snapshot', () => {
+    it('should write a snapshot and empty the change log', (done) => {
+      adapter.append({ seq: 1 })
+        .then(() => adapter.compact({ seq: 1, collections: {} }))
+        .then(() => adapter.load())
+        .then(state => {
+          assert.deepEqual(state, { snapshot: { seq: 1, collections: {} }, changes: [] })
+          done()
+        })
+    })
+  })
+
+  describe('Database persistence', () => {
+    it('should restore a database content', (done) => {
+      const db = new ReactiveDatabase({ adapter, durability: 'sync', compactEvery: 3 })
+      const collection = db.getCollection('superheroes')
+
+      db.connect()
+        .then(() => collection.insertMany([{ name: 'Tony' }, { name: 'Bruce' }, { name: 'Steve' }]))
+        .then(() => collection.update({ name: 'Tony' }, { $set: { suit: true } }))
+        .then(() => collection.remove({ name: 'Bruce' }))
+        .then(() => collection.insertOne({ name: 'Peter' }))
+        .then(() => db.close())
+        .then(() => {
+          const restoredDb = new ReactiveDatabase({ adapter: new FileAdapter({ directory }) })
+          return restoredDb.connect()
+            .then(() => restoredDb.getCollection('superheroes').find())
+            .then(results => {
+              assert.deepEqual(results, [
+                { _id: '0', name: 'Tony', suit: true },
+                { _id: '2', name: 'Steve' },
+                { _id: '3', name: 'Peter' }
+              ])
+              return restoredDb.getCollection('superheroes').insertOne({ name: 'Natasha' })
+            })
+            .then(() => restoredDb.getCollection('superheroes').findOne({ name: 'Natasha' }))
+            .then(result => {
+              assert.equal(result._id, '4')
+              return restoredDb.close()
+            })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    it('should restore collection options and indexes', () => {
+      const db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      const validator = { $jsonSchema: { required: ['email'], properties: { email: { type: 'string' } } } }
+
+      return db.connect()
+        .then(() => db.createCollection('users', { validator, idStrategy: 'uuidv4' }))
+        .then(users => users.createIndex({ email: 1 }, { unique: true })
+          .then(() => users.createIndex({ age: 1 }, { sparse: true }))
+          .then(() => users.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 }))
+          .then(() => users.insertMany([{ email: 'tony@stark.com', age: 48 }, { email: 'peter@parker.com' }])))
+        .then(() => db.createCollection('logs', { capped: true, size: 10000, max: 2 }))
+        .then(() => db.compact())
+        .then(() => db.getCollection('users').dropIndex('age_1'))
+        .then(() => db.getCollection('users').setValidator(validator, { validationLevel: 'moderate' }))
+        .then(() => db.close())
+        .then(() => {
+          const restoredDb = new ReactiveDatabase({ adapter: new FileAdapter({ directory }) })
+          const users = restoredDb.getCollection('users')
+          const logs = restoredDb.getCollection('logs')
+
+          return restoredDb.connect()
+            .then(() => Promise.all([restoredDb.listCollections(), users.listIndexes()]))
+            .then(([collections, indexes]) => {
+              assert.deepEqual(collections.map(el => [el.name, el.options]), [
+                ['users', { validator, validationLevel: 'moderate', validationAction: 'error' }],
+                ['logs', { capped: true, size: 10000, max: 2 }]
+              ])
+              assert.deepEqual(indexes, [
+                { key: { _id: 1 }, name: '_id_' },
+                { key: { email: 1 }, name: 'email_1', unique: true },
+                { key: { createdAt: 1 }, name: 'createdAt_1', expireAfterSeconds: 3600 }
+              ])
+              assert.ok(users._ttlMonitor !== null)
+              return users.insertOne({ email: 'tony@stark.com' }).then(() => assert.fail('Duplicate inserted'), error => {
+                assert.equal(error.name, 'DuplicateKeyError')
+              })
+            })
+            .then(() => users.insertOne({ name: 'Bruce' }).then(() => assert.fail('Invalid document inserted'), error => {
+              assert.equal(error.name, 'ValidationError')
+            }))
+            .then(() => users.insertOne({ email: 'bruce@banner.com' }))
+            .then(result => assert.match(result.insertedId, /^[0-9a-f]{8}-[0-9a-f]{4}-4/))
+            .then(() => logs.insertMany([{ n: 1 }, { n: 2 }]))
+            .then(() => logs.insertOne({ n: 3 }))
+            .then(() => logs.find({}, { _id: 0 }))
+            .then(results => {
+              assert.deepEqual(results, [{ n: 2 }, { n: 3 }])
+              return restoredDb.close()
+            })
+        })
+    })
+
+    it('should restore ObjectIds and dates', () => {
+      const db = new ReactiveDatabase({ adapter, durability: 'sync', idStrategy: 'objectId' })
+      const collection = db.getCollection('superheroes')
+      let id = null
+
+      return db.connect()
+        .then(() => collection.insertOne({ name: 'Tony' }))
+        .then(result => {
+          id = result.insertedId
+          return collection.insertOne({ name: 'Pepper', partner: id })
+        })
+        .then(() => db.compact())
+        .then(() => collection.insertOne({ name: 'Peter', mentor: id, bitten: new Date(1000), invalid: new Date(NaN) }))
+        .then(() => db.close())
+        .then(() => {
+          const log = fs.readFileSync(path.join(directory, 'changes.log'), 'utf8')
+          assert.ok(log.indexOf(`"mentor":{"$oid":"${id}"}`) >= 0)
+
+          const restoredDb = new ReactiveDatabase({ adapter: new FileAdapter({ directory }) })
+          return restoredDb.connect()
+            .then(() => Promise.all([
+              restoredDb.getCollection('superheroes').findOne({ _id: new ObjectId(id.toHexString()) }),
+              restoredDb.getCollection('superheroes').find({ $or: [{ partner: id }, { mentor: id }] })
+            ]))
+            .then(([tony, others]) => {
+              assert.equal(tony.name, 'Tony')
+              assert.deepEqual(others.map(el => el.name), ['Pepper', 'Peter'])
+              assert.equal(others[1].bitten.getTime(), 1000)
+              assert.equal(Number.isNaN(others[1].invalid.getTime()), true)
+              return restoredDb.close()
+            })
+        })
+    })
+  })
+})
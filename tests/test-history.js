@@ -0,0 +1,180 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const ReactiveDatabase = require('../lib/reactive-database')
+let db = null
+let heroes = null
+let history = null
+
+describe('Tests for History', () => {
+  beforeEach(() => {
+    db = new ReactiveDatabase({ scheduling: 'sync' })
+    heroes = db.getCollection('heroes')
+    history = db.enableHistory()
+  })
+
+  afterEach(() => {
+    db = null
+    heroes = null
+    history = null
+  })
+
+  describe('Undo and redo', () => {
+    it('should undo and redo inserts, updates and removes', () => {
+      const changes = []
+      heroes.subscribe({}, received => changes.push(...received.map(el => [el.operationType, el._id])), { coalesce: false })
+
+      assert.equal(history.canUndo, false)
+      return heroes.insertOne({ name: 'Tony' })
+        .then(() => heroes.updateOne({ name: 'Tony' }, { $set: { suit: 'Mark I' } }))
+        .then(() => heroes.remove({ name: 'Tony' }))
+        .then(() => {
+          assert.equal(history.canUndo, true)
+          changes.length = 0
+          return history.undo()
+        })
+        .then(undone => {
+          assert.equal(undone, true)
+          assert.deepEqual(changes, [['insert', '0']])
+          return heroes.find()
+        })
+        .then(results => {
+          assert.deepEqual(results, [{ _id: '0', name: 'Tony', suit: 'Mark I' }])
+          return history.undo()
+        })
+        .then(() => heroes.find())
+        .then(results => {
+          assert.deepEqual(results, [{ _id: '0', name: 'Tony' }])
+          return history.undo()
+        })
+        .then(() => Promise.all([heroes.count(), history.undo()]))
+        .then(([count, undone]) => {
+          assert.equal(count, 0)
+          assert.equal(undone, false, 'Nothing should be left to undo')
+          assert.equal(history.canRedo, true)
+          changes.length = 0
+          return history.redo().then(() => history.redo())
+        })
+        .then(() => heroes.find())
+        .then(results => {
+          assert.deepEqual(changes, [['insert', '0'], ['update', '0']])
+          assert.deepEqual(results, [{ _id: '0', name: 'Tony', suit: 'Mark I' }])
+          return heroes.insertOne({ name: 'Bruce' })
+        })
+        .then(() => {
+          assert.equal(history.canRedo, false, 'A new write should forget undone steps')
+        })
+    })
+
+    it('should group writes into named checkpoints', () => {
+      const villains = db.getCollection('villains')
+
+      history.checkpoint('Add heroes')
+      return heroes.insertMany([{ name: 'Tony' }, { name: 'Bruce' }])
+        .then(() => villains.insertOne({ name: 'Loki' }))
+        .then(() => heroes.updateOne({ name: 'Bruce' }, { $set: { angry: true } }))
+        .then(() => {
+          history.checkpoint('Remove Loki')
+          return villains.remove({})
+        })
+        .then(() => {
+          assert.equal(history.undoName, 'Remove Loki')
+          return history.undo()
+        })
+        .then(() => {
+          assert.equal(history.undoName, 'Add heroes')
+          assert.equal(history.redoName, 'Remove Loki')
+          return history.undo()
+        })
+        .then(() => Promise.all([heroes.count(), villains.count()]))
+        .then(counts => {
+          assert.deepEqual(counts, [0, 0])
+          assert.equal(history.canUndo, false)
+          return history.redo()
+        })
+        .then(() => Promise.all([heroes.find({}, { _id: 0 }), villains.find({}, { _id: 0 })]))
+        .then(([heroesFound, villainsFound]) => {
+          assert.deepEqual(heroesFound, [{ name: 'Tony' }, { name: 'Bruce', angry: true }])
+          assert.deepEqual(villainsFound, [{ name: 'Loki' }])
+          return heroes.insertOne({ name: 'Peter' }).then(() => heroes.insertOne({ name: 'Steve' }))
+        })
+        .then(() => {
+          assert.equal(history.undoName, null, 'Checkpoints should be closed by undo and redo')
+          return history.undo()
+        })
+        .then(() => heroes.find({}, { _id: 0, name: 1 }))
+        .then(results => assert.deepEqual(results.map(el => el.name), ['Tony', 'Bruce', 'Peter']))
+    })
+
+    it('should undo a transaction and a bulk write as one step', () => {
+      return db.transaction(() => {
+        return heroes.insertOne({ name: 'Tony' })
+          .then(() => db.getCollection('villains').insertOne({ name: 'Loki' }))
+      })
+        .then(() => heroes.bulkWrite([{ insertOne: { document: { name: 'Bruce' } } }, { deleteOne: { filter: { name: 'Tony' } } }]))
+        .then(() => history.undo())
+        .then(() => heroes.find({}, { _id: 0 }))
+        .then(results => {
+          assert.deepEqual(results, [{ name: 'Tony' }])
+          return history.undo()
+        })
+        .then(() => Promise.all([heroes.count(), db.getCollection('villains').count()]))
+        .then(counts => assert.deepEqual(counts, [0, 0]))
+    })
+
+    it('should keep a limited number of steps', () => {
+      history = db.enableHistory({ limit: 2 })
+      assert.equal(db.history, history)
+      assert.throws(() => db.enableHistory({ limit: 0 }), /"limit" must be a positive integer/)
+
+      return heroes.insertOne({ n: 1 })
+        .then(() => heroes.insertOne({ n: 2 }))
+        .then(() => heroes.insertOne({ n: 3 }))
+        .then(() => history.undo())
+        .then(() => history.undo())
+        .then(() => Promise.all([history.undo(), heroes.find({}, { _id: 0 })]))
+        .then(([undone, results]) => {
+          assert.equal(undone, false)
+          assert.deepEqual(results, [{ n: 1 }])
+          db.disableHistory()
+          assert.equal(db.history, null)
+        })
+    })
+  })
+
+  describe('Failures and persistence', () => {
+    it('should not write anything if an undo fails', () => {
+      return heroes.insertMany([{ name: 'Tony' }, { name: 'Bruce', age: 49 }])
+        .then(() => {
+          history.clear()
+          assert.equal(history.canUndo, false)
+          history.checkpoint('Set ages')
+          return heroes.updateOne({ name: 'Tony' }, { $set: { age: 48 } })
+        })
+        .then(() => heroes.updateOne({ name: 'Bruce' }, { $set: { age: 50 } }))
+        .then(() => heroes.setValidator({ required: ['age'] }))
+        .then(() => history.undo())
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.name, 'ValidationError')
+          assert.equal(history.undoName, 'Set ages')
+          return heroes.find({}, { _id: 0 })
+        })
+        .then(results => assert.deepEqual(results, [{ name: 'Tony', age: 48 }, { name: 'Bruce', age: 50 }]))
+    })
+
+    it('should persist an undo as a transaction', () => {
+      const changes = []
+      db = new ReactiveDatabase({ adapter: { load: () => ({}), append: change => changes.push(change), compact: () => {} }, durability: 'sync' })
+      heroes = db.getCollection('heroes')
+      history = db.enableHistory()
+
+      return heroes.insertOne({ name: 'Tony' })
+        .then(() => history.undo())
+        .then(() => {
+          assert.deepEqual(changes.map(el => el.operationType), ['insert', 'transaction'])
+          assert.deepEqual(changes[1].changes.map(el => [el.operationType, el.ids]), [['remove', ['0']]])
+        })
+    })
+  })
+})
@@ -0,0 +1,135 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const ReactiveCollection = require('../lib/reactive-collection')
+let collection = null
+
+describe('Tests for LiveQuery', () => {
+  beforeEach(() => {
+    collection = new ReactiveCollection('test-collection')
+    return collection.insertMany([
+      { num: 1, even: false },
+      { num: 2, even: true },
+      { num: 3, even: false },
+      { num: 4, even: true }
+    ])
+  })
+
+  afterEach(() => {
+    collection = null
+  })
+
+  describe('Results', () => {
+    it('should hold the same results as find()', (done) => {
+      const liveQuery = collection.liveQuery({ num: { $gte: 2 } }, { _id: 0, num: 1 }, { sort: { num: -1 }, skip: 1, limit: 2 })
+      collection.find({ num: { $gte: 2 } }, { _id: 0, num: 1 }, { sort: { num: -1 }, skip: 1, limit: 2 })
+        .then(results => {
+          assert.deepEqual(liveQuery.results, results)
+          assert.deepEqual(liveQuery.results, [{ num: 3 }, { num: 2 }])
+          liveQuery.stop()
+          done()
+        })
+    })
+
+    it('should throw with bad query', (done) => {
+      assert.throws(() => collection.liveQuery('not a query'), Error)
+      done()
+    })
+  })
+
+  describe('Subscription management', () => {
+    it('should add and remove a watcher', (done) => {
+      const liveQuery = collection.liveQuery()
+      const watcher = {}
+      liveQuery.subscribe(watcher, () => {})
+      assert.equal(liveQuery._watchers.has(watcher), true, 'No watcher found')
+      liveQuery.unsubscribe(watcher)
+      assert.equal(liveQuery._watchers.has(watcher), false, 'A watcher has been found')
+      assert.throws(() => liveQuery.unsubscribe(watcher), Error)
+      assert.throws(() => liveQuery.subscribe(null, () => {}), Error)
+      liveQuery.stop()
+      done()
+    })
+
+    it('should follow the collection with the given scheduling', (done) => {
+      const liveQuery = collection.liveQuery({ even: true }, undefined, { scheduling: 'sync' })
+      collection.insertOne({ num: 6, even: true })
+      assert.deepEqual(liveQuery.results.map(el => el.num), [2, 4, 6])
+      liveQuery.stop()
+      done()
+    })
+
+    it('should stop following the collection', (done) => {
+      const liveQuery = collection.liveQuery()
+      assert.equal(collection._watchers.has(liveQuery), true)
+      liveQuery.stop()
+      liveQuery.stop()
+      assert.equal(liveQuery.stopped, true)
+      assert.equal(collection._watchers.has(liveQuery), false)
+      done()
+    })
+  })
+
+  describe('Differences', () => {
+    it('should notify added documents', (done) => {
+      const liveQuery = collection.liveQuery({ even: true }, { _id: 0, num: 1 }, { sort: { num: 1 } })
+      liveQuery.subscribe({}, diffs => {
+        assert.deepEqual(diffs, [{ type: 'added', _id: '4', index: 0, document: { num: 0 } }])
+        assert.deepEqual(liveQuery.results, [{ num: 0 }, { num: 2 }, { num: 4 }])
+        liveQuery.stop()
+        done()
+      })
+      collection.insertOne({ num: 0, even: true })
+    })
+
+    it('should notify removed documents', (done) => {
+      const liveQuery = collection.liveQuery({ even: true })
+      liveQuery.subscribe({}, diffs => {
+        assert.deepEqual(diffs, [{ type: 'removed', _id: '1', index: 0 }])
+        liveQuery.stop()
+        done()
+      })
+      collection.remove({ num: 2 })
+    })
+
+    it('should notify changed and moved documents', (done) => {
+      const liveQuery = collection.liveQuery({}, { num: 1 }, { sort: { num: 1 } })
+      liveQuery.subscribe({}, diffs => {
+        assert.deepEqual(diffs, [
+          { type: 'moved', _id: '0', fromIndex: 0, toIndex: 3 },
+          { type: 'changed', _id: '0', index: 3, document: { _id: '0', num: 10 } }
+        ])
+        assert.deepEqual(liveQuery.results.map(el => el.num), [2, 3, 4, 10])
+        liveQuery.stop()
+        done()
+      })
+      collection.update({ num: 1 }, { $set: { num: 10 } })
+    })
+
+    it('should not notify when the results are not affected', (done) => {
+      const liveQuery = collection.liveQuery({ even: true })
+      liveQuery.subscribe({}, () => {
+        assert.fail('Results have not changed')
+      })
+      collection.subscribe({}, () => {
+        liveQuery.stop()
+        done()
+      })
+      collection.update({ even: false }, { $set: { odd: true } })
+    })
+
+    it('should follow the skip/limit window', (done) => {
+      const liveQuery = collection.liveQuery({}, { _id: 0, num: 1 }, { sort: { num: 1 }, skip: 1, limit: 2 })
+      assert.deepEqual(liveQuery.results, [{ num: 2 }, { num: 3 }])
+      liveQuery.subscribe({}, diffs => {
+        assert.deepEqual(diffs, [
+          { type: 'removed', _id: '1', index: 0 },
+          { type: 'added', _id: '3', index: 1, document: { num: 4 } }
+        ])
+        assert.deepEqual(liveQuery.results, [{ num: 3 }, { num: 4 }])
+        liveQuery.stop()
+        done()
+      })
+      collection.remove({ num: 1 })
+    })
+  })
+})
@@ -0,0 +1,130 @@
+/* global describe, it */
+const assert = require('assert')
+const NotificationScheduler = require('../lib/notification-scheduler')
+const Subscription = require('../lib/subscription')
+
+const wait = delay => new Promise(resolve => setTimeout(resolve, delay))
+
+describe('Tests for NotificationScheduler', () => {
+  describe('Options', () => {
+    it('should reject invalid scheduling', (done) => {
+      assert.throws(() => new NotificationScheduler('later', () => {}), /"scheduling" must be/)
+      assert.throws(() => new NotificationScheduler({ debounce: -1 }, () => {}), /"scheduling" must be/)
+      assert.throws(() => new NotificationScheduler({ debounce: 10, maxWait: '1s' }, () => {}), /"scheduling" must be/)
+      done()
+    })
+  })
+
+  describe('Strategies', () => {
+    it('should deliver synchronously', (done) => {
+      let count = 0
+      const scheduler = new NotificationScheduler('sync', () => count++)
+
+      scheduler.schedule()
+      scheduler.schedule()
+      assert.equal(count, 2)
+      assert.equal(scheduler.isPending, false)
+      done()
+    })
+
+    it('should deliver once the current task is done', () => {
+      let count = 0
+      const scheduler = new NotificationScheduler('microtask', () => count++)
+
+      scheduler.schedule()
+      scheduler.schedule()
+      assert.equal(count, 0)
+
+      return Promise.resolve().then(() => {
+        assert.equal(count, 1)
+      })
+    })
+
+    it('should debounce, but not longer than maxWait', () => {
+      const deliveries = []
+      const start = Date.now()
+      const scheduler = new NotificationScheduler({ debounce: 40, maxWait: 100 }, () => deliveries.push(Date.now() - start))
+      const interval = setInterval(() => scheduler.schedule(), 10)
+
+      scheduler.schedule()
+      return wait(180)
+        .then(() => {
+          clearInterval(interval)
+          assert.equal(deliveries.length, 1, 'A steady stream of changes should not starve watchers')
+          assert.equal(deliveries[0] >= 100 && deliveries[0] < 180, true)
+          return wait(100)
+        })
+        .then(() => {
+          assert.equal(deliveries.length, 2)
+        })
+    })
+
+    it('should throttle', () => {
+      const deliveries = []
+      const scheduler = new NotificationScheduler({ throttle: 50 }, () => deliveries.push(Date.now()))
+      const interval = setInterval(() => scheduler.schedule(), 5)
+
+      return wait(140)
+        .then(() => {
+          clearInterval(interval)
+          assert.equal(deliveries.length >= 2 && deliveries.length <= 3, true)
+          assert.equal(deliveries.every((el, idx) => idx === 0 || el - deliveries[idx - 1] >= 45), true)
+          scheduler.cancel()
+        })
+    })
+
+    it('should use a custom scheduler', (done) => {
+      const callbacks = []
+      let count = 0
+      const scheduler = new NotificationScheduler(callback => callbacks.push(callback), () => count++)
+
+      scheduler.schedule()
+      scheduler.schedule()
+      assert.equal(callbacks.length, 1)
+      assert.equal(count, 0)
+
+      callbacks[0]()
+      assert.equal(count, 1)
+      done()
+    })
+  })
+
+  describe('Flush and cancel', () => {
+    it('should deliver pending notifications on flush', (done) => {
+      let count = 0
+      const scheduler = new NotificationScheduler({ debounce: 1000 }, () => count++)
+
+      scheduler.flush()
+      assert.equal(count, 0, 'Nothing to deliver')
+
+      scheduler.schedule()
+      scheduler.flush()
+      assert.equal(count, 1)
+      assert.equal(scheduler.isPending, false)
+      done()
+    })
+
+    it('should forget pending notifications on cancel', () => {
+      let count = 0
+      const scheduler = new NotificationScheduler({ debounce: 10 }, () => count++)
+
+      scheduler.schedule()
+      scheduler.cancel()
+      return wait(30).then(() => {
+        assert.equal(count, 0)
+      })
+    })
+
+    it('should not deliver the changes pending before cancel', () => {
+      const deliveries = []
+      const subscription = new Subscription({}, changes => deliveries.push(changes.map(el => el._id)), { scheduling: { debounce: 10 } })
+
+      subscription.push([{ collection: 'logs', _id: '0', operationType: 'insert', fullDocument: { _id: '0' } }])
+      subscription.cancel()
+      subscription.push([{ collection: 'logs', _id: '1', operationType: 'insert', fullDocument: { _id: '1' } }])
+      return wait(30).then(() => {
+        assert.deepEqual(deliveries, [['1']])
+      })
+    })
+  })
+})
@@ -0,0 +1,61 @@
+/* global describe, it */
+const assert = require('assert')
+const ObjectId = require('../lib/object-id')
+
+describe('Tests for ObjectId', () => {
+  describe('Creation', () => {
+    it('should generate increasing ids with their timestamp', (done) => {
+      const before = Math.floor(Date.now() / 1000) * 1000
+      const ids = [new ObjectId(), new ObjectId(), new ObjectId()]
+
+      ids.forEach(id => assert.ok(/^[0-9a-f]{24}$/.test(id.toHexString())))
+      assert.deepEqual(ids.map(String), ids.map(String).sort())
+      assert.equal(new Set(ids.map(String)).size, 3)
+      assert.ok(ids[0].getTimestamp().getTime() >= before)
+      assert.ok(ids[0].getTimestamp().getTime() <= Date.now())
+      done()
+    })
+
+    it('should give the same instance for the same value', (done) => {
+      const id = new ObjectId()
+
+      assert.equal(new ObjectId(id.toHexString()), id)
+      assert.equal(new ObjectId(id.toHexString().toUpperCase()), id)
+      assert.equal(new ObjectId(id), id)
+      assert.ok(Object.isFrozen(id))
+      done()
+    })
+
+    it('should reject invalid values', (done) => {
+      assert.throws(() => new ObjectId('123'), /"id" must be an ObjectId or a 24 characters hex string/)
+      assert.throws(() => new ObjectId(12), /"id" must be an ObjectId or a 24 characters hex string/)
+      assert.equal(ObjectId.isValid('5f0c5a1e9b1e8a3d4c2b1a09'), true)
+      assert.equal(ObjectId.isValid('5f0c5a1e9b1e8a3d4c2b1a0z'), false)
+      done()
+    })
+
+    it('should be created from a time', (done) => {
+      const id = ObjectId.createFromTime(1600000000)
+
+      assert.equal(id.toHexString(), '5f5e10000000000000000000')
+      assert.equal(id.getTimestamp().getTime(), 1600000000000)
+      done()
+    })
+  })
+
+  describe('Conversion', () => {
+    it('should be converted to a hex string and compared', (done) => {
+      const hex = '5f0c5a1e9b1e8a3d4c2b1a09'
+      const id = new ObjectId(hex)
+
+      assert.equal(`${id}`, hex)
+      assert.equal(JSON.stringify({ _id: id }), `{"_id":"${hex}"}`)
+      assert.equal(id.equals(hex), true)
+      assert.equal(id.equals(new ObjectId(hex)), true)
+      assert.equal(id.equals(new ObjectId()), false)
+      assert.equal(id.equals(null), false)
+      assert.equal(id < new ObjectId(), true)
+      done()
+    })
+  })
+})
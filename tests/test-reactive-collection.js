@@ -1,6 +1,8 @@
 /* global beforeEach, afterEach, describe, it */
 const assert = require('assert')
 const ReactiveCollection = require('../lib/reactive-collection')
+const ObjectId = require('../lib/object-id')
+const { DuplicateKeyError, ValidationError } = require('../lib/errors')
 let collection = null
 
 describe('Tests for ReactiveCollection', () => {
@@ -100,6 +102,17 @@ describe('Tests for ReactiveCollection', () => {
         })
     })
 
+    it('should give the _id of inserted documents', () => {
+      return collection.insertOne({ num: 5 })
+        .then(result => {
+          assert.deepEqual(result, { acknowledged: true, insertedId: '4' })
+          return collection.insertMany([{ num: 6 }, { _id: 'seven', num: 7 }])
+        })
+        .then(result => {
+          assert.deepEqual(result, { acknowledged: true, insertedCount: 2, insertedIds: { 0: '5', 1: 'seven' } })
+        })
+    })
+
     it('should reject while inserting with bad _id', (done) => {
       collection.insert({ _id: '0', num: 5 })
         .catch(error => {
@@ -238,6 +251,17 @@ describe('Tests for ReactiveCollection', () => {
         })
     })
 
+    it('should count matched and really modified documents', () => {
+      return collection.updateMany({ num: { $gte: 2 } }, { $max: { num: 3 } })
+        .then(result => {
+          assert.deepEqual(result, { acknowledged: true, matchedCount: 3, modifiedCount: 1, upsertedCount: 0, upsertedId: null })
+          return collection.updateOne({ num: 999 }, { $set: { num: 10 } }, { upsert: true })
+        })
+        .then(result => {
+          assert.deepEqual(result, { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: '4' })
+        })
+    })
+
     it('should upsert if no match', (done) => {
       collection.update({ num: 999 }, { num: 10 }, { upsert: true })
         .then(() => collection.find({ num: 10 }))
@@ -267,6 +291,23 @@ describe('Tests for ReactiveCollection', () => {
         })
     })
 
+    it('should count removed documents', () => {
+      return collection.deleteOne({ num: { $gte: 2 } })
+        .then(result => {
+          assert.deepEqual(result, { acknowledged: true, deletedCount: 1 })
+          return collection.find({}, { _id: 0, num: 1 })
+        })
+        .then(results => {
+          assert.deepEqual(results, [{ num: 1 }, { num: 3 }, { num: 4 }])
+          return collection.deleteMany({ num: { $gte: 2 } })
+        })
+        .then(result => {
+          assert.deepEqual(result, { acknowledged: true, deletedCount: 2 })
+          return collection.remove({ num: 999 })
+        })
+        .then(result => assert.deepEqual(result, { acknowledged: true, deletedCount: 0 }))
+    })
+
     it('should remove one document', (done) => {
       collection.remove({}, { justOne: true })
         .then(() => collection.find())
@@ -277,6 +318,624 @@ describe('Tests for ReactiveCollection', () => {
     })
   })
 
+  describe('Indexes', () => {
+    beforeEach(() => {
+      return collection.insertMany([
+        { num: 1 },
+        { num: 2 },
+        { num: 3 },
+        { num: 4 }
+      ])
+    })
+
+    it('should create an index', (done) => {
+      collection.createIndex({ num: 1 })
+        .then(name => {
+          assert.equal(name, 'num_1')
+          assert.notEqual(collection._candidates({ num: 3 }), null)
+          return collection.createIndex({ num: 1 })
+        })
+        .then(() => collection.listIndexes())
+        .then(indexes => {
+          assert.deepEqual(indexes, [
+            { key: { _id: 1 }, name: '_id_' },
+            { key: { num: 1 }, name: 'num_1' }
+          ])
+          done()
+        })
+    })
+
+    it('should reject while creating an index with bad keys', (done) => {
+      collection.createIndex({ num: 'up' })
+        .catch(error => {
+          assert.equal(!!error, true)
+          return collection.createIndex({ num: -1 }, { name: '_id_' })
+        })
+        .catch(error => {
+          assert.equal(!!error, true)
+          done()
+        })
+    })
+
+    it('should maintain an index on insert, update and remove', (done) => {
+      collection.createIndex({ num: -1 })
+        .then(() => collection.insertOne({ num: 5 }))
+        .then(() => collection.update({ num: 1 }, { $set: { num: 6 } }))
+        .then(() => collection.remove({ num: 3 }))
+        .then(() => collection.find({ num: { $gt: 3 } }, { _id: 0, num: 1 }, { sort: { num: 1 } }))
+        .then(results => {
+          assert.deepEqual(results, [{ num: 4 }, { num: 5 }, { num: 6 }])
+          done()
+        })
+    })
+
+    it('should drop an index', (done) => {
+      collection.createIndex({ num: 1 }, { name: 'by-num' })
+        .then(() => collection.dropIndex({ num: 1 }))
+        .then(() => collection.createIndex({ num: 1 }))
+        .then(() => collection.dropIndex('num_1'))
+        .then(() => collection.listIndexes())
+        .then(indexes => {
+          assert.equal(indexes.length, 1)
+          assert.equal(collection._candidates({ num: 3 }), null)
+          return collection.dropIndex('num_1')
+        })
+        .catch(error => {
+          assert.equal(!!error, true)
+          done()
+        })
+    })
+  })
+
+  describe('Statistics and lifecycle', () => {
+    it('should give statistics', () => {
+      return collection.insertMany([{ num: 1 }, { num: 22 }])
+        .then(() => collection.createIndex({ num: 1 }))
+        .then(() => collection.stats())
+        .then(stats => {
+          assert.deepEqual(stats, {
+            ns: collection._name,
+            count: 2,
+            size: 39, // {"_id":"0","num":1} and {"_id":"1","num":22}
+            avgObjSize: 20,
+            nindexes: 2,
+            indexes: [
+              { key: { _id: 1 }, name: '_id_', entries: 2 },
+              { key: { num: 1 }, name: 'num_1', entries: 2 }
+            ],
+            capped: false
+          })
+        })
+    })
+
+    it('should drop and rename a collection without database', () => {
+      const changes = []
+      collection.subscribe({}, received => changes.push(...received), { scheduling: 'sync' })
+
+      return collection.rename('renamed')
+        .then(() => collection.drop())
+        .then(dropped => {
+          assert.equal(dropped, true)
+          assert.deepEqual(changes.map(el => el.operationType), ['rename', 'drop'])
+          assert.equal(changes[1].collection, 'renamed')
+          return collection.insertOne({ num: 1 })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'Collection "renamed" has been dropped')
+        })
+    })
+  })
+
+  describe('Capped collections and TTL indexes', () => {
+    it('should evict the oldest documents of a capped collection', () => {
+      const changes = []
+      collection = new ReactiveCollection('logs', { capped: true, size: 1000, max: 3 })
+      collection.subscribe({}, received => changes.push(...received), { scheduling: 'sync', coalesce: false })
+
+      return collection.insertMany([{ n: 1 }, { n: 2 }, { n: 3 }])
+        .then(() => collection.updateOne({ n: 1 }, { $set: { updated: true } }))
+        .then(() => collection.insertOne({ n: 4 }))
+        .then(() => collection.find())
+        .then(results => {
+          assert.deepEqual(results.map(el => el.n), [2, 3, 4], 'Updates should not change the insertion order')
+          assert.deepEqual(changes.slice(-2).map(el => [el.operationType, el._id]), [['insert', '3'], ['remove', '0']])
+          assert.deepEqual(changes[changes.length - 1].fullDocumentBeforeChange, undefined, 'Pre-images are given on demand only')
+          return collection.insertMany([{ n: 5 }, { n: 6 }, { n: 7 }, { n: 8 }])
+            .then(() => assert.fail('Should not insert more documents than the collection can keep'), error => {
+              assert.equal(error.message, 'Can\'t insert more than 3 documents in capped collection "logs"')
+            })
+        })
+        .then(() => collection.find())
+        .then(results => {
+          assert.deepEqual(results.map(el => el.n), [2, 3, 4], 'Nothing should be written')
+          return collection.insertMany([{ n: 6 }, { n: 7 }, { n: 8 }])
+        })
+        .then(result => {
+          assert.deepEqual(result.insertedIds, { 0: '4', 1: '5', 2: '6' }, 'Counter ids of the rejected insert should be given back')
+          return Promise.all([collection.find(), collection.stats(), collection.isCapped()])
+        })
+        .then(([results, stats, isCapped]) => {
+          assert.deepEqual(results.map(el => el.n), [6, 7, 8])
+          assert.equal(stats.capped, true)
+          assert.equal(stats.max, 3)
+          assert.equal(stats.maxSize, 1000)
+          assert.equal(isCapped, true)
+        })
+    })
+
+    it('should evict documents to stay under the capped size', () => {
+      collection = new ReactiveCollection('logs', { capped: true, size: 60 })
+
+      // Each document is 27 bytes long: {"_id":"0","text":"abcdef"}
+      return collection.insertMany([{ text: 'abcdef' }, { text: 'ghijkl' }])
+        .then(() => collection.insertOne({ text: 'mnopqr' }))
+        .then(() => Promise.all([collection.find(), collection.stats()]))
+        .then(([results, stats]) => {
+          assert.deepEqual(results.map(el => el.text), ['ghijkl', 'mnopqr'])
+          assert.equal(stats.size, 54)
+          assert.equal(stats.max, undefined)
+          return collection.insertOne({ text: 'a'.repeat(60) })
+            .then(() => assert.fail('Should not insert a document larger than the collection'), error => {
+              assert.equal(error.message, 'Documents are larger than the size of capped collection "logs"')
+            })
+        })
+        .then(() => collection.find())
+        .then(results => {
+          assert.deepEqual(results.map(el => el.text), ['ghijkl', 'mnopqr'])
+          assert.throws(() => new ReactiveCollection('logs', { capped: true }), /"size" must be a positive number for a capped collection/)
+          assert.throws(() => new ReactiveCollection('logs', { capped: true, size: 10, max: 0 }), /"max" must be a positive integer/)
+        })
+    })
+
+    it('should remove expired documents', () => {
+      const now = Date.now()
+      const changes = []
+      collection.subscribe({}, received => changes.push(...received), { scheduling: 'sync' })
+
+      return collection.insertMany([
+        { name: 'old', createdAt: new Date(now - 120000) },
+        { name: 'recent', createdAt: new Date(now - 30000) },
+        { name: 'dates', createdAt: [new Date(now), new Date(now - 90000)] },
+        { name: 'not a date', createdAt: now - 120000 },
+        { name: 'toast', expireAt: new Date(now - 1) },
+        { name: 'later toast', expireAt: new Date(now + 1000) }
+      ])
+        .then(() => Promise.all([
+          collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 }),
+          collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0, sparse: true })
+        ]))
+        .then(() => collection._removeExpired(now))
+        .then(removedCount => {
+          assert.equal(removedCount, 3)
+          assert.deepEqual(changes.filter(el => el.operationType === 'remove').map(el => el._id).sort(), ['0', '2', '4'])
+          return collection.listIndexes()
+        })
+        .then(indexes => {
+          assert.equal(indexes[1].expireAfterSeconds, 60)
+          return collection._removeExpired(now + 2000)
+        })
+        .then(removedCount => {
+          assert.equal(removedCount, 1)
+          return collection.find()
+        })
+        .then(results => {
+          assert.deepEqual(results.map(el => el.name), ['recent', 'not a date'])
+          return collection.createIndex({ a: 1, b: 1 }, { expireAfterSeconds: 10 })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, '"expireAfterSeconds" can only be used on a single field index')
+          return collection.createIndex({ a: 1 }, { expireAfterSeconds: -1 })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, '"expireAfterSeconds" must be a non negative number')
+        })
+    })
+
+    it('should remove expired documents in background', (done) => {
+      collection = new ReactiveCollection('sessions', { ttlMonitorInterval: 20 })
+      collection.subscribe({}, changes => {
+        assert.deepEqual(changes.map(el => [el.operationType, el.fullDocumentBeforeChange.name]), [['remove', 'Tony']])
+        collection.dropIndex('createdAt_1')
+          .then(() => {
+            assert.equal(collection._ttlMonitor, null)
+            done()
+          })
+          .catch(done)
+      }, { scheduling: 'sync', operationTypes: ['remove'], fullDocumentBeforeChange: 'whenAvailable' })
+
+      collection.insertOne({ name: 'Tony', createdAt: new Date() })
+        .then(() => collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 0 }))
+        .then(() => assert.notEqual(collection._ttlMonitor, null))
+        .catch(done)
+    })
+  })
+
+  describe('Bulk write', () => {
+    beforeEach(() => {
+      return collection.insertMany([
+        { _id: 'a', num: 1 },
+        { _id: 'b', num: 2 },
+        { _id: 'c', num: 3 }
+      ])
+    })
+
+    it('should run every kind of operation and count the writes', () => {
+      return collection.bulkWrite([
+        { insertOne: { document: { _id: 'd', num: 4 } } },
+        { updateOne: { filter: { num: 1 }, update: { $set: { num: 10 } } } },
+        { updateMany: { filter: { num: { $gt: 2 } }, update: { $set: { big: true } } } },
+        { updateOne: { filter: { num: 2 }, update: { $set: { num: 2 } } } },
+        { replaceOne: { filter: { num: 5 }, replacement: { num: 5, replaced: true }, upsert: true } },
+        { deleteOne: { filter: { num: { $gt: 2 } } } },
+        { deleteMany: { filter: { big: true } } }
+      ])
+        .then(result => {
+          assert.deepEqual(result, {
+            insertedCount: 1,
+            matchedCount: 5,
+            modifiedCount: 4,
+            deletedCount: 3,
+            upsertedCount: 1,
+            insertedIds: { 0: 'd' },
+            upsertedIds: { 4: '0' },
+            writeErrors: []
+          })
+          return collection.find({}, { _id: 1, num: 1 })
+        })
+        .then(results => {
+          assert.deepEqual(results, [{ _id: 'b', num: 2 }, { _id: '0', num: 5 }])
+        })
+    })
+
+    it('should stop at the first error when ordered', () => {
+      return collection.bulkWrite([
+        { insertOne: { document: { _id: 'a' } } },
+        { deleteMany: { filter: {} } }
+      ])
+        .then(result => {
+          assert.equal(result.deletedCount, 0)
+          assert.equal(result.writeErrors.length, 1)
+          assert.equal(result.writeErrors[0].index, 0)
+          assert.equal(result.writeErrors[0].errmsg, 'An object with _id a already exist in this collection')
+          return collection.count()
+        })
+        .then(count => assert.equal(count, 3))
+    })
+
+    it('should continue after errors when unordered', () => {
+      return collection.createIndex({ num: 1 }, { unique: true })
+        .then(() => collection.bulkWrite([
+          { updateOne: { filter: { _id: 'a' }, update: { $set: { num: 2 } } } },
+          { insertOne: { document: { _id: 'd', num: 4 } } },
+          { updateOne: { filter: { _id: 'a' }, update: { $unknown: 1 } } },
+          { deleteOne: { filter: { _id: 'b' } } }
+        ], { ordered: false }))
+        .then(result => {
+          assert.deepEqual(result.writeErrors.map(el => el.index), [0, 2])
+          assert.equal(result.writeErrors[0].code, 11000)
+          assert.deepEqual(result.writeErrors[0].op, { updateOne: { filter: { _id: 'a' }, update: { $set: { num: 2 } } } })
+          assert.equal(result.insertedCount, 1)
+          assert.equal(result.deletedCount, 1)
+          return collection.find({}, { _id: 1 })
+        })
+        .then(results => {
+          assert.deepEqual(results.map(el => el._id), ['a', 'c', 'd'])
+        })
+    })
+
+    it('should reject malformed operations without writing anything', () => {
+      return collection.bulkWrite([
+        { deleteMany: { filter: {} } },
+        { insertOne: { doc: {} } }
+      ])
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, '"document" of insertOne operation 1 must be an object')
+          return collection.bulkWrite([{ replaceOne: { filter: {}, replacement: { $set: { num: 1 } } } }])
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, '"replacement" of replaceOne operation 0 can\'t use update operators')
+          return collection.bulkWrite([{ insertMany: { documents: [] } }])
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(/^Operation 0 must have one field among "insertOne"/.test(error.message), true)
+          return collection.count()
+        })
+        .then(count => assert.equal(count, 3))
+    })
+
+    it('should notify watchers once', () => {
+      const notifications = []
+      collection.subscribe({}, changes => notifications.push(changes), { scheduling: 'sync' })
+
+      return collection.bulkWrite([
+        { insertOne: { document: { _id: 'd', num: 4 } } },
+        { updateOne: { filter: { _id: 'd' }, update: { $set: { num: 40 } } } },
+        { deleteOne: { filter: { _id: 'a' } } }
+      ])
+        .then(() => {
+          assert.equal(notifications.length, 1)
+          assert.deepEqual(notifications[0].map(el => [el._id, el.operationType]), [['d', 'insert'], ['a', 'remove']])
+        })
+    })
+  })
+
+  describe('Unique indexes', () => {
+    beforeEach(() => {
+      return collection.insertMany([
+        { email: 'peter@parker.com', name: 'Peter' },
+        { email: 'tony@stark.com', name: 'Tony' },
+        { name: 'Bruce' }
+      ])
+        .then(() => collection.createIndex({ email: 1 }, { unique: true, sparse: true }))
+    })
+
+    it('should reject insert of a duplicate key', (done) => {
+      collection.insertMany([{ email: 'steve@rogers.com' }, { email: 'tony@stark.com' }])
+        .catch(error => {
+          assert.equal(error instanceof DuplicateKeyError, true)
+          assert.equal(error.code, 11000)
+          assert.equal(error.index, 'email_1')
+          assert.deepEqual(error.keyValue, { email: 'tony@stark.com' })
+          return collection.count()
+        })
+        .then(count => {
+          assert.equal(count, 3, 'Nothing should have been inserted')
+          done()
+        })
+    })
+
+    it('should reject insert of duplicate keys in the same batch', (done) => {
+      collection.insertMany([{ email: 'steve@rogers.com' }, { email: 'steve@rogers.com' }])
+        .catch(error => {
+          assert.equal(error instanceof DuplicateKeyError, true)
+          done()
+        })
+    })
+
+    it('should allow many documents without the field in a sparse index', (done) => {
+      collection.insertOne({ name: 'Natasha' })
+        .then(() => collection.count())
+        .then(count => {
+          assert.equal(count, 4)
+          done()
+        })
+    })
+
+    it('should reject update giving a duplicate key', (done) => {
+      collection.updateMany({}, { $set: { email: 'same@email.com' } })
+        .catch(error => {
+          assert.equal(error instanceof DuplicateKeyError, true)
+          assert.deepEqual(error.keyValue, { email: 'same@email.com' })
+          return collection.find({}, { _id: 0, email: 1 })
+        })
+        .then(results => {
+          assert.deepEqual(results, [
+            { email: 'peter@parker.com' },
+            { email: 'tony@stark.com' },
+            {}
+          ], 'Nothing should have been updated')
+          return collection.update({ name: 'Peter' }, { $set: { email: 'peter@parker.com', age: 25 } })
+        })
+        .then(() => collection.findOne({ name: 'Peter' }))
+        .then(result => {
+          assert.equal(result.age, 25, 'A document can keep its own key')
+          done()
+        })
+    })
+
+    it('should reject upsert giving a duplicate key', (done) => {
+      collection.update({ name: 'Steve' }, { $set: { email: 'tony@stark.com' } }, { upsert: true })
+        .catch(error => {
+          assert.equal(error instanceof DuplicateKeyError, true)
+          done()
+        })
+    })
+
+    it('should enforce compound unique keys', (done) => {
+      collection.createIndex({ name: 1, team: 1 }, { unique: true })
+        .then(() => collection.insertOne({ name: 'Peter', team: 'avengers' }))
+        .then(() => collection.insertOne({ name: 'Peter', team: 'avengers' }))
+        .catch(error => {
+          assert.equal(error.index, 'name_1_team_1')
+          assert.deepEqual(error.keyValue, { name: 'Peter', team: 'avengers' })
+          done()
+        })
+    })
+
+    it('should only enforce uniqueness on documents matching a partial filter expression', (done) => {
+      collection.createIndex({ name: 1 }, { unique: true, partialFilterExpression: { active: true } })
+        .then(() => collection.insertMany([{ name: 'Peter' }, { name: 'Peter', active: true }]))
+        .then(() => collection.insertOne({ name: 'Peter', active: true }))
+        .catch(error => {
+          assert.equal(error.index, 'name_1')
+          done()
+        })
+    })
+
+    it('should reject creation of a unique index on duplicate keys', (done) => {
+      collection.insertOne({ name: 'Peter' })
+        .then(() => collection.createIndex({ name: 1 }, { unique: true }))
+        .catch(error => {
+          assert.equal(error instanceof DuplicateKeyError, true)
+          return collection.listIndexes()
+        })
+        .then(indexes => {
+          assert.equal(indexes.length, 2)
+          done()
+        })
+    })
+  })
+
+  describe('Schema validation', () => {
+    const validator = {
+      $jsonSchema: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          age: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+
+    it('should reject invalid validators and options', () => {
+      assert.throws(() => new ReactiveCollection('test-collection', { validator: { type: 'document' } }), /Invalid value/)
+      assert.throws(() => new ReactiveCollection('test-collection', { validationLevel: 'loose' }), /"validationLevel" must be/)
+
+      return collection.setValidator(validator, { validationAction: 'log' })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, '"validationAction" must be "error" or "warn"')
+        })
+    })
+
+    it('should reject invalid inserted documents', () => {
+      return collection.setValidator(validator)
+        .then(() => collection.insertMany([{ name: 'Tony', age: 48 }, { name: 42, age: -1 }]))
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error instanceof ValidationError, true)
+          assert.equal(error.code, 121)
+          assert.equal(error.message, 'Document failed validation in collection "test-collection": name must be of type string, age must be >= 0')
+          assert.deepEqual(error.errors.map(el => el.path), ['name', 'age'])
+          assert.deepEqual(error.document, { _id: error.document._id, name: 42, age: -1 })
+          return collection.count()
+        })
+        .then(count => {
+          assert.equal(count, 0, 'Nothing should have been inserted')
+        })
+    })
+
+    it('should validate updated and upserted documents', () => {
+      return collection.insertMany([{ name: 'Tony', age: 48 }, { name: 'Peter', age: 16 }])
+        .then(() => collection.setValidator(validator))
+        .then(() => collection.update({}, { $inc: { age: -20 } }))
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.deepEqual(error.errors, [{ path: 'age', keyword: 'minimum', message: 'must be >= 0' }])
+          assert.equal(error.document.name, 'Peter')
+          return collection.find({}, { _id: 0 })
+        })
+        .then(results => {
+          assert.deepEqual(results, [{ name: 'Tony', age: 48 }, { name: 'Peter', age: 16 }], 'Nothing should have been updated')
+          return collection.update({ name: 'Steve' }, { $set: { age: 'old' } }, { upsert: true })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.deepEqual(error.errors.map(el => el.path), ['age'])
+        })
+    })
+
+    it('should let invalid documents be updated with the moderate level', () => {
+      return collection.insertMany([{ age: 48 }, { name: 'Peter', age: 16 }])
+        .then(() => collection.setValidator(validator, { validationLevel: 'moderate' }))
+        .then(() => collection.update({ age: 48 }, { $inc: { age: 1 } }))
+        .then(() => collection.update({ name: 'Peter' }, { $unset: { name: true } }))
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.deepEqual(error.errors.map(el => el.path), ['name'])
+          return collection.setValidator(validator, { validationLevel: 'off' })
+        })
+        .then(() => collection.insertOne({ name: 42 }))
+        .then(() => collection.count())
+        .then(count => {
+          assert.equal(count, 3)
+        })
+    })
+
+    it('should emit a warning for invalid documents with the warn action', () => {
+      const warnings = []
+      collection = new ReactiveCollection('test-collection', { validator, validationAction: 'warn' })
+      collection.on('validationWarning', error => warnings.push(error))
+
+      return collection.insertMany([{ name: 'Tony' }, { age: 16 }])
+        .then(() => collection.count())
+        .then(count => {
+          assert.equal(count, 2)
+          assert.equal(warnings.length, 1)
+          assert.equal(warnings[0] instanceof ValidationError, true)
+          assert.deepEqual(warnings[0].errors.map(el => el.path), ['name'])
+        })
+    })
+  })
+
+  describe('Document isolation', () => {
+    it('should store copies of inserted documents', () => {
+      const tony = { name: 'Tony', address: { city: 'Malibu' } }
+
+      return collection.insertOne(tony)
+        .then(() => {
+          assert.equal(tony._id, undefined, 'Inserted documents should not be modified')
+          tony.address.city = 'New York'
+          return collection.findOne()
+        })
+        .then(doc => {
+          assert.deepEqual(doc, { _id: '0', name: 'Tony', address: { city: 'Malibu' } })
+        })
+    })
+
+    it('should give copies of the documents from find()', () => {
+      return collection.insertOne({ name: 'Tony', tags: ['genius'] })
+        .then(() => collection.findOne())
+        .then(doc => {
+          doc.tags.push('billionaire')
+          return collection.find().map(el => el.tags)
+        })
+        .then(results => {
+          assert.deepEqual(results, [['genius']])
+        })
+    })
+
+    it('should give frozen documents to watchers', () => {
+      const changes = []
+      collection.subscribe({}, received => changes.push(...received), { scheduling: 'sync', fullDocumentBeforeChange: 'whenAvailable' })
+      const replacement = { name: 'Tony', tags: ['genius'] }
+
+      return collection.insertOne({ name: 'Peter' })
+        .then(() => collection.update({}, replacement))
+        .then(() => {
+          replacement.tags.push('billionaire')
+          assert.equal(Object.isFrozen(changes[1].fullDocument.tags), true)
+          assert.deepEqual(changes[1].fullDocument, { _id: '0', name: 'Tony', tags: ['genius'] }, 'Updated documents should not share values with the update')
+          assert.deepEqual(changes[1].fullDocumentBeforeChange, { _id: '0', name: 'Peter' })
+        })
+    })
+
+    it('should share frozen documents with clone: false', () => {
+      const tony = { name: 'Tony', address: { city: 'Malibu' } }
+
+      return collection.insertOne(tony, { clone: false })
+        .then(() => {
+          assert.equal(tony._id, '0')
+          assert.equal(Object.isFrozen(tony.address), true)
+          return Promise.all([collection.find({}, undefined, { clone: false }), collection.aggregate([], { clone: false }), collection.find()])
+        })
+        .then(([found, aggregated, copies]) => {
+          assert.equal(found[0], tony)
+          assert.equal(aggregated[0], tony)
+          assert.notEqual(copies[0], tony)
+          assert.equal(Object.isFrozen(copies[0]), false)
+        })
+    })
+  })
+
   describe('Document identification', () => {
     it('should auto increment _id', done => {
       assert.equal(collection._objectId(), 0)
@@ -284,6 +943,101 @@ describe('Tests for ReactiveCollection', () => {
       assert.equal(collection._objectId(), 2)
       done()
     })
+
+    it('should skip counter ids already used', () => {
+      return collection.insertMany([{ _id: '0' }, { _id: '2' }, { name: 'Tony' }, { name: 'Bruce' }])
+        .then(result => {
+          assert.deepEqual(result.insertedIds, { 0: '0', 1: '2', 2: '1', 3: '3' })
+        })
+    })
+
+    it('should not take counter ids for documents which can\'t be inserted', () => {
+      return collection.createIndex({ name: 1 }, { unique: true })
+        .then(() => collection.insertOne({ name: 'Tony' }))
+        .then(() => collection.insertOne({ name: 'Tony' }))
+        .then(() => assert.fail('Should be rejected'), error => {
+          assert.ok(error instanceof DuplicateKeyError)
+          return collection.insertOne({ name: 'Bruce' })
+        })
+        .then(result => {
+          assert.equal(result.insertedId, '1')
+        })
+    })
+
+    it('should generate ObjectIds and find documents by ObjectId', () => {
+      collection = new ReactiveCollection('test-collection', { idStrategy: 'objectId' })
+      collection.createIndex({ ref: 1 })
+      let ids = null
+
+      return collection.insertMany([{ name: 'Tony' }, { name: 'Bruce' }])
+        .then(result => {
+          ids = Object.values(result.insertedIds)
+          assert.ok(ids.every(id => id instanceof ObjectId))
+          return collection.insertOne({ name: 'Peter', ref: ids[0] })
+        })
+        .then(() => Promise.all([
+          collection.findOne({ _id: new ObjectId(ids[1].toHexString()) }),
+          collection.find({ _id: { $in: [ids[0]] } }),
+          collection.find({ _id: { $gt: ids[0] } }),
+          collection.find({ _id: { $type: 'objectId' } }).sort({ _id: -1 }),
+          collection.findOne({ ref: new ObjectId(ids[0].toHexString()) })
+        ]))
+        .then(([bruce, tony, afterTony, sorted, peter]) => {
+          assert.equal(bruce.name, 'Bruce')
+          assert.deepEqual(tony.map(el => el.name), ['Tony'])
+          assert.deepEqual(afterTony.map(el => el.name), ['Bruce', 'Peter'])
+          assert.deepEqual(sorted.map(el => el.name), ['Peter', 'Bruce', 'Tony'])
+          assert.equal(peter.name, 'Peter')
+          return collection.insertOne({ _id: ids[0] })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, `An object with _id ${ids[0]} already exist in this collection`)
+        })
+    })
+
+    it('should generate UUIDs', () => {
+      const uuidv4 = new ReactiveCollection('v4', { idStrategy: 'uuidv4' })
+      const uuidv7 = new ReactiveCollection('v7', { idStrategy: 'uuidv7' })
+      const documents = Array.from({ length: 20 }, (el, idx) => ({ idx }))
+
+      return Promise.all([uuidv4.insertMany(documents), uuidv7.insertMany(documents)])
+        .then(([v4, v7]) => {
+          const v4Ids = Object.values(v4.insertedIds)
+          const v7Ids = Object.values(v7.insertedIds)
+
+          assert.ok(v4Ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(id)))
+          assert.ok(v7Ids.every(id => /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(id)))
+          assert.equal(new Set(v4Ids).size, 20)
+          assert.deepEqual(v7Ids, [...v7Ids].sort(), 'UUID v7 should be ordered by creation')
+          assert.ok(Math.abs(parseInt(v7Ids[0].replace('-', '').slice(0, 12), 16) - Date.now()) < 1000)
+        })
+    })
+
+    it('should generate ids with a function', () => {
+      collection = new ReactiveCollection('test-collection', { idStrategy: doc => `${doc.name.toLowerCase()}-1` })
+
+      return collection.insertOne({ name: 'Tony' })
+        .then(result => {
+          assert.equal(result.insertedId, 'tony-1')
+          return collection.insertOne({ name: 'Tony' })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'An object with _id tony-1 already exist in this collection')
+          collection = new ReactiveCollection('test-collection', { idStrategy: () => undefined })
+          return collection.insertOne({ name: 'Tony' })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, '"idStrategy" function must return an _id')
+          assert.throws(() => new ReactiveCollection('test', { idStrategy: 'uuid' }),
+            /"idStrategy" must be "counter", "objectId", "uuidv4", "uuidv7" or a function/)
+        })
+    })
   })
 
   describe('Notification triggers', () => {
@@ -316,6 +1070,11 @@ describe('Tests for ReactiveCollection', () => {
               fullDocument: {
                 _id: '0',
                 foo: 'barbar'
+              },
+              updateDescription: {
+                updatedFields: { foo: 'barbar' },
+                removedFields: [],
+                truncatedArrays: []
               }
             }])
             done()
@@ -324,6 +1083,20 @@ describe('Tests for ReactiveCollection', () => {
         })
     })
 
+    it('should only notify updates of modified documents', () => {
+      const changes = []
+
+      return collection.insertMany([{ num: 1 }, { num: 3 }])
+        .then(() => {
+          collection.subscribe({}, received => changes.push(...received), { scheduling: 'sync' })
+          return collection.updateMany({}, { $max: { num: 2 } })
+        })
+        .then(() => collection.updateMany({}, { $max: { num: 2 } }))
+        .then(() => {
+          assert.deepEqual(changes.map(el => `${el.operationType} ${el._id}`), ['update 0'])
+        })
+    })
+
     it('should notify a watcher for remove', (done) => {
       const watcher = {}
       collection.insert({ foo: 'bar' })
@@ -367,6 +1140,222 @@ describe('Tests for ReactiveCollection', () => {
     })
   })
 
+  describe('Notification scheduling', () => {
+    it('should notify a synchronous watcher during the write', (done) => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes.map(el => el.operationType)), { scheduling: 'sync' })
+
+      collection.insertMany([{ foo: 'bar' }, { foo: 'baz' }])
+      assert.deepEqual(calls, [['insert', 'insert']])
+      collection.update({ foo: 'bar' }, { $set: { foo: 'qux' } })
+        .then(() => {
+          assert.deepEqual(calls, [['insert', 'insert'], ['update']])
+          done()
+        })
+    })
+
+    it('should use the scheduling of the collection by default', () => {
+      const calls = []
+      collection = new ReactiveCollection('test-collection', { scheduling: 'microtask' })
+      collection.subscribe({}, changes => calls.push(changes.length))
+      collection.subscribe({ debounced: true }, changes => calls.push(-changes.length), { scheduling: { debounce: 1000 } })
+
+      return collection.insertMany([{ foo: 'bar' }, { foo: 'baz' }])
+        .then(() => new Promise(resolve => setTimeout(resolve)))
+        .then(() => {
+          assert.deepEqual(calls, [2])
+        })
+        .then(() => collection.flush())
+        .then(() => {
+          assert.deepEqual(calls, [2, -2])
+        })
+    })
+
+    it('should deliver pending notifications on flush', () => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes.map(el => el.operationType)))
+
+      return collection.insertOne({ foo: 'bar' })
+        .then(() => collection.update({}, { $set: { foo: 'baz' } }))
+        .then(() => {
+          assert.deepEqual(calls, [])
+          return collection.flush()
+        })
+        .then(() => {
+          assert.deepEqual(calls, [['insert']])
+          return collection.flush()
+        })
+        .then(() => {
+          assert.deepEqual(calls, [['insert']], 'Nothing more to deliver')
+        })
+    })
+
+    it('should not notify an unsubscribed watcher', () => {
+      const watcher = {}
+      let count = 0
+      collection.subscribe(watcher, () => count++, { scheduling: { debounce: 10 } })
+
+      return collection.insertOne({ foo: 'bar' })
+        .then(() => {
+          collection.unsubscribe(watcher)
+          return collection.flush()
+        })
+        .then(() => new Promise(resolve => setTimeout(resolve, 30)))
+        .then(() => {
+          assert.equal(count, 0)
+        })
+    })
+  })
+
+  describe('Filtered subscriptions', () => {
+    const summary = change => `${change.operationType} ${change.fullDocument ? change.fullDocument.name : change.fullDocumentBeforeChange.name}`
+
+    it('should reject invalid options', (done) => {
+      assert.throws(() => collection.subscribe({}, () => {}, { filter: { $foo: 1 } }), /Unknown query operator/)
+      assert.throws(() => collection.subscribe({}, () => {}, { operationTypes: ['delete'] }), /"operationTypes" must be/)
+      assert.throws(() => collection.subscribe({}, () => {}, { fields: 'name' }), /"fields" must be/)
+      done()
+    })
+
+    it('should give changes of documents matching the filter before or after the change', () => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes), { filter: { projectId: 42 } })
+
+      return collection.insertMany([
+        { name: 'Tony', projectId: 42 },
+        { name: 'Peter', projectId: 1 },
+        { name: 'Steve', projectId: 42 },
+        { name: 'Bruce', projectId: 42 }
+      ])
+        .then(() => collection.flush())
+        .then(() => collection.update({ name: 'Tony' }, { $set: { projectId: 1 } }))
+        .then(() => collection.update({ name: 'Peter' }, { $set: { projectId: 42 } }))
+        .then(() => collection.update({ name: 'Steve' }, { $set: { isHero: true } }))
+        .then(() => collection.remove({ projectId: 1 }))
+        .then(() => collection.remove({ name: 'Bruce' }))
+        .then(() => collection.flush())
+        .then(() => {
+          assert.deepEqual(calls[0].map(summary), ['insert Tony', 'insert Steve', 'insert Bruce'])
+          assert.deepEqual(calls[1].map(summary), ['update Peter', 'update Steve', 'remove Tony', 'remove Bruce'])
+
+          const [peter, steve, tony] = calls[1]
+          assert.deepEqual([peter.fullDocumentBeforeChange.projectId, peter.fullDocument.projectId], [1, 42], 'Peter entered the filter')
+          assert.equal(steve.fullDocumentBeforeChange.isHero, undefined)
+          assert.equal(tony.fullDocumentBeforeChange.projectId, 42, 'The previous document is the last one known by the watcher')
+        })
+    })
+
+    it('should not give documents entering and leaving the filter between two notifications', () => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes.map(summary)), { filter: { isHero: true } })
+
+      return collection.insertOne({ name: 'Tony' })
+        .then(() => collection.update({ name: 'Tony' }, { $set: { isHero: true } }))
+        .then(() => collection.update({ name: 'Tony' }, { $set: { isHero: false } }))
+        .then(() => collection.flush())
+        .then(() => {
+          assert.deepEqual(calls, [])
+        })
+    })
+
+    it('should only give changes of the given operation types', () => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes), { operationTypes: ['update'] })
+
+      return collection.insertMany([{ name: 'Tony' }, { name: 'Peter' }])
+        .then(() => collection.flush())
+        .then(() => collection.update({ name: 'Tony' }, { $set: { isHero: true } }))
+        .then(() => collection.remove({ name: 'Peter' }))
+        .then(() => collection.flush())
+        .then(() => {
+          assert.deepEqual(calls.map(changes => changes.map(el => el.operationType)), [['update']])
+          assert.equal(calls[0][0].fullDocumentBeforeChange, undefined, 'Only filtered subscriptions get the previous document')
+        })
+    })
+
+    it('should only give updates of the given fields', () => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes.map(summary)), { fields: ['name', 'address.city'] })
+
+      return collection.insertMany([{ name: 'Tony', age: 48, address: { city: 'Malibu' } }, { name: 'Peter', age: 16 }])
+        .then(() => collection.flush())
+        .then(() => collection.update({}, { $inc: { age: 1 } }))
+        .then(() => collection.update({ name: 'Tony' }, { $set: { 'address.city': 'New York' } }))
+        .then(() => collection.update({ name: 'Peter' }, { $set: { name: 'Spider-Man' } }))
+        .then(() => collection.flush())
+        .then(() => {
+          assert.deepEqual(calls, [['insert Tony', 'insert Peter'], ['update Tony', 'update Spider-Man']])
+        })
+    })
+  })
+
+  describe('Change coalescing', () => {
+    const summary = change => `${change.operationType} ${change._id}`
+
+    it('should merge the changes of each document', () => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes))
+
+      return collection.insertMany([{ _id: 'a', num: 1 }, { _id: 'b', num: 2 }, { _id: 'c', num: 3 }])
+        .then(() => collection.flush())
+        .then(() => collection.insertMany([{ _id: 'd', num: 4 }, { _id: 'e', num: 5 }]))
+        .then(() => collection.update({ _id: { $in: ['a', 'd'] } }, { $inc: { num: 10 } }))
+        .then(() => collection.update({ _id: 'a' }, { $set: { big: true } }))
+        .then(() => collection.remove({ _id: { $in: ['b', 'e'] } }))
+        .then(() => collection.remove({ _id: 'c' }))
+        .then(() => collection.insertOne({ _id: 'c', num: 30 }))
+        .then(() => collection.flush())
+        .then(() => {
+          const [d, a, b, c] = calls[1]
+          assert.deepEqual(calls[1].map(summary), ['insert d', 'update a', 'remove b', 'update c'])
+          assert.deepEqual(a.updateDescription, { updatedFields: { num: 11, big: true }, removedFields: [], truncatedArrays: [] })
+          assert.deepEqual(d.fullDocument, { _id: 'd', num: 14 })
+          assert.equal(b.fullDocumentBeforeChange, undefined, 'Previous documents are only given on demand')
+          assert.deepEqual(c.updateDescription.updatedFields, { num: 30 }, 'A removed then inserted document is updated')
+        })
+    })
+
+    it('should give previous documents and every change on demand', () => {
+      const merged = []
+      const all = []
+      collection.subscribe(merged, changes => merged.push(...changes), { fullDocumentBeforeChange: 'whenAvailable' })
+      collection.subscribe(all, changes => all.push(...changes.map(summary)), { coalesce: false })
+
+      return collection.insertOne({ _id: 'a', num: 1 })
+        .then(() => collection.flush())
+        .then(() => collection.update({}, { $inc: { num: 1 } }))
+        .then(() => collection.update({}, { $inc: { num: 1 } }))
+        .then(() => collection.insertOne({ _id: 'b', num: 1 }))
+        .then(() => collection.remove({ _id: 'b' }))
+        .then(() => collection.flush())
+        .then(() => {
+          assert.deepEqual(merged.map(summary), ['insert a', 'update a'])
+          assert.deepEqual([merged[1].fullDocumentBeforeChange.num, merged[1].fullDocument.num], [1, 3])
+          assert.deepEqual(all, ['insert a', 'update a', 'update a', 'insert b', 'remove b'])
+        })
+    })
+
+    it('should apply filters to merged changes', () => {
+      const calls = []
+      collection.subscribe({}, changes => calls.push(changes.map(summary)), { operationTypes: ['insert'] })
+
+      return collection.insertOne({ _id: 'a', num: 1 })
+        .then(() => collection.update({}, { $inc: { num: 1 } }))
+        .then(() => collection.flush())
+        .then(() => collection.update({}, { $inc: { num: 1 } }))
+        .then(() => collection.flush())
+        .then(() => {
+          assert.deepEqual(calls, [['insert a']])
+        })
+    })
+
+    it('should reject invalid options', (done) => {
+      assert.throws(() => collection.subscribe({}, () => {}, { fullDocumentBeforeChange: true }), /"fullDocumentBeforeChange" must be "off" or "whenAvailable"/)
+      assert.throws(() => collection.subscribe({}, () => {}, { coalesce: 'no' }), /"coalesce" must be a boolean/)
+      done()
+    })
+  })
+
   describe('Element content validation', () => {
     it('should not validate if element has not the queried property', done => {
       assert.equal(collection._elementIsValidForQuery({ foo: 'a' }, { bar: 'a' }), false)
@@ -447,8 +1436,317 @@ describe('Tests for ReactiveCollection', () => {
     it('should validate operator $exists', done => {
       assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { foo: { $exists: true } }), true)
       assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { foo: { $exists: false } }), false)
+      assert.equal(collection._elementIsValidForQuery({ bar: 100 }, { foo: { $exists: false } }), true)
       done()
     })
+
+    it('should validate operator $and', done => {
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { $and: [{ foo: { $gt: 99 } }, { foo: { $lt: 101 } }] }), true)
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { $and: [{ foo: { $gt: 99 } }, { foo: { $lt: 100 } }] }), false)
+      done()
+    })
+
+    it('should validate operator $or', done => {
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { $or: [{ foo: 1 }, { foo: 100 }] }), true)
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { $or: [{ foo: 1 }, { bar: 100 }] }), false)
+      done()
+    })
+
+    it('should validate operator $nor', done => {
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { $nor: [{ foo: 1 }, { bar: 100 }] }), true)
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { $nor: [{ foo: 1 }, { foo: 100 }] }), false)
+      done()
+    })
+
+    it('should validate operator $not', done => {
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { foo: { $not: { $gt: 100 } } }), true)
+      assert.equal(collection._elementIsValidForQuery({ foo: 100 }, { foo: { $not: { $gte: 100 } } }), false)
+      assert.equal(collection._elementIsValidForQuery({ bar: 100 }, { foo: { $not: { $gt: 100 } } }), true)
+      done()
+    })
+
+    it('should match missing properties with negative operators', done => {
+      assert.equal(collection._elementIsValidForQuery({ bar: 100 }, { foo: { $ne: 100 } }), true)
+      assert.equal(collection._elementIsValidForQuery({ bar: 100 }, { foo: { $nin: [100] } }), true)
+      done()
+    })
+  })
+
+  describe('Array and pattern query operators', () => {
+    beforeEach(() => {
+      return collection.insertMany([
+        { name: 'Tony', tags: ['genius', 'rich'], scores: [82, 95], items: [{ sku: 'armor', qty: 3 }, { sku: 'car', qty: 12 }] },
+        { name: 'Peter', tags: ['young'], scores: [70, 88], items: [{ sku: 'web', qty: 100 }] },
+        { name: 'Bruce', tags: [], scores: 12, born: new Date('1969-12-18') },
+        { name: 'thor', tags: ['god', 'rich'], scores: [] }
+      ])
+    })
+
+    const names = results => results.map(el => el.name)
+
+    it('should match an element of an array', () => {
+      return Promise.all([
+        collection.find({ tags: 'rich' }).then(results => assert.deepEqual(names(results), ['Tony', 'thor'])),
+        collection.find({ tags: ['young'] }).then(results => assert.deepEqual(names(results), ['Peter'])),
+        collection.find({ tags: { $in: ['young', 'god'] } }).then(results => assert.deepEqual(names(results), ['Peter', 'thor'])),
+        collection.find({ tags: { $ne: 'rich' } }).then(results => assert.deepEqual(names(results), ['Peter', 'Bruce'])),
+        collection.find({ scores: { $gt: 90 } }).then(results => assert.deepEqual(names(results), ['Tony'])),
+        collection.find({ born: new Date('1969-12-18') }).then(results => assert.deepEqual(names(results), ['Bruce']))
+      ])
+    })
+
+    it('should match with $elemMatch', () => {
+      return Promise.all([
+        collection.find({ scores: { $elemMatch: { $gte: 80, $lt: 85 } } }).then(results => assert.deepEqual(names(results), ['Tony'])),
+        collection.find({ items: { $elemMatch: { sku: 'car', qty: { $gt: 10 } } } }).then(results => assert.deepEqual(names(results), ['Tony'])),
+        collection.find({ items: { $elemMatch: { sku: 'armor', qty: { $gt: 10 } } } }).then(results => assert.deepEqual(names(results), []))
+      ])
+    })
+
+    it('should match with $all and $size', () => {
+      return Promise.all([
+        collection.find({ tags: { $all: ['rich', 'genius'] } }).then(results => assert.deepEqual(names(results), ['Tony'])),
+        collection.find({ tags: { $size: 0 } }).then(results => assert.deepEqual(names(results), ['Bruce'])),
+        collection.find({ scores: { $size: 2 } }).then(results => assert.deepEqual(names(results), ['Tony', 'Peter']))
+      ])
+    })
+
+    it('should match with $regex', () => {
+      return Promise.all([
+        collection.find({ name: /^t/ }).then(results => assert.deepEqual(names(results), ['thor'])),
+        collection.find({ name: { $regex: '^t', $options: 'i' } }).then(results => assert.deepEqual(names(results), ['Tony', 'thor'])),
+        collection.find({ tags: { $regex: /^g/ } }).then(results => assert.deepEqual(names(results), ['Tony', 'thor'])),
+        collection.find({ name: { $not: /o/ } }).then(results => assert.deepEqual(names(results), ['Peter', 'Bruce']))
+      ])
+    })
+
+    it('should compile $regex once per query', () => {
+      const query = { name: { $regex: '^t', $options: 'i' } }
+      const OriginalRegExp = global.RegExp
+      let compiled = 0
+      global.RegExp = new Proxy(OriginalRegExp, {
+        construct (target, args) {
+          compiled++
+          return new target(...args) // eslint-disable-line new-cap
+        }
+      })
+
+      return collection.find(query)
+        .then(results => {
+          assert.deepEqual(names(results), ['Tony', 'thor'])
+          assert.equal(compiled, 1)
+          query.name.$regex = 'r$'
+          return collection.find(query)
+        })
+        .then(results => {
+          assert.deepEqual(names(results), ['Peter', 'thor'], 'A changed $regex should be compiled again')
+          assert.equal(compiled, 2)
+        })
+        .finally(() => {
+          global.RegExp = OriginalRegExp
+        })
+    })
+
+    it('should match with $type and $mod', () => {
+      return Promise.all([
+        collection.find({ scores: { $type: 'array' } }).then(results => assert.deepEqual(names(results), ['Tony', 'Peter', 'thor'])),
+        collection.find({ scores: { $type: ['int', 'date'] } }).then(results => assert.deepEqual(names(results), ['Tony', 'Peter', 'Bruce'])),
+        collection.find({ born: { $type: 9 } }).then(results => assert.deepEqual(names(results), ['Bruce'])),
+        collection.find({ scores: { $mod: [4, 0] } }).then(results => assert.deepEqual(names(results), ['Peter', 'Bruce']))
+      ])
+    })
+
+    it('should update and remove documents of arrays queries', () => {
+      return collection.update({ tags: 'rich' }, { $set: { rich: true } })
+        .then(() => collection.remove({ tags: { $size: 0 } }))
+        .then(() => collection.find({ rich: true }))
+        .then(results => {
+          assert.deepEqual(names(results), ['Tony', 'thor'])
+        })
+        .then(() => collection.count())
+        .then(count => {
+          assert.equal(count, 3)
+        })
+    })
+
+    it('should give the same results with indexes', () => {
+      const query = { tags: { $in: ['rich', 'young'] }, scores: { $gte: 88 } }
+      let unindexed
+
+      return collection.find(query)
+        .then(results => { unindexed = results })
+        .then(() => collection.createIndex({ tags: 1 }))
+        .then(() => collection.createIndex({ scores: 1 }))
+        .then(() => collection.find(query))
+        .then(results => {
+          assert.deepEqual(names(results), ['Tony', 'Peter'])
+          assert.deepEqual(results, unindexed)
+        })
+    })
+
+    it('should reject invalid operators', () => {
+      const rejects = (promise, message) => promise.then(() => {
+        throw new Error('should have been rejected')
+      }, error => {
+        assert.equal(error.message, message)
+      })
+
+      return Promise.all([
+        rejects(collection.find({ tags: { $size: '1' } }), '$size needs an integer (field "tags")'),
+        rejects(collection.find({ tags: { $all: 'rich' } }), '$all needs an array (field "tags")'),
+        rejects(collection.find({ name: { $options: 'i' } }), '$options needs a string and a $regex (field "name")'),
+        rejects(collection.find({ name: { $type: 'text' } }), 'Unknown type "text" used by $type (field "name")'),
+        rejects(collection.find({ scores: { $mod: [0, 1] } }), '$mod needs an array of a non zero divisor and a remainder (field "scores")')
+      ])
+    })
+  })
+
+  describe('Dot notation', () => {
+    beforeEach(() => {
+      return collection.insertMany([
+        { name: 'Tony', address: { city: 'New York', zip: '10001' }, items: [{ sku: 'armor', qty: 3 }, { sku: 'car', qty: 12 }] },
+        { name: 'Peter', address: { city: 'New York', zip: '11375' }, items: [{ sku: 'web', qty: 100 }] },
+        { name: 'Reed', address: { city: 'Boston' }, items: [] }
+      ])
+    })
+
+    const names = results => results.map(el => el.name)
+
+    it('should query nested fields', () => {
+      return Promise.all([
+        collection.find({ 'address.city': 'New York' }).then(results => assert.deepEqual(names(results), ['Tony', 'Peter'])),
+        collection.find({ 'address.zip': { $exists: false } }).then(results => assert.deepEqual(names(results), ['Reed'])),
+        collection.find({ 'items.0.sku': 'web' }).then(results => assert.deepEqual(names(results), ['Peter'])),
+        collection.find({ 'items.sku': 'car' }).then(results => assert.deepEqual(names(results), ['Tony'])),
+        collection.find({ 'items.qty': { $gt: 50 } }).then(results => assert.deepEqual(names(results), ['Peter'])),
+        collection.find({ 'items.sku': { $ne: 'car' } }).then(results => assert.deepEqual(names(results), ['Peter', 'Reed']))
+      ])
+    })
+
+    it('should project nested fields', () => {
+      return Promise.all([
+        collection.find({ name: 'Tony' }, { _id: 0, 'address.city': 1, 'items.sku': 1 }).then(results => {
+          assert.deepEqual(results, [{ address: { city: 'New York' }, items: [{ sku: 'armor' }, { sku: 'car' }] }])
+        }),
+        collection.find({ name: 'Peter' }, { _id: 0, 'address.zip': 0, items: 0 }).then(results => {
+          assert.deepEqual(results, [{ name: 'Peter', address: { city: 'New York' } }])
+        })
+      ])
+    })
+
+    it('should sort on nested fields', () => {
+      return collection.find({}, undefined, { sort: { 'address.city': 1, 'address.zip': -1 } })
+        .then(results => assert.deepEqual(names(results), ['Reed', 'Peter', 'Tony']))
+    })
+
+    it('should give the same results with indexes', () => {
+      const query = { 'address.city': 'New York', 'items.sku': { $in: ['car', 'web'] } }
+      const options = { sort: { 'address.zip': -1 } }
+      let unindexed
+
+      return collection.find(query, undefined, options)
+        .then(results => { unindexed = results })
+        .then(() => collection.createIndex({ 'address.city': 1, 'address.zip': -1 }))
+        .then(() => collection.createIndex({ 'items.sku': 1 }))
+        .then(() => collection.find(query, undefined, options))
+        .then(results => {
+          assert.deepEqual(names(results), ['Peter', 'Tony'])
+          assert.deepEqual(results, unindexed)
+        })
+    })
+
+    it('should enforce unique indexes on nested fields', () => {
+      return collection.createIndex({ 'address.zip': 1 }, { unique: true, sparse: true })
+        .then(() => collection.insertOne({ name: 'Steve', address: { zip: '10001' } }))
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error instanceof DuplicateKeyError, true)
+          assert.deepEqual(error.keyValue, { 'address.zip': '10001' })
+        })
+    })
+
+    it('should upsert nested equality conditions', () => {
+      return collection.update({ 'address.city': 'Chicago', name: 'Steve' }, { $set: { 'address.zip': '60601' } }, { upsert: true })
+        .then(() => collection.findOne({ name: 'Steve' }, { _id: 0 }))
+        .then(result => assert.deepEqual(result, { name: 'Steve', address: { city: 'Chicago', zip: '60601' } }))
+    })
+  })
+
+  describe('Logical query operators', () => {
+    beforeEach(() => {
+      return collection.insertMany([
+        { name: 'Tony', age: 48, team: 'avengers' },
+        { name: 'Peter', age: 16, team: 'avengers' },
+        { name: 'Reed', age: 45, team: 'fantastic four' },
+        { name: 'Johnny', age: 28 }
+      ])
+    })
+
+    it('should combine queries', () => {
+      return collection.find({
+        $or: [{ age: { $lt: 20 } }, { team: { $not: { $eq: 'avengers' } } }],
+        $nor: [{ name: 'Johnny' }]
+      }).then(results => {
+        assert.deepEqual(results.map(el => el.name), ['Peter', 'Reed'])
+      })
+    })
+
+    it('should nest logical operators', () => {
+      return collection.find({
+        $and: [
+          { $or: [{ team: 'avengers' }, { team: 'fantastic four' }] },
+          { $or: [{ age: { $gt: 40 } }, { name: 'Peter' }] }
+        ]
+      }, undefined, { sort: { age: 1 } }).then(results => {
+        assert.deepEqual(results.map(el => el.name), ['Peter', 'Reed', 'Tony'])
+      })
+    })
+
+    it('should give the same results with indexes', () => {
+      const query = { $or: [{ age: 16 }, { age: { $gt: 40 } }], team: { $ne: 'fantastic four' } }
+      let unindexed
+
+      return collection.find(query)
+        .then(results => { unindexed = results })
+        .then(() => collection.createIndex({ age: 1 }))
+        .then(() => collection.createIndex({ team: 1 }))
+        .then(() => collection.find(query))
+        .then(results => assert.deepEqual(results, unindexed))
+    })
+
+    it('should update and remove with logical operators', () => {
+      return collection.update({ $or: [{ name: 'Tony' }, { name: 'Reed' }] }, { $set: { genius: true } })
+        .then(() => collection.remove({ $nor: [{ genius: true }] }))
+        .then(() => collection.find())
+        .then(results => {
+          assert.deepEqual(results.map(el => el.name), ['Tony', 'Reed'])
+        })
+    })
+
+    it('should only use equality conditions to upsert', () => {
+      return collection.update({ $and: [{ name: 'Steve' }, { age: { $gt: 90 } }], team: { $eq: 'avengers' } }, { $set: { age: 102 } }, { upsert: true })
+        .then(() => collection.findOne({ name: 'Steve' }))
+        .then(result => {
+          assert.deepEqual({ ...result, _id: undefined }, { _id: undefined, name: 'Steve', team: 'avengers', age: 102 })
+        })
+    })
+
+    it('should reject unknown operators', () => {
+      const rejects = (promise, message) => promise.then(() => {
+        throw new Error('should have been rejected')
+      }, error => {
+        assert.equal(error.message, message)
+      })
+
+      return Promise.all([
+        rejects(collection.find({ $xor: [{ name: 'Tony' }] }), 'Unknown query operator "$xor"'),
+        rejects(collection.findOne({ age: { $between: [1, 2] } }), 'Unknown query operator "$between" used on field "age"'),
+        rejects(collection.find({ $or: [] }), '$or must be a non empty array of queries'),
+        rejects(collection.update({ age: { $not: 16 } }, { $set: { age: 17 } }), '$not needs a regular expression or a document of operators (field "age")'),
+        rejects(collection.remove({ $or: [{ age: { $foo: 1 } }] }), 'Unknown query operator "$foo" used on field "age"')
+      ])
+    })
   })
 
   describe('Order array of object by many properties', () => {
@@ -1,6 +1,7 @@
 /* global beforeEach, afterEach, describe, it */
 const assert = require('assert')
 const ReactiveDatabase = require('../lib/reactive-database')
+const ObjectId = require('../lib/object-id')
 let db = null
 
 describe('Tests for ReactiveDatabase', () => {
@@ -40,4 +41,910 @@ describe('Tests for ReactiveDatabase', () => {
       done()
     })
   })
+  describe('Collection creation with options', () => {
+    it('should create a collection with a validator', () => {
+      const created = []
+      db.subscribe({}, changes => created.push(...changes.map(el => el.collection)), { scheduling: 'sync' })
+
+      return db.createCollection('users', { validator: { required: ['email'] }, validationAction: 'error' })
+        .then(users => {
+          assert.equal(db.getCollection('users'), users)
+          assert.deepEqual(created, ['users'])
+          return users.insertOne({ name: 'Tony' })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.name, 'ValidationError')
+          return db.createCollection('users')
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'Collection "users" already exists')
+        })
+    })
+
+    it('should give the id strategy of the database to its collections', () => {
+      db = new ReactiveDatabase({ idStrategy: 'objectId' })
+      assert.throws(() => new ReactiveDatabase({ idStrategy: 'random' }), /"idStrategy" must be/)
+
+      return Promise.all([
+        db.getCollection('heroes').insertOne({ name: 'Tony' }),
+        db.createCollection('events', { idStrategy: 'counter' }).then(events => events.insertOne({ type: 'snap' }))
+      ])
+        .then(([hero, event]) => {
+          assert.equal(hero.insertedId instanceof ObjectId, true)
+          assert.equal(event.insertedId, '0')
+        })
+    })
+  })
+
+  describe('Collections lifecycle', () => {
+    it('should drop a collection and invalidate its handle', () => {
+      const changes = []
+      const collection = db.getCollection('my-col')
+      const liveQuery = collection.liveQuery()
+      db.subscribe({}, received => changes.push(...received), { scheduling: 'sync' })
+
+      return collection.insertOne({ num: 1 })
+        .then(() => collection.drop())
+        .then(dropped => {
+          assert.equal(dropped, true)
+          assert.deepEqual(db.showCollections(), [])
+          assert.deepEqual(changes.map(el => el.operationType), ['insert', 'drop'])
+          assert.deepEqual(liveQuery.results, [], 'Live queries should be emptied')
+          return collection.find()
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'Collection "my-col" has been dropped')
+          assert.notEqual(db.getCollection('my-col'), collection, 'A new collection should be created')
+          return db.dropCollection('unknown')
+        })
+        .then(dropped => assert.equal(dropped, false))
+    })
+
+    it('should stop live queries and unsubscribe watchers of a dropped collection', () => {
+      const collection = db.getCollection('my-col')
+      const liveQuery = collection.liveQuery()
+      const watcher = {}
+      collection.subscribe(watcher, () => {})
+
+      return collection.drop()
+        .then(() => {
+          liveQuery.stop()
+          collection.unsubscribe(watcher)
+          assert.equal(liveQuery._stopped, true)
+        })
+    })
+
+    it('should give drop and invalidate events to change streams', () => {
+      const collection = db.getCollection('my-col')
+      const stream = collection.watch()
+      const events = []
+      stream.on('change', event => events.push(event.operationType))
+      const closed = new Promise(resolve => stream.on('close', resolve))
+
+      return db.dropCollection('my-col')
+        .then(() => closed)
+        .then(() => {
+          assert.deepEqual(events, ['drop', 'invalidate'])
+          assert.equal(stream.closed, true)
+        })
+    })
+
+    it('should rename a collection', () => {
+      const changes = []
+      const collection = db.getCollection('users_import')
+      collection.subscribe({}, received => changes.push(...received), { scheduling: 'sync' })
+
+      return collection.insertOne({ name: 'Tony' })
+        .then(() => collection.rename('users'))
+        .then(renamed => {
+          assert.equal(renamed, collection)
+          assert.equal(db.getCollection('users'), collection)
+          assert.deepEqual(db.showCollections(), ['users'])
+          assert.deepEqual(changes[1], { collection: 'users_import', operationType: 'rename', to: 'users' })
+          return db.getCollection('users').count()
+        })
+        .then(count => {
+          assert.equal(count, 1)
+          return collection.rename('users')
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'A collection can\'t be renamed to its own name')
+        })
+    })
+
+    it('should not rename a collection to an existing name, unless the target is dropped', () => {
+      const source = db.getCollection('source')
+      const target = db.getCollection('target')
+
+      return source.rename('target')
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'Collection "target" already exists')
+          return source.rename('target', { dropTarget: true })
+        })
+        .then(() => {
+          assert.deepEqual(db.showCollections(), ['target'])
+          assert.equal(db.getCollection('target'), source)
+          return target.count()
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'Collection "target" has been dropped')
+        })
+    })
+
+    it('should drop the database', () => {
+      db.getCollection('a')
+      db.getCollection('b')
+
+      return db.dropDatabase()
+        .then(() => assert.deepEqual(db.showCollections(), []))
+    })
+
+    it('should list collections matching a filter', () => {
+      db.getCollection('logs')
+
+      return db.createCollection('users', { validator: { required: ['email'] } })
+        .then(() => db.listCollections())
+        .then(descriptions => {
+          assert.deepEqual(descriptions, [
+            { name: 'logs', type: 'collection', options: {}, info: { readOnly: false } },
+            {
+              name: 'users',
+              type: 'collection',
+              options: { validator: { required: ['email'] }, validationLevel: 'strict', validationAction: 'error' },
+              info: { readOnly: false }
+            }
+          ])
+          return db.listCollections({ 'options.validator': { $exists: true } })
+        })
+        .then(descriptions => assert.deepEqual(descriptions.map(el => el.name), ['users']))
+    })
+
+    it('should list capped collections', () => {
+      db = new ReactiveDatabase({ ttlMonitorInterval: 500 })
+
+      return db.createCollection('logs', { capped: true, size: 4096, max: 100 })
+        .then(logs => {
+          assert.equal(logs._ttlMonitorInterval, 500)
+          return db.listCollections({ 'options.capped': true })
+        })
+        .then(descriptions => {
+          assert.deepEqual(descriptions.map(el => [el.name, el.options]), [['logs', { capped: true, size: 4096, max: 100 }]])
+        })
+    })
+
+    it('should not let collections be changed directly', () => {
+      db.getCollection('my-col')
+      assert.equal(Object.isFrozen(db.collections), true)
+      assert.deepEqual(Object.keys(db.collections), ['my-col'])
+    })
+
+    it('should not drop or rename collections during a transaction', () => {
+      db.getCollection('my-col')
+
+      return db.transaction(() => db.dropCollection('my-col'))
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, error => {
+          assert.equal(error.message, 'Collections can\'t be dropped or renamed during a transaction')
+          assert.deepEqual(db.showCollections(), ['my-col'])
+        })
+    })
+  })
+
+  describe('Notification scheduling', () => {
+    it('should use the scheduling of the database, unless another is given to the collection', () => {
+      const calls = []
+      db = new ReactiveDatabase({ scheduling: 'sync' })
+      db.getCollection('sync-col').subscribe({}, () => calls.push('sync-col'))
+      db.getCollection('microtask-col', { scheduling: 'microtask' }).subscribe({}, () => calls.push('microtask-col'))
+
+      db.getCollection('sync-col').insertOne({})
+      db.getCollection('microtask-col').insertOne({})
+      assert.deepEqual(calls, ['sync-col'])
+
+      return Promise.resolve().then(() => {
+        assert.deepEqual(calls, ['sync-col', 'microtask-col'])
+      })
+    })
+
+    it('should notify every watcher of a write when a synchronous watcher throws', () => {
+      const received = []
+      const listeners = process.listeners('uncaughtException')
+      // The error of the watcher is thrown asynchronously
+      const thrown = new Promise(resolve => {
+        process.removeAllListeners('uncaughtException')
+        process.once('uncaughtException', error => {
+          listeners.forEach(listener => process.on('uncaughtException', listener))
+          resolve(error)
+        })
+      })
+      db = new ReactiveDatabase({ scheduling: 'sync' })
+      const collection = db.getCollection('my-col')
+      collection.subscribe({}, () => {
+        throw new Error('Broken watcher')
+      })
+      collection.subscribe({ other: true }, () => received.push('collection'))
+      db.subscribe({}, changes => received.push(...changes.map(el => el.operationType)))
+
+      return collection.insertOne({ num: 1 })
+        .then(result => {
+          assert.equal(result.insertedId, '0')
+          assert.deepEqual(received, ['collection', 'insert'])
+          return thrown
+        })
+        .then(error => assert.equal(error.message, 'Broken watcher'))
+    })
+
+    it('should reject invalid scheduling', (done) => {
+      assert.throws(() => new ReactiveDatabase({ scheduling: 'often' }), /"scheduling" must be/)
+      done()
+    })
+  })
+
+  describe('Database-wide notifications', () => {
+    const summary = change => `${change.seq} ${change.operationType} ${change.collection}${change.fullDocument ? ` ${change.fullDocument.name}` : ''}`
+
+    it('should notify changes of current and future collections in order', () => {
+      const calls = []
+      const heroes = db.getCollection('heroes')
+      db.subscribe({}, changes => calls.push(changes.map(summary)))
+
+      return heroes.insertOne({ name: 'Tony' })
+        .then(() => db.getCollection('villains').insertOne({ name: 'Thanos' }))
+        .then(() => heroes.update({ name: 'Tony' }, { $set: { age: 48 } }))
+        .then(() => db.flush())
+        .then(() => {
+          assert.deepEqual(calls, [['3 create villains', '4 insert villains Thanos', '5 insert heroes Tony']], 'Changes of a document are merged')
+        })
+    })
+
+    it('should apply subscription options', () => {
+      const calls = []
+      const heroes = db.getCollection('heroes')
+      db.subscribe({}, changes => calls.push(changes.map(summary)), { filter: { name: 'Tony' }, operationTypes: ['create', 'insert'] })
+
+      return heroes.insertMany([{ name: 'Tony' }, { name: 'Peter' }])
+        .then(() => db.flush())
+        .then(() => db.getCollection('villains').insertOne({ name: 'Thanos' }))
+        .then(() => heroes.remove({}))
+        .then(() => db.flush())
+        .then(() => {
+          assert.deepEqual(calls, [['2 insert heroes Tony'], ['4 create villains']])
+        })
+    })
+
+    it('should not notify an unsubscribed watcher', () => {
+      const watcher = {}
+      let count = 0
+      db.subscribe(watcher, () => count++)
+
+      return db.getCollection('heroes').insertOne({ name: 'Tony' })
+        .then(() => {
+          db.unsubscribe(watcher)
+          return db.flush()
+        })
+        .then(() => {
+          assert.equal(count, 0)
+          assert.throws(() => db.unsubscribe(watcher), /No watcher/)
+          assert.throws(() => db.subscribe(watcher), /No watcher or callback/)
+        })
+    })
+
+    it('should give a change stream of every collection', () => {
+      const stream = db.watch([{ $match: { operationType: { $ne: 'update' } } }])
+      const events = []
+      const next = () => stream.next().then(event => events.push(event))
+
+      db.getCollection('heroes').insertOne({ name: 'Tony' })
+        .then(() => db.getCollection('heroes').updateOne({ name: 'Tony' }, { $set: { age: 48 } }))
+        .then(() => db.getCollection('villains').insertOne({ name: 'Thanos' }))
+
+      return next().then(next).then(next).then(next)
+        .then(() => {
+          assert.deepEqual(events.map(el => `${el._id._data} ${el.operationType} ${el.ns.coll}`), ['1 create heroes', '2 insert heroes', '4 create villains', '5 insert villains'])
+          stream.close()
+
+          const resumed = db.watch([], { resumeAfter: events[1]._id })
+          return Promise.all([resumed.next(), resumed.next()])
+            .then(resumedEvents => {
+              assert.deepEqual(resumedEvents.map(el => el.operationType), ['update', 'create'])
+              return resumed.close()
+            })
+        })
+    })
+  })
+
+  describe('Persistence', () => {
+    const createAdapter = (state = {}) => ({
+      changes: [],
+      snapshots: [],
+      load () {
+        return Promise.resolve(state)
+      },
+      append (change) {
+        this.changes.push(change)
+        return Promise.resolve()
+      },
+      compact (snapshot) {
+        this.snapshots.push(snapshot)
+        return Promise.resolve()
+      }
+    })
+
+    it('should reject unknown durability', (done) => {
+      assert.throws(() => new ReactiveDatabase({ durability: 'maybe' }), Error)
+      done()
+    })
+
+    it('should append each change to the adapter', (done) => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      const collection = db.getCollection('my-col')
+
+      collection.insertOne({ num: 1 })
+        .then(() => {
+          assert.deepEqual(adapter.changes, [{
+            seq: 1,
+            collection: 'my-col',
+            operationType: 'insert',
+            documents: [{ _id: '0', num: 1 }],
+            lastId: 1
+          }])
+        })
+        .then(() => collection.update({ num: 1 }, { $set: { num: 2 } }))
+        .then(() => collection.remove({}))
+        .then(() => {
+          assert.deepEqual(adapter.changes.slice(1), [{
+            seq: 2,
+            collection: 'my-col',
+            operationType: 'update',
+            documents: [{ _id: '0', num: 2 }]
+          }, {
+            seq: 3,
+            collection: 'my-col',
+            operationType: 'remove',
+            ids: ['0']
+          }])
+          done()
+        })
+    })
+
+    it('should compact the adapter content', (done) => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, compactEvery: 2 })
+      const collection = db.getCollection('my-col')
+
+      collection.insertOne({ num: 1 })
+        .then(() => collection.insertOne({ num: 2 }))
+        .then(() => db.close())
+        .then(() => {
+          assert.deepEqual(adapter.snapshots, [{
+            seq: 2,
+            collections: {
+              'my-col': {
+                lastId: 2,
+                documents: [{ _id: '0', num: 1 }, { _id: '1', num: 2 }],
+                options: { idStrategy: 'counter' },
+                indexes: []
+              }
+            }
+          }])
+          done()
+        })
+    })
+
+    it('should reject a durable write if the adapter fails', (done) => {
+      const adapter = createAdapter()
+      adapter.append = () => Promise.reject(new Error('Disk full'))
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+
+      db.getCollection('my-col').insertOne({ num: 1 })
+        .catch(error => {
+          assert.equal(error.message, 'Disk full')
+          done()
+        })
+    })
+
+    it('should report background write failures on close()', (done) => {
+      const adapter = createAdapter()
+      adapter.append = () => Promise.reject(new Error('Disk full'))
+      db = new ReactiveDatabase({ adapter })
+
+      db.getCollection('my-col').insertOne({ num: 1 })
+        .then(() => db.close())
+        .catch(error => {
+          assert.equal(error.message, 'Disk full')
+          done()
+        })
+    })
+
+    it('should restore a snapshot and the following changes on connect()', (done) => {
+      db = new ReactiveDatabase({
+        adapter: createAdapter({
+          snapshot: {
+            seq: 2,
+            collections: { 'my-col': { lastId: 2, documents: [{ _id: '0', num: 1 }, { _id: '1', num: 2 }] } }
+          },
+          changes: [
+            { seq: 2, collection: 'my-col', operationType: 'remove', ids: ['0'] },
+            { seq: 3, collection: 'my-col', operationType: 'update', documents: [{ _id: '1', num: 20 }] },
+            { seq: 4, collection: 'other-col', operationType: 'insert', documents: [{ _id: '0' }], lastId: 1 }
+          ]
+        })
+      })
+
+      db.connect()
+        .then(() => {
+          assert.deepEqual(db.showCollections(), ['my-col', 'other-col'])
+          return db.getCollection('my-col').find()
+        })
+        .then(results => {
+          assert.deepEqual(results, [{ _id: '0', num: 1 }, { _id: '1', num: 20 }])
+          assert.equal(db.getCollection('my-col')._lastId, 2)
+          done()
+        })
+    })
+
+    it('should notify watchers of restored documents', (done) => {
+      db = new ReactiveDatabase({
+        adapter: createAdapter({
+          changes: [{ seq: 1, collection: 'my-col', operationType: 'insert', documents: [{ _id: '0' }], lastId: 1 }]
+        })
+      })
+
+      db.getCollection('my-col').subscribe({}, changes => {
+        assert.deepEqual(changes.map(el => el.operationType), ['insert'])
+        done()
+      })
+      db.connect()
+    })
+
+    it('should persist and restore dropped and renamed collections', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+
+      return db.getCollection('a').insertOne({ num: 1 })
+        .then(() => db.getCollection('b').insertOne({ num: 2 }))
+        .then(() => db.dropCollection('a'))
+        .then(() => db.getCollection('b').rename('c'))
+        .then(() => {
+          assert.deepEqual(adapter.changes.slice(2), [
+            { seq: 3, operationType: 'dropCollection', collection: 'a' },
+            { seq: 4, operationType: 'renameCollection', collection: 'b', to: 'c', dropTarget: false }
+          ])
+
+          db = new ReactiveDatabase({ adapter: createAdapter({ changes: adapter.changes }) })
+          return db.connect()
+        })
+        .then(() => {
+          assert.deepEqual(db.showCollections(), ['c'])
+          return db.getCollection('c').find({}, { _id: 0 })
+        })
+        .then(results => assert.deepEqual(results, [{ num: 2 }]))
+    })
+
+    it('should not persist removes matching no document', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      const collection = db.getCollection('a')
+
+      return collection.insertOne({ num: 1 })
+        .then(() => collection.remove({ num: 2 }))
+        .then(result => {
+          assert.deepEqual(result, { acknowledged: true, deletedCount: 0 })
+          return collection.bulkWrite([{ deleteOne: { filter: { num: 2 } } }])
+        })
+        .then(() => db.transaction(() => collection.deleteMany({ num: 2 })))
+        .then(() => assert.deepEqual(adapter.changes.map(el => el.operationType), ['insert']))
+    })
+
+    it('should persist and restore evicted and expired documents', () => {
+      const adapter = createAdapter()
+      const now = Date.now()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+
+      return db.createCollection('logs', { capped: true, size: 1000, max: 2 })
+        .then(logs => logs.insertMany([{ n: 1 }, { n: 2 }])
+          .then(() => logs.insertOne({ n: 3 }))
+          .then(() => logs.createIndex({ at: 1 }, { expireAfterSeconds: 1 }))
+          .then(() => logs.insertOne({ n: 4, at: new Date(now - 2000) }))
+          .then(() => logs._removeExpired(now)))
+        .then(() => {
+          assert.deepEqual(adapter.changes.map(el => [el.operationType, el.evictedIds || el.ids]), [
+            ['createCollection', undefined],
+            ['insert', undefined],
+            ['insert', ['0']],
+            ['createIndex', undefined],
+            ['insert', ['1']],
+            ['remove', ['3']]
+          ])
+
+          db = new ReactiveDatabase({ adapter: createAdapter({ changes: adapter.changes }) })
+          return db.connect()
+        })
+        .then(() => db.getCollection('logs').find({}, { _id: 0 }))
+        .then(results => assert.deepEqual(results, [{ n: 3 }]))
+    })
+
+    it('should persist and restore the options of created collections', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      db.getCollection('logs', { idStrategy: 'uuidv7' })
+      db.getCollection('events')
+
+      return db.createCollection('users', { idStrategy: 'uuidv4', validator: { required: ['email'] } })
+        .then(() => {
+          assert.deepEqual(adapter.changes, [
+            { seq: 1, operationType: 'createCollection', collection: 'logs', options: { idStrategy: 'uuidv7' } },
+            {
+              seq: 2,
+              operationType: 'createCollection',
+              collection: 'users',
+              options: { validator: { required: ['email'] }, validationLevel: 'strict', validationAction: 'error', idStrategy: 'uuidv4' }
+            }
+          ])
+
+          db = new ReactiveDatabase({ adapter: createAdapter({ changes: adapter.changes }) })
+          return db.connect()
+        })
+        .then(() => db.listCollections())
+        .then(collections => {
+          assert.deepEqual(collections.map(el => [el.name, el.options]), [
+            ['logs', {}],
+            ['users', { validator: { required: ['email'] }, validationLevel: 'strict', validationAction: 'error' }]
+          ])
+          assert.deepEqual(collections.map(el => db.getCollection(el.name)._idStrategy), ['uuidv7', 'uuidv4'])
+        })
+    })
+
+    it('should persist and restore indexes', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      const users = db.getCollection('users')
+
+      return users.createIndex({ email: 1 }, { unique: true })
+        .then(() => users.createIndex({ age: 1 }))
+        .then(() => users.dropIndex('age_1'))
+        .then(() => users.insertOne({ email: 'tony@stark.com' }))
+        .then(() => {
+          assert.deepEqual(adapter.changes.slice(0, 3), [
+            { seq: 1, operationType: 'createIndex', collection: 'users', key: { email: 1 }, options: { unique: true, name: 'email_1' } },
+            { seq: 2, operationType: 'createIndex', collection: 'users', key: { age: 1 }, options: { name: 'age_1' } },
+            { seq: 3, operationType: 'dropIndex', collection: 'users', name: 'age_1' }
+          ])
+
+          db = new ReactiveDatabase({ adapter: createAdapter({ changes: adapter.changes }) })
+          return db.connect()
+        })
+        .then(() => db.getCollection('users').listIndexes())
+        .then(indexes => {
+          assert.deepEqual(indexes.map(el => el.name), ['_id_', 'email_1'])
+          return db.getCollection('users').insertOne({ email: 'tony@stark.com' })
+        })
+        .then(() => assert.fail('Duplicate inserted'), error => assert.equal(error.name, 'DuplicateKeyError'))
+    })
+
+    it('should persist and restore validators', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      const restoredOptions = () => db.listCollections().then(collections => collections[0].options)
+
+      return db.getCollection('users').setValidator({ required: ['email'] }, { validationAction: 'warn' })
+        .then(() => {
+          assert.deepEqual(adapter.changes, [{
+            seq: 1,
+            operationType: 'setValidator',
+            collection: 'users',
+            validator: { required: ['email'] },
+            validationLevel: 'strict',
+            validationAction: 'warn'
+          }])
+
+          db = new ReactiveDatabase({ adapter: createAdapter({ changes: adapter.changes }) })
+          return db.connect()
+        })
+        .then(restoredOptions)
+        .then(options => {
+          assert.deepEqual(options, { validator: { required: ['email'] }, validationLevel: 'strict', validationAction: 'warn' })
+          return db.close()
+        })
+        .then(() => {
+          const snapshot = { seq: 1, collections: { users: { lastId: 0, documents: [], options: { validator: { required: ['email'] } } } } }
+          db = new ReactiveDatabase({ adapter: createAdapter({ snapshot }) })
+          return db.connect()
+        })
+        .then(restoredOptions)
+        .then(options => assert.deepEqual(options, { validator: { required: ['email'] }, validationLevel: 'strict', validationAction: 'error' }))
+    })
+
+    it('should persist index changes made during a transaction even if it is rolled back', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      const collection = db.getCollection('my-col')
+
+      return db.transaction(() => {
+        return collection.insertOne({ num: 1 })
+          .then(() => collection.createIndex({ num: 1 }))
+          .then(() => {
+            throw new Error('Cancelled')
+          })
+      }).catch(() => {
+        assert.deepEqual(adapter.changes.map(el => el.operationType), ['createIndex'])
+      })
+    })
+
+    it('should persist a transaction as a single change', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+      const pending = db.getCollection('pending')
+      const shipped = db.getCollection('shipped')
+
+      return pending.insertOne({ item: 'shield' })
+        .then(() => db.transaction(() => {
+          return pending.remove({ item: 'shield' })
+            .then(() => shipped.insertOne({ item: 'shield' }))
+        }))
+        .then(() => {
+          assert.deepEqual(adapter.changes.slice(1), [{
+            seq: 2,
+            operationType: 'transaction',
+            changes: [
+              { collection: 'pending', operationType: 'remove', ids: ['0'] },
+              { collection: 'shipped', operationType: 'insert', documents: [{ _id: '0', item: 'shield' }], lastId: 1 }
+            ]
+          }])
+
+          db = new ReactiveDatabase({ adapter: createAdapter({ changes: adapter.changes }) })
+          return db.connect()
+        })
+        .then(() => Promise.all([db.getCollection('pending').count(), db.getCollection('shipped').count()]))
+        .then(counts => assert.deepEqual(counts, [0, 1]))
+    })
+
+    it('should not persist a rolled back transaction', () => {
+      const adapter = createAdapter()
+      db = new ReactiveDatabase({ adapter, durability: 'sync' })
+
+      return db.transaction(() => {
+        return db.getCollection('my-col').insertOne({ num: 1 })
+          .then(() => db.compact())
+          .then(() => {
+            throw new Error('Cancelled')
+          })
+      }).catch(() => {
+        assert.deepEqual(adapter.changes, [])
+        assert.deepEqual(adapter.snapshots, [{
+          seq: 0,
+          collections: { 'my-col': { lastId: 1, documents: [], options: { idStrategy: 'counter' }, indexes: [] } }
+        }])
+      })
+    })
+  })
+
+  describe('Transactions', () => {
+    let pending = null
+    let shipped = null
+
+    beforeEach(() => {
+      pending = db.getCollection('pending')
+      shipped = db.getCollection('shipped')
+      return pending.insertMany([{ item: 'shield', qty: 1 }, { item: 'hammer', qty: 2 }])
+    })
+
+    const wait = delay => new Promise(resolve => setTimeout(resolve, delay))
+
+    it('should commit writes made on many collections', () => {
+      const notifications = []
+      pending.subscribe({}, changes => notifications.push(changes))
+      shipped.subscribe({}, changes => notifications.push(changes))
+
+      return wait(250)
+        .then(() => {
+          notifications.length = 0
+          return db.transaction(() => {
+            return pending.findOne({ item: 'shield' })
+              .then(order => pending.remove({ _id: order._id }).then(() => shipped.insertOne({ item: order.item })))
+              .then(() => pending.update({ item: 'hammer' }, { $inc: { qty: 1 } }))
+              .then(() => Promise.all([pending.find(), shipped.find()]))
+              .then(([pendingDocuments, shippedDocuments]) => {
+                // Writes are visible inside the transaction
+                assert.deepEqual(pendingDocuments.map(el => el.item), ['hammer'])
+                assert.deepEqual(shippedDocuments.map(el => el.item), ['shield'])
+                return wait(250)
+              })
+              .then(() => {
+                assert.deepEqual(notifications, [], 'Watchers should not be notified before commit')
+                return 'done'
+              })
+          })
+        })
+        .then(result => {
+          assert.equal(result, 'done')
+          return wait(250)
+        })
+        .then(() => {
+          assert.deepEqual(notifications.map(changes => changes.map(el => `${el.collection} ${el.operationType} ${el._id}`)).sort(), [
+            ['pending remove 0', 'pending update 1'],
+            ['shipped insert 0']
+          ])
+        })
+    })
+
+    it('should give the previous documents to filtered watchers on commit', () => {
+      const notifications = []
+      pending.subscribe({}, changes => notifications.push(changes), { filter: { qty: { $gte: 2 } }, scheduling: 'sync' })
+
+      return db.transaction(() => pending.update({ item: 'hammer' }, { $set: { qty: 1 } }))
+        .then(() => {
+          assert.deepEqual(notifications.map(changes => changes.map(el => [el.fullDocumentBeforeChange.qty, el.fullDocument.qty])), [[[2, 1]]])
+        })
+    })
+
+    it('should roll back every collection if the transaction throws', () => {
+      const notifications = []
+      const error = new Error('Out of stock')
+      pending.subscribe({}, changes => notifications.push(changes))
+
+      return pending.createIndex({ item: 1 }, { unique: true })
+        .then(() => wait(250))
+        .then(() => {
+          notifications.length = 0
+          return db.transaction(() => {
+            return pending.remove({ item: 'shield' })
+              .then(() => pending.insertOne({ item: 'sword' }))
+              .then(() => pending.update({ item: 'hammer' }, { $set: { qty: 0 } }))
+              .then(() => shipped.insertOne({ item: 'shield' }))
+              .then(() => {
+                throw error
+              })
+          })
+        })
+        .then(() => {
+          throw new Error('should have been rejected')
+        }, rejection => {
+          assert.equal(rejection, error)
+          return Promise.all([pending.find(), pending.find({ item: 'shield' }), pending.find({ item: 'sword' }), shipped.find()])
+        })
+        .then(([pendingDocuments, shields, swords, shippedDocuments]) => {
+          assert.deepEqual(pendingDocuments, [{ _id: '0', item: 'shield', qty: 1 }, { _id: '1', item: 'hammer', qty: 2 }])
+          assert.equal(shields.length, 1, 'Indexes should be rolled back')
+          assert.equal(swords.length, 0, 'Indexes should be rolled back')
+          assert.deepEqual(shippedDocuments, [])
+          return pending.insertOne({ item: 'sword' })
+        })
+        .then(() => wait(250))
+        .then(() => {
+          assert.deepEqual(notifications.map(changes => changes.map(el => el.operationType)), [['insert']])
+        })
+    })
+
+    it('should roll back when a write of the transaction fails', () => {
+      return pending.createIndex({ item: 1 }, { unique: true })
+        .then(() => db.transaction(() => {
+          return shipped.insertOne({ item: 'hammer' })
+            .then(() => pending.insertOne({ item: 'hammer' }))
+        }))
+        .catch(error => {
+          assert.equal(error.name, 'DuplicateKeyError')
+          return shipped.count()
+        })
+        .then(count => assert.equal(count, 0))
+    })
+
+    it('should keep writes made outside of the transaction out of it', () => {
+      const error = new Error('Out of stock')
+      const steps = []
+      // Started before the transaction, run while it is in progress
+      const outside = wait(20)
+        .then(() => shipped.insertOne({ item: 'sword' }))
+        .then(result => {
+          steps.push('outside write')
+          return result
+        })
+      const transaction = db.startSession().withTransaction(() => {
+        return pending.insertOne({ item: 'bow' })
+          .then(() => wait(50))
+          .then(() => {
+            steps.push('transaction end')
+            throw error
+          })
+      })
+
+      return Promise.all([transaction.catch(rejection => rejection), outside])
+        .then(([rejection, result]) => {
+          assert.equal(rejection, error)
+          assert.deepEqual(result, { acknowledged: true, insertedId: '0' })
+          assert.deepEqual(steps, ['transaction end', 'outside write'], 'The outside write should wait for the end of the transaction')
+          return Promise.all([pending.find(), shipped.find()])
+        })
+        .then(([pendingDocuments, shippedDocuments]) => {
+          assert.deepEqual(pendingDocuments.map(el => el.item), ['shield', 'hammer'])
+          assert.deepEqual(shippedDocuments, [{ _id: '0', item: 'sword' }])
+        })
+    })
+
+    it('should only make the writes given the session part of the transaction without AsyncLocalStorage', () => {
+      db._transactionContext = null // As where AsyncLocalStorage is not available (eg. in browsers)
+      const error = new Error('Out of stock')
+      const steps = []
+      const outside = wait(20)
+        .then(() => shipped.insertOne({ item: 'sword' }))
+        .then(() => steps.push('outside write'))
+      const transaction = db.transaction(session => {
+        return pending.insertOne({ item: 'bow' }, { session })
+          .then(() => pending.updateOne({ item: 'shield' }, { $inc: { qty: 1 } }, { session }))
+          .then(() => pending.deleteOne({ item: 'hammer' }, { session }))
+          .then(() => shipped.bulkWrite([{ insertOne: { document: { item: 'axe' } } }], { session }))
+          .then(() => wait(50))
+          .then(() => {
+            steps.push('transaction end')
+            throw error
+          })
+      })
+
+      return Promise.all([transaction.catch(rejection => rejection), outside])
+        .then(([rejection]) => {
+          assert.equal(rejection, error)
+          assert.deepEqual(steps, ['transaction end', 'outside write'], 'The write without session should wait for the end of the transaction')
+          return Promise.all([pending.find(), shipped.find()])
+        })
+        .then(([pendingDocuments, shippedDocuments]) => {
+          assert.deepEqual(pendingDocuments.map(el => [el.item, el.qty]), [['shield', 1], ['hammer', 2]])
+          assert.deepEqual(shippedDocuments.map(el => el.item), ['sword'])
+        })
+    })
+
+    it('should run transactions one after the other', () => {
+      const steps = []
+      const first = db.transaction(() => {
+        steps.push('first start')
+        return wait(50).then(() => steps.push('first end'))
+      })
+      const second = db.transaction(() => {
+        steps.push('second start')
+      })
+
+      return Promise.all([first, second])
+        .then(() => assert.deepEqual(steps, ['first start', 'first end', 'second start']))
+    })
+
+    it('should manage transactions with a session', () => {
+      const session = db.startSession()
+
+      session.startTransaction()
+      assert.equal(session.inTransaction(), true)
+      assert.throws(() => db.startSession().startTransaction(), /already in progress/)
+
+      return pending.remove({})
+        .then(() => session.abortTransaction())
+        .then(() => {
+          assert.equal(session.inTransaction(), false)
+          return pending.count()
+        })
+        .then(count => {
+          assert.equal(count, 2)
+          session.startTransaction()
+          return pending.remove({})
+        })
+        .then(() => session.commitTransaction())
+        .then(() => pending.count())
+        .then(count => {
+          assert.equal(count, 0)
+          session.endSession()
+          assert.throws(() => session.startTransaction(), /ended/)
+        })
+    })
+  })
 })
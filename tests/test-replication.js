@@ -0,0 +1,400 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const { MessageChannel, BroadcastChannel } = require('worker_threads')
+const ReactiveDatabase = require('../lib/reactive-database')
+const ObjectId = require('../lib/object-id')
+const { ValidationError } = require('../lib/errors')
+let channels = null
+let databases = null
+
+const OPTIONS = { handshakeTimeout: 20, heartbeatInterval: 20 }
+
+function createDatabase (options = {}) {
+  const db = new ReactiveDatabase({ scheduling: 'sync', idStrategy: 'objectId', ...options })
+  databases.push(db)
+  return db
+}
+
+function createChannel () {
+  const channel = new MessageChannel()
+  channels.push(channel.port1, channel.port2)
+  return channel
+}
+
+// Resolved once `predicate()` resolves to `true`
+function waitUntil (predicate) {
+  return predicate()
+    .then(done => done ? undefined : new Promise(resolve => setTimeout(resolve, 5)).then(() => waitUntil(predicate)))
+}
+
+function names (db) {
+  return db.getCollection('todos').find({}, undefined, { sort: { _id: 1 } })
+    .then(results => results.map(el => el.title))
+}
+
+describe('Tests for Replication', () => {
+  beforeEach(() => {
+    channels = []
+    databases = []
+  })
+
+  afterEach(() => {
+    databases.forEach(db => db._replications.forEach(replication => replication.close()))
+    channels.forEach(channel => channel.close())
+    channels = null
+    databases = null
+  })
+
+  describe('Last writer wins', () => {
+    it('should exchange the content of the databases when the replication starts', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+
+      return Promise.all([
+        db1.getCollection('todos').insertOne({ _id: 'a', title: 'Buy milk' }),
+        db2.getCollection('todos').insertOne({ _id: 'b', title: 'Walk the dog' })
+      ])
+        .then(() => db1.replicate(port1, OPTIONS))
+        .then(() => db2.replicate(port2, OPTIONS))
+        .then(replication => {
+          assert.equal(replication.leader, null)
+          return Promise.all([names(db1), names(db2)])
+        })
+        .then(([results1, results2]) => {
+          assert.deepEqual(results1, ['Buy milk', 'Walk the dog'])
+          assert.deepEqual(results2, ['Buy milk', 'Walk the dog'])
+        })
+    })
+
+    it('should notify watchers of the writes made in another database', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase({ idStrategy: 'objectId' })
+      const db2 = createDatabase()
+      const todos1 = db1.getCollection('todos')
+      const changes = []
+
+      db2.getCollection('todos').subscribe({}, received => changes.push(...received.map(el => el.operationType)), { coalesce: false })
+
+      return Promise.all([db1.replicate(port1, OPTIONS), db2.replicate(port2, OPTIONS)])
+        .then(() => todos1.insertOne({ title: 'Buy milk' }))
+        .then(() => todos1.updateOne({ title: 'Buy milk' }, { $set: { done: true } }))
+        .then(() => waitUntil(() => Promise.resolve(changes.length === 2)))
+        .then(() => db2.getCollection('todos').findOne())
+        .then(todo => {
+          assert.ok(todo._id instanceof ObjectId)
+          assert.equal(todo.done, true)
+          return todos1.deleteOne({ _id: todo._id })
+        })
+        .then(() => waitUntil(() => Promise.resolve(changes.length === 3)))
+        .then(() => {
+          assert.deepEqual(changes, ['insert', 'update', 'remove'])
+        })
+    })
+
+    it('should keep the most recent write of a document on every database', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+      let winner = null
+
+      return db1.getCollection('todos').insertOne({ _id: 'a', title: 'Buy milk' })
+        .then(() => Promise.all([db1.replicate(port1, OPTIONS), db2.replicate(port2, OPTIONS)]))
+        .then(() => Promise.all([
+          // Concurrent writes: each database writes before receiving the write of the other
+          db1.getCollection('todos').updateOne({ _id: 'a' }, { $set: { title: 'Buy bread' } }),
+          db2.getCollection('todos').updateOne({ _id: 'a' }, { $set: { title: 'Buy eggs' } })
+        ]))
+        .then(() => waitUntil(() => Promise.all([names(db1), names(db2)])
+          .then(([results1, results2]) => {
+            winner = results1[0]
+            return results1[0] === results2[0]
+          })))
+        .then(() => {
+          assert.ok(['Buy bread', 'Buy eggs'].indexOf(winner) >= 0)
+        })
+    })
+
+    it('should keep the documents inserted at the same time in different databases', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+      const titles = db => db.getCollection('todos').find({}, { _id: 0 }, { sort: { title: 1 } })
+        .then(results => results.map(el => el.title))
+
+      return Promise.all([db1.replicate(port1, OPTIONS), db2.replicate(port2, OPTIONS)])
+        .then(() => Promise.all([
+          db1.getCollection('todos').insertOne({ title: 'Buy milk' }),
+          db2.getCollection('todos').insertOne({ title: 'Walk the dog' })
+        ]))
+        .then(() => waitUntil(() => Promise.all([titles(db1), titles(db2)])
+          .then(results => results.every(el => el.length === 2))))
+        .then(() => Promise.all([titles(db1), titles(db2)]))
+        .then(([results1, results2]) => {
+          assert.deepEqual(results1, ['Buy milk', 'Walk the dog'])
+          assert.deepEqual(results2, ['Buy milk', 'Walk the dog'])
+        })
+    })
+
+    it('should not restore a document removed while a database was not replicated', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+
+      return db1.getCollection('todos').insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b', title: 'Walk the dog' }])
+        .then(() => db1.replicate(port1, OPTIONS))
+        .then(() => db2.replicate(port2, OPTIONS))
+        .then(replication => replication.close())
+        .then(() => db1.getCollection('todos').deleteOne({ _id: 'a' }))
+        .then(() => db2.replicate(port2, OPTIONS))
+        .then(() => Promise.all([names(db1), names(db2)]))
+        .then(([results1, results2]) => {
+          assert.deepEqual(results1, ['Walk the dog'])
+          assert.deepEqual(results2, ['Walk the dog'])
+        })
+    })
+
+    it('should only replicate the given collections', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+
+      return Promise.all([
+        db1.getCollection('todos').insertOne({ title: 'Buy milk' }),
+        db1.getCollection('drafts').insertOne({ title: 'Walk the dog' })
+      ])
+        .then(() => db1.replicate(port1, { ...OPTIONS, collections: ['todos'] }))
+        .then(() => db2.replicate(port2, { ...OPTIONS, collections: ['todos'] }))
+        .then(() => db1.getCollection('drafts').insertOne({ title: 'Call mom' }))
+        .then(() => db1.getCollection('todos').insertOne({ title: 'Buy bread' }))
+        .then(() => waitUntil(() => names(db2).then(results => results.length === 2)))
+        .then(() => {
+          assert.deepEqual(db2.showCollections(), ['todos'])
+        })
+    })
+
+    it('should send the changes received on a channel to the other channels', () => {
+      const channelA = createChannel()
+      const channelB = createChannel()
+      const main = createDatabase()
+      const dbA = createDatabase()
+      const dbB = createDatabase()
+
+      return Promise.all([
+        main.replicate(channelA.port1, OPTIONS),
+        main.replicate(channelB.port1, OPTIONS),
+        dbA.replicate(channelA.port2, OPTIONS),
+        dbB.replicate(channelB.port2, OPTIONS)
+      ])
+        .then(() => dbA.getCollection('todos').insertOne({ title: 'Buy milk' }))
+        .then(() => waitUntil(() => names(dbB).then(results => results.length === 1)))
+        .then(() => dbB.getCollection('todos').updateOne({}, { $set: { title: 'Buy bread' } }))
+        .then(() => waitUntil(() => names(dbA).then(results => results[0] === 'Buy bread')))
+        .then(() => names(main))
+        .then(results => {
+          assert.deepEqual(results, ['Buy bread'])
+        })
+    })
+
+    it('should replicate databases listening to a BroadcastChannel', () => {
+      const dbs = [createDatabase(), createDatabase(), createDatabase()]
+      const broadcastChannels = dbs.map(() => new BroadcastChannel('test-replication'))
+      channels.push(...broadcastChannels)
+
+      return Promise.all(dbs.map((db, idx) => db.replicate(broadcastChannels[idx], OPTIONS)))
+        .then(() => dbs[0].getCollection('todos').insertOne({ title: 'Buy milk' }))
+        .then(() => waitUntil(() => Promise.all(dbs.map(names))
+          .then(results => results.every(el => el.length === 1))))
+        .then(() => {
+          const replication = dbs[0]._replications[0]
+          assert.equal(replication.peers.length, 2)
+        })
+    })
+
+    it('should write received documents once the transaction in progress is done', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+      const session = db2.startSession()
+
+      return Promise.all([db1.replicate(port1, OPTIONS), db2.replicate(port2, OPTIONS)])
+        .then(() => {
+          session.startTransaction()
+          return db2.getCollection('todos').insertOne({ _id: 'b', title: 'Walk the dog' })
+        })
+        .then(() => db1.getCollection('todos').insertOne({ _id: 'a', title: 'Buy milk' }))
+        .then(() => new Promise(resolve => setTimeout(resolve, 20)))
+        .then(() => names(db2))
+        .then(results => {
+          assert.deepEqual(results, ['Walk the dog'])
+          return session.abortTransaction()
+        })
+        .then(() => waitUntil(() => names(db2).then(results => results.length === 1 && results[0] === 'Buy milk')))
+    })
+
+    it('should emit an error for a received document that can\'t be written', done => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+
+      db2.createCollection('todos', { validator: { $jsonSchema: { required: ['title'] } } })
+        .then(() => Promise.all([db1.replicate(port1, OPTIONS), db2.replicate(port2, OPTIONS)]))
+        .then(([, replication]) => {
+          replication.on('error', error => {
+            assert.ok(error instanceof ValidationError)
+            names(db2)
+              .then(results => {
+                assert.deepEqual(results, ['Buy milk'])
+                done()
+              })
+              .catch(done)
+          })
+          return db1.getCollection('todos').insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b' }])
+        })
+        .catch(done)
+    })
+
+    it('should throw the error of a received document asynchronously without \'error\' listener', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+      const listeners = process.listeners('uncaughtException')
+      const thrown = new Promise(resolve => {
+        process.removeAllListeners('uncaughtException')
+        process.once('uncaughtException', error => {
+          listeners.forEach(listener => process.on('uncaughtException', listener))
+          resolve(error)
+        })
+      })
+
+      return db2.createCollection('todos', { validator: { $jsonSchema: { required: ['title'] } } })
+        .then(() => Promise.all([db1.replicate(port1, OPTIONS), db2.replicate(port2, OPTIONS)]))
+        .then(() => db1.getCollection('todos').insertOne({ _id: 'b' }))
+        .then(() => thrown)
+        .then(error => assert.ok(error instanceof ValidationError))
+    })
+
+    it('should forget the versions of documents removed for longer than tombstoneLifetime', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+      let replication = null
+
+      return Promise.all([db1.replicate(port1, { ...OPTIONS, tombstoneLifetime: 50 }), db2.replicate(port2, OPTIONS)])
+        .then(([created]) => {
+          replication = created
+          return db1.getCollection('todos').insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b', title: 'Walk the dog' }])
+        })
+        .then(() => db1.getCollection('todos').deleteOne({ _id: 'a' }))
+        .then(() => {
+          assert.deepEqual([...replication._replica.versions.get('todos').keys()], ['a', 'b'])
+          return new Promise(resolve => setTimeout(resolve, 120)) // A few heartbeats
+        })
+        .then(() => {
+          assert.deepEqual([...replication._replica.versions.get('todos').keys()], ['b'], 'Versions of existing documents should be kept')
+        })
+    })
+  })
+
+  describe('Leader', () => {
+    it('should replace the content of the other databases by the content of the leader', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+      let replication1 = null
+
+      return Promise.all([
+        db1.getCollection('todos').insertOne({ _id: 'a', title: 'Buy milk' }),
+        db2.getCollection('todos').insertOne({ _id: 'b', title: 'Walk the dog' })
+      ])
+        .then(() => db1.replicate(port1, { ...OPTIONS, policy: 'leader' }))
+        .then(replication => {
+          replication1 = replication
+          assert.equal(replication.isLeader, true)
+          return db2.replicate(port2, { ...OPTIONS, policy: 'leader' })
+        })
+        .then(replication2 => {
+          assert.equal(replication2.isLeader, false)
+          assert.equal(replication2.leader, replication1.peerId)
+          return Promise.all([names(db1), names(db2)])
+        })
+        .then(([results1, results2]) => {
+          assert.deepEqual(results1, ['Buy milk'])
+          assert.deepEqual(results2, ['Buy milk'])
+          return db2.getCollection('todos').insertOne({ _id: 'c', title: 'Call mom' })
+        })
+        .then(() => waitUntil(() => names(db1).then(results => results.length === 2)))
+    })
+
+    it('should elect another leader when the leader leaves', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+      const leaders = []
+
+      return db1.replicate(port1, { ...OPTIONS, policy: 'leader' })
+        .then(replication1 => db2.replicate(port2, { ...OPTIONS, policy: 'leader' })
+          .then(replication2 => {
+            replication2.on('leader', id => leaders.push(id))
+            replication1.close()
+            return waitUntil(() => Promise.resolve(replication2.isLeader))
+              .then(() => {
+                assert.deepEqual(leaders, [replication2.peerId])
+                assert.deepEqual(replication2.peers, [])
+              })
+          }))
+    })
+
+    it('should elect a single leader when databases start together', () => {
+      const { port1, port2 } = createChannel()
+      const db1 = createDatabase()
+      const db2 = createDatabase()
+
+      return Promise.all([
+        db1.replicate(port1, { ...OPTIONS, policy: 'leader' }),
+        db2.replicate(port2, { ...OPTIONS, policy: 'leader' })
+      ])
+        .then(([replication1, replication2]) => waitUntil(() => Promise.resolve(replication1.leader === replication2.leader))
+          .then(() => {
+            assert.equal(replication1.leader, [replication1.peerId, replication2.peerId].sort()[0])
+          }))
+    })
+  })
+
+  describe('Options', () => {
+    it('should reject invalid channels and options', () => {
+      const { port1 } = createChannel()
+      const db = createDatabase()
+      const check = (channel, options, message) => db.replicate(channel, options)
+        .then(() => assert.fail('Should be rejected'), error => assert.equal(error.message, message))
+
+      return check({}, {}, '"channel" must have a "postMessage()" method and an "on()" or "addEventListener()" method')
+        .then(() => check(port1, { policy: 'first' }, '"policy" must be "lastWriterWins" or "leader"'))
+        .then(() => check(port1, { collections: 'todos' }, '"collections" must be an array of collection names'))
+        .then(() => check(port1, { heartbeatInterval: 0 }, '"heartbeatInterval" must be a positive number'))
+        .then(() => check(port1, { handshakeTimeout: 'soon' }, '"handshakeTimeout" must be a positive number'))
+        .then(() => check(port1, { tombstoneLifetime: -1 }, '"tombstoneLifetime" must be a positive number'))
+        .then(() => {
+          assert.deepEqual(db._replications, [])
+        })
+    })
+
+    it('should reject collections giving counter ids', () => {
+      const { port1 } = createChannel()
+      const db = createDatabase({ idStrategy: 'counter' })
+      const check = (database, options, message) => database.replicate(port1, { ...OPTIONS, ...options })
+        .then(() => assert.fail('Should be rejected'), error => assert.equal(error.message, message))
+
+      return db.createCollection('todos', { idStrategy: 'uuidv4' })
+        .then(() => check(db, {}, 'The database gives counter ids and can\'t be replicated: use another "idStrategy"'))
+        .then(() => check(db, { collections: ['todos', 'notes'] }, 'The database gives counter ids and can\'t be replicated: use another "idStrategy"'))
+        .then(() => {
+          const other = createDatabase()
+          other.getCollection('notes', { idStrategy: 'counter' })
+          return check(other, { collections: ['notes'] }, 'Collection "notes" gives counter ids and can\'t be replicated: use another "idStrategy"')
+        })
+        .then(() => db.replicate(port1, { ...OPTIONS, collections: ['todos'] }))
+        .then(replication => assert.deepEqual(db._replications, [replication]))
+    })
+  })
+})
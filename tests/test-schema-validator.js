@@ -0,0 +1,100 @@
+/* global describe, it */
+const assert = require('assert')
+const { compileSchema, validate } = require('../lib/schema-validator')
+
+const schema = {
+  type: 'object',
+  required: ['name', 'email'],
+  additionalProperties: false,
+  properties: {
+    _id: { type: 'string' },
+    name: { type: 'string', minLength: 1, maxLength: 20 },
+    email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+    age: { type: 'integer', minimum: 0, exclusiveMaximum: 150 },
+    role: { enum: ['hero', 'villain'] },
+    nickname: { type: ['string', 'null'] },
+    tags: { type: 'array', maxItems: 3, items: { type: 'string' } },
+    position: { type: 'array', items: [{ type: 'number' }, { type: 'number' }] },
+    address: {
+      type: 'object',
+      required: ['city'],
+      properties: { city: { type: 'string' } },
+      additionalProperties: { type: 'string' }
+    }
+  }
+}
+
+describe('Tests for schema validator', () => {
+  describe('Schemas', () => {
+    it('should accept supported keywords and annotations', (done) => {
+      compileSchema(schema)
+      compileSchema({ title: 'User', description: 'A user', $schema: 'http://json-schema.org/draft-07/schema#' })
+      done()
+    })
+
+    it('should reject invalid schemas', (done) => {
+      assert.throws(() => compileSchema([]), /A JSON Schema must be an object/)
+      assert.throws(() => compileSchema({ properties: { name: { tpye: 'string' } } }), /Unsupported JSON Schema keyword "tpye" \(at "name"\)/)
+      assert.throws(() => compileSchema({ type: 'date' }), /Invalid value for JSON Schema keyword "type"/)
+      assert.throws(() => compileSchema({ minLength: -1 }), /Invalid value for JSON Schema keyword "minLength"/)
+      assert.throws(() => compileSchema({ items: { required: 'name' } }), /Invalid value for JSON Schema keyword "required" \(at "\[\]"\)/)
+      assert.throws(() => compileSchema({ pattern: '(' }), SyntaxError)
+      done()
+    })
+  })
+
+  describe('Validation', () => {
+    it('should accept valid documents', (done) => {
+      assert.deepEqual(validate({ _id: '0', name: 'Tony', email: 'tony@stark.com' }, compileSchema(schema)), [])
+      assert.deepEqual(validate({
+        name: 'Peter',
+        email: 'peter@parker.com',
+        age: 16,
+        role: 'hero',
+        nickname: null,
+        tags: ['spider'],
+        position: [40.7, -73.9, 'extra items are allowed'],
+        address: { city: 'New York', street: '20 Ingram Street' }
+      }, compileSchema(schema)), [])
+      done()
+    })
+
+    it('should give every failing path', (done) => {
+      const errors = validate({
+        name: '',
+        age: 150.5,
+        role: 'sidekick',
+        nickname: 42,
+        tags: ['a', 1, 'c', 'd'],
+        position: [1, 'x'],
+        address: { zip: 10001 },
+        power: 'flight'
+      }, compileSchema(schema))
+
+      assert.deepEqual(errors.map(el => `${el.path} ${el.keyword}`), [
+        'email required',
+        'power additionalProperties',
+        'name minLength',
+        'age type',
+        'age exclusiveMaximum',
+        'role enum',
+        'nickname type',
+        'tags maxItems',
+        'tags.1 type',
+        'position.1 type',
+        'address.city required',
+        'address.zip type'
+      ])
+      assert.deepEqual(errors[0], { path: 'email', keyword: 'required', message: 'is required' })
+      assert.equal(errors.find(el => el.path === 'nickname').message, 'must be of type string or null')
+      done()
+    })
+
+    it('should validate values which are not objects', (done) => {
+      assert.deepEqual(validate('Tony', compileSchema({ type: 'object' })), [{ path: '', keyword: 'type', message: 'must be of type object' }])
+      assert.deepEqual(validate(3, compileSchema({ type: 'number', maximum: 2 })).map(el => el.message), ['must be <= 2'])
+      assert.deepEqual(validate('tony', compileSchema({ pattern: '^[A-Z]' })).map(el => el.message), ['must match pattern "^[A-Z]"'])
+      done()
+    })
+  })
+})
@@ -0,0 +1,483 @@
+/* global beforeEach, afterEach, describe, it */
+const assert = require('assert')
+const ReactiveDatabase = require('../lib/reactive-database')
+const ObjectId = require('../lib/object-id')
+const { ValidationError } = require('../lib/errors')
+const SyncServer = require('../lib/transports/sync-server')
+const HttpTransport = require('../lib/transports/http-transport')
+let server = null
+let db1 = null
+let db2 = null
+let todos1 = null
+let todos2 = null
+
+// Resolved once the clock has moved, so that the next write is more recent
+function tick () {
+  const now = Date.now()
+  return new Promise(resolve => setTimeout(resolve, 2)).then(() => Date.now() > now ? undefined : tick())
+}
+
+function titles (collection) {
+  return collection.find({}, undefined, { sort: { _id: 1 } }).then(results => results.map(el => el.title))
+}
+
+describe('Tests for SyncEngine', () => {
+  beforeEach(() => {
+    server = new SyncServer()
+    db1 = new ReactiveDatabase({ scheduling: 'sync', idStrategy: 'uuidv7' })
+    db2 = new ReactiveDatabase({ scheduling: 'sync', idStrategy: 'uuidv7' })
+    todos1 = db1.getCollection('todos')
+    todos2 = db2.getCollection('todos')
+  })
+
+  afterEach(() => {
+    server = null
+    db1 = null
+    db2 = null
+    todos1 = null
+    todos2 = null
+  })
+
+  describe('Push and pull', () => {
+    it('should push local writes and pull them in another database', () => {
+      const engine1 = todos1.sync(server)
+      const engine2 = todos2.sync(server)
+      const changes = []
+      todos2.subscribe({}, received => changes.push(...received.map(el => [el.operationType, el._id])))
+
+      return todos1.insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b', title: 'Walk the dog' }])
+        .then(() => {
+          assert.equal(engine1.pending, 2)
+          return engine1.sync()
+        })
+        .then(result => {
+          assert.deepEqual(result, { pushed: 2, pulled: 0, conflicts: 0 })
+          assert.equal(engine1.pending, 0)
+          return engine2.sync()
+        })
+        .then(result => {
+          assert.deepEqual(result, { pushed: 0, pulled: 2, conflicts: 0 })
+          assert.equal(engine2.checkpoint, 2)
+          assert.equal(engine2.pending, 0)
+          assert.deepEqual(changes, [['insert', 'a'], ['insert', 'b']])
+          return titles(todos2)
+        })
+        .then(results => {
+          assert.deepEqual(results, ['Buy milk', 'Walk the dog'])
+        })
+    })
+
+    it('should keep the documents inserted by different clients', () => {
+      const engine1 = todos1.sync(server)
+      const engine2 = todos2.sync(server)
+      const sortedTitles = collection => collection.find({}, { _id: 0 }, { sort: { title: 1 } }).then(results => results.map(el => el.title))
+
+      return Promise.all([todos1.insertOne({ title: 'Buy milk' }), todos2.insertOne({ title: 'Walk the dog' })])
+        .then(() => engine1.sync())
+        .then(() => engine2.sync())
+        .then(result => {
+          assert.deepEqual(result, { pushed: 1, pulled: 1, conflicts: 0 })
+          return engine1.sync()
+        })
+        .then(() => Promise.all([sortedTitles(todos1), sortedTitles(todos2)]))
+        .then(([results1, results2]) => {
+          assert.deepEqual(results1, ['Buy milk', 'Walk the dog'])
+          assert.deepEqual(results2, ['Buy milk', 'Walk the dog'])
+        })
+    })
+
+    it('should push updates and removals', () => {
+      const engine1 = todos1.sync(server)
+      const engine2 = todos2.sync(server)
+
+      return todos1.insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b', title: 'Walk the dog' }])
+        .then(() => engine1.sync())
+        .then(() => engine2.sync())
+        .then(() => todos2.updateOne({ _id: 'a' }, { $set: { title: 'Buy bread' } }))
+        .then(() => todos2.deleteOne({ _id: 'b' }))
+        .then(() => engine2.sync())
+        .then(result => {
+          assert.deepEqual(result, { pushed: 2, pulled: 0, conflicts: 0 })
+          return engine1.sync()
+        })
+        .then(result => {
+          assert.deepEqual(result, { pushed: 0, pulled: 2, conflicts: 0 })
+          return titles(todos1)
+        })
+        .then(results => {
+          assert.deepEqual(results, ['Buy bread'])
+        })
+    })
+
+    it('should push the documents written before the first sync', () => {
+      return todos1.insertOne({ title: 'Buy milk' })
+        .then(() => todos1.sync(server).sync())
+        .then(result => {
+          assert.equal(result.pushed, 1)
+        })
+    })
+
+    it('should forget documents inserted then removed before being pushed', () => {
+      const engine = todos1.sync(server)
+
+      return todos1.insertOne({ _id: 'a', title: 'Buy milk' })
+        .then(() => todos1.deleteOne({ _id: 'a' }))
+        .then(() => engine.sync())
+        .then(result => {
+          assert.deepEqual(result, { pushed: 0, pulled: 0, conflicts: 0 })
+          assert.equal(engine.pending, 0)
+        })
+    })
+
+    it('should keep the outbox while the endpoint can\'t be reached', () => {
+      let online = false
+      const transport = {
+        push: (collection, changes) => online ? server.push(collection, changes) : Promise.reject(new Error('Offline')),
+        pull: (collection, checkpoint, limit) => online ? server.pull(collection, checkpoint, limit) : Promise.reject(new Error('Offline'))
+      }
+      const engine = todos1.sync(transport)
+
+      return todos1.insertOne({ title: 'Buy milk' })
+        .then(() => engine.sync())
+        .then(() => assert.fail('Should be rejected'), error => {
+          assert.equal(error.message, 'Offline')
+          assert.equal(engine.pending, 1)
+          online = true
+          return engine.sync()
+        })
+        .then(result => {
+          assert.equal(result.pushed, 1)
+          assert.equal(engine.pending, 0)
+        })
+    })
+
+    it('should pull documents by batches', () => {
+      const engine1 = todos1.sync(server)
+      const engine2 = todos2.sync(server, { batchSize: 2 })
+
+      return todos1.insertMany([1, 2, 3, 4, 5].map(idx => ({ title: `Todo ${idx}` })))
+        .then(() => engine1.sync())
+        .then(() => engine2.pull())
+        .then(result => {
+          assert.deepEqual(result, { pulled: 5, conflicts: 0 })
+          assert.equal(engine2.checkpoint, 5)
+        })
+    })
+
+    it('should emit an error for a pulled document that can\'t be written', () => {
+      const engine1 = todos1.sync(server)
+      const engine2 = todos2.sync(server)
+      const errors = []
+      engine2.on('error', error => errors.push(error))
+
+      return todos2.setValidator({ $jsonSchema: { required: ['title'] } })
+        .then(() => todos1.insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b' }]))
+        .then(() => engine1.sync())
+        .then(() => engine2.sync())
+        .then(result => {
+          assert.deepEqual(result, { pushed: 0, pulled: 1, conflicts: 0 })
+          assert.equal(errors.length, 1)
+          assert.ok(errors[0] instanceof ValidationError)
+          return todos2.find()
+        })
+        .then(results => {
+          assert.deepEqual(results, [{ _id: 'a', title: 'Buy milk' }])
+        })
+    })
+
+    it('should throw the error of a pulled document asynchronously without \'error\' listener', () => {
+      const engine1 = todos1.sync(server)
+      const engine2 = todos2.sync(server)
+      const listeners = process.listeners('uncaughtException')
+      const thrown = new Promise(resolve => {
+        process.removeAllListeners('uncaughtException')
+        process.once('uncaughtException', error => {
+          listeners.forEach(listener => process.on('uncaughtException', listener))
+          resolve(error)
+        })
+      })
+
+      return todos2.setValidator({ $jsonSchema: { required: ['title'] } })
+        .then(() => todos1.insertOne({ _id: 'b' }))
+        .then(() => engine1.sync())
+        .then(() => engine2.sync())
+        .then(result => {
+          assert.deepEqual(result, { pushed: 0, pulled: 0, conflicts: 0 })
+          return thrown
+        })
+        .then(error => assert.ok(error instanceof ValidationError))
+    })
+
+    it('should write again the pulled documents which couldn\'t be written', () => {
+      const engine1 = todos1.sync(server)
+      let engine2 = todos2.sync(server)
+      engine2.on('error', () => {})
+
+      return todos2.setValidator({ $jsonSchema: { required: ['title'] } })
+        .then(() => todos1.insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b' }]))
+        .then(() => engine1.sync())
+        .then(() => engine2.sync())
+        .then(() => engine2.stop())
+        .then(() => todos2.setValidator(null))
+        .then(() => {
+          // The document is kept in the metadata collection
+          engine2 = todos2.sync(server)
+          return engine2.sync()
+        })
+        .then(result => {
+          assert.deepEqual(result, { pushed: 0, pulled: 1, conflicts: 0 })
+          assert.equal(engine2.checkpoint, 2)
+          return Promise.all([todos2.find(), db2.getCollection('_sync').findOne({ _id: '["todos","b"]' })])
+        })
+        .then(([results, entry]) => {
+          assert.deepEqual(results, [{ _id: 'a', title: 'Buy milk' }, { _id: 'b' }])
+          assert.equal(entry.failed, undefined)
+          assert.equal(entry.rev, 1)
+        })
+    })
+
+    it('should keep the outbox and the revisions in the metadata collection', () => {
+      const engine = todos1.sync(server, { metadataCollection: 'sync-state' })
+
+      return todos1.insertOne({ _id: 'a', title: 'Buy milk' })
+        .then(() => engine.stop())
+        .then(() => {
+          const restarted = todos1.sync(server, { metadataCollection: 'sync-state' })
+          assert.equal(restarted.pending, 1)
+          return restarted.sync()
+        })
+        .then(() => Promise.all([
+          db1.getCollection('sync-state').findOne({ _id: 'todos' }),
+          db1.getCollection('sync-state').find({ collection: 'todos' })
+        ]))
+        .then(([state, entries]) => {
+          assert.deepEqual(state, { _id: 'todos', checkpoint: 1 })
+          assert.deepEqual(entries.map(el => [el.documentId, el.rev, el.pending]), [['a', 1, false]])
+          return engine.sync()
+        })
+        .then(() => assert.fail('Should be rejected'), error => {
+          assert.equal(error.message, 'The sync engine is stopped')
+        })
+    })
+
+    it('should stop and forget its metadata when the collection is dropped', () => {
+      const engine = todos1.sync(server)
+      const notes = db1.getCollection('notes', { idStrategy: 'uuidv4' })
+      notes.sync(server)
+
+      return Promise.all([todos1.insertOne({ _id: 'a', title: 'Buy milk' }), notes.insertOne({ _id: 'n', text: 'Call Pepper' })])
+        .then(() => engine.sync())
+        .then(() => todos1.insertOne({ _id: 'b', title: 'Walk the dog' }))
+        .then(() => db1.dropCollection('todos'))
+        .then(() => {
+          assert.equal(engine.pending, 0)
+          return db1.getCollection('_sync').find()
+        })
+        .then(entries => {
+          assert.deepEqual(entries.map(el => el._id), ['notes', '["notes","n"]'])
+          return engine.sync()
+        })
+        .then(() => assert.fail('Should be rejected'), error => {
+          assert.equal(error.message, 'The sync engine is stopped')
+        })
+    })
+
+    it('should only write the metadata of the written documents', () => {
+      const engine = todos1.sync(server)
+      const changes = []
+
+      return todos1.insertMany([{ _id: 'a', title: 'Buy milk' }, { _id: 'b', title: 'Walk the dog' }])
+        .then(() => engine.sync())
+        .then(() => {
+          db1.getCollection('_sync').subscribe({}, received => changes.push(...received.map(el => [el.operationType, el._id])), { scheduling: 'sync' })
+          return todos1.updateOne({ _id: 'a' }, { $set: { done: true } })
+        })
+        .then(() => {
+          assert.deepEqual(changes, [['update', '["todos","a"]']])
+        })
+    })
+
+    it('should not record the writes of the metadata in the history', () => {
+      const history = db1.enableHistory()
+
+      return todos1.insertOne({ _id: 'a', title: 'Buy milk' })
+        .then(() => {
+          const engine = todos1.sync(server)
+          return engine.sync()
+        })
+        .then(() => history.undo())
+        .then(undone => {
+          assert.equal(undone, true)
+          return history.undo()
+        })
+        .then(undone => {
+          assert.equal(undone, false)
+          return Promise.all([todos1.count(), db1.getCollection('_sync').count()])
+        })
+        .then(([count, metadataCount]) => {
+          assert.equal(count, 0)
+          assert.equal(metadataCount, 2, 'The checkpoint and the outbox entry of "a" should be kept')
+        })
+    })
+  })
+
+  describe('Conflicts', () => {
+    // Both databases have the synced document `a`
+    function synced (options = {}) {
+      const engines = [todos1.sync(server, options), todos2.sync(server, options)]
+
+      return todos1.insertOne({ _id: 'a', title: 'Buy milk', done: false })
+        .then(() => engines[0].sync())
+        .then(() => engines[1].sync())
+        .then(() => engines)
+    }
+
+    it('should keep the document written last with the "lastWriteWins" handler', () => {
+      const conflicts = []
+      const changes = []
+
+      return synced()
+        .then(([engine1, engine2]) => {
+          engine2.on('conflict', conflict => conflicts.push(conflict))
+          return todos1.updateOne({ _id: 'a' }, { $set: { title: 'Buy bread' } })
+            .then(tick)
+            .then(() => todos2.updateOne({ _id: 'a' }, { $set: { title: 'Buy eggs' } }))
+            .then(() => engine1.sync())
+            .then(() => engine2.sync())
+            .then(result => {
+              assert.deepEqual(result, { pushed: 1, pulled: 0, conflicts: 1 })
+              assert.equal(conflicts.length, 1)
+              assert.equal(conflicts[0].local.title, 'Buy eggs')
+              assert.equal(conflicts[0].remote.title, 'Buy bread')
+              assert.equal(conflicts[0].resolved.title, 'Buy eggs')
+              return tick()
+            })
+            .then(() => todos2.updateOne({ _id: 'a' }, { $set: { title: 'Buy flour' } }))
+            .then(tick)
+            .then(() => todos1.updateOne({ _id: 'a' }, { $set: { title: 'Buy sugar' } }))
+            .then(() => engine1.sync())
+            .then(result => {
+              // "Buy sugar" has been written after "Buy eggs": the local document wins and is pushed again
+              assert.deepEqual(result, { pushed: 1, pulled: 0, conflicts: 1 })
+              todos2.subscribe({}, received => changes.push(...received.map(el => el.operationType)))
+              return engine2.sync()
+            })
+        })
+        .then(result => {
+          // "Buy flour" has been written before "Buy sugar": the remote document wins, and watchers are notified
+          assert.deepEqual(result, { pushed: 0, pulled: 0, conflicts: 1 })
+          assert.deepEqual(changes, ['update'])
+          return Promise.all([titles(todos1), titles(todos2)])
+        })
+        .then(([results1, results2]) => {
+          assert.deepEqual(results1, ['Buy sugar'])
+          assert.deepEqual(results2, ['Buy sugar'])
+        })
+    })
+
+    it('should merge the fields changed on each side with the "merge" handler', () => {
+      return synced({ conflictHandler: 'merge' })
+        .then(([engine1, engine2]) => todos1.updateOne({ _id: 'a' }, { $set: { title: 'Buy bread' } })
+          .then(() => todos2.updateOne({ _id: 'a' }, { $set: { done: true }, $unset: { title: '' } }))
+          .then(() => engine1.sync())
+          // The conflict is met while pulling
+          .then(() => engine2.pull())
+          .then(result => {
+            assert.deepEqual(result, { pulled: 0, conflicts: 1 })
+            assert.equal(engine2.pending, 1)
+            return engine2.sync()
+          })
+          .then(() => engine1.sync()))
+        .then(() => Promise.all([todos1.findOne({ _id: 'a' }), todos2.findOne({ _id: 'a' })]))
+        .then(([doc1, doc2]) => {
+          assert.deepEqual(doc1, { _id: 'a', done: true })
+          assert.deepEqual(doc2, { _id: 'a', done: true })
+        })
+    })
+
+    it('should resolve conflicts with a function', () => {
+      const conflictHandler = ({ local, remote, base }) => ({ ...remote, title: `${base.title} / ${local.title} / ${remote.title}` })
+
+      return synced({ conflictHandler })
+        .then(([engine1, engine2]) => todos1.updateOne({ _id: 'a' }, { $set: { title: 'Buy bread' } })
+          .then(() => todos2.updateOne({ _id: 'a' }, { $set: { title: 'Buy eggs' } }))
+          .then(() => engine1.sync())
+          .then(() => engine2.sync()))
+        .then(() => titles(todos2))
+        .then(results => {
+          assert.deepEqual(results, ['Buy milk / Buy eggs / Buy bread'])
+        })
+    })
+
+    it('should reject the sync if the conflict handler doesn\'t return a document', () => {
+      return synced({ conflictHandler: () => 'Buy bread' })
+        .then(([engine1, engine2]) => todos1.updateOne({ _id: 'a' }, { $set: { title: 'Buy bread' } })
+          .then(() => todos2.updateOne({ _id: 'a' }, { $set: { title: 'Buy eggs' } }))
+          .then(() => engine1.sync())
+          .then(() => engine2.sync())
+          .then(() => assert.fail('Should be rejected'), error => {
+            assert.equal(error.message, '"conflictHandler" must return a document or null')
+            assert.equal(engine2.pending, 1)
+            return titles(todos2)
+          }))
+        .then(results => {
+          assert.deepEqual(results, ['Buy eggs'])
+        })
+    })
+  })
+
+  describe('HttpTransport', () => {
+    // `fetch()` answered by the sync server
+    function fetch (url, { method, body }) {
+      assert.equal(method, 'POST')
+      return server.handle(url.split('/').pop(), body)
+        .then(text => ({ ok: true, status: 200, text: () => Promise.resolve(text) }))
+    }
+
+    it('should sync through the HTTP protocol', () => {
+      const id = new ObjectId()
+      const dueDate = new Date('2024-05-01T10:00:00Z')
+      const engine1 = todos1.sync(new HttpTransport({ url: 'https://example.com/sync/', fetch }))
+      const engine2 = todos2.sync(new HttpTransport({ url: 'https://example.com/sync/', fetch }))
+
+      return todos1.insertOne({ _id: id, title: 'Buy milk', dueDate })
+        .then(() => engine1.sync())
+        .then(() => engine2.sync())
+        .then(() => todos2.findOne({ _id: id }))
+        .then(todo => {
+          assert.ok(todo._id instanceof ObjectId)
+          assert.equal(todo.dueDate.getTime(), dueDate.getTime())
+        })
+    })
+
+    it('should reject requests failing with an HTTP error', () => {
+      const transport = new HttpTransport({
+        url: 'https://example.com/sync',
+        fetch: () => Promise.resolve({ ok: false, status: 503 })
+      })
+
+      return transport.pull('todos', null, 100)
+        .then(() => assert.fail('Should be rejected'), error => {
+          assert.equal(error.message, 'Sync request to "pull" failed with status 503')
+        })
+    })
+
+    it('should reject unknown endpoints', () => {
+      return server.handle('status', '{}')
+        .then(() => assert.fail('Should be rejected'), error => {
+          assert.equal(error.message, 'Unknown sync endpoint "status"')
+        })
+    })
+  })
+
+  describe('Options', () => {
+    it('should throw errors for invalid options', () => {
+      assert.throws(() => todos1.sync({}), /^Error: "transport" must have "push\(\)" and "pull\(\)" methods$/)
+      assert.throws(() => todos1.sync(server, { conflictHandler: 'first' }), /^Error: "conflictHandler" must be "lastWriteWins", "merge" or a function$/)
+      assert.throws(() => todos1.sync(server, { batchSize: 0 }), /^Error: "batchSize" must be a positive integer$/)
+      assert.throws(() => todos1.sync(server, { interval: -1 }), /^Error: "interval" must be a positive number$/)
+      assert.throws(() => db1.getCollection('notes', { idStrategy: 'counter' }).sync(server), /^Error: Collections giving counter ids can't be synced: use another "idStrategy"$/)
+      assert.throws(() => new HttpTransport({}), /^Error: "url" must be a string$/)
+    })
+  })
+})